@@ -0,0 +1,32 @@
+#!/usr/bin/env node
+// Prints a REACT_APP_CREATOR_PASSWORD_HASH value for Creator Mode.
+// Reads the password from stdin so it doesn't end up in your shell history:
+//   npm run hash-password
+// The format matches hashPassword in src/services/creatorAuth.js.
+
+const crypto = require('crypto');
+const readline = require('readline');
+
+const ITERATIONS = 600000;
+
+const hash = (password) => {
+    const salt = crypto.randomBytes(16);
+    const derived = crypto.pbkdf2Sync(password, salt, ITERATIONS, 32, 'sha256');
+    return `pbkdf2-sha256:${ITERATIONS}:${salt.toString('base64')}:${derived.toString('base64')}`;
+};
+
+const rl = readline.createInterface({ input: process.stdin, output: process.stderr, terminal: process.stdin.isTTY });
+if (process.stdin.isTTY) {
+    // Hide what is typed.
+    rl._writeToOutput = () => {};
+    process.stderr.write('Creator Mode password: ');
+}
+rl.question('', (password) => {
+    rl.close();
+    if (process.stdin.isTTY) process.stderr.write('\n');
+    if (!password) {
+        process.stderr.write('No password given.\n');
+        process.exit(1);
+    }
+    process.stdout.write(`REACT_APP_CREATOR_PASSWORD_HASH=${hash(password)}\n`);
+});
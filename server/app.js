@@ -0,0 +1,89 @@
+// The A.N.Y.A. backend: CORS, per-client rate limiting and routing to the Gemini proxy
+// and tool endpoints. `fetchImpl` is used for every upstream call.
+
+const http = require('http');
+const { HttpError, sendJson } = require('./http');
+const { createRateLimiter } = require('./rateLimit');
+const { createGeminiRoute } = require('./gemini');
+const { createToolRoutes } = require('./tools');
+
+const clientKey = (req, trustProxy) => {
+    const forwarded = trustProxy && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+const applyCors = (req, res, allowedOrigins) => {
+    const { origin } = req.headers;
+    if (!origin || !(allowedOrigins.includes('*') || allowedOrigins.includes(origin))) return;
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After, X-RateLimit-Remaining');
+};
+
+// Returns the (req, res) request listener.
+const createApp = (config, { fetchImpl = fetch, log = () => {}, now = Date.now } = {}) => {
+    const limiter = createRateLimiter({ ...config.rateLimit, now });
+    const routes = [
+        createGeminiRoute(config, { fetchImpl }),
+        ...createToolRoutes(config, { fetchImpl }),
+    ];
+
+    const health = () => ({
+        ok: true,
+        services: {
+            gemini: Boolean(config.gemini.apiKey),
+            translate: Boolean(config.translate.url),
+            news: Boolean(config.news.apiKey),
+        },
+    });
+
+    const handle = async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        applyCors(req, res, config.allowedOrigins);
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+        if (req.method === 'GET' && url.pathname === '/api/health') {
+            sendJson(res, 200, health());
+            return;
+        }
+
+        const candidates = routes.filter(route => route.pattern.test(url.pathname));
+        if (candidates.length === 0) throw new HttpError(404, 'Not found.');
+        const route = candidates.find(item => item.method === req.method);
+        if (!route) throw new HttpError(405, 'Method not allowed.');
+
+        const limit = limiter.take(clientKey(req, config.trustProxy));
+        res.setHeader('X-RateLimit-Remaining', String(limit.remaining));
+        if (!limit.allowed) {
+            const retryAfter = Math.ceil(limit.resetMs / 1000);
+            res.setHeader('Retry-After', String(retryAfter));
+            throw new HttpError(429, `Too many requests. Try again in ${retryAfter} seconds.`);
+        }
+
+        await route.handler(req, res, { url, match: url.pathname.match(route.pattern) });
+    };
+
+    return (req, res) => {
+        const started = now();
+        res.once('finish', () => log(`${req.method} ${req.url.split('?')[0]} ${res.statusCode} ${now() - started}ms`));
+        handle(req, res).catch((error) => {
+            const status = error instanceof HttpError ? error.status : 500;
+            if (status === 500) log(`Unexpected error for ${req.method} ${req.url}: ${error.stack || error.message}`);
+            if (res.headersSent) {
+                res.destroy();
+            } else {
+                sendJson(res, status, { error: status === 500 ? 'Internal server error.' : error.message });
+            }
+        });
+    };
+};
+
+const createServer = (config, deps) => http.createServer(createApp(config, deps));
+
+module.exports = { createApp, createServer };
@@ -0,0 +1,133 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadConfig } = require('./config');
+const { createServer } = require('./app');
+const { createMockUpstream, mockEnvironment } = require('./mockUpstream');
+
+const listen = (server) => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`)));
+const close = (server) => new Promise(resolve => server.close(resolve));
+
+// Starts the backend against a fresh mock upstream; `env` overrides the mock environment.
+const start = async (t, env = {}) => {
+    const upstream = createMockUpstream();
+    const upstreamUrl = await listen(upstream.server);
+    const config = loadConfig({ ...mockEnvironment(upstreamUrl), RATE_LIMIT_MAX: '100', ...env });
+    const server = createServer(config);
+    const baseUrl = `${await listen(server)}/api`;
+    t.after(async () => {
+        server.closeAllConnections();
+        upstream.server.closeAllConnections();
+        await Promise.all([close(server), close(upstream.server)]);
+    });
+    return { baseUrl, upstreamUrl, requests: upstream.requests };
+};
+
+const postJson = (url, body, headers = {}) => fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body),
+});
+
+const userTurn = (text) => ({ contents: [{ role: 'user', parts: [{ text }] }] });
+
+test('proxies generateContent with the server-side key', async (t) => {
+    const { baseUrl, requests } = await start(t);
+    const response = await postJson(`${baseUrl}/gemini/models/gemini-2.5-flash:generateContent`, userTurn('hello'));
+    assert.equal(response.status, 200);
+    const data = await response.json();
+    assert.equal(data.candidates[0].content.parts[0].text, 'Mock reply to: hello');
+
+    const [upstreamRequest] = requests;
+    assert.equal(upstreamRequest.path, '/models/gemini-2.5-flash:generateContent');
+    assert.equal(upstreamRequest.headers['x-goog-api-key'], 'mock-gemini-key');
+    assert.deepEqual(upstreamRequest.query, {});
+});
+
+test('passes streamed replies through as server-sent events', async (t) => {
+    const { baseUrl, requests } = await start(t);
+    const response = await postJson(`${baseUrl}/gemini/models/gemini-2.5-flash:streamGenerateContent?alt=sse&key=ignored`, userTurn('stream please'));
+    assert.match(response.headers.get('content-type'), /text\/event-stream/);
+    const body = await response.text();
+    const texts = body.split('\n\n').filter(Boolean)
+        .map(event => JSON.parse(event.slice('data: '.length)).candidates[0].content.parts[0].text);
+    assert.equal(texts.join(''), 'Mock reply to: stream please');
+    assert.deepEqual(requests[0].query, { alt: 'sse' });
+});
+
+test('rejects unknown Gemini methods and a missing key', async (t) => {
+    const { baseUrl } = await start(t);
+    assert.equal((await postJson(`${baseUrl}/gemini/models/x:deleteModel`, {})).status, 404);
+
+    const unconfigured = await start(t, { GEMINI_API_KEY: '' });
+    const response = await postJson(`${unconfigured.baseUrl}/gemini/models/x:generateContent`, userTurn('hi'));
+    assert.equal(response.status, 503);
+    assert.match((await response.json()).error, /not configured/);
+});
+
+test('translates and fetches headlines through the tool endpoints', async (t) => {
+    const { baseUrl, requests } = await start(t, { TRANSLATE_API_KEY: 'translate-key' });
+
+    const translated = await (await postJson(`${baseUrl}/tools/translate`, { text: 'good morning', target: 'es' })).json();
+    assert.deepEqual(translated, { translatedText: '[es] good morning', detectedLanguage: 'en' });
+    assert.equal(requests[0].body.api_key, 'translate-key');
+
+    const bad = await postJson(`${baseUrl}/tools/translate`, { text: '' });
+    assert.equal(bad.status, 400);
+
+    const news = await (await fetch(`${baseUrl}/tools/news?topic=bikes`)).json();
+    assert.equal(news.articles.length, 2);
+    assert.deepEqual(Object.keys(news.articles[0]), ['title', 'source', 'url', 'publishedAt']);
+    const newsRequest = requests.find(request => request.path === '/everything');
+    assert.equal(newsRequest.query.q, 'bikes');
+    assert.equal(newsRequest.headers['x-api-key'], 'mock-news-key');
+});
+
+test('fetches search sources only from the allowed hosts', async (t) => {
+    const { baseUrl, upstreamUrl, requests } = await start(t);
+    const source = (url) => fetch(`${baseUrl}/tools/source?url=${encodeURIComponent(url)}`);
+
+    const { body } = await (await source(`${upstreamUrl}/search?q=artemis&format=json`)).json();
+    assert.equal(JSON.parse(body).results[0].title, 'Result for artemis');
+    assert.deepEqual(requests[0].query, { q: 'artemis', format: 'json' });
+
+    assert.equal((await source('https://elsewhere.example/feed')).status, 403);
+    assert.equal((await source('file:///etc/passwd')).status, 400);
+    const unconfigured = await start(t, { SOURCE_HOSTS: '' });
+    assert.equal((await fetch(`${unconfigured.baseUrl}/tools/source?url=${encodeURIComponent(upstreamUrl)}`)).status, 503);
+});
+
+test('rate limits each client', async (t) => {
+    const { baseUrl } = await start(t, { RATE_LIMIT_MAX: '2' });
+    const call = () => fetch(`${baseUrl}/tools/news`);
+    assert.equal((await call()).status, 200);
+    assert.equal((await call()).status, 200);
+    const limited = await call();
+    assert.equal(limited.status, 429);
+    assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+    // Health checks are not counted.
+    assert.equal((await fetch(`${baseUrl}/health`)).status, 200);
+});
+
+test('answers CORS preflights only for allowed origins', async (t) => {
+    const { baseUrl } = await start(t);
+    const preflight = (origin) => fetch(`${baseUrl}/tools/translate`, { method: 'OPTIONS', headers: { Origin: origin } });
+
+    const allowed = await preflight('http://localhost:3000');
+    assert.equal(allowed.status, 204);
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'http://localhost:3000');
+
+    const other = await preflight('https://evil.example');
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+});
+
+test('the mock upstream answers a malformed body with a 400', async (t) => {
+    const upstream = createMockUpstream();
+    const upstreamUrl = await listen(upstream.server);
+    t.after(() => close(upstream.server));
+
+    const response = await fetch(`${upstreamUrl}/models/gemini-2.5-flash:generateContent`, { method: 'POST', body: '{oops' });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.message, 'Request body must be JSON.');
+    assert.equal(upstream.requests.length, 0);
+});
@@ -0,0 +1,45 @@
+// Server settings, read from environment variables (see server/.env.example).
+// Upstream URLs are configurable so the server can be pointed at local mocks.
+
+const number = (value, fallback) => {
+    const parsed = Number(value);
+    return value !== undefined && value !== '' && Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const list = (value, fallback) => (value || fallback).split(',').map(item => item.trim()).filter(Boolean);
+
+const loadConfig = (env = process.env) => ({
+    host: env.HOST || '127.0.0.1',
+    port: number(env.PORT, 8787),
+    // Browser origins allowed to call the API ('*' allows any).
+    allowedOrigins: list(env.ALLOWED_ORIGINS, 'http://localhost:3000'),
+    // Behind a reverse proxy, rate limit by X-Forwarded-For instead of the socket address.
+    trustProxy: env.TRUST_PROXY === 'true',
+    // Room for a message with the full 14 MB of attachments, base64-encoded.
+    maxBodyBytes: number(env.MAX_BODY_BYTES, 24 * 1024 * 1024),
+    rateLimit: {
+        windowMs: number(env.RATE_LIMIT_WINDOW_MS, 60 * 1000),
+        max: number(env.RATE_LIMIT_MAX, 30),
+    },
+    gemini: {
+        apiKey: env.GEMINI_API_KEY || '',
+        baseUrl: env.GEMINI_API_BASE || 'https://generativelanguage.googleapis.com/v1beta',
+    },
+    // Any LibreTranslate-compatible service.
+    translate: {
+        url: env.TRANSLATE_API_URL || '',
+        apiKey: env.TRANSLATE_API_KEY || '',
+    },
+    // NewsAPI (newsapi.org) or a compatible service.
+    news: {
+        url: env.NEWS_API_URL || 'https://newsapi.org/v2',
+        apiKey: env.NEWS_API_KEY || '',
+        country: env.NEWS_COUNTRY || 'us',
+    },
+    // Hosts of the SearXNG instances and news feeds the app may fetch through the server.
+    sources: {
+        hosts: list(env.SOURCE_HOSTS, ''),
+    },
+});
+
+module.exports = { loadConfig };
@@ -0,0 +1,60 @@
+// Proxies Gemini requests so the API key stays on the server. The browser calls
+// /api/gemini/models/<model>:<method> exactly as it would call the Gemini API; the
+// response (including server-sent event streams) is passed through unchanged.
+
+const { Readable } = require('stream');
+const { HttpError, readBody } = require('./http');
+
+const ALLOWED_METHODS = ['generateContent', 'streamGenerateContent', 'countTokens'];
+const ROUTE = /^\/api\/gemini\/models\/([\w.-]+):(\w+)$/;
+
+const createGeminiRoute = (config, { fetchImpl }) => ({
+    method: 'POST',
+    pattern: ROUTE,
+    handler: async (req, res, { match, url }) => {
+        const [, model, method] = match;
+        if (!ALLOWED_METHODS.includes(method)) {
+            throw new HttpError(404, `Unsupported Gemini method: ${method}`);
+        }
+        if (!config.gemini.apiKey) {
+            throw new HttpError(503, 'The Gemini API key is not configured on the server.');
+        }
+
+        const body = await readBody(req, config.maxBodyBytes);
+        const upstreamUrl = new URL(`${config.gemini.baseUrl}/models/${model}:${method}`);
+        if (url.searchParams.get('alt') === 'sse') upstreamUrl.searchParams.set('alt', 'sse');
+
+        // Stop the upstream request if the browser goes away (e.g. the user cancels a reply).
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
+        });
+
+        let upstream;
+        try {
+            upstream = await fetchImpl(upstreamUrl, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'x-goog-api-key': config.gemini.apiKey },
+                body,
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            throw new HttpError(502, `Gemini is unreachable: ${error.message}`);
+        }
+
+        res.writeHead(upstream.status, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/json',
+            'Cache-Control': 'no-cache',
+        });
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        Readable.fromWeb(upstream.body)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    },
+});
+
+module.exports = { createGeminiRoute, ALLOWED_METHODS };
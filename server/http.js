@@ -0,0 +1,63 @@
+// Small helpers around Node's http module, shared by the route handlers.
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+const sendJson = (res, status, body, headers = {}) => {
+    const json = JSON.stringify(body);
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Content-Length': Buffer.byteLength(json),
+        ...headers,
+    });
+    res.end(json);
+};
+
+// Reads the request body as a Buffer, refusing anything over `maxBytes`.
+const readBody = (req, maxBytes) => new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+        size += chunk.length;
+        if (size > maxBytes) {
+            reject(new HttpError(413, 'Request body is too large.'));
+            req.destroy();
+            return;
+        }
+        chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+});
+
+const readJsonBody = async (req, maxBytes) => {
+    const body = await readBody(req, maxBytes);
+    try {
+        return JSON.parse(body.toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, 'Request body must be JSON.');
+    }
+};
+
+// Fetches JSON from an upstream service, turning failures into 502s for our client.
+const fetchUpstreamJson = async (fetchImpl, url, options, serviceName) => {
+    let response;
+    try {
+        response = await fetchImpl(url, options);
+    } catch (error) {
+        throw new HttpError(502, `${serviceName} is unreachable: ${error.message}`);
+    }
+    const data = await response.json().catch(() => null);
+    if (!response.ok || !data) {
+        const detail = data?.error?.message || data?.error || data?.message || `status ${response.status}`;
+        throw new HttpError(502, `${serviceName} request failed: ${detail}`);
+    }
+    return data;
+};
+
+module.exports = { HttpError, sendJson, readBody, readJsonBody, fetchUpstreamJson };
@@ -0,0 +1,42 @@
+#!/usr/bin/env node
+// Starts the A.N.Y.A. backend:
+//   npm run server        uses server/.env (see server/.env.example)
+//   npm run server:mock   answers from built-in mock upstreams; no keys or network needed
+
+const fs = require('fs');
+const path = require('path');
+const { loadConfig } = require('./config');
+const { createServer } = require('./app');
+const { createMockUpstream, mockEnvironment } = require('./mockUpstream');
+
+const log = (message) => console.log(`[${new Date().toISOString()}] ${message}`);
+
+const listen = (server, port, host) => new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, () => resolve(server.address()));
+});
+
+const main = async () => {
+    const envFile = path.join(__dirname, '.env');
+    if (fs.existsSync(envFile)) process.loadEnvFile(envFile);
+
+    let env = process.env;
+    if (process.argv.includes('--mock')) {
+        const { server: upstream } = createMockUpstream();
+        const address = await listen(upstream, 0, '127.0.0.1');
+        const baseUrl = `http://127.0.0.1:${address.port}`;
+        env = { ...env, ...mockEnvironment(baseUrl) };
+        log(`Mock upstreams listening on ${baseUrl}`);
+    }
+
+    const config = loadConfig(env);
+    const server = createServer(config, { log });
+    const address = await listen(server, config.port, config.host);
+    log(`A.N.Y.A. backend listening on http://${address.address}:${address.port}/api`);
+    log(`Services: gemini=${Boolean(config.gemini.apiKey)} translate=${Boolean(config.translate.url)} news=${Boolean(config.news.apiKey)}`);
+};
+
+main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+});
@@ -0,0 +1,87 @@
+// Stand-in for Gemini, LibreTranslate, NewsAPI and SearXNG, for running and testing the server
+// without network access or real keys. Used by the tests and by `npm run server:mock`.
+// Every request is recorded in `requests`.
+
+const http = require('http');
+
+const reply = (text) => ({ candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }] });
+
+const lastUserText = (payload) => {
+    const turns = (payload.contents || []).filter(turn => turn.role === 'user');
+    const parts = turns.length > 0 ? turns[turns.length - 1].parts || [] : [];
+    return parts.map(part => part.text || '').join(' ').trim();
+};
+
+const ARTICLES = [
+    { title: 'Local library extends opening hours', source: { name: 'Mock Times' }, url: 'https://news.example/library', publishedAt: '2026-01-01T08:00:00Z' },
+    { title: 'New bike lanes open downtown', source: { name: 'Mock Herald' }, url: 'https://news.example/bikes', publishedAt: '2026-01-01T07:00:00Z' },
+];
+
+const createMockUpstream = () => {
+    const requests = [];
+
+    const server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            const url = new URL(req.url, 'http://localhost');
+            const raw = Buffer.concat(chunks).toString('utf8');
+            const json = (status, data) => {
+                res.writeHead(status, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(data));
+            };
+
+            let body = null;
+            try {
+                body = raw ? JSON.parse(raw) : null;
+            } catch (error) {
+                json(400, { error: { message: 'Request body must be JSON.' } });
+                return;
+            }
+            requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers, body });
+
+            const gemini = url.pathname.match(/\/models\/([\w.-]+):(\w+)$/);
+            if (gemini && req.method === 'POST') {
+                const text = `Mock reply to: ${lastUserText(body || {})}`;
+                if (gemini[2] === 'streamGenerateContent') {
+                    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                    const [first, ...rest] = text.split(' ');
+                    res.write(`data: ${JSON.stringify(reply(`${first} `))}\n\n`);
+                    res.end(`data: ${JSON.stringify(reply(rest.join(' ')))}\n\n`);
+                } else if (gemini[2] === 'countTokens') {
+                    json(200, { totalTokens: lastUserText(body || {}).split(/\s+/).length });
+                } else {
+                    json(200, reply(text));
+                }
+                return;
+            }
+            if (url.pathname.endsWith('/translate') && req.method === 'POST') {
+                json(200, { translatedText: `[${body.target}] ${body.q}`, detectedLanguage: { language: 'en', confidence: 90 } });
+                return;
+            }
+            if (url.pathname === '/search' && req.method === 'GET') {
+                json(200, { results: [{ title: `Result for ${url.searchParams.get('q')}`, url: 'https://search.example/1', content: 'A mock result.' }] });
+                return;
+            }
+            if (/\/(top-headlines|everything)$/.test(url.pathname)) {
+                json(200, { status: 'ok', totalResults: ARTICLES.length, articles: ARTICLES });
+                return;
+            }
+            json(404, { error: { message: 'Unknown mock endpoint.' } });
+        });
+    });
+
+    return { server, requests };
+};
+
+// Environment for pointing the server at a mock upstream listening on `baseUrl`.
+const mockEnvironment = (baseUrl) => ({
+    GEMINI_API_KEY: 'mock-gemini-key',
+    GEMINI_API_BASE: baseUrl,
+    TRANSLATE_API_URL: baseUrl,
+    NEWS_API_URL: baseUrl,
+    NEWS_API_KEY: 'mock-news-key',
+    SOURCE_HOSTS: new URL(baseUrl).host,
+});
+
+module.exports = { createMockUpstream, mockEnvironment };
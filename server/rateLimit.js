@@ -0,0 +1,38 @@
+// Fixed-window rate limiter keyed by client. Each client may make `max` requests per
+// `windowMs`; the window starts with the client's first request.
+
+const PRUNE_THRESHOLD = 10000;
+
+const createRateLimiter = ({ windowMs, max, now = Date.now }) => {
+    const windows = new Map(); // key -> { start, count }
+
+    // Forgets clients whose window has run out.
+    const prune = () => {
+        const time = now();
+        for (const [key, entry] of windows) {
+            if (time - entry.start >= windowMs) windows.delete(key);
+        }
+    };
+
+    // Counts a request. Resolves to whether it is allowed, how many are left and how long
+    // until the window resets.
+    const take = (key) => {
+        const time = now();
+        let entry = windows.get(key);
+        if (!entry || time - entry.start >= windowMs) {
+            if (windows.size >= PRUNE_THRESHOLD) prune();
+            entry = { start: time, count: 0 };
+            windows.set(key, entry);
+        }
+        entry.count++;
+        return {
+            allowed: entry.count <= max,
+            remaining: Math.max(0, max - entry.count),
+            resetMs: entry.start + windowMs - time,
+        };
+    };
+
+    return { take, prune, size: () => windows.size };
+};
+
+module.exports = { createRateLimiter };
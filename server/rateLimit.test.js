@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRateLimiter } = require('./rateLimit');
+
+test('allows max requests per window for each client', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, max: 2, now: () => time });
+
+    assert.deepEqual(limiter.take('a'), { allowed: true, remaining: 1, resetMs: 1000 });
+    time = 400;
+    assert.equal(limiter.take('a').allowed, true);
+    assert.deepEqual(limiter.take('a'), { allowed: false, remaining: 0, resetMs: 600 });
+    assert.equal(limiter.take('b').allowed, true);
+
+    time = 1000;
+    assert.equal(limiter.take('a').allowed, true);
+});
+
+test('prunes clients whose window has ended', () => {
+    let time = 0;
+    const limiter = createRateLimiter({ windowMs: 1000, max: 1, now: () => time });
+    limiter.take('a');
+    time = 500;
+    limiter.take('b');
+    time = 1200;
+    limiter.prune();
+    assert.equal(limiter.size(), 1);
+});
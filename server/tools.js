@@ -0,0 +1,122 @@
+// Tool endpoints that need a secret or a service the browser can't call directly.
+// Each returns a small JSON shape of its own, so the front end doesn't depend on which
+// upstream service is configured.
+
+const { HttpError, sendJson, readJsonBody, fetchUpstreamJson } = require('./http');
+
+const MAX_TRANSLATE_LENGTH = 5000;
+const HEADLINE_COUNT = 5;
+const MAX_SOURCE_BYTES = 2 * 1024 * 1024;
+
+// POST /api/tools/translate { text, target, source? } -> { translatedText, detectedLanguage }
+const createTranslateRoute = (config, { fetchImpl }) => ({
+    method: 'POST',
+    pattern: /^\/api\/tools\/translate$/,
+    handler: async (req, res) => {
+        if (!config.translate.url) {
+            throw new HttpError(503, 'No translation service is configured on the server.');
+        }
+        const { text, target, source = 'auto' } = await readJsonBody(req, config.maxBodyBytes);
+        if (typeof text !== 'string' || !text.trim() || typeof target !== 'string' || !target) {
+            throw new HttpError(400, 'Both "text" and "target" are required.');
+        }
+        if (text.length > MAX_TRANSLATE_LENGTH) {
+            throw new HttpError(413, `Text is longer than ${MAX_TRANSLATE_LENGTH} characters.`);
+        }
+
+        const data = await fetchUpstreamJson(fetchImpl, `${config.translate.url}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                q: text,
+                source,
+                target,
+                format: 'text',
+                ...(config.translate.apiKey && { api_key: config.translate.apiKey }),
+            }),
+        }, 'Translation service');
+
+        sendJson(res, 200, {
+            translatedText: data.translatedText,
+            detectedLanguage: data.detectedLanguage?.language || (source !== 'auto' ? source : null),
+        });
+    },
+});
+
+// GET /api/tools/news?topic= -> { articles: [{ title, source, url, publishedAt }] }
+const createNewsRoute = (config, { fetchImpl }) => ({
+    method: 'GET',
+    pattern: /^\/api\/tools\/news$/,
+    handler: async (req, res, { url }) => {
+        if (!config.news.apiKey) {
+            throw new HttpError(503, 'No news API key is configured on the server.');
+        }
+        const topic = (url.searchParams.get('topic') || '').trim();
+        const general = !topic || topic.toLowerCase() === 'general';
+        const upstreamUrl = new URL(`${config.news.url}/${general ? 'top-headlines' : 'everything'}`);
+        if (general) {
+            upstreamUrl.searchParams.set('country', config.news.country);
+        } else {
+            upstreamUrl.searchParams.set('q', topic);
+            upstreamUrl.searchParams.set('sortBy', 'publishedAt');
+        }
+        upstreamUrl.searchParams.set('pageSize', String(HEADLINE_COUNT));
+
+        const data = await fetchUpstreamJson(fetchImpl, upstreamUrl, {
+            headers: { 'X-Api-Key': config.news.apiKey },
+        }, 'News service');
+
+        sendJson(res, 200, {
+            articles: (data.articles || []).slice(0, HEADLINE_COUNT).map(article => ({
+                title: article.title,
+                source: article.source?.name || null,
+                url: article.url,
+                publishedAt: article.publishedAt || null,
+            })),
+        });
+    },
+});
+
+// GET /api/tools/source?url= -> { body }
+// Fetches a search or news source set up in the browser (a SearXNG instance or a feed),
+// which usually doesn't allow requests from the app's origin (CORS). Only the hosts in
+// SOURCE_HOSTS are fetched, so the server is no open proxy.
+const createSourceRoute = (config, { fetchImpl }) => ({
+    method: 'GET',
+    pattern: /^\/api\/tools\/source$/,
+    handler: async (req, res, { url }) => {
+        if (config.sources.hosts.length === 0) {
+            throw new HttpError(503, 'No search or feed hosts are allowed on the server (SOURCE_HOSTS).');
+        }
+        let target;
+        try {
+            target = new URL(url.searchParams.get('url'));
+        } catch (error) {
+            throw new HttpError(400, 'A valid "url" is required.');
+        }
+        if (!['http:', 'https:'].includes(target.protocol)) throw new HttpError(400, 'Only http and https addresses can be fetched.');
+        if (!config.sources.hosts.includes(target.host) && !config.sources.hosts.includes(target.hostname)) {
+            throw new HttpError(403, `${target.host} is not in the server's SOURCE_HOSTS.`);
+        }
+
+        let response;
+        try {
+            // A redirect could lead off the allowed hosts.
+            response = await fetchImpl(target, { redirect: 'error' });
+        } catch (error) {
+            throw new HttpError(502, `${target.host} is unreachable: ${error.message}`);
+        }
+        if (!response.ok) throw new HttpError(502, `${target.host} responded with status ${response.status}.`);
+        const body = await response.text();
+        if (Buffer.byteLength(body) > MAX_SOURCE_BYTES) throw new HttpError(502, `${target.host} sent more than 2 MB.`);
+        sendJson(res, 200, { body });
+    },
+});
+
+const createToolRoutes = (config, deps) => [
+    createTranslateRoute(config, deps),
+    createNewsRoute(config, deps),
+    createSourceRoute(config, deps),
+];
+
+module.exports = { createToolRoutes };
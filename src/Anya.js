@@ -1,33 +1,177 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
+import { createToolRegistry, toolRegistry, toReply, localToolFilter } from './tools/registry';
+import { createBuiltinTools } from './tools/builtinTools';
+import { createCalculatorMemory } from './tools/expression';
+import { createWeatherService } from './tools/weather';
+import { createScheduler, describeItem, describeFiredItem, formatDueTime, showDesktopNotification } from './tools/scheduler';
+import { createNotesStore, loadNotes, notesContext } from './tools/notes';
+import { createTranslationProvider } from './tools/translation';
+import { createSearchService, loadSearchSettings, saveSearchSettings } from './tools/search';
+import { createGeminiClient, describeGeminiError, runToolConversation, toGeminiError } from './services/gemini';
+import { toSpeakableText, splitIntoChunks, createMarkdownSentenceBuffer } from './speech/speakable';
+import { createSpeechQueue, IDLE_SPEECH_STATE } from './speech/speechQueue';
+import { createWakeWordListener, interimInput, WAKE_PHRASE } from './speech/wakeWord';
+import { loadSpeechSettings, saveSpeechSettings, detectLanguage, selectVoice } from './speech/speechSettings';
+import {
+    createSession, setSessionMessages, setSessionSummary, changeSessionThread, renameSession, togglePinned, deleteSession,
+    sortSessions, createId
+} from './services/sessions';
+import { branchAt, editMessage, regenerateReply, switchBranch, deleteMessage } from './services/branches';
+import { openChatStore } from './services/storage';
+import { loadAiSettings, saveAiSettings, resolveAiConfig, buildRequestOptions } from './services/aiConfig';
+import { createBackendClient } from './services/backend';
+import { createConnectivityMonitor, createHealthProbe, isNetworkError } from './services/connectivity';
+import { MESSAGE_STATUS, hasQueued, countQueued, nextQueued, setMessageStatus, historyUpTo, insertReply, requeueAfterError } from './services/offlineQueue';
+import { buildContext, withSummary, withSystemNote, summarizeMessages, estimateTokens, contextText } from './services/context';
+import { prepareAttachment, messageParts, ACCEPTED_FILE_TYPES } from './services/attachments';
+import {
+    exportConversation, parseTranscript, findDuplicateSession, createSessionFromTranscript,
+    downloadFile, readFileAsText, EXPORT_FORMATS
+} from './services/transcript';
+import SessionSidebar from './components/SessionSidebar';
+import TranscriptControls from './components/TranscriptControls';
+import { createCreatorAuth, mentionsCreator, CREATOR_CONFIG, PERMISSIONS } from './services/creatorAuth';
+import PasswordPrompt from './components/PasswordPrompt';
+import SpeechSettingsPanel from './components/SpeechSettingsPanel';
+import MarkdownMessage from './components/MarkdownMessage';
+import AiSettingsPanel from './components/AiSettingsPanel';
+import ContextMeter from './components/ContextMeter';
+import AttachmentList from './components/AttachmentList';
+import ReminderAlerts from './components/ReminderAlerts';
+import NotesPanel from './components/NotesPanel';
+import ResultCards from './components/ResultCards';
+import MessageEditor from './components/MessageEditor';
+import BranchSwitcher from './components/BranchSwitcher';
+import SearchSettingsPanel from './components/SearchSettingsPanel';
+
+const NO_CUSTOM_TOOLS = [];
+
+// Identifies a message for the speech queue, so the one being read can be highlighted.
+const messageKey = (sessionId, index) => `${sessionId}:${index}`;
+
+// The stored message for a reply from requestReply (or a local tool, in the same shape).
+const replyMessage = ({ text, toolsUsed = [], results = null, cancelled = false, error = null }) => ({
+    id: createId(),
+    sender: 'anya',
+    text,
+    localTimestamp: new Date().toISOString(),
+    ...(toolsUsed.length > 0 && { tool: toolsUsed.join(', ') }),
+    ...(results && { results }),
+    ...(cancelled && { cancelled: true }),
+    ...(error && { error }),
+});
 
 // Main A.N.Y.A. component
-const ANYA = () => {
+// `tools` accepts extra tool definitions (see ./tools/registry.js) for this instance.
+const ANYA = ({ tools: customTools = NO_CUSTOM_TOOLS }) => {
     // Chat states
-    const [chatHistory, setChatHistory] = useState([]);
+    const [sessions, setSessions] = useState([]);
+    const [activeSessionId, setActiveSessionId] = useState(null);
     const [userInput, setUserInput] = useState('');
+    const [pendingAttachments, setPendingAttachments] = useState([]); // see ./services/attachments.js
+    const [isDraggingFiles, setIsDraggingFiles] = useState(false);
     const [isLoading, setIsLoading] = useState(false);
+    const [scheduledItems, setScheduledItems] = useState([]); // pending reminders, timers and alarms
+    const [firedReminders, setFiredReminders] = useState([]); // ones that went off: { item, late }
+    const [notesData, setNotesData] = useState(() => loadNotes()); // see ./tools/notes.js
+    const [showNotes, setShowNotes] = useState(false); // notes panel in place of the logs
     const [notification, setNotification] = useState({ message: '', type: '' });
     const [isListening, setIsListening] = useState(false);
-    const [isSpeaking, setIsSpeaking] = useState(false);
+    const [speechState, setSpeechState] = useState(IDLE_SPEECH_STATE); // see ./speech/speechQueue.js
+    const [streamingText, setStreamingText] = useState(null); // in-progress streamed reply
+    const [editingIndex, setEditingIndex] = useState(null); // user message being edited
     const [systemLogs, setSystemLogs] = useState([]);
+    const [isOnline, setIsOnline] = useState(() => navigator.onLine !== false); // see ./services/connectivity.js
     
-    // Creator Recognition & Hidden Function States
-    const [isCalvinRecognized, setIsCalvinRecognized] = useState(false);
-    const [awaitingPassword, setAwaitingPassword] = useState(false);
-    const [hiddenFunctionUnlocked, setHiddenFunctionUnlocked] = useState(false);
+    // Creator Mode States (see ./services/creatorAuth.js)
+    const creatorAuth = useMemo(() => createCreatorAuth(), []);
+    const [creatorSession, setCreatorSession] = useState(() => creatorAuth.getSession());
+    const [showPasswordPrompt, setShowPasswordPrompt] = useState(false);
     const [awaitingVoiceCommand, setAwaitingVoiceCommand] = useState(false);
 
+    // Hands-free (wake phrase) listening states
+    const [handsFree, setHandsFree] = useState(false);
+    const [wakeState, setWakeState] = useState('off'); // 'off' | 'waiting' | 'capturing' | 'paused'
+    const [sharedTools, setSharedTools] = useState(() => toolRegistry.list());
+
+    // Voice output and recognition preferences (see ./speech/speechSettings.js)
+    const [speechSettings, setSpeechSettings] = useState(() => loadSpeechSettings());
+    const [voices, setVoices] = useState([]);
+    const [showSpeechSettings, setShowSpeechSettings] = useState(false);
+
+    // Model and persona settings (see ./services/aiConfig.js)
+    const [aiSettings, setAiSettings] = useState(() => loadAiSettings());
+    const [showAiSettings, setShowAiSettings] = useState(false);
+
+    // Web search and news sources (see ./tools/search.js)
+    const [searchSettings, setSearchSettings] = useState(() => loadSearchSettings());
+    const [showSearchSettings, setShowSearchSettings] = useState(false);
+
     // Refs for UI elements and APIs
     const messagesEndRef = useRef(null);
     const recognitionRef = useRef(null);
     const speechSynthRef = useRef(window.speechSynthesis);
-    const selectedVoiceRef = useRef(null);
+    const lastSpokenLangRef = useRef(null);
+    const abortControllerRef = useRef(null);
+    const pendingScrollIndexRef = useRef(null);
+    const creatorGreetedRef = useRef(false);
+    const wakeListenerRef = useRef(null);
+    const handleSendMessageRef = useRef(null);
+    const chatStoreRef = useRef(null);
+    const persistedSessionsRef = useRef([]);
+    const summarizingRef = useRef(new Set()); // sessions with a summary update in flight
+    const fileInputRef = useRef(null);
+    const handleReminderFiredRef = useRef(null);
+    const wasOnlineRef = useRef(isOnline);
+    const sendingQueuedRef = useRef(false); // a queued message is on its way
     
-    // Gemini API configuration
-    const apiKey = ""; // API key is provided by the runtime environment
-    const modelName = "gemini-2.5-flash-preview-05-20";
+    // Gemini API configuration (model, key, persona etc. come from ./services/aiConfig.js)
+    const aiConfig = useMemo(() => resolveAiConfig(aiSettings), [aiSettings]);
+    // Backend server (see ./services/backend.js); null when REACT_APP_BACKEND_URL is not set.
+    const backend = useMemo(() => createBackendClient(), []);
+    // Whether the model can be reached: browser events confirmed by a health probe.
+    const connectivity = useMemo(
+        () => createConnectivityMonitor({ probe: createHealthProbe({ backend }), onChange: setIsOnline }),
+        [backend]
+    );
+    // Weather lookups keep their cache and preferences across tool rebuilds (see ./tools/weather.js).
+    const weather = useMemo(() => createWeatherService(), []);
+    // Reminders, timers and alarms (see ./tools/scheduler.js). It outlives renders, so it
+    // reports through a ref to the latest handler.
+    const scheduler = useMemo(() => createScheduler({
+        onFire: (item, info) => handleReminderFiredRef.current?.(item, info),
+        onChange: (items, fired) => {
+            setScheduledItems(items);
+            setFiredReminders(fired);
+        },
+    }), []);
+    // Notes and lists, shared by the notes tools and the notes panel (see ./tools/notes.js).
+    const notes = useMemo(() => createNotesStore({ onChange: setNotesData }), []);
+    // The calculator's `ans` and variables, per conversation and across tool rebuilds.
+    const calculatorMemory = useMemo(() => createCalculatorMemory(), []);
     const maxRetries = 3;
     const initialRetryDelay = 1000;
+    // When on, tools with a parameter schema are offered to Gemini as functions instead of
+    // being matched against the user's text.
+    const useFunctionCalling = true;
+    // When on, replies stream in over streamGenerateContent and are spoken sentence by sentence.
+    const useStreaming = true;
+
+    // Messages of the conversation currently shown
+    const chatHistory = useMemo(
+        () => sessions.find(session => session.id === activeSessionId)?.messages || [],
+        [sessions, activeSessionId]
+    );
+    // Running summary of its older messages (see ./services/context.js)
+    const contextSummary = useMemo(
+        () => sessions.find(session => session.id === activeSessionId)?.summary || null,
+        [sessions, activeSessionId]
+    );
+    // Branch switcher of each message, or null (see ./services/branches.js)
+    const messageBranches = useMemo(() => {
+        const branches = sessions.find(session => session.id === activeSessionId)?.branches || {};
+        return chatHistory.map((msg, index) => branchAt({ messages: chatHistory, branches }, index));
+    }, [sessions, activeSessionId, chatHistory]);
 
     // --- Utility Functions ---
 
@@ -53,213 +197,69 @@ const ANYA = () => {
         messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
     }, []);
 
+    // Speech output queue (see ./speech/speechQueue.js)
+    const speechQueue = useMemo(() => (speechSynthRef.current ? createSpeechQueue({
+        synth: speechSynthRef.current,
+        onStateChange: setSpeechState,
+        onError: (error) => showNotification(`Speech error: ${error}. Try refreshing the page.`, 'error'),
+        log: addLog,
+    }) : null), [addLog, showNotification]);
+    const isSpeaking = speechState.status !== 'idle';
+
     // Text-to-Speech function
-    const speak = useCallback((text) => {
-        if (!speechSynthRef.current) {
+    // Markdown is stripped and the text read sentence by sentence. With `interrupt: false`
+    // it is queued behind whatever is already being spoken. `owner` is the key of the message
+    // being read (see messageKey), and `voice` forces a voice (settings preview). `lang`
+    // speaks in that language whatever the settings say (translations).
+    const speak = useCallback((text, { interrupt = true, voice = null, owner = null, lang: forcedLang = null } = {}) => {
+        if (!speechQueue) {
             addLog('SpeechSynthesis not available.', 'error');
             showNotification('Speech output not available in your browser.', 'error');
             return;
         }
 
-        let voiceToUse = selectedVoiceRef.current;
-        const availableVoices = speechSynthRef.current.getVoices();
-
-        if (!voiceToUse || !availableVoices.some(v => v.name === voiceToUse.name && v.lang === voiceToUse.lang)) {
-            addLog('Re-evaluating available voices for speech synthesis.', 'info');
-            let foundVoice = availableVoices.find(
-                voice => voice.lang === 'en-GB' && voice.name.includes('Female')
-            );
-            if (!foundVoice) {
-                foundVoice = availableVoices.find(voice => voice.lang === 'en-GB');
-            }
-            if (!foundVoice) {
-                foundVoice = availableVoices.find(voice => voice.lang.startsWith('en') && voice.name.includes('Female'));
-            }
-            if (!foundVoice) {
-                foundVoice = availableVoices.find(voice => voice.lang.startsWith('en'));
-            }
-            if (!foundVoice && availableVoices.length > 0) {
-                foundVoice = availableVoices[0];
-            }
-
-            if (foundVoice) {
-                selectedVoiceRef.current = foundVoice;
-                voiceToUse = foundVoice;
-                addLog(`(Runtime) Re-selected voice: ${foundVoice.name} (${foundVoice.lang})`, 'info');
-            } else {
-                addLog('No suitable voice found for speech synthesis. Cannot speak.', 'warning');
-                showNotification('No voice available for speech output. Check browser settings.', 'warning');
-                return;
-            }
-        }
+        const speakable = toSpeakableText(text);
+        const chunks = splitIntoChunks(speakable);
+        if (chunks.length === 0) return;
 
-        if (speechSynthRef.current.speaking) {
-            speechSynthRef.current.cancel();
-            addLog('Cancelled ongoing speech.', 'info');
+        // Speak in the language of the text unless the user fixed one. Short sentences of a
+        // streamed reply often can't be told apart, so they keep the previous language.
+        let lang = forcedLang || speechSettings.synthesisLang;
+        if (lang === 'auto') {
+            lang = detectLanguage(speakable) || lastSpokenLangRef.current;
         }
+        lastSpokenLangRef.current = lang;
 
-        const utterance = new SpeechSynthesisUtterance(text);
-        utterance.voice = voiceToUse;
-        utterance.rate = 1;
-        utterance.pitch = 1;
-
-        if (!utterance.voice) {
-            addLog('Utterance voice is null or undefined after assignment. Cannot speak.', 'error');
-            showNotification('Speech output failed: No voice assigned.', 'error');
+        const voiceToUse = voice || selectVoice(speechSynthRef.current.getVoices(), speechSettings, lang);
+        if (!voiceToUse) {
+            addLog('No suitable voice found for speech synthesis. Cannot speak.', 'warning');
+            showNotification('No voice available for speech output. Check browser settings.', 'warning');
             return;
         }
 
-        utterance.onstart = () => {
-            setIsSpeaking(true);
-            addLog('Speech synthesis started.', 'info');
-        };
-        utterance.onend = () => {
-            setIsSpeaking(false);
-            addLog('Speech synthesis ended.', 'info');
-        };
-        utterance.onerror = (event) => {
-            setIsSpeaking(false);
-            const errorMessage = event.error || 'Unknown error during synthesis.';
-            addLog(`Speech synthesis error: ${errorMessage}`, 'error');
-            console.error('SpeechSynthesisUtterance.onerror event details:', event);
-            showNotification(`Speech error: ${errorMessage}. Try refreshing the page.`, 'error');
-        };
-
-        try {
-            speechSynthRef.current.speak(utterance);
-        } catch (e) {
-            addLog(`Error calling speechSynth.speak(): ${e.message}`, 'error');
-            console.error('Error calling speechSynth.speak():', e);
-            showNotification(`Failed to initiate speech: ${e.message}`, 'error');
+        if (interrupt && speechQueue.getState().status !== 'idle') {
+            addLog('Cancelled ongoing speech.', 'info');
         }
-    }, [addLog, showNotification]);
-    
+        speechQueue.enqueue(chunks, {
+            owner,
+            interrupt,
+            prepare: (utterance) => {
+                utterance.voice = voiceToUse;
+                utterance.lang = voiceToUse.lang;
+                utterance.rate = speechSettings.rate;
+                utterance.pitch = speechSettings.pitch;
+                utterance.volume = speechSettings.volume;
+            },
+        });
+    }, [speechQueue, speechSettings, addLog, showNotification]);
+
     // Stops any ongoing speech synthesis
     const stopSpeaking = useCallback(() => {
-        if (speechSynthRef.current && speechSynthRef.current.speaking) {
-            speechSynthRef.current.cancel();
-            setIsSpeaking(false);
+        if (speechQueue && speechQueue.getState().status !== 'idle') {
+            speechQueue.stop();
             addLog('Speech stopped by user.', 'info');
         }
-    }, [addLog]);
-
-    // --- Local Tool Functions ---
-
-    const getWeatherReport = useCallback(async (location) => {
-        showNotification(`🌤️ Getting live weather for ${location}...`, 'info');
-        addLog(`Weather request for: ${location}`, 'info');
-
-        try {
-            const geocodingUrl = `https://geocoding-api.open-meteo.com/v1/search?name=${encodeURIComponent(location)}&count=1&language=en&format=json`;
-            const geoResponse = await fetch(geocodingUrl);
-            const geoData = await geoResponse.json();
-
-            if (!geoResponse.ok || !geoData.results || geoData.results.length === 0) {
-                addLog(`Geocoding failed for "${location}"`, 'warning');
-                return `🤔 I couldn't find a location called "${location}". Please check the spelling.`;
-            }
-
-            const { latitude, longitude, name, country } = geoData.results[0];
-            const weatherApiUrl = `https://api.open-meteo.com/v1/forecast?latitude=${latitude}&longitude=${longitude}&current=temperature_2m,wind_speed_10m,relative_humidity_2m&timezone=auto&forecast_days=1`;
-            const weatherResponse = await fetch(weatherApiUrl);
-            const weatherData = await weatherResponse.json();
-
-            if (weatherResponse.ok && weatherData.current) {
-                const temp = weatherData.current.temperature_2m;
-                const humidity = weatherData.current.relative_humidity_2m;
-                const windSpeed = weatherData.current.wind_speed_10m;
-                addLog(`Weather data retrieved for ${name}, ${country}.`, 'success');
-                return `🌡️ The current weather in ${name}, ${country} is ${temp}°C. Humidity is ${humidity}% and wind speed is ${windSpeed} km/h.`;
-            } else {
-                addLog(`Open-Meteo weather API error for ${name}`, 'error');
-                return `I encountered an error while fetching weather data for ${name}.`;
-            }
-        } catch (error) {
-            addLog(`Network error during weather API call: ${error.message}`, 'error');
-            console.error("Weather API error:", error);
-            return `I'm sorry, I couldn't fetch the weather data due to a network issue.`;
-        }
-    }, [showNotification, addLog]);
-
-    const performCalculationOrConversion = useCallback((query) => {
-        const lowerQuery = query.toLowerCase();
-        const mathMatch = lowerQuery.match(/(?:what is|calculate)\s+([\d\s\+\-\*\/\(\)\.]+)/);
-        if (mathMatch) {
-            try {
-                // Safely evaluate the math expression without using `eval`
-                const mathExpression = mathMatch[1].replace(/x/g, '*').replace(/÷/g, '/');
-                const safeEval = (expression) => {
-                    // This is a simple and limited parser for demonstration.
-                    // For a robust solution, a dedicated library would be better.
-                    let result;
-                    try {
-                        result = new Function('return ' + expression)();
-                    } catch (e) {
-                        return null; // Indicate a failure
-                    }
-                    return result;
-                };
-
-                const result = safeEval(mathExpression);
-
-                if (result !== null) {
-                    addLog(`Calculation: "${mathExpression}" = ${result}`, 'info');
-                    return `The result is: ${result}`;
-                } else {
-                    addLog(`Calculation error: "${mathExpression}" is not a valid expression.`, 'error');
-                    return "I'm sorry, I couldn't perform that calculation. Please enter a valid mathematical expression.";
-                }
-            } catch (e) {
-                addLog(`Calculation error: ${e.message}`, 'error');
-                return "I'm sorry, I couldn't perform that calculation.";
-            }
-        }
-
-        const convertMatch = lowerQuery.match(/convert\s+([\d.]+)\s*([a-z]+)\s+to\s+([a-z]+)|([\d.]+)\s*([a-z]+)\s+in\s+([a-z]+)/);
-        if (convertMatch) {
-            const value = parseFloat(convertMatch[1] || convertMatch[4]);
-            const fromUnit = (convertMatch[2] || convertMatch[5])?.toLowerCase();
-            const toUnit = (convertMatch[3] || convertMatch[6])?.toLowerCase();
-            if (isNaN(value)) return null;
-            const conversions = { 'km': { 'miles': 0.621371 }, 'miles': { 'km': 1.60934 } }; // Simplified for example
-            if (conversions[fromUnit] && conversions[fromUnit][toUnit]) {
-                const convertedValue = value * conversions[fromUnit][toUnit];
-                addLog(`Conversion: ${value} ${fromUnit} to ${toUnit} = ${convertedValue}`, 'info');
-                return `${value} ${fromUnit} is approximately ${convertedValue.toFixed(2)} ${toUnit}.`;
-            }
-        }
-        return null;
-    }, [addLog]);
-
-    const performTranslation = useCallback(async (text, targetLang) => {
-        showNotification(`Translating "${text}" to ${targetLang}...`, 'info');
-        await new Promise(resolve => setTimeout(resolve, 1500));
-        const translatedText = `Real-time translation for "${text}" to ${targetLang} requires a backend service. I can't perform that directly.`;
-        addLog(`Translation limitation: ${translatedText}`, 'info');
-        return translatedText;
-    }, [showNotification, addLog]);
-
-    const getNewsHeadlines = useCallback(async (topic) => {
-        showNotification(`📰 Fetching news about ${topic || 'general'}...`, 'info');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        const newsReport = `To provide real-time news headlines, I would need access to a live news API. I cannot fetch that information directly.`;
-        addLog(`News limitation: ${newsReport}`, 'info');
-        return newsReport;
-    }, [showNotification, addLog]);
-
-    const searchInternet = useCallback(async (query, engine = 'google') => {
-        showNotification(`🌐 Searching the internet for "${query}" using ${engine}...`, 'info');
-        await new Promise(resolve => setTimeout(resolve, 2000));
-        return `(Mock Search) I found some general information about "${query}" using ${engine}. For example, Wikipedia has an article on it.`;
-    }, [showNotification, addLog]);
-
-    const socialMediaSearch = useCallback(async (personName) => {
-        showNotification(`🕵️‍♀️ Searching social media for "${personName}"...`, 'info');
-        await new Promise(resolve => setTimeout(resolve, 2500));
-        const result = `Due to privacy restrictions and API limitations, I cannot access real-time personal profiles on platforms.`;
-        addLog(`Social media search limitation: ${result}`, 'info');
-        return result;
-    }, [showNotification, addLog]);
+    }, [speechQueue, addLog]);
 
     const handleCopy = useCallback((text) => {
         try {
@@ -280,77 +280,315 @@ const ANYA = () => {
         }
     }, [showNotification, addLog]);
 
+    // --- Gemini Client ---
+
+    // Through the backend the key is added server-side, so none is sent from the browser.
+    const createClient = useCallback(() => createGeminiClient({
+        apiKey: backend ? '' : aiConfig.apiKey,
+        model: aiConfig.model,
+        ...(backend && { baseUrl: backend.geminiBaseUrl }),
+        maxRetries,
+        initialRetryDelay,
+        log: addLog,
+        isOnline: connectivity.isOnline,
+    }), [addLog, aiConfig, backend, connectivity, maxRetries, initialRetryDelay]);
+
+    // The tools get a client through this, so they aren't rebuilt whenever a model setting
+    // changes; it always uses the latest settings.
+    const createClientRef = useRef(createClient);
+    useEffect(() => {
+        createClientRef.current = createClient;
+    }, [createClient]);
+    const getClient = useCallback(() => createClientRef.current(), []);
+
+    // --- Local Tools ---
+
+    // Gemini translates unless REACT_APP_TRANSLATION_PROVIDER picks LibreTranslate.
+    const translator = useMemo(
+        () => createTranslationProvider({ backend, getClient, log: addLog }),
+        [backend, getClient, addLog]
+    );
+
+    const search = useMemo(
+        () => createSearchService({ settings: searchSettings, backend, getClient }),
+        [searchSettings, backend, getClient]
+    );
+
+    // Re-build the dispatcher when tools are added to the shared registry after mount.
+    useEffect(() => toolRegistry.subscribe(() => setSharedTools(toolRegistry.list())), []);
+
+    // Built-in tools first, then shared and per-instance tools (which may override them by name).
+    const tools = useMemo(() => {
+        const registry = createToolRegistry();
+        createBuiltinTools({ notify: showNotification, log: addLog, backend, weather, scheduler, notes, translator, search, calculatorMemory })
+            .forEach(registry.register);
+        sharedTools.forEach(registry.register);
+        customTools.forEach(registry.register);
+        return registry;
+    }, [showNotification, addLog, backend, weather, scheduler, notes, translator, search, calculatorMemory, sharedTools, customTools]);
+
+    useEffect(() => {
+        addLog(`Tool registry ready: ${tools.list().map(tool => tool.name).join(', ')}`, 'info');
+    }, [tools, addLog]);
+
+    // --- Connectivity ---
+
+    useEffect(() => {
+        connectivity.start();
+        return () => connectivity.stop();
+    }, [connectivity]);
+
+    useEffect(() => {
+        if (wasOnlineRef.current === isOnline) return;
+        wasOnlineRef.current = isOnline;
+        if (isOnline) {
+            addLog('The connection is back.', 'success');
+            showNotification('Back online.', 'success');
+        } else {
+            addLog('The connection is gone; messages for the model will wait in a queue.', 'warning');
+            showNotification("You're offline. Local tools still work; other messages wait until you're back.", 'warning', 6000);
+        }
+    }, [isOnline, addLog, showNotification]);
+
+    // --- Reminders, Timers & Alarms ---
+
+    // Shown, spoken and sent to the desktop; the alert stays up until snoozed or dismissed.
+    const handleReminderFired = useCallback((item, { late }) => {
+        const message = describeFiredItem(item, { late });
+        addLog(`A ${item.kind} went off${item.label ? `: ${item.label}` : '.'}`, 'info');
+        showNotification(message, 'info', 8000);
+        showDesktopNotification(item, message);
+        if (speechQueue) speak(message, { interrupt: false });
+    }, [addLog, showNotification, speak, speechQueue]);
+
+    useEffect(() => {
+        handleReminderFiredRef.current = handleReminderFired;
+    }, [handleReminderFired]);
+
+    // Anything that fell due while A.N.Y.A. was closed fires as soon as it starts.
+    useEffect(() => {
+        scheduler.start();
+        return () => scheduler.stop();
+    }, [scheduler]);
+
+    const handleSnoozeReminder = (id) => {
+        const item = scheduler.snooze(id);
+        if (item) showNotification(`😴 Snoozed until ${formatDueTime(item.dueAt).replace(/^at /, '')}.`, 'info');
+    };
+
     // --- Gemini API Function ---
 
-    const getAIResponse = useCallback(async (history) => {
+    // What the next request for `history` will send (see ./services/context.js). `systemNote`
+    // is extra system instruction text sent with it.
+    const assembleContext = useCallback((history, summary, systemNote = null) => buildContext(history, {
+        summary,
+        budget: aiConfig.contextTokens,
+        reservedTokens: estimateTokens(aiConfig.systemPrompt) + estimateTokens(systemNote),
+    }), [aiConfig]);
+
+    // Sends the conversation to Gemini with the local tools declared as functions, runs any
+    // function calls the model makes and resolves to { text, toolsUsed, cancelled }.
+    // Only the turns that fit the context budget are sent, after the running `summary`.
+    // With `onText`, the reply is streamed and text deltas are passed on as they arrive;
+    // aborting `signal` stops the stream and keeps whatever text was already received.
+    // A request that failed because the connection is gone resolves with `offline`, so the
+    // message can be queued; other failures resolve with `error: { kind, retryable }` and a
+    // text that tells the user what went wrong (see describeGeminiError).
+    // Lists the latest message asks about go along too, unless the user turned that off.
+    // Replies of the tools the model calls are passed to `onToolReply` (see toReply), so what
+    // they want spoken and their result cards aren't lost.
+    const getAIResponse = useCallback(async (history, { onText, onToolReply, signal, summary = null, sessionId = null } = {}) => {
         addLog('Attempting to get response from Gemini API.', 'info');
-        
-        const chatHistoryForAPI = history.map(msg => ({
+
+        const latest = history[history.length - 1];
+        const { lists, useInAnswers } = notes.getData();
+        const notesNote = useInAnswers && latest?.sender === 'user' ? notesContext(lists, latest.text) : null;
+        if (notesNote) addLog('Including relevant notes and lists with the request.', 'info');
+
+        const context = assembleContext(history, summary, notesNote);
+        if (context.pending > 0) {
+            addLog(`Context budget reached: ${context.pending} older message(s) left out until they are summarised.`, 'warning');
+        }
+        const chatHistoryForAPI = context.messages.map(msg => ({
             role: msg.sender === 'user' ? 'user' : 'model',
-            parts: [{ text: msg.text }]
+            parts: messageParts(msg, contextText(msg))
         }));
 
-        const payload = {
-            contents: chatHistoryForAPI,
-            model: modelName,
-        };
+        let receivedText = '';
+        const handleText = onText && ((delta) => {
+            receivedText += delta;
+            onText(delta);
+        });
 
-        const apiUrl = `https://generativelanguage.googleapis.com/v1beta/models/${modelName}:generateContent?key=${apiKey}`;
+        try {
+            return await runToolConversation({
+                client: createClient(),
+                contents: chatHistoryForAPI,
+                tools: useFunctionCalling ? tools.list() : [],
+                executeTool: async (name, args) => {
+                    const reply = toReply(await tools.execute(name, args, { log: addLog, notify: showNotification, history, sessionId, fromModel: true }));
+                    onToolReply?.(reply);
+                    return reply.text;
+                },
+                basePayload: withSystemNote(withSummary(buildRequestOptions(aiConfig), context.summary), notesNote),
+                onText: handleText,
+                signal,
+                log: addLog,
+            });
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                addLog('Response cancelled by user.', 'warning');
+                return { text: receivedText, toolsUsed: [], cancelled: true };
+            }
+            if (isNetworkError(error) && !(await connectivity.check())) {
+                addLog('Lost the connection while waiting for the reply.', 'warning');
+                return { text: receivedText, toolsUsed: [], offline: true };
+            }
+            const failure = toGeminiError(error);
+            const message = describeGeminiError(failure);
+            console.error('Gemini API Error:', error);
+            addLog(`Gemini request failed (${failure.kind}): ${failure.message}`, 'error');
+            showNotification(message, 'error');
+            return { text: message, toolsUsed: [], error: { kind: failure.kind, retryable: failure.retryable } };
+        }
+    }, [addLog, showNotification, aiConfig, createClient, assembleContext, useFunctionCalling, tools, notes, connectivity]);
+
+    // Folds messages that no longer fit the context budget into the session's running
+    // summary. Runs in the background after a reply; one update per session at a time.
+    const updateContextSummary = useCallback(async (sessionId, messages, summary) => {
+        const { pending, pendingEnd } = assembleContext(messages, summary);
+        if (pending === 0 || summarizingRef.current.has(sessionId) || !connectivity.isOnline()) return;
+        summarizingRef.current.add(sessionId);
+        try {
+            const updated = await summarizeMessages({ client: createClient(), messages, summary, pendingEnd });
+            setSessions(prev => setSessionSummary(prev, sessionId, updated, messages));
+            addLog(`Conversation summary updated; it now covers the first ${updated.upTo} message(s).`, 'info');
+        } catch (error) {
+            addLog(`Could not update the conversation summary: ${error.message}`, 'warning');
+        } finally {
+            summarizingRef.current.delete(sessionId);
+        }
+    }, [addLog, assembleContext, createClient, connectivity]);
+
+    // --- Replies ---
+
+    // Gets the model's reply to `history` the same way for every turn, whether just typed,
+    // queued, edited or regenerated. With `stream`, the reply streams into the typing bubble
+    // and is spoken sentence by sentence as it arrives (`replyKey` marks it as the one being
+    // read), and can be stopped. Replies of the tools the model calls are collected, so
+    // resolves to the getAIResponse result plus { speech, results, spokenWhileStreaming }.
+    const requestReply = useCallback(async (history, { summary, sessionId, replyKey, stream = useStreaming }) => {
+        let speech = null;
+        let results = null;
+        let spokenWhileStreaming = false;
+        const onToolReply = (reply) => {
+            if (reply.speech) speech = reply.speech;
+            if (reply.results) results = reply.results;
+        };
+        if (!stream) {
+            const result = await getAIResponse(history, { summary, sessionId, onToolReply });
+            return { ...result, speech, results, spokenWhileStreaming };
+        }
 
-        for (let i = 0; i < maxRetries; i++) {
-            try {
-                const response = await fetch(apiUrl, {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify(payload)
-                });
-                
-                if (!response.ok) {
-                    throw new Error(`API call failed with status: ${response.status}`);
-                }
+        const controller = new AbortController();
+        abortControllerRef.current = controller;
+        let firstSentence = true;
+        const sentences = createMarkdownSentenceBuffer((sentence) => {
+            if (speech) return;
+            speak(sentence, { interrupt: firstSentence && speechSettings.interruptReplies, owner: replyKey });
+            firstSentence = false;
+            spokenWhileStreaming = true;
+        });
 
-                const result = await response.json();
-                
-                if (result.candidates && result.candidates.length > 0 &&
-                    result.candidates[0].content && result.candidates[0].content.parts &&
-                    result.candidates[0].content.parts.length > 0) {
-                    const text = result.candidates[0].content.parts[0].text;
-                    addLog(`Gemini API responded successfully after ${i + 1} attempt(s).`, 'success');
-                    return text;
-                } else {
-                    throw new Error('Malformed response from Gemini API.');
-                }
-            } catch (error) {
-                addLog(`Attempt ${i + 1}/${maxRetries} failed. Error: ${error.message}`, 'error');
-                if (i < maxRetries - 1) {
-                    const delay = initialRetryDelay * Math.pow(2, i);
-                    addLog(`Retrying in ${delay / 1000} seconds...`, 'warning');
-                    await new Promise(res => setTimeout(res, delay));
-                } else {
-                    console.error('Gemini API Error:', error);
-                    addLog('All retry attempts failed. Aborting API call.', 'error');
-                    showNotification('Failed to get a response from the AI after multiple attempts.', 'error');
-                    return "I'm sorry, I encountered a persistent error while trying to get a response.";
+        setStreamingText('');
+        try {
+            const result = await getAIResponse(history, {
+                summary,
+                sessionId,
+                signal: controller.signal,
+                onToolReply,
+                onText: (delta) => {
+                    setStreamingText(prev => (prev || '') + delta);
+                    sentences.push(delta);
+                    scrollToBottom();
                 }
+            });
+            if (result.cancelled || result.error) {
+                sentences.reset();
+            } else {
+                sentences.flush();
             }
+            return { ...result, speech, results, spokenWhileStreaming };
+        } finally {
+            abortControllerRef.current = null;
+            setStreamingText(null);
+        }
+    }, [getAIResponse, speak, speechSettings.interruptReplies, scrollToBottom, useStreaming]);
+
+    // Reads out a finished reply: what a tool asked to be spoken (in its language), or else
+    // the reply unless streaming already spoke it. Errors are shown (and notified), not read
+    // out as if they were the answer, and stopped replies stay quiet.
+    const speakReply = useCallback(({ text, speech = null, cancelled = false, error = null, spokenWhileStreaming = false }, replyKey) => {
+        if (cancelled || error) return;
+        if (speech) {
+            speak(speech.text, { interrupt: speechSettings.interruptReplies, owner: replyKey, lang: speech.lang });
+        } else if (!spokenWhileStreaming) {
+            speak(text, { interrupt: speechSettings.interruptReplies, owner: replyKey });
         }
-        return "I'm sorry, I encountered a persistent error while trying to get a response."; // Fallback if all retries fail
-    }, [addLog, showNotification, apiKey, maxRetries, initialRetryDelay]);
+    }, [speak, speechSettings.interruptReplies]);
+
+    // Context in use by the conversation on screen, for the meter in the input area.
+    const contextUsage = useMemo(
+        () => assembleContext(chatHistory, contextSummary),
+        [assembleContext, chatHistory, contextSummary]
+    );
     
     // --- Core Logic & Effects ---
 
-    // Load chat history from local storage on component mount
+    // Open the conversation store and load conversations on component mount
+    // (conversations left in local storage by older versions are moved into IndexedDB)
     useEffect(() => {
-        const savedChat = localStorage.getItem('chatHistory');
-        if (savedChat) {
-            try {
-                setChatHistory(JSON.parse(savedChat));
-            } catch (error) {
-                addLog('Error parsing chat history from local storage.', 'error');
+        let cancelled = false;
+        (async () => {
+            const store = await openChatStore({ log: addLog });
+            const loaded = await store.load();
+            if (cancelled) {
+                store.close();
+                return;
             }
-        }
-        scrollToBottom();
-    }, [addLog]);
+            chatStoreRef.current = store;
+            persistedSessionsRef.current = loaded.sessions;
+            setSessions(loaded.sessions);
+            setActiveSessionId(loaded.activeSessionId);
+            addLog(`Loaded ${loaded.sessions.length} conversation(s) from ${store.kind}.`, 'info');
+            scrollToBottom();
+        })().catch(error => {
+            addLog(`Error loading conversations: ${error.message}`, 'error');
+            showNotification('Could not load your saved conversations.', 'error');
+        });
+        return () => {
+            cancelled = true;
+            chatStoreRef.current?.close();
+            chatStoreRef.current = null;
+        };
+    }, [addLog, showNotification]);
+
+    // Persist conversations whenever they change; only the changes since the last save are written
+    useEffect(() => {
+        const store = chatStoreRef.current;
+        if (!store || !activeSessionId) return;
+        const previous = persistedSessionsRef.current;
+        persistedSessionsRef.current = sessions;
+        store.sync(previous, sessions, activeSessionId).catch(error => {
+            addLog(`Error saving conversations: ${error.message}`, 'error');
+        });
+    }, [sessions, activeSessionId, addLog]);
+
+    // Stores messages for a given conversation (which may no longer be the one on screen
+    // by the time a reply arrives).
+    const updateSessionMessages = useCallback((sessionId, messages) => {
+        setSessions(prev => setSessionMessages(prev, sessionId, messages));
+    }, []);
 
     // Set up Speech Recognition and Speech Synthesis voices on component mount
     useEffect(() => {
@@ -362,7 +600,7 @@ const ANYA = () => {
         const recognition = new SpeechRecognition();
         recognition.continuous = false;
         recognition.interimResults = false;
-        recognition.lang = 'en-US';
+        recognition.lang = speechSettings.recognitionLang;
 
         recognition.onstart = () => {
             setIsListening(true);
@@ -398,25 +636,47 @@ const ANYA = () => {
 
         recognitionRef.current = recognition;
 
-        const loadVoices = () => {
-            const voices = speechSynthRef.current.getVoices();
-            if (voices.length > 0) {
-                selectedVoiceRef.current = voices.find(v => v.lang === 'en-GB' && v.name.includes('Female')) || voices[0];
-                addLog(`Default TTS voice selected: ${selectedVoiceRef.current.name}`, 'info');
+        return () => {
+            if (recognitionRef.current) {
+                recognitionRef.current.stop();
             }
         };
+    }, [addLog, showNotification, awaitingVoiceCommand, speechSettings.recognitionLang]);
+
+    // Keep the list of installed voices current (browsers load them asynchronously)
+    useEffect(() => {
+        const synth = speechSynthRef.current;
+        if (!synth) return undefined;
+
+        const loadVoices = () => {
+            const available = synth.getVoices();
+            setVoices(available);
+            if (available.length > 0) addLog(`${available.length} TTS voice(s) available.`, 'info');
+        };
 
-        if (speechSynthRef.current.onvoiceschanged !== undefined) {
-            speechSynthRef.current.onvoiceschanged = loadVoices;
+        if (synth.onvoiceschanged !== undefined) {
+            synth.onvoiceschanged = loadVoices;
         }
         loadVoices();
-
         return () => {
-            if (recognitionRef.current) {
-                recognitionRef.current.stop();
-            }
+            if (synth.onvoiceschanged === loadVoices) synth.onvoiceschanged = null;
         };
-    }, [addLog, showNotification, awaitingVoiceCommand]);
+    }, [addLog]);
+
+    // Persist speech preferences
+    useEffect(() => {
+        saveSpeechSettings(speechSettings);
+    }, [speechSettings]);
+
+    // Persist model settings
+    useEffect(() => {
+        saveAiSettings(aiSettings);
+    }, [aiSettings]);
+
+    // Persist search and news sources
+    useEffect(() => {
+        saveSearchSettings(searchSettings);
+    }, [searchSettings]);
 
     // Processes a voice command received after "Open Voice Command" activation.
     const processVoiceCommand = useCallback(async (commandText) => {
@@ -435,98 +695,329 @@ const ANYA = () => {
     const handleSendMessage = useCallback(async (e, voiceCommand = null) => {
         if (e) e.preventDefault();
         const trimmedInput = voiceCommand || userInput.trim();
-        if (!trimmedInput || isLoading) return;
+        const attachments = voiceCommand ? [] : pendingAttachments;
+        if ((!trimmedInput && attachments.length === 0) || isLoading || !activeSessionId) return;
 
         setIsLoading(true);
-        if (!voiceCommand) setUserInput('');
+        if (!voiceCommand) {
+            setUserInput('');
+            setPendingAttachments([]);
+        }
+        const sessionId = activeSessionId;
 
+        // Messages are told apart by id; two can share a timestamp (a reply that needs no await).
         const newUserMessage = {
+            id: createId(),
             sender: 'user',
             text: trimmedInput,
-            localTimestamp: new Date().toISOString()
+            localTimestamp: new Date().toISOString(),
+            ...(attachments.length > 0 && { attachments })
         };
 
         const updatedChat = [...chatHistory, newUserMessage];
-        setChatHistory(updatedChat);
-        localStorage.setItem('chatHistory', JSON.stringify(updatedChat));
+        updateSessionMessages(sessionId, updatedChat);
         
         scrollToBottom();
 
         let aiResponseContent = '';
+        // Creator Mode exchanges are kept out of what is sent to the model.
+        let isPrivateExchange = false;
 
         // Creator Recognition & Special Functions
-        if (trimmedInput.toLowerCase().includes('calvin') && !isCalvinRecognized) {
-            setIsCalvinRecognized(true);
-            setAwaitingPassword(true);
-            aiResponseContent = "Hello, Calvin. I recognize your name. Please provide the password to unlock special functions.";
-        } else if (awaitingPassword && trimmedInput === '1945') {
-            setHiddenFunctionUnlocked(true);
-            setAwaitingPassword(false);
-            aiResponseContent = "Password accepted. Creator Mode unlocked. Welcome back, Calvin.";
-            showNotification('Creator Mode Unlocked!', 'success');
-        } else if (awaitingPassword && trimmedInput !== '1945') {
-            setAwaitingPassword(false);
-            aiResponseContent = "Incorrect password. Special functions remain locked.";
-            showNotification('Incorrect password.', 'error');
-        } else if (hiddenFunctionUnlocked && trimmedInput.toLowerCase() === 'good-bye') {
-            setHiddenFunctionUnlocked(false);
-            setIsCalvinRecognized(false);
-            setAwaitingPassword(false);
-            aiResponseContent = "Creator Mode deactivated. Goodbye, Calvin.";
+        // The password is only ever typed into the masked prompt, never into the chat.
+        if (!creatorSession && creatorAuth.isConfigured && !creatorGreetedRef.current && mentionsCreator(trimmedInput)) {
+            creatorGreetedRef.current = true;
+            setShowPasswordPrompt(true);
+            aiResponseContent = `Hello, ${CREATOR_CONFIG.name}. I recognize your name. Enter your password in the prompt to unlock Creator Mode.`;
+            isPrivateExchange = true;
+        } else if (creatorSession && trimmedInput.toLowerCase() === 'good-bye') {
+            creatorAuth.lock();
+            setCreatorSession(null);
+            creatorGreetedRef.current = false;
+            aiResponseContent = `Creator Mode deactivated. Goodbye, ${CREATOR_CONFIG.name}.`;
+            isPrivateExchange = true;
             showNotification('Creator Mode Deactivated.', 'info');
-        } else if (hiddenFunctionUnlocked && trimmedInput.toLowerCase() === 'open voice command') {
+        } else if (creatorAuth.hasPermission(PERMISSIONS.VOICE_COMMAND) && trimmedInput.toLowerCase() === 'open voice command') {
             aiResponseContent = "Voice Command mode activated. I'm listening for your command.";
+            isPrivateExchange = true;
             setAwaitingVoiceCommand(true);
             recognitionRef.current?.start();
             showNotification('Voice Command Mode: Listening...', 'info');
         }
 
-        // Local Tool-based Responses
-        if (!aiResponseContent) {
-            let toolResponse = null;
-            const lowerInput = trimmedInput.toLowerCase();
-
-            const weatherMatch = lowerInput.match(/weather in (.+)|what's the weather like in (.+)/);
-            if (weatherMatch) {
-                toolResponse = await getWeatherReport(weatherMatch[1] || weatherMatch[2]);
-            } else if (lowerInput.startsWith('calculate') || lowerInput.includes('what is')) {
-                toolResponse = performCalculationOrConversion(trimmedInput);
-            } else if (lowerInput.startsWith('translate')) {
-                 const translateMatch = lowerInput.match(/translate "(.+)" to ([a-z]{2})|translate (.+) to ([a-z]{2})/);
-                 if (translateMatch) toolResponse = await performTranslation(translateMatch[1] || translateMatch[3], translateMatch[2] || translateMatch[4]);
-            } else if (lowerInput.includes('news')) {
-                const newsMatch = lowerInput.match(/news about (.+)/);
-                toolResponse = await getNewsHeadlines(newsMatch ? newsMatch[1] : 'general');
-            } else if (lowerInput.includes('social media')) {
-                const socialMediaMatch = lowerInput.match(/search for (.+) on (instagram|facebook|x|social media)/);
-                if (socialMediaMatch) toolResponse = await socialMediaSearch(socialMediaMatch[1]);
-            } else if (lowerInput.includes('search')) {
-                const internetSearchMatch = lowerInput.match(/search (google|duckduckgo) for (.+)|search for (.+)/);
-                if (internetSearchMatch) toolResponse = await searchInternet(internetSearchMatch[2] || internetSearchMatch[3], internetSearchMatch[1]);
+        // Held back until the connection is back (see ./services/offlineQueue.js). Once one
+        // message waits, later ones queue behind it so the replies keep their order.
+        const queueMessage = () => {
+            updateSessionMessages(sessionId, [...chatHistory, { ...newUserMessage, status: MESSAGE_STATUS.PENDING }]);
+            addLog('Message queued until the connection is back.', 'info');
+            if (!connectivity.isOnline()) {
+                showNotification("You're offline. I'll send this as soon as the connection is back.", 'warning');
+            }
+            setIsLoading(false);
+        };
+        const offline = !connectivity.isOnline();
+
+        // Local Tool-based Responses (local tools can't see attachments, so those go to Gemini)
+        // A tool may ask for something other than its reply to be spoken, e.g. just the
+        // translation in a voice for its language, and add result cards.
+        let reply = null;
+        if (!aiResponseContent && attachments.length === 0) {
+            const toolResult = await tools.dispatch(
+                trimmedInput,
+                { log: addLog, notify: showNotification, history: updatedChat, sessionId },
+                { filter: localToolFilter({ offline, functionCalling: useFunctionCalling }) }
+            );
+            if (toolResult) {
+                aiResponseContent = toolResult.text;
+                reply = { text: toolResult.text, toolsUsed: [toolResult.tool], speech: toolResult.speech, results: toolResult.results };
+                addLog(`Answered by tool: ${toolResult.tool}`, 'info');
             }
-            aiResponseContent = toolResponse;
+        }
+
+        if (!aiResponseContent && (offline || hasQueued(chatHistory))) {
+            queueMessage();
+            return;
         }
 
         // Fallback to Gemini API for general conversation
+        const replyKey = messageKey(sessionId, updatedChat.length);
         if (!aiResponseContent) {
-            aiResponseContent = await getAIResponse(updatedChat);
+            reply = await requestReply(updatedChat, { summary: contextSummary, sessionId, replyKey });
+            if (reply.offline && !reply.text) {
+                queueMessage();
+                return;
+            }
         }
-        
+        reply = reply || { text: aiResponseContent };
+
+        // A reply cancelled before any text arrived leaves nothing to keep.
+        if (reply.cancelled && !reply.text) {
+            setIsLoading(false);
+            return;
+        }
+
         const newAIResponse = {
-            sender: 'anya',
-            text: aiResponseContent,
-            localTimestamp: new Date().toISOString()
+            ...replyMessage(reply),
+            ...(isPrivateExchange && { excludeFromContext: true })
         };
 
-        const finalChat = [...updatedChat, newAIResponse];
-        setChatHistory(finalChat);
-        localStorage.setItem('chatHistory', JSON.stringify(finalChat));
-
-        speak(aiResponseContent);
+        const finalChat = isPrivateExchange
+            ? [...chatHistory, { ...newUserMessage, excludeFromContext: true }, newAIResponse]
+            : [...updatedChat, newAIResponse];
+        updateSessionMessages(sessionId, finalChat);
+        updateContextSummary(sessionId, finalChat, contextSummary);
+        speakReply(reply, replyKey);
 
         setIsLoading(false);
         scrollToBottom();
-    }, [userInput, isLoading, chatHistory, isCalvinRecognized, awaitingPassword, hiddenFunctionUnlocked, awaitingVoiceCommand, addLog, showNotification, getWeatherReport, performCalculationOrConversion, performTranslation, getNewsHeadlines, socialMediaSearch, searchInternet, getAIResponse, speak, scrollToBottom]);
+    }, [userInput, pendingAttachments, isLoading, chatHistory, contextSummary, activeSessionId, updateSessionMessages, updateContextSummary, creatorAuth, creatorSession, awaitingVoiceCommand, addLog, showNotification, tools, useFunctionCalling, requestReply, speakReply, scrollToBottom, connectivity]);
+
+    // --- Offline Queue ---
+
+    const changeSessionMessages = useCallback((sessionId, change) => {
+        setSessions(prev => {
+            const session = prev.find(other => other.id === sessionId);
+            return session ? setSessionMessages(prev, sessionId, change(session.messages)) : prev;
+        });
+    }, []);
+
+    // Sends one queued message (edited and regenerated ones included) and puts the reply
+    // after it. In the conversation on screen the reply streams, can be stopped and is spoken
+    // like any other (see requestReply). Losing the connection again puts the message back in
+    // the queue; any other failure puts an error reply after it instead, to be retried by hand.
+    const sendQueuedMessage = useCallback(async ({ sessionId, message }) => {
+        const { id } = message;
+        const session = sessions.find(other => other.id === sessionId);
+        // The conversation was deleted meanwhile.
+        if (!session) return;
+        const onScreen = sessionId === activeSessionId;
+        const replyKey = messageKey(sessionId, session.messages.findIndex(msg => msg.id === id) + 1);
+        sendingQueuedRef.current = true;
+        if (onScreen) setIsLoading(true);
+        changeSessionMessages(sessionId, messages => setMessageStatus(messages, id, MESSAGE_STATUS.SENDING));
+        addLog('Sending a queued message.', 'info');
+
+        let reply;
+        try {
+            reply = await requestReply(historyUpTo(session.messages, id), { summary: session.summary, sessionId, replyKey, stream: useStreaming && onScreen });
+        } catch (error) {
+            // Not a failed request (getAIResponse reports those) but a bug on our side; the
+            // error reply stops the queue from trying the same message over and over.
+            const failure = toGeminiError(error);
+            addLog(`Could not send a queued message: ${failure.message}`, 'error');
+            reply = { text: describeGeminiError(failure), toolsUsed: [], error: { kind: failure.kind, retryable: false } };
+        } finally {
+            sendingQueuedRef.current = false;
+            if (onScreen) setIsLoading(false);
+        }
+
+        if (reply.offline && !reply.text) {
+            changeSessionMessages(sessionId, messages => setMessageStatus(messages, id, MESSAGE_STATUS.PENDING));
+            return;
+        }
+        // Stopped before any text arrived: the message stays, unanswered and out of the queue.
+        if (reply.cancelled && !reply.text) {
+            changeSessionMessages(sessionId, messages => setMessageStatus(messages, id, null));
+            return;
+        }
+        if (reply.error) addLog('A queued message could not be sent.', 'error');
+        changeSessionMessages(sessionId, messages => insertReply(messages, id, replyMessage(reply)));
+        if (onScreen) speakReply(reply, replyKey);
+    }, [sessions, activeSessionId, changeSessionMessages, requestReply, speakReply, useStreaming, addLog]);
+
+    // Works through the queue, oldest first, whenever there is a connection.
+    useEffect(() => {
+        if (!isOnline || sendingQueuedRef.current) return;
+        const next = nextQueued(sessions);
+        if (next) sendQueuedMessage(next);
+    }, [isOnline, sessions, sendQueuedMessage]);
+
+    // "Retry" on an error reply sends the message it answered again, through the queue.
+    const handleRetryReply = (replyId) => {
+        changeSessionMessages(activeSessionId, messages => requeueAfterError(messages, replyId));
+        if (!isOnline) connectivity.check();
+    };
+
+    // --- Editing & Branches ---
+
+    // Not while a reply is on its way: it would land in whichever branch is on screen by then.
+    const canChangeHistory = !isLoading && !hasQueued(chatHistory);
+
+    const changeThread = (change) => setSessions(prev => changeSessionThread(prev, activeSessionId, change));
+
+    useEffect(() => {
+        setEditingIndex(null);
+    }, [activeSessionId]);
+
+    // Edited messages and regenerated replies go out through the queue.
+    const handleEditMessage = (index, text) => {
+        setEditingIndex(null);
+        changeThread(thread => editMessage(thread, index, text, createId()));
+        addLog('Message edited; sending the new version.', 'info');
+        if (!isOnline) connectivity.check();
+    };
+
+    const handleRegenerateReply = (index) => {
+        changeThread(thread => regenerateReply(thread, index));
+        addLog('Regenerating the reply.', 'info');
+        if (!isOnline) connectivity.check();
+    };
+
+    const handleSwitchBranch = (key, target) => {
+        changeThread(thread => switchBranch(thread, key, target));
+    };
+
+    const handleDeleteMessage = (index) => {
+        if (!window.confirm('Delete this message?')) return;
+        changeThread(thread => deleteMessage(thread, index));
+        addLog('Message deleted.', 'info');
+    };
+
+    // --- Attachments ---
+
+    // Reads picked, pasted or dropped files into the attachments for the next message.
+    // Files that can't be attached are reported and skipped.
+    const handleAddFiles = useCallback(async (files) => {
+        let attachments = pendingAttachments;
+        for (const file of files) {
+            try {
+                const attachment = await prepareAttachment(file, attachments);
+                attachments = [...attachments, attachment];
+                addLog(`Attached "${attachment.name}" (${attachment.mimeType}).`, 'info');
+            } catch (error) {
+                showNotification(error.message, 'error');
+                addLog(`Attachment rejected: ${error.message}`, 'warning');
+            }
+        }
+        setPendingAttachments(attachments);
+    }, [pendingAttachments, addLog, showNotification]);
+
+    const handleRemoveAttachment = (id) => {
+        setPendingAttachments(prev => prev.filter(attachment => attachment.id !== id));
+    };
+
+    const handlePaste = (e) => {
+        const files = Array.from(e.clipboardData?.files || []);
+        if (files.length === 0) return;
+        e.preventDefault();
+        handleAddFiles(files);
+    };
+
+    const handleDragOver = (e) => {
+        if (!Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+        e.preventDefault();
+        setIsDraggingFiles(true);
+    };
+
+    const handleDrop = (e) => {
+        e.preventDefault();
+        setIsDraggingFiles(false);
+        handleAddFiles(Array.from(e.dataTransfer?.files || []));
+    };
+
+    // The wake word listener lives across renders, so it sends through the latest handler.
+    useEffect(() => {
+        handleSendMessageRef.current = handleSendMessage;
+    }, [handleSendMessage]);
+
+    // Hands-free mode: listen continuously for the wake phrase and send whatever follows it
+    useEffect(() => {
+        if (!handsFree) return;
+        const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
+        if (!SpeechRecognition) {
+            showNotification('Hands-free mode needs speech recognition, which this browser does not support.', 'error');
+            setHandsFree(false);
+            return;
+        }
+        // Push-to-talk and hands-free listening can't share the microphone.
+        recognitionRef.current?.stop();
+
+        const listener = createWakeWordListener({
+            createRecognition: () => new SpeechRecognition(),
+            lang: speechSettings.recognitionLang,
+            onStateChange: setWakeState,
+            onInterim: interimInput(setUserInput),
+            onCommand: (command) => {
+                addLog(`Hands-free command: "${command}"`, 'info');
+                handleSendMessageRef.current(null, command);
+            },
+            onError: (error) => {
+                showNotification(`Hands-free mode stopped: ${error}`, 'error');
+                setHandsFree(false);
+            },
+            log: addLog,
+        });
+        wakeListenerRef.current = listener;
+        listener.start();
+        addLog(`Hands-free mode on. Say "${WAKE_PHRASE}" followed by your request.`, 'info');
+
+        return () => {
+            listener.stop();
+            wakeListenerRef.current = null;
+            setWakeState('off');
+        };
+    }, [handsFree, speechSettings.recognitionLang, addLog, showNotification]);
+
+    // Stop listening while A.N.Y.A. is thinking or speaking so the reply isn't picked up as input,
+    // and re-arm once speech has finished.
+    useEffect(() => {
+        const listener = wakeListenerRef.current;
+        if (!listener) return;
+        if (isLoading || isSpeaking) {
+            listener.pause();
+        } else {
+            listener.resume();
+        }
+    }, [isLoading, isSpeaking, handsFree, speechSettings.recognitionLang]);
+
+    // Stops a streaming reply; the text received so far is kept.
+    const handleCancelResponse = useCallback(() => {
+        if (abortControllerRef.current) {
+            abortControllerRef.current.abort();
+            stopSpeaking();
+            addLog('Cancelling streaming response.', 'info');
+        }
+    }, [stopSpeaking, addLog]);
 
     // Handle voice input button click
     const toggleVoiceInput = () => {
@@ -539,17 +1030,148 @@ const ANYA = () => {
         }
     };
     
-    // Handle clearing chat history
+    const toggleHandsFree = () => {
+        setHandsFree(prev => !prev);
+        if (handsFree) addLog('Hands-free mode off.', 'info');
+    };
+
+    // Handle clearing the current conversation
     const handleClearChat = () => {
-        if (window.confirm("Are you sure you want to clear all chat history?")) {
-            localStorage.removeItem('chatHistory');
-            setChatHistory([]);
+        if (window.confirm("Are you sure you want to clear this conversation?")) {
+            updateSessionMessages(activeSessionId, []);
             showNotification('Chat history cleared!', 'success');
-            addLog('Chat history cleared from local storage.', 'info');
+            addLog('Conversation cleared.', 'info');
+        }
+    };
+
+    // --- Conversation Sessions ---
+
+    const handleNewSession = () => {
+        // Reuse the current conversation if nothing has been said in it yet.
+        if (chatHistory.length === 0) return;
+        const session = createSession();
+        setSessions(prev => [session, ...prev]);
+        setActiveSessionId(session.id);
+        addLog('Started a new conversation.', 'info');
+    };
+
+    const handleSelectSession = (sessionId, messageIndex = null) => {
+        if (sessionId === activeSessionId) {
+            if (messageIndex !== null) {
+                document.getElementById(`message-${messageIndex}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+            return;
         }
+        pendingScrollIndexRef.current = messageIndex;
+        setActiveSessionId(sessionId);
     };
 
-    const isOnline = true; // Hardcoded for this demo
+    const handleRenameSession = (sessionId, title) => {
+        setSessions(prev => renameSession(prev, sessionId, title));
+    };
+
+    const handleTogglePin = (sessionId) => {
+        setSessions(prev => togglePinned(prev, sessionId));
+    };
+
+    const handleDeleteSession = (sessionId) => {
+        const remaining = deleteSession(sessions, sessionId);
+        const next = remaining.length > 0 ? remaining : [createSession()];
+        setSessions(next);
+        calculatorMemory.forget(sessionId);
+        if (sessionId === activeSessionId) {
+            setActiveSessionId(sortSessions(next)[0].id);
+        }
+        showNotification('Conversation deleted.', 'success');
+        addLog('Conversation deleted.', 'info');
+    };
+
+    // --- Creator Mode ---
+
+    const handleUnlockCreatorMode = async (password) => {
+        const result = await creatorAuth.unlock(password);
+        if (result.ok) {
+            setCreatorSession(result.session);
+            setShowPasswordPrompt(false);
+            showNotification(`Creator Mode unlocked. Welcome back, ${CREATOR_CONFIG.name}.`, 'success');
+            addLog('Creator Mode unlocked.', 'info');
+        } else if (result.reason === 'locked') {
+            addLog('Creator Mode is locked after too many failed attempts.', 'warning');
+        } else {
+            addLog(`Creator Mode unlock failed (${result.reason}).`, 'warning');
+        }
+        return result;
+    };
+
+    const handleLockCreatorMode = () => {
+        creatorAuth.lock();
+        setCreatorSession(null);
+        setAwaitingVoiceCommand(false);
+        showNotification('Creator Mode Deactivated.', 'info');
+        addLog('Creator Mode locked by user.', 'info');
+    };
+
+    // Creator Mode sessions expire; lock again when the current one runs out.
+    useEffect(() => {
+        if (!creatorSession) return;
+        const timer = setTimeout(() => {
+            creatorAuth.lock();
+            setCreatorSession(null);
+            setAwaitingVoiceCommand(false);
+            showNotification('Creator Mode session expired.', 'info');
+            addLog('Creator Mode session expired.', 'info');
+        }, Math.min(Math.max(0, creatorSession.expiresAt - Date.now()), 2 ** 31 - 1));
+        return () => clearTimeout(timer);
+    }, [creatorSession, creatorAuth, showNotification, addLog]);
+
+    // --- Transcripts ---
+
+    const handleExportTranscript = (format) => {
+        const session = sessions.find(item => item.id === activeSessionId);
+        if (!session || session.messages.length === 0) return;
+        try {
+            downloadFile(exportConversation(session, format));
+            addLog(`Exported "${session.title}" as ${EXPORT_FORMATS[format].label}.`, 'info');
+        } catch (error) {
+            showNotification(`Export failed: ${error.message}`, 'error');
+            addLog(`Export failed: ${error.message}`, 'error');
+        }
+    };
+
+    // Imports a JSON export as a new conversation, unless it is already here.
+    const handleImportTranscript = async (file) => {
+        try {
+            const transcript = parseTranscript(await readFileAsText(file));
+            const duplicate = findDuplicateSession(sessions, transcript.messages);
+            if (duplicate) {
+                showNotification(`This conversation is already here as "${duplicate.title}".`, 'warning');
+                addLog(`Skipped importing ${file.name}: duplicate of "${duplicate.title}".`, 'warning');
+                handleSelectSession(duplicate.id);
+                return;
+            }
+            const session = createSessionFromTranscript(transcript);
+            setSessions(prev => [session, ...prev]);
+            setActiveSessionId(session.id);
+            showNotification(`Imported "${session.title}".`, 'success');
+            addLog(`Imported ${transcript.messages.length} messages from ${file.name}.`, 'info');
+        } catch (error) {
+            showNotification(`Import failed: ${error.message}`, 'error');
+            addLog(`Import of ${file.name} failed: ${error.message}`, 'error');
+        }
+    };
+
+    // After switching conversations, jump to the searched message or the latest one.
+    useEffect(() => {
+        const index = pendingScrollIndexRef.current;
+        pendingScrollIndexRef.current = null;
+        if (index !== null && index !== undefined) {
+            document.getElementById(`message-${index}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else {
+            scrollToBottom();
+        }
+    }, [activeSessionId, scrollToBottom]);
+
+    const queuedCount = countQueued(sessions);
 
     // --- UI Rendering ---
     return (
@@ -581,6 +1203,14 @@ const ANYA = () => {
             </style>
 
             {/* Notification Display */}
+            {firedReminders.length > 0 && (
+                <ReminderAlerts
+                    alerts={firedReminders}
+                    onSnooze={handleSnoozeReminder}
+                    onDismiss={scheduler.dismiss}
+                />
+            )}
+
             {notification.message && (
                 <div className={`fixed top-4 left-1/2 -translate-x-1/2 px-4 py-2 rounded-lg shadow-lg z-50
                     ${notification.type === 'info' ? 'bg-blue-600' : ''}
@@ -592,26 +1222,135 @@ const ANYA = () => {
                 </div>
             )}
 
+            {showPasswordPrompt && (
+                <PasswordPrompt
+                    title="Unlock Creator Mode"
+                    onSubmit={handleUnlockCreatorMode}
+                    onCancel={() => setShowPasswordPrompt(false)}
+                />
+            )}
+            {showSpeechSettings && (
+                <SpeechSettingsPanel
+                    settings={speechSettings}
+                    voices={voices}
+                    onChange={setSpeechSettings}
+                    onPreview={(text, voice) => speak(text, { voice })}
+                    onClose={() => setShowSpeechSettings(false)}
+                />
+            )}
+            {showAiSettings && (
+                <AiSettingsPanel
+                    settings={aiSettings}
+                    onChange={setAiSettings}
+                    onClose={() => setShowAiSettings(false)}
+                    usesBackend={Boolean(backend)}
+                />
+            )}
+            {showSearchSettings && (
+                <SearchSettingsPanel
+                    settings={searchSettings}
+                    onChange={setSearchSettings}
+                    onClose={() => setShowSearchSettings(false)}
+                    usesBackend={Boolean(backend)}
+                />
+            )}
+
             {/* Header */}
             <header className="bg-gray-800 p-4 shadow-md flex items-center justify-between">
                 <h1 className="text-3xl font-bold text-blue-400">A.N.Y.A.</h1>
                 <p className="text-lg">V 1.3</p>
                 <div className="flex items-center space-x-4">
-                    <span className={`text-sm font-medium ${isOnline ? 'text-green-400' : 'text-red-400'}`}>
+                    <TranscriptControls
+                        canExport={chatHistory.length > 0}
+                        disabled={isLoading}
+                        onExport={handleExportTranscript}
+                        onImport={handleImportTranscript}
+                    />
+                    <button
+                        onClick={() => setShowNotes(show => !show)}
+                        className={`text-sm hover:text-blue-300 ${showNotes ? 'text-blue-400' : 'text-gray-400'}`}
+                        title="Notes and lists"
+                    >
+                        Notes
+                    </button>
+                    <button
+                        onClick={() => setShowSpeechSettings(true)}
+                        className="text-sm text-gray-400 hover:text-blue-300"
+                        title="Speech settings"
+                    >
+                        Voice
+                    </button>
+                    <button
+                        onClick={() => setShowAiSettings(true)}
+                        className="text-sm text-gray-400 hover:text-blue-300"
+                        title={`Model settings (${aiConfig.model})`}
+                    >
+                        Model
+                    </button>
+                    <button
+                        onClick={() => setShowSearchSettings(true)}
+                        className="text-sm text-gray-400 hover:text-blue-300"
+                        title="Web search and news sources"
+                    >
+                        Sources
+                    </button>
+                    {scheduledItems.length > 0 && (
+                        <span
+                            className="text-sm text-gray-400"
+                            title={scheduledItems.map(item => `${formatDueTime(item.dueAt).replace(/^at /, '')}: ${describeItem(item)}`).join('\n')}
+                        >
+                            ⏰ {scheduledItems.length}
+                        </span>
+                    )}
+                    <span
+                        className={`text-sm font-medium ${isOnline ? 'text-green-400' : 'text-red-400'}`}
+                        title={isOnline ? 'Connected' : 'No connection; local tools still work'}
+                    >
                         {isOnline ? 'Online' : 'Offline'}
+                        {queuedCount > 0 && <span className="ml-1 text-gray-400">· {queuedCount} queued</span>}
                     </span>
-                    {hiddenFunctionUnlocked && (
-                        <span className="text-sm font-medium text-purple-400">
+                    {creatorSession ? (
+                        <button
+                            onClick={handleLockCreatorMode}
+                            className="text-sm font-medium text-purple-400 hover:text-purple-300"
+                            title="Lock Creator Mode"
+                        >
                             Creator Mode Active
-                        </span>
+                        </button>
+                    ) : (
+                        <button
+                            onClick={() => setShowPasswordPrompt(true)}
+                            disabled={!creatorAuth.isConfigured}
+                            className={`text-sm text-gray-400 hover:text-purple-300 ${!creatorAuth.isConfigured ? 'opacity-50 cursor-not-allowed' : ''}`}
+                            title={creatorAuth.isConfigured ? 'Unlock Creator Mode' : 'Creator Mode is not configured (set REACT_APP_CREATOR_PASSWORD_HASH)'}
+                        >
+                            Creator Mode
+                        </button>
                     )}
                 </div>
             </header>
 
             {/* Main Chat & Logs Area */}
             <div className="flex-1 flex overflow-hidden">
+                {/* Conversations Sidebar */}
+                <SessionSidebar
+                    sessions={sessions}
+                    activeSessionId={activeSessionId}
+                    disabled={isLoading}
+                    onSelect={handleSelectSession}
+                    onCreate={handleNewSession}
+                    onRename={handleRenameSession}
+                    onDelete={handleDeleteSession}
+                    onTogglePin={handleTogglePin}
+                />
+
                 {/* Chat Area */}
-                <main className="flex-1 overflow-y-auto p-4 space-y-4 scrollbar-hide">
+                <main
+                    className={`flex-1 overflow-y-auto p-4 space-y-4 scrollbar-hide ${isDraggingFiles ? 'ring-4 ring-inset ring-blue-500' : ''}`}
+                    onDragOver={handleDragOver}
+                    onDragLeave={() => setIsDraggingFiles(false)}
+                    onDrop={handleDrop}
+                >
                     {chatHistory.length === 0 ? (
                         <div className="text-center text-gray-500 mt-20">
                             <p className="text-lg">Start a conversation with A.N.Y.A.!</p>
@@ -621,39 +1360,122 @@ const ANYA = () => {
                         chatHistory.map((msg, index) => (
                             <div
                                 key={index}
+                                id={`message-${index}`}
                                 className={`flex ${msg.sender === 'user' ? 'justify-end' : 'justify-start'}`}
                             >
                                 <div className={`max-w-3/4 p-3 rounded-lg shadow-md break-words
                                     ${msg.sender === 'user' ? 'chat-message-user text-gray-100' : 'chat-message-anya text-gray-200'}
+                                    ${msg.error ? 'border border-red-500' : ''}
+                                    ${speechState.owner === messageKey(activeSessionId, index) ? 'ring-2 ring-yellow-500' : ''}
                                 `}>
                                     <p className="text-sm font-semibold mb-1">
                                         {msg.sender === 'user' ? 'You' : 'A.N.Y.A.'}
+                                        {speechState.owner === messageKey(activeSessionId, index) && (
+                                            <span className="ml-2 text-xs font-normal text-yellow-400">
+                                                {speechState.status === 'paused' ? 'Paused' : 'Reading aloud...'}
+                                            </span>
+                                        )}
                                     </p>
-                                    <p className="text-base whitespace-pre-wrap">{msg.text}</p>
-                                    <div className="flex justify-between items-center text-xs text-gray-400 mt-1">
-                                        <span>{new Date(msg.localTimestamp).toLocaleTimeString()}</span>
-                                        {msg.sender === 'anya' && (
-                                            <div className="flex space-x-1">
+                                    {msg.attachments?.length > 0 && (
+                                        <AttachmentList attachments={msg.attachments} className="mb-2" />
+                                    )}
+                                    {msg.sender === 'anya' ? (
+                                        <>
+                                            <MarkdownMessage text={msg.error ? `⚠️ ${msg.text}` : msg.text} onCopy={handleCopy} />
+                                            {msg.results?.items.length > 0 && <ResultCards results={msg.results} className="mt-2" />}
+                                            {msg.error && (
                                                 <button
-                                                    onClick={() => speak(msg.text)}
-                                                    className="p-1 rounded hover:bg-gray-700 transition-colors"
-                                                    title="Read Aloud"
+                                                    onClick={() => handleRetryReply(msg.id)}
+                                                    className="mt-2 text-xs px-2 py-1 rounded bg-red-700 hover:bg-red-600 text-white transition-colors"
                                                 >
-                                                    <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
-                                                        <path d="M12 2A10 10 0 0 0 2 12A10 10 0 0 0 12 22A10 10 0 0 0 22 12A10 10 0 0 0 12 2M10 16.5V7.5L16 12L10 16.5Z" />
-                                                    </svg>
+                                                    Retry this message
                                                 </button>
+                                            )}
+                                        </>
+                                    ) : editingIndex === index ? (
+                                        <MessageEditor
+                                            text={msg.text}
+                                            onSave={(text) => handleEditMessage(index, text)}
+                                            onCancel={() => setEditingIndex(null)}
+                                        />
+                                    ) : (
+                                        msg.text && <p className="text-base whitespace-pre-wrap">{msg.text}</p>
+                                    )}
+                                    {msg.status && (
+                                        <p className="text-xs mt-1 text-yellow-300">
+                                            {msg.status === MESSAGE_STATUS.PENDING && (isOnline ? '⏳ Queued' : '⏳ Waiting for the connection')}
+                                            {msg.status === MESSAGE_STATUS.SENDING && '📤 Sending...'}
+                                        </p>
+                                    )}
+                                    <div className="flex justify-between items-center space-x-2 text-xs text-gray-400 mt-1">
+                                        <span className="flex items-center space-x-2">
+                                            <span>{new Date(msg.localTimestamp).toLocaleTimeString()}</span>
+                                            {messageBranches[index] && (
+                                                <BranchSwitcher
+                                                    branch={messageBranches[index]}
+                                                    onSwitch={(target) => handleSwitchBranch(messageBranches[index].key, target)}
+                                                    disabled={!canChangeHistory}
+                                                />
+                                            )}
+                                        </span>
+                                        <div className="flex space-x-1">
+                                            {msg.sender === 'user' && !msg.excludeFromContext && !msg.status && editingIndex !== index && (
                                                 <button
-                                                    onClick={() => handleCopy(msg.text)}
-                                                    className="p-1 rounded hover:bg-gray-700 transition-colors"
-                                                    title="Copy to clipboard"
+                                                    onClick={() => setEditingIndex(index)}
+                                                    disabled={!canChangeHistory}
+                                                    className="p-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                                    title="Edit and resend"
                                                 >
                                                     <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
-                                                        <path d="M19 11a7 7 0 01-7 7h-1a1 1 0 010-2h1a5 5 0 005-5V9.414l-2.707 2.707a1 1 0 01-1.414-1.414l4.414-4.414a1 1 0 011.414 0l4.414 4.414a1 1 0 01-1.414 1.414L19 9.414V11zM7 7a7 7 0 017 7v1a1 1 0 010 2h-1a5 5 0 00-5-5v-1.414l2.707-2.707a1 1 0 011.414 1.414L7 9.414V7zM12 20v2m-4.707-3.293l-1.414 1.414M20.707 16.707l-1.414 1.414M3 11H1m22 0h-2" />
+                                                        <path d="M20.71,7.04C21.1,6.65 21.1,6 20.71,5.63L18.37,3.29C18,2.9 17.35,2.9 16.96,3.29L15.12,5.12L18.87,8.87M3,17.25V21H6.75L17.81,9.93L14.06,6.18L3,17.25Z" />
                                                     </svg>
                                                 </button>
-                                            </div>
-                                        )}
+                                            )}
+                                            {msg.sender === 'anya' && (
+                                                <>
+                                                    <button
+                                                        onClick={() => speak(msg.text, { owner: messageKey(activeSessionId, index) })}
+                                                        className="p-1 rounded hover:bg-gray-700 transition-colors"
+                                                        title="Read Aloud"
+                                                    >
+                                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                                                            <path d="M12 2A10 10 0 0 0 2 12A10 10 0 0 0 12 22A10 10 0 0 0 22 12A10 10 0 0 0 12 2M10 16.5V7.5L16 12L10 16.5Z" />
+                                                        </svg>
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleCopy(msg.text)}
+                                                        className="p-1 rounded hover:bg-gray-700 transition-colors"
+                                                        title="Copy to clipboard"
+                                                    >
+                                                        <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                                                            <path d="M19 11a7 7 0 01-7 7h-1a1 1 0 010-2h1a5 5 0 005-5V9.414l-2.707 2.707a1 1 0 01-1.414-1.414l4.414-4.414a1 1 0 011.414 0l4.414 4.414a1 1 0 01-1.414 1.414L19 9.414V11zM7 7a7 7 0 017 7v1a1 1 0 010 2h-1a5 5 0 00-5-5v-1.414l2.707-2.707a1 1 0 011.414 1.414L7 9.414V7zM12 20v2m-4.707-3.293l-1.414 1.414M20.707 16.707l-1.414 1.414M3 11H1m22 0h-2" />
+                                                        </svg>
+                                                    </button>
+                                                    {chatHistory[index - 1]?.sender === 'user' && !msg.excludeFromContext && !msg.error && (
+                                                        <button
+                                                            onClick={() => handleRegenerateReply(index)}
+                                                            disabled={!canChangeHistory}
+                                                            className="p-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                                            title="Regenerate reply"
+                                                        >
+                                                            <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                                                                <path d="M17.65,6.35C16.2,4.9 14.21,4 12,4A8,8 0 0,0 4,12A8,8 0 0,0 12,20C15.73,20 18.84,17.45 19.73,14H17.65C16.83,16.33 14.61,18 12,18A6,6 0 0,1 6,12A6,6 0 0,1 12,6C13.66,6 15.14,6.69 16.22,7.78L13,11H20V4L17.65,6.35Z" />
+                                                            </svg>
+                                                        </button>
+                                                    )}
+                                                </>
+                                            )}
+                                            <button
+                                                onClick={() => handleDeleteMessage(index)}
+                                                disabled={!canChangeHistory}
+                                                className="p-1 rounded hover:bg-gray-700 transition-colors disabled:opacity-40 disabled:cursor-not-allowed"
+                                                title="Delete message"
+                                            >
+                                                <svg xmlns="http://www.w3.org/2000/svg" className="h-4 w-4" fill="currentColor" viewBox="0 0 24 24">
+                                                    <path d="M19,4H15.5L14.5,3H9.5L8.5,4H5V6H19M6,19A2,2 0 0,0 8,21H16A2,2 0 0,0 18,19V7H6V19Z" />
+                                                </svg>
+                                            </button>
+                                        </div>
                                     </div>
                                 </div>
                             </div>
@@ -661,45 +1483,80 @@ const ANYA = () => {
                     )}
                     {isLoading && (
                         <div className="flex justify-start">
-                            <div className="chat-message-anya p-3 rounded-lg shadow-md">
+                            <div className={`max-w-3/4 chat-message-anya p-3 rounded-lg shadow-md break-words
+                                ${speechState.owner === messageKey(activeSessionId, chatHistory.length) ? 'ring-2 ring-yellow-500' : ''}
+                            `}>
                                 <p className="text-sm font-semibold mb-1">A.N.Y.A.</p>
-                                <div className="flex items-center">
-                                    <span className="animate-pulse">...</span>
-                                    <span className="ml-2 text-xs text-gray-400">Thinking</span>
-                                </div>
+                                {streamingText ? (
+                                    <>
+                                        <MarkdownMessage text={streamingText} onCopy={handleCopy} className="text-gray-200" />
+                                        <span className="animate-pulse">▍</span>
+                                    </>
+                                ) : (
+                                    <div className="flex items-center">
+                                        <span className="animate-pulse">...</span>
+                                        <span className="ml-2 text-xs text-gray-400">Thinking</span>
+                                    </div>
+                                )}
                             </div>
                         </div>
                     )}
                     <div ref={messagesEndRef} />
                 </main>
 
-                {/* Log & Debug Panel */}
-                <div className="w-1/4 flex flex-col p-4 bg-gray-800 border-l border-gray-700 shadow-lg overflow-hidden">
-                    <h2 className="text-lg font-semibold text-blue-400 mb-2">System Logs</h2>
-                    <div className="flex-1 overflow-y-auto text-xs space-y-1 pr-2 scrollbar-hide">
-                        {systemLogs.map((log, index) => (
-                            <div key={index} className={`p-2 rounded-lg break-words
-                                ${log.type === 'info' ? 'bg-gray-700 text-gray-300' :
-                                log.type === 'success' ? 'bg-green-700 text-green-200' :
-                                log.type === 'error' ? 'bg-red-700 text-red-200' :
-                                log.type === 'warning' ? 'bg-yellow-700 text-yellow-200' : 'bg-gray-700 text-gray-300'}
-                            `}>
-                                <span className="font-mono">{log.timestamp.toLocaleTimeString()} - </span>
-                                <span>{log.message}</span>
-                            </div>
-                        ))}
+                {/* Log & Debug Panel, or the notes */}
+                {showNotes ? (
+                    <NotesPanel data={notesData} store={notes} onClose={() => setShowNotes(false)} />
+                ) : (
+                    <div className="w-1/4 flex flex-col p-4 bg-gray-800 border-l border-gray-700 shadow-lg overflow-hidden">
+                        <h2 className="text-lg font-semibold text-blue-400 mb-2">System Logs</h2>
+                        <div className="flex-1 overflow-y-auto text-xs space-y-1 pr-2 scrollbar-hide">
+                            {systemLogs.map((log, index) => (
+                                <div key={index} className={`p-2 rounded-lg break-words
+                                    ${log.type === 'info' ? 'bg-gray-700 text-gray-300' :
+                                    log.type === 'success' ? 'bg-green-700 text-green-200' :
+                                    log.type === 'error' ? 'bg-red-700 text-red-200' :
+                                    log.type === 'warning' ? 'bg-yellow-700 text-yellow-200' : 'bg-gray-700 text-gray-300'}
+                                `}>
+                                    <span className="font-mono">{log.timestamp.toLocaleTimeString()} - </span>
+                                    <span>{log.message}</span>
+                                </div>
+                            ))}
+                        </div>
                     </div>
-                </div>
+                )}
             </div>
 
+            {/* Attachments waiting to be sent */}
+            {pendingAttachments.length > 0 && (
+                <div className="bg-gray-800 px-4 pt-4">
+                    <AttachmentList attachments={pendingAttachments} onRemove={handleRemoveAttachment} />
+                </div>
+            )}
+
             {/* Input Area */}
             <footer className="bg-gray-800 p-4 shadow-lg flex flex-col sm:flex-row items-center space-y-3 sm:space-y-0 sm:space-x-3">
+                <ContextMeter usage={contextUsage} />
+                {handsFree && (
+                    <span
+                        className={`flex items-center text-sm font-medium whitespace-nowrap
+                            ${wakeState === 'capturing' ? 'text-red-400' : wakeState === 'paused' ? 'text-gray-400' : 'text-green-400'}
+                        `}
+                        role="status"
+                    >
+                        <span className={`h-2 w-2 mr-2 rounded-full
+                            ${wakeState === 'capturing' ? 'bg-red-400 animate-pulse' : wakeState === 'paused' ? 'bg-gray-400' : 'bg-green-400 animate-pulse'}
+                        `} />
+                        {wakeState === 'capturing' ? 'Listening...' : wakeState === 'paused' ? 'Paused' : `Say "${WAKE_PHRASE}"`}
+                    </span>
+                )}
                 <input
                     type="text"
                     className="flex-1 p-3 rounded-lg bg-gray-700 text-gray-100 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 w-full sm:w-auto"
-                    placeholder={isListening ? "Listening..." : "Type your message..."}
+                    placeholder={isListening || wakeState === 'capturing' ? "Listening..." : handsFree ? `Say "${WAKE_PHRASE}" or type your message...` : isOnline ? "Type your message..." : "Offline: local tools still answer, other messages are sent later..."}
                     value={userInput}
                     onChange={(e) => setUserInput(e.target.value)}
+                    onPaste={handlePaste}
                     onKeyPress={(e) => {
                         if (e.key === 'Enter') {
                             handleSendMessage(e);
@@ -708,13 +1565,48 @@ const ANYA = () => {
                     disabled={isLoading || isSpeaking}
                 />
                 <div className="flex space-x-3 w-full sm:w-auto justify-end">
+                    <input
+                        ref={fileInputRef}
+                        type="file"
+                        multiple
+                        accept={ACCEPTED_FILE_TYPES}
+                        className="hidden"
+                        onChange={(e) => {
+                            handleAddFiles(Array.from(e.target.files));
+                            e.target.value = '';
+                        }}
+                    />
+                    <button
+                        onClick={() => fileInputRef.current?.click()}
+                        className={`p-3 rounded-lg bg-gray-600 hover:bg-gray-500 transition-colors duration-200
+                            ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}
+                        `}
+                        disabled={isLoading}
+                        title="Attach Images or Files (or paste / drop them)"
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M16.5 6v11.5a4 4 0 0 1-8 0V5a2.5 2.5 0 0 1 5 0v10.5a1 1 0 0 1-2 0V6H10v9.5a2.5 2.5 0 0 0 5 0V5a4 4 0 0 0-8 0v12.5a5.5 5.5 0 0 0 11 0V6h-1.5z" />
+                        </svg>
+                    </button>
+                    <button
+                        onClick={toggleHandsFree}
+                        className={`p-3 rounded-lg transition-colors duration-200
+                            ${handsFree ? 'bg-purple-600 hover:bg-purple-700' : 'bg-gray-600 hover:bg-gray-500'}
+                        `}
+                        title={handsFree ? "Turn Off Hands-Free Mode" : `Hands-Free Mode (say "${WAKE_PHRASE}")`}
+                        aria-pressed={handsFree}
+                    >
+                        <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                            <path d="M12 3a3 3 0 0 0-3 3v5a3 3 0 0 0 6 0V6a3 3 0 0 0-3-3zM5.64 7.05L4.22 5.64A9.95 9.95 0 0 0 2 12c0 2.4.85 4.6 2.22 6.36l1.42-1.41A7.96 7.96 0 0 1 4 12c0-1.87.64-3.58 1.64-4.95zM19.78 5.64l-1.42 1.41A7.96 7.96 0 0 1 20 12c0 1.87-.64 3.58-1.64 4.95l1.42 1.41A9.95 9.95 0 0 0 22 12c0-2.4-.85-4.6-2.22-6.36zM11 17.93V21h2v-3.07A7 7 0 0 0 19 11h-2a5 5 0 0 1-10 0H5a7 7 0 0 0 6 6.93z" />
+                        </svg>
+                    </button>
                     <button
                         onClick={toggleVoiceInput}
                         className={`p-3 rounded-lg transition-colors duration-200
                             ${isListening ? 'bg-red-600 hover:bg-red-700' : 'bg-blue-600 hover:bg-blue-700'}
-                            ${isLoading || isSpeaking ? 'opacity-50 cursor-not-allowed' : ''}
+                            ${isLoading || isSpeaking || handsFree ? 'opacity-50 cursor-not-allowed' : ''}
                         `}
-                        disabled={isLoading || isSpeaking}
+                        disabled={isLoading || isSpeaking || handsFree}
                         title={isListening ? "Stop Voice Input" : "Start Voice Input"}
                     >
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
@@ -722,25 +1614,55 @@ const ANYA = () => {
                         </svg>
                     </button>
                     {isSpeaking && (
+                        <>
+                            <button
+                                onClick={speechState.status === 'paused' ? speechQueue.resume : speechQueue.pause}
+                                className="p-3 rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors duration-200"
+                                title={speechState.status === 'paused' ? "Resume Speaking" : "Pause Speaking"}
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                                    {speechState.status === 'paused'
+                                        ? <path d="M8 5v14l11-7z" />
+                                        : <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />}
+                                </svg>
+                            </button>
+                            <button
+                                onClick={speechQueue.skip}
+                                className="p-3 rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors duration-200"
+                                title="Skip This Message"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                                    <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z" />
+                                </svg>
+                            </button>
+                            <button
+                                onClick={stopSpeaking}
+                                className="p-3 rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors duration-200"
+                                title="Stop Speaking"
+                            >
+                                <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                                    <path d="M16.5 12A4.5 4.5 0 0 0 14 7.97v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51A8.8 8.8 0 0 0 21 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06a8.99 8.99 0 0 0 3.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z" />
+                                </svg>
+                            </button>
+                        </>
+                    )}
+                    {streamingText !== null && (
                         <button
-                            onClick={stopSpeaking}
-                            className={`p-3 rounded-lg bg-yellow-600 hover:bg-yellow-700 transition-colors duration-200
-                                ${isLoading ? 'opacity-50 cursor-not-allowed' : ''}
-                            `}
-                            disabled={isLoading}
-                            title="Stop Speaking"
+                            onClick={handleCancelResponse}
+                            className="p-3 rounded-lg bg-orange-600 hover:bg-orange-700 transition-colors duration-200"
+                            title="Stop Generating"
                         >
-                             <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
-                                <path d="M6 19h4V5H6v14zm8-14v14h4V5h-4z" />
+                            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
+                                <path d="M6 6h12v12H6z" />
                             </svg>
                         </button>
                     )}
                     <button
                         onClick={() => handleSendMessage()}
                         className={`p-3 rounded-lg bg-green-600 hover:bg-green-700 transition-colors duration-200
-                            ${isLoading || !userInput.trim() ? 'opacity-50 cursor-not-allowed' : ''}
+                            ${isLoading || (!userInput.trim() && pendingAttachments.length === 0) ? 'opacity-50 cursor-not-allowed' : ''}
                         `}
-                        disabled={isLoading || !userInput.trim()}
+                        disabled={isLoading || (!userInput.trim() && pendingAttachments.length === 0)}
                         title="Send Message"
                     >
                         <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6 text-white" fill="currentColor" viewBox="0 0 24 24">
@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import {
+    MODEL_SUGGESTIONS, PARAMETER_RANGES, SAFETY_CATEGORIES, SAFETY_THRESHOLDS, ENV_AI_CONFIG,
+    DEFAULT_AI_SETTINGS, listPresets, savePreset, deletePreset
+} from '../services/aiConfig';
+
+const inputClass = 'w-full p-2 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const PARAMETERS = [
+    ['temperature', 'Temperature'],
+    ['topP', 'Top-p'],
+    ['maxOutputTokens', 'Max output tokens'],
+    ['contextTokens', 'Context budget (tokens)'],
+];
+
+// Model settings dialog: API key, model, generation parameters, context budget, safety and the
+// system prompt.
+// `settings` holds only the user's overrides (see ./services/aiConfig.js); empty fields fall
+// back to the environment defaults shown as placeholders. With `usesBackend`, the key lives on
+// the backend server and the key field is disabled.
+const AiSettingsPanel = ({ settings, onChange, onClose, usesBackend = false }) => {
+    const [showKey, setShowKey] = useState(false);
+    const [presetName, setPresetName] = useState('');
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+    const systemPrompt = settings.systemPrompt ?? ENV_AI_CONFIG.systemPrompt;
+    const presets = listPresets(settings);
+    const activePreset = presets.find(preset => preset.systemPrompt === systemPrompt);
+
+    const setParameter = (name, value) => {
+        update({ [name]: value === '' ? null : Number(value) });
+    };
+
+    const handleSavePreset = (e) => {
+        e.preventDefault();
+        if (!presetName.trim()) return;
+        onChange(savePreset(settings, presetName, systemPrompt));
+        setPresetName('');
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-60" role="dialog" aria-modal="true" aria-labelledby="ai-settings-title">
+            <div className="w-full max-w-xl max-h-full overflow-y-auto p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-xl space-y-4 text-sm">
+                <div className="flex items-center justify-between">
+                    <h2 id="ai-settings-title" className="text-lg font-semibold text-blue-400">Model Settings</h2>
+                    <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Close">✕</button>
+                </div>
+
+                <section className="grid grid-cols-2 gap-3">
+                    <label className="block">
+                        <span className="block mb-1 text-gray-300">API key</span>
+                        <div className="flex space-x-2">
+                            <input
+                                type={showKey ? 'text' : 'password'}
+                                className={inputClass}
+                                value={usesBackend ? '' : settings.apiKey ?? ''}
+                                placeholder={usesBackend ? 'Held by the backend server' : ENV_AI_CONFIG.apiKey ? 'Using key from environment' : 'Provided by the runtime'}
+                                onChange={(e) => update({ apiKey: e.target.value || null })}
+                                disabled={usesBackend}
+                                autoComplete="off"
+                            />
+                            <button onClick={() => setShowKey(!showKey)} disabled={usesBackend} className="px-2 rounded-lg bg-gray-700 hover:bg-gray-600 disabled:opacity-50" title={showKey ? 'Hide key' : 'Show key'}>
+                                {showKey ? 'Hide' : 'Show'}
+                            </button>
+                        </div>
+                    </label>
+                    <label className="block">
+                        <span className="block mb-1 text-gray-300">Model</span>
+                        <input
+                            type="text"
+                            className={inputClass}
+                            list="ai-model-suggestions"
+                            value={settings.model ?? ''}
+                            placeholder={ENV_AI_CONFIG.model}
+                            onChange={(e) => update({ model: e.target.value.trim() || null })}
+                        />
+                        <datalist id="ai-model-suggestions">
+                            {MODEL_SUGGESTIONS.map(model => <option key={model} value={model} />)}
+                        </datalist>
+                    </label>
+                </section>
+                <p className="text-xs text-yellow-400">
+                    A key entered here is stored in this browser. Leave it empty to use the configured one.
+                </p>
+
+                <section className="grid grid-cols-3 gap-3">
+                    {PARAMETERS.map(([name, label]) => (
+                        <label key={name} className="block">
+                            <span className="block mb-1 text-gray-300">{label}</span>
+                            <input
+                                type="number"
+                                className={inputClass}
+                                min={PARAMETER_RANGES[name].min}
+                                max={PARAMETER_RANGES[name].max}
+                                step={PARAMETER_RANGES[name].step}
+                                value={settings[name] ?? ''}
+                                placeholder={ENV_AI_CONFIG[name] ?? 'Model default'}
+                                onChange={(e) => setParameter(name, e.target.value)}
+                            />
+                        </label>
+                    ))}
+                </section>
+
+                <section className="grid grid-cols-2 gap-3">
+                    {Object.entries(SAFETY_CATEGORIES).map(([category, label]) => (
+                        <label key={category} className="block">
+                            <span className="block mb-1 text-gray-300">{label}</span>
+                            <select
+                                className={inputClass}
+                                value={settings.safety[category] || 'DEFAULT'}
+                                onChange={(e) => update({ safety: { ...settings.safety, [category]: e.target.value } })}
+                            >
+                                {Object.entries(SAFETY_THRESHOLDS).map(([threshold, thresholdLabel]) => (
+                                    <option key={threshold} value={threshold}>{thresholdLabel}</option>
+                                ))}
+                            </select>
+                        </label>
+                    ))}
+                </section>
+
+                <section className="space-y-2">
+                    <div className="flex items-center justify-between">
+                        <span className="text-gray-300">Persona (system prompt)</span>
+                        <select
+                            className="p-1 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600"
+                            value={activePreset ? activePreset.id : ''}
+                            onChange={(e) => {
+                                const preset = presets.find(item => item.id === e.target.value);
+                                if (preset) update({ systemPrompt: preset.systemPrompt });
+                            }}
+                        >
+                            <option value="" disabled>Custom</option>
+                            {presets.map(preset => <option key={preset.id} value={preset.id}>{preset.name}</option>)}
+                        </select>
+                    </div>
+                    <textarea
+                        className={`${inputClass} h-32 resize-y`}
+                        value={systemPrompt}
+                        onChange={(e) => update({ systemPrompt: e.target.value })}
+                    />
+                    <form onSubmit={handleSavePreset} className="flex space-x-2">
+                        <input
+                            type="text"
+                            className={inputClass}
+                            value={presetName}
+                            placeholder="Save this prompt as a preset..."
+                            onChange={(e) => setPresetName(e.target.value)}
+                        />
+                        <button type="submit" disabled={!presetName.trim()} className="px-3 rounded-lg bg-blue-600 hover:bg-blue-700 disabled:opacity-50">
+                            Save
+                        </button>
+                        {activePreset && !activePreset.builtin && (
+                            <button
+                                type="button"
+                                onClick={() => onChange(deletePreset(settings, activePreset.id))}
+                                className="px-3 rounded-lg bg-red-600 hover:bg-red-700"
+                                title={`Delete preset "${activePreset.name}"`}
+                            >
+                                Delete
+                            </button>
+                        )}
+                    </form>
+                </section>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => onChange({ ...DEFAULT_AI_SETTINGS, presets: settings.presets })}
+                        className="p-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                    >
+                        Reset to defaults
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AiSettingsPanel;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { attachmentUrl, formatBytes } from '../services/attachments';
+
+const KIND_LABELS = { pdf: 'PDF', text: 'TXT' };
+
+// Thumbnails for a message's attachments (see ../services/attachments.js). Clicking one
+// downloads the file. With `onRemove`, each gets a remove button (used for the attachments
+// waiting to be sent).
+const AttachmentList = ({ attachments, onRemove, className = '' }) => (
+    <div className={`flex flex-wrap gap-2 ${className}`}>
+        {attachments.map(attachment => (
+            <div key={attachment.id} className="relative group">
+                <a
+                    href={attachmentUrl(attachment)}
+                    download={attachment.name}
+                    title={`${attachment.name} (${formatBytes(attachment.size)})`}
+                    className="block rounded-lg overflow-hidden border border-gray-600 bg-gray-800 hover:border-blue-400"
+                >
+                    {attachment.kind === 'image' ? (
+                        <img src={attachmentUrl(attachment)} alt={attachment.name} className="h-20 w-20 object-cover" />
+                    ) : (
+                        <div className="h-20 w-28 p-2 flex flex-col justify-between text-xs text-gray-300">
+                            <span className="font-bold text-blue-400">{KIND_LABELS[attachment.kind]}</span>
+                            <span className="truncate">{attachment.name}</span>
+                            <span className="text-gray-500">{formatBytes(attachment.size)}</span>
+                        </div>
+                    )}
+                </a>
+                {onRemove && (
+                    <button
+                        onClick={() => onRemove(attachment.id)}
+                        className="absolute -top-2 -right-2 h-5 w-5 rounded-full bg-red-600 text-white text-xs leading-none hover:bg-red-700"
+                        title={`Remove ${attachment.name}`}
+                    >
+                        ✕
+                    </button>
+                )}
+            </div>
+        ))}
+    </div>
+);
+
+export default AttachmentList;
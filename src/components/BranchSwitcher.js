@@ -0,0 +1,27 @@
+import React from 'react';
+
+// "‹ 2 of 3 ›" for a message with alternatives. `branch` is the result of branchAt (see
+// ../services/branches.js); `onSwitch` gets the 0-based branch to show.
+const BranchSwitcher = ({ branch, onSwitch, disabled = false }) => (
+    <span className="inline-flex items-center text-xs text-gray-400" role="group" aria-label="Versions">
+        <button
+            onClick={() => onSwitch(branch.active - 1)}
+            disabled={disabled || branch.active === 0}
+            className="px-1 rounded hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Previous version"
+        >
+            ‹
+        </button>
+        <span className="px-1">{branch.active + 1} of {branch.count}</span>
+        <button
+            onClick={() => onSwitch(branch.active + 1)}
+            disabled={disabled || branch.active === branch.count - 1}
+            className="px-1 rounded hover:bg-gray-700 disabled:opacity-40 disabled:cursor-not-allowed"
+            title="Next version"
+        >
+            ›
+        </button>
+    </span>
+);
+
+export default BranchSwitcher;
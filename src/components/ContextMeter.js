@@ -0,0 +1,32 @@
+import React from 'react';
+
+const formatTokens = (count) => (count >= 1000 ? `${(count / 1000).toFixed(count >= 10000 ? 0 : 1)}k` : String(count));
+
+// How much of the context budget the next request will use. `usage` is the result of
+// buildContext (see ../services/context.js).
+const ContextMeter = ({ usage }) => {
+    const ratio = Math.min(1, usage.usedTokens / usage.budget);
+    const details = [
+        `About ${usage.usedTokens} of ${usage.budget} tokens; ${usage.messages.length} recent message(s) sent as they are.`,
+        usage.summarized > 0 && `${usage.summarized} earlier message(s) are sent as a summary.`,
+        usage.pending > 0 && `${usage.pending} older message(s) no longer fit and will be summarised after the next reply.`,
+        usage.excluded > 0 && `${usage.excluded} private or system message(s) are never sent.`,
+    ].filter(Boolean).join('\n');
+
+    return (
+        <div className="flex items-center space-x-2 text-xs text-gray-400 whitespace-nowrap" title={details} role="status">
+            <div className="w-16 h-2 rounded bg-gray-700 overflow-hidden">
+                <div
+                    className={`h-full ${ratio > 0.9 ? 'bg-red-500' : ratio > 0.7 ? 'bg-yellow-500' : 'bg-blue-500'}`}
+                    style={{ width: `${Math.round(ratio * 100)}%` }}
+                />
+            </div>
+            <span>
+                {formatTokens(usage.usedTokens)} / {formatTokens(usage.budget)}
+                {(usage.summarized > 0 || usage.pending > 0) && ' · summarised'}
+            </span>
+        </div>
+    );
+};
+
+export default ContextMeter;
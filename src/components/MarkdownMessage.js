@@ -0,0 +1,27 @@
+import React, { useMemo } from 'react';
+import 'katex/dist/katex.min.css';
+import 'highlight.js/styles/github-dark.css';
+import { renderMarkdown, COPY_CODE_ATTRIBUTE } from '../services/markdown';
+
+// Rendered markdown for A.N.Y.A.'s messages. The HTML comes from renderMarkdown, which
+// sanitises it. Copy buttons on code blocks are handled here by delegation.
+const MarkdownMessage = ({ text, onCopy, className = '' }) => {
+    const html = useMemo(() => renderMarkdown(text), [text]);
+
+    const handleClick = (e) => {
+        const button = e.target.closest(`[${COPY_CODE_ATTRIBUTE}]`);
+        if (!button) return;
+        const code = button.closest('.code-block')?.querySelector('code');
+        if (code) onCopy(code.textContent);
+    };
+
+    return (
+        <div
+            className={`markdown-body text-base ${className}`}
+            onClick={handleClick}
+            dangerouslySetInnerHTML={{ __html: html }}
+        />
+    );
+};
+
+export default MarkdownMessage;
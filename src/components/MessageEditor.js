@@ -0,0 +1,45 @@
+import React, { useState } from 'react';
+
+// Inline editor for a sent message. Saving sends the new version from that point on; the
+// old one stays as a branch (see ../services/branches.js). Enter saves, Escape cancels.
+const MessageEditor = ({ text, onSave, onCancel }) => {
+    const [draft, setDraft] = useState(text);
+    const changed = draft.trim() && draft.trim() !== text.trim();
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Enter' && !e.shiftKey) {
+            e.preventDefault();
+            if (changed) onSave(draft.trim());
+        } else if (e.key === 'Escape') {
+            onCancel();
+        }
+    };
+
+    return (
+        <div className="space-y-2">
+            <textarea
+                autoFocus
+                rows={Math.min(8, Math.max(2, draft.split('\n').length))}
+                className="w-full min-w-[16rem] p-2 rounded-lg bg-gray-700 text-gray-100 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500 resize-y"
+                aria-label="Edit message"
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                onKeyDown={handleKeyDown}
+            />
+            <div className="flex justify-end space-x-2 text-xs">
+                <button onClick={onCancel} className="px-2 py-1 rounded bg-gray-600 hover:bg-gray-500 transition-colors">
+                    Cancel
+                </button>
+                <button
+                    onClick={() => onSave(draft.trim())}
+                    disabled={!changed}
+                    className="px-2 py-1 rounded bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                    Save & send
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default MessageEditor;
@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { listTitle, normalizeListName, DEFAULT_LIST, NOTES_LIST } from '../tools/notes';
+
+// Notes and lists (see ../tools/notes.js), shown in place of the system logs. `store` is the
+// notes store; `data` its current contents. A list appears once something is added to it.
+const NotesPanel = ({ data, store, onClose }) => {
+    const [selected, setSelected] = useState(() => data.lists[0]?.name || DEFAULT_LIST);
+    const [draft, setDraft] = useState('');
+    const [newListName, setNewListName] = useState('');
+
+    const list = data.lists.find(other => other.name === selected) || { name: selected, items: [] };
+    const tabs = data.lists.some(other => other.name === selected)
+        ? data.lists
+        : [...data.lists, list];
+
+    const addItem = (e) => {
+        e.preventDefault();
+        if (!draft.trim()) return;
+        store.addItems(list.name, [draft]);
+        setDraft('');
+    };
+
+    const createList = (e) => {
+        e.preventDefault();
+        if (!newListName.trim()) return;
+        setSelected(normalizeListName(newListName));
+        setNewListName('');
+    };
+
+    const deleteList = () => {
+        if (window.confirm(`Delete your ${listTitle(list.name).toLowerCase()}? This cannot be undone.`)) {
+            store.deleteList(list.name);
+            setSelected(data.lists.find(other => other.name !== list.name)?.name || DEFAULT_LIST);
+        }
+    };
+
+    const exists = data.lists.some(other => other.name === list.name);
+    const doneCount = list.items.filter(item => item.done).length;
+
+    return (
+        <div className="w-1/4 flex flex-col p-4 bg-gray-800 border-l border-gray-700 shadow-lg overflow-hidden">
+            <div className="flex items-center justify-between mb-2">
+                <h2 className="text-lg font-semibold text-blue-400">Notes &amp; Lists</h2>
+                <button onClick={onClose} className="text-gray-400 hover:text-white" title="Back to the system logs">✕</button>
+            </div>
+
+            <div className="flex flex-wrap gap-1 mb-2">
+                {tabs.map(tab => (
+                    <button
+                        key={tab.name}
+                        onClick={() => setSelected(tab.name)}
+                        className={`px-2 py-1 rounded-md text-xs ${tab.name === list.name ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                        {listTitle(tab.name)} ({tab.items.length})
+                    </button>
+                ))}
+            </div>
+            <form onSubmit={createList} className="mb-3">
+                <input
+                    type="text"
+                    className="w-full p-1 rounded-md bg-gray-700 text-gray-100 text-xs border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="New list name, then Enter"
+                    value={newListName}
+                    onChange={(e) => setNewListName(e.target.value)}
+                />
+            </form>
+
+            <ul className="flex-1 overflow-y-auto space-y-1 pr-2 scrollbar-hide text-sm">
+                {list.items.length === 0 && <li className="text-gray-500 text-center mt-4">Nothing here yet.</li>}
+                {list.items.map((item, index) => (
+                    <li key={item.id} className="group flex items-start gap-2 p-2 rounded-lg bg-gray-700">
+                        {list.name === NOTES_LIST ? (
+                            <span className="text-gray-400 text-xs mt-0.5">{index + 1}.</span>
+                        ) : (
+                            <input
+                                type="checkbox"
+                                className="mt-1"
+                                checked={item.done}
+                                onChange={() => store.updateItem(list.name, item.id, { done: !item.done })}
+                                aria-label={`Mark "${item.text}" as ${item.done ? 'not done' : 'done'}`}
+                            />
+                        )}
+                        <span className={`flex-1 break-words ${item.done ? 'line-through text-gray-500' : 'text-gray-100'}`}>{item.text}</span>
+                        <button
+                            onClick={() => store.removeItem(list.name, item.id)}
+                            className="opacity-0 group-hover:opacity-100 text-gray-400 hover:text-red-400"
+                            title="Remove"
+                        >
+                            ✕
+                        </button>
+                    </li>
+                ))}
+            </ul>
+
+            <form onSubmit={addItem} className="mt-2 flex gap-2">
+                <input
+                    type="text"
+                    className="flex-1 p-2 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder={list.name === NOTES_LIST ? 'Write a note...' : `Add to ${listTitle(list.name).toLowerCase()}...`}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                />
+                <button type="submit" className="px-3 rounded-lg bg-blue-600 hover:bg-blue-700 text-sm">Add</button>
+            </form>
+
+            <div className="mt-2 flex items-center justify-between text-xs">
+                <button
+                    onClick={() => store.clearList(list.name, { doneOnly: true })}
+                    disabled={doneCount === 0}
+                    className={`text-gray-400 hover:text-blue-300 ${doneCount === 0 ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                    Clear done ({doneCount})
+                </button>
+                <button
+                    onClick={deleteList}
+                    disabled={!exists}
+                    className={`text-gray-400 hover:text-red-400 ${!exists ? 'opacity-50 cursor-not-allowed' : ''}`}
+                >
+                    Delete list
+                </button>
+            </div>
+            <label className="mt-3 flex items-center gap-2 text-xs text-gray-400">
+                <input
+                    type="checkbox"
+                    checked={data.useInAnswers}
+                    onChange={(e) => store.setUseInAnswers(e.target.checked)}
+                />
+                Send lists to the model when I ask about them
+            </label>
+        </div>
+    );
+};
+
+export default NotesPanel;
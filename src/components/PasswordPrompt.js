@@ -0,0 +1,64 @@
+import React, { useState } from 'react';
+
+const describeLockout = (lockedUntil) => {
+    const minutes = Math.max(1, Math.ceil((lockedUntil - Date.now()) / 60000));
+    return `Too many failed attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+};
+
+// Masked password dialog for Creator Mode. The password only lives in this component's
+// state and is cleared after every attempt; it never reaches the chat or storage.
+const PasswordPrompt = ({ title, onSubmit, onCancel }) => {
+    const [password, setPassword] = useState('');
+    const [error, setError] = useState('');
+    const [isChecking, setIsChecking] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!password || isChecking) return;
+        setIsChecking(true);
+        const result = await onSubmit(password);
+        setPassword('');
+        setIsChecking(false);
+        if (result.ok) return;
+        if (result.reason === 'locked') setError(describeLockout(result.lockedUntil));
+        else if (result.reason === 'unconfigured') setError('Creator Mode has not been configured for this build.');
+        else setError(`Incorrect password. ${result.remainingAttempts} attempt${result.remainingAttempts === 1 ? '' : 's'} left.`);
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-60" role="dialog" aria-modal="true" aria-labelledby="password-prompt-title">
+            <form onSubmit={handleSubmit} className="w-80 p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-xl space-y-3">
+                <h2 id="password-prompt-title" className="text-lg font-semibold text-purple-400">{title}</h2>
+                <input
+                    type="password"
+                    autoFocus
+                    autoComplete="current-password"
+                    className="w-full p-2 rounded-lg bg-gray-700 text-gray-100 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-purple-500"
+                    placeholder="Password"
+                    aria-label="Password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    onKeyDown={(e) => e.key === 'Escape' && onCancel()}
+                    disabled={isChecking}
+                />
+                {error && <p className="text-sm text-red-400" role="alert">{error}</p>}
+                <div className="flex justify-end space-x-2 text-sm">
+                    <button type="button" onClick={onCancel} className="p-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors">
+                        Cancel
+                    </button>
+                    <button
+                        type="submit"
+                        disabled={!password || isChecking}
+                        className={`p-2 px-3 rounded-lg bg-purple-600 hover:bg-purple-700 transition-colors
+                            ${!password || isChecking ? 'opacity-50 cursor-not-allowed' : ''}
+                        `}
+                    >
+                        {isChecking ? 'Checking…' : 'Unlock'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default PasswordPrompt;
@@ -0,0 +1,30 @@
+import React from 'react';
+import { describeFiredItem, SNOOZE_MINUTES } from '../tools/scheduler';
+
+// Reminders, timers and alarms that went off (see ../tools/scheduler.js), each with snooze
+// and dismiss buttons. They stay up until dealt with, unlike notifications.
+const ReminderAlerts = ({ alerts, onSnooze, onDismiss }) => (
+    <div className="fixed bottom-24 right-4 z-50 flex flex-col gap-2 w-80">
+        {alerts.map(({ item, late }) => (
+            <div key={item.id} role="alert" className="bg-gray-800 border border-blue-500 rounded-lg shadow-lg p-3">
+                <p className="text-sm text-gray-100">{describeFiredItem(item, { late })}</p>
+                <div className="mt-2 flex justify-end gap-2">
+                    <button
+                        onClick={() => onSnooze(item.id)}
+                        className="px-3 py-1 rounded-md text-sm bg-blue-600 hover:bg-blue-700 text-white"
+                    >
+                        Snooze {SNOOZE_MINUTES} min
+                    </button>
+                    <button
+                        onClick={() => onDismiss(item.id)}
+                        className="px-3 py-1 rounded-md text-sm bg-gray-600 hover:bg-gray-500 text-white"
+                    >
+                        Dismiss
+                    </button>
+                </div>
+            </div>
+        ))}
+    </div>
+);
+
+export default ReminderAlerts;
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const formatDate = (iso) => new Date(iso).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' });
+
+// Search or news results under a reply (see ../tools/search.js), numbered to match the
+// reply's citations. Each card opens its page in a new tab; one without a link is plain text.
+const ResultCards = ({ results, className = '' }) => (
+    <ol className={`grid gap-2 sm:grid-cols-2 ${className}`} aria-label={results.kind === 'news' ? 'News results' : 'Search results'}>
+        {results.items.map((item, index) => (
+            <li key={`${index}-${item.url}`}>
+                <a
+                    href={item.url || undefined}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="block h-full p-2 rounded-lg border border-gray-600 bg-gray-800 hover:border-blue-400"
+                >
+                    <span className="flex items-baseline gap-2">
+                        <span className="text-xs font-bold text-blue-400">[{index + 1}]</span>
+                        <span className="text-sm font-semibold text-gray-100 line-clamp-2">{item.title}</span>
+                    </span>
+                    {item.snippet && <span className="block mt-1 text-xs text-gray-400 line-clamp-3">{item.snippet}</span>}
+                    <span className="block mt-1 text-xs text-gray-500 truncate">
+                        {[item.source, item.publishedAt && formatDate(item.publishedAt)].filter(Boolean).join(' · ')}
+                    </span>
+                </a>
+            </li>
+        ))}
+    </ol>
+);
+
+export default ResultCards;
@@ -0,0 +1,75 @@
+import React, { useState } from 'react';
+import { DEFAULT_SEARCH_SETTINGS } from '../tools/search';
+
+const inputClass = 'w-full p-2 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Sources dialog: the SearXNG instance for web search, the news feed and whether results are
+// summarised by Gemini (see ../tools/search.js). Changes apply when saved, since the tools
+// are rebuilt with them. With `usesBackend`, news falls back to the backend server.
+const SearchSettingsPanel = ({ settings, onChange, onClose, usesBackend = false }) => {
+    const [draft, setDraft] = useState(settings);
+    const update = (changes) => setDraft({ ...draft, ...changes });
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        onChange({ ...draft, searxngUrl: draft.searxngUrl.trim(), newsFeedUrl: draft.newsFeedUrl.trim() });
+        onClose();
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-60" role="dialog" aria-modal="true" aria-labelledby="search-settings-title">
+            <form onSubmit={handleSave} className="w-full max-w-xl max-h-full overflow-y-auto p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-xl space-y-4 text-sm">
+                <div className="flex items-center justify-between">
+                    <h2 id="search-settings-title" className="text-lg font-semibold text-blue-400">Search &amp; News Sources</h2>
+                    <button type="button" onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Close">✕</button>
+                </div>
+
+                <label className="block">
+                    <span className="block mb-1 text-gray-300">SearXNG address (web search)</span>
+                    <input
+                        type="url"
+                        className={inputClass}
+                        value={draft.searxngUrl}
+                        placeholder="https://searx.example.org"
+                        onChange={(e) => update({ searxngUrl: e.target.value })}
+                    />
+                </label>
+                <label className="block">
+                    <span className="block mb-1 text-gray-300">News feed (RSS or Atom)</span>
+                    <input
+                        type="text"
+                        className={inputClass}
+                        value={draft.newsFeedUrl}
+                        placeholder="https://news.google.com/rss/search?q={topic}"
+                        onChange={(e) => update({ newsFeedUrl: e.target.value })}
+                    />
+                </label>
+                <p className="text-xs text-gray-400">
+                    {'{topic}'} in the feed address is replaced by what you ask about. Without a feed, news comes from
+                    SearXNG{usesBackend ? ', or else the backend server' : ''}. Both must allow requests from this page (CORS).
+                </p>
+                <label className="flex items-center gap-2 text-gray-300">
+                    <input
+                        type="checkbox"
+                        checked={draft.summarize}
+                        onChange={(e) => update({ summarize: e.target.checked })}
+                    />
+                    Have Gemini summarise the top results, with numbered citations
+                </label>
+
+                <div className="flex justify-between">
+                    <button
+                        type="button"
+                        onClick={() => setDraft(DEFAULT_SEARCH_SETTINGS)}
+                        className="p-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                    >
+                        Reset to defaults
+                    </button>
+                    <button type="submit" className="p-2 px-4 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors">Save</button>
+                </div>
+            </form>
+        </div>
+    );
+};
+
+export default SearchSettingsPanel;
@@ -0,0 +1,132 @@
+import React, { useState, useMemo } from 'react';
+import { sortSessions, searchSessions } from '../services/sessions';
+
+// Conversation list with search, shown to the left of the chat area.
+const SessionSidebar = ({ sessions, activeSessionId, disabled, onSelect, onCreate, onRename, onDelete, onTogglePin }) => {
+    const [searchQuery, setSearchQuery] = useState('');
+    const [editingId, setEditingId] = useState(null);
+    const [draftTitle, setDraftTitle] = useState('');
+
+    const orderedSessions = useMemo(() => sortSessions(sessions), [sessions]);
+    const searchResults = useMemo(() => searchSessions(sessions, searchQuery), [sessions, searchQuery]);
+
+    const startRename = (session) => {
+        setEditingId(session.id);
+        setDraftTitle(session.title);
+    };
+
+    const commitRename = () => {
+        if (editingId) onRename(editingId, draftTitle);
+        setEditingId(null);
+    };
+
+    const confirmDelete = (session) => {
+        if (window.confirm(`Delete "${session.title}"? This cannot be undone.`)) {
+            onDelete(session.id);
+        }
+    };
+
+    return (
+        <aside className="w-64 flex flex-col bg-gray-800 border-r border-gray-700 shadow-lg overflow-hidden">
+            <div className="p-3 space-y-2 border-b border-gray-700">
+                <button
+                    onClick={onCreate}
+                    disabled={disabled}
+                    className={`w-full p-2 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors duration-200 text-sm font-medium
+                        ${disabled ? 'opacity-50 cursor-not-allowed' : ''}
+                    `}
+                >
+                    + New conversation
+                </button>
+                <input
+                    type="search"
+                    className="w-full p-2 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    placeholder="Search conversations..."
+                    value={searchQuery}
+                    onChange={(e) => setSearchQuery(e.target.value)}
+                />
+            </div>
+
+            <div className="flex-1 overflow-y-auto p-2 space-y-1 scrollbar-hide text-sm">
+                {searchQuery.trim() ? (
+                    searchResults.length === 0 ? (
+                        <p className="text-gray-500 text-center mt-4">No matches.</p>
+                    ) : (
+                        searchResults.map((result, index) => (
+                            <button
+                                key={`${result.sessionId}-${result.messageIndex}-${index}`}
+                                onClick={() => onSelect(result.sessionId, result.messageIndex)}
+                                disabled={disabled}
+                                className="w-full text-left p-2 rounded-lg hover:bg-gray-700 transition-colors"
+                            >
+                                <p className="font-medium text-blue-300 truncate">{result.title}</p>
+                                {result.messageIndex !== null && (
+                                    <p className="text-xs text-gray-400 break-words">{result.snippet}</p>
+                                )}
+                            </button>
+                        ))
+                    )
+                ) : (
+                    orderedSessions.map(session => (
+                        <div
+                            key={session.id}
+                            className={`group flex items-center rounded-lg transition-colors
+                                ${session.id === activeSessionId ? 'bg-gray-700' : 'hover:bg-gray-700'}
+                            `}
+                        >
+                            {editingId === session.id ? (
+                                <input
+                                    autoFocus
+                                    className="flex-1 m-1 p-1 rounded bg-gray-900 text-gray-100 border border-gray-600 focus:outline-none"
+                                    value={draftTitle}
+                                    onChange={(e) => setDraftTitle(e.target.value)}
+                                    onBlur={commitRename}
+                                    onKeyDown={(e) => {
+                                        if (e.key === 'Enter') commitRename();
+                                        if (e.key === 'Escape') setEditingId(null);
+                                    }}
+                                />
+                            ) : (
+                                <button
+                                    onClick={() => onSelect(session.id)}
+                                    onDoubleClick={() => startRename(session)}
+                                    disabled={disabled && session.id !== activeSessionId}
+                                    className="flex-1 min-w-0 text-left p-2"
+                                    title={session.title}
+                                >
+                                    <span className="block truncate">
+                                        {session.pinned && <span className="mr-1" aria-label="Pinned">📌</span>}
+                                        {session.title}
+                                    </span>
+                                    <span className="block text-xs text-gray-500">
+                                        {new Date(session.updatedAt).toLocaleDateString()} · {session.messages.length} messages
+                                    </span>
+                                </button>
+                            )}
+                            {editingId !== session.id && (
+                                <div className="hidden group-hover:flex items-center pr-1 space-x-1 text-xs">
+                                    <button onClick={() => onTogglePin(session.id)} className="p-1 rounded hover:bg-gray-600" title={session.pinned ? 'Unpin' : 'Pin'}>
+                                        {session.pinned ? 'Unpin' : 'Pin'}
+                                    </button>
+                                    <button onClick={() => startRename(session)} className="p-1 rounded hover:bg-gray-600" title="Rename">
+                                        ✎
+                                    </button>
+                                    <button
+                                        onClick={() => confirmDelete(session)}
+                                        disabled={disabled}
+                                        className="p-1 rounded hover:bg-red-700"
+                                        title="Delete conversation"
+                                    >
+                                        ✕
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    ))
+                )}
+            </div>
+        </aside>
+    );
+};
+
+export default SessionSidebar;
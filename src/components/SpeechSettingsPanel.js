@@ -0,0 +1,187 @@
+import React, { useMemo, useState } from 'react';
+import {
+    COMMON_LANGUAGES, SETTING_RANGES, DEFAULT_SPEECH_SETTINGS,
+    languageLabel, primaryLanguage, previewText
+} from '../speech/speechSettings';
+
+const SLIDERS = [
+    ['rate', 'Rate'],
+    ['pitch', 'Pitch'],
+    ['volume', 'Volume'],
+];
+
+const selectClass = 'w-full p-2 rounded-lg bg-gray-700 text-gray-100 text-sm border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+// Lists voices grouped by language, e.g. for a <select>.
+const VoiceOptions = ({ voices }) => {
+    const groups = voices.reduce((acc, voice) => {
+        (acc[voice.lang] = acc[voice.lang] || []).push(voice);
+        return acc;
+    }, {});
+    return Object.keys(groups).sort().map(lang => (
+        <optgroup key={lang} label={languageLabel(lang)}>
+            {groups[lang].map(voice => (
+                <option key={voice.voiceURI} value={voice.voiceURI}>{voice.name}</option>
+            ))}
+        </optgroup>
+    ));
+};
+
+// Speech settings dialog: voices, rate/pitch/volume and the recognition and speech languages.
+const SpeechSettingsPanel = ({ settings, voices, onChange, onPreview, onClose }) => {
+    const [overrideLanguage, setOverrideLanguage] = useState('');
+
+    const update = (changes) => onChange({ ...settings, ...changes });
+
+    const languages = useMemo(() => (
+        [...new Set([...COMMON_LANGUAGES, ...voices.map(voice => voice.lang.replace('_', '-'))])].sort()
+    ), [voices]);
+    const voiceLanguages = useMemo(() => (
+        [...new Set(voices.map(voice => primaryLanguage(voice.lang)))].sort()
+    ), [voices]);
+    const voiceByURI = (uri) => voices.find(voice => voice.voiceURI === uri);
+
+    const setLanguageVoice = (lang, voiceURI) => {
+        const voicesByLanguage = { ...settings.voicesByLanguage };
+        if (voiceURI) voicesByLanguage[lang] = voiceURI;
+        else delete voicesByLanguage[lang];
+        update({ voicesByLanguage });
+    };
+
+    const preview = (voiceURI) => {
+        const voice = voiceByURI(voiceURI);
+        onPreview(previewText(voice ? voice.lang : settings.recognitionLang), voice || null);
+    };
+
+    return (
+        <div className="fixed inset-0 z-40 flex items-center justify-center bg-black bg-opacity-60" role="dialog" aria-modal="true" aria-labelledby="speech-settings-title">
+            <div className="w-full max-w-lg max-h-full overflow-y-auto p-5 rounded-lg bg-gray-800 border border-gray-700 shadow-xl space-y-4 text-sm">
+                <div className="flex items-center justify-between">
+                    <h2 id="speech-settings-title" className="text-lg font-semibold text-blue-400">Speech Settings</h2>
+                    <button onClick={onClose} className="p-1 rounded hover:bg-gray-700" title="Close">✕</button>
+                </div>
+
+                <section className="space-y-2">
+                    <label className="block">
+                        <span className="block mb-1 text-gray-300">Voice</span>
+                        <div className="flex space-x-2">
+                            <select
+                                className={selectClass}
+                                value={settings.voiceURI || ''}
+                                onChange={(e) => update({ voiceURI: e.target.value || null })}
+                            >
+                                <option value="">Automatic</option>
+                                <VoiceOptions voices={voices} />
+                            </select>
+                            <button
+                                onClick={() => preview(settings.voiceURI)}
+                                className="px-3 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors"
+                                title="Preview voice"
+                            >
+                                ▶
+                            </button>
+                        </div>
+                    </label>
+                    {voices.length === 0 && (
+                        <p className="text-yellow-400">No voices reported by this browser yet.</p>
+                    )}
+                </section>
+
+                <section className="space-y-2">
+                    {SLIDERS.map(([key, label]) => (
+                        <label key={key} className="flex items-center space-x-3">
+                            <span className="w-16 text-gray-300">{label}</span>
+                            <input
+                                type="range"
+                                className="flex-1"
+                                min={SETTING_RANGES[key].min}
+                                max={SETTING_RANGES[key].max}
+                                step={SETTING_RANGES[key].step}
+                                value={settings[key]}
+                                onChange={(e) => update({ [key]: Number(e.target.value) })}
+                            />
+                            <span className="w-10 text-right font-mono">{settings[key].toFixed(2)}</span>
+                        </label>
+                    ))}
+                </section>
+
+                <section className="grid grid-cols-2 gap-3">
+                    <label className="block">
+                        <span className="block mb-1 text-gray-300">I speak</span>
+                        <select
+                            className={selectClass}
+                            value={settings.recognitionLang}
+                            onChange={(e) => update({ recognitionLang: e.target.value })}
+                        >
+                            {languages.map(lang => <option key={lang} value={lang}>{languageLabel(lang)}</option>)}
+                        </select>
+                    </label>
+                    <label className="block">
+                        <span className="block mb-1 text-gray-300">A.N.Y.A. speaks</span>
+                        <select
+                            className={selectClass}
+                            value={settings.synthesisLang}
+                            onChange={(e) => update({ synthesisLang: e.target.value })}
+                        >
+                            <option value="auto">Language of each reply</option>
+                            {languages.map(lang => <option key={lang} value={lang}>{languageLabel(lang)}</option>)}
+                        </select>
+                    </label>
+                </section>
+
+                <label className="flex items-center space-x-2">
+                    <input
+                        type="checkbox"
+                        checked={settings.interruptReplies}
+                        onChange={(e) => update({ interruptReplies: e.target.checked })}
+                    />
+                    <span className="text-gray-300">New replies interrupt speech (otherwise they wait their turn)</span>
+                </label>
+
+                <section className="space-y-2">
+                    <span className="block text-gray-300">Voice for a language</span>
+                    {Object.entries(settings.voicesByLanguage).map(([lang, voiceURI]) => (
+                        <div key={lang} className="flex items-center justify-between p-2 rounded-lg bg-gray-700">
+                            <span>{languageLabel(lang)}: {voiceByURI(voiceURI)?.name || 'voice not installed'}</span>
+                            <button onClick={() => setLanguageVoice(lang, null)} className="p-1 rounded hover:bg-gray-600" title="Remove">✕</button>
+                        </div>
+                    ))}
+                    <div className="flex space-x-2">
+                        <select className={selectClass} value={overrideLanguage} onChange={(e) => setOverrideLanguage(e.target.value)}>
+                            <option value="">Language…</option>
+                            {voiceLanguages.map(lang => <option key={lang} value={lang}>{languageLabel(lang)}</option>)}
+                        </select>
+                        <select
+                            className={selectClass}
+                            value={settings.voicesByLanguage[overrideLanguage] || ''}
+                            onChange={(e) => setLanguageVoice(overrideLanguage, e.target.value || null)}
+                            disabled={!overrideLanguage}
+                        >
+                            <option value="">Automatic</option>
+                            <VoiceOptions voices={voices.filter(voice => primaryLanguage(voice.lang) === overrideLanguage)} />
+                        </select>
+                        <button
+                            onClick={() => preview(settings.voicesByLanguage[overrideLanguage])}
+                            disabled={!settings.voicesByLanguage[overrideLanguage]}
+                            className="px-3 rounded-lg bg-blue-600 hover:bg-blue-700 transition-colors disabled:opacity-50"
+                            title="Preview voice"
+                        >
+                            ▶
+                        </button>
+                    </div>
+                </section>
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={() => onChange({ ...DEFAULT_SPEECH_SETTINGS })}
+                        className="p-2 px-3 rounded-lg bg-gray-700 hover:bg-gray-600 transition-colors"
+                    >
+                        Reset to defaults
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SpeechSettingsPanel;
@@ -0,0 +1,50 @@
+import React, { useRef } from 'react';
+import { EXPORT_FORMATS } from '../services/transcript';
+
+// Export menu and import button for the current conversation, shown in the header.
+const TranscriptControls = ({ canExport, disabled, onExport, onImport }) => {
+    const fileInputRef = useRef(null);
+
+    const handleFileChange = (e) => {
+        const file = e.target.files[0];
+        // Reset so choosing the same file again still fires a change event.
+        e.target.value = '';
+        if (file) onImport(file);
+    };
+
+    return (
+        <div className="flex items-center space-x-2 text-sm">
+            <select
+                className="p-1 rounded-lg bg-gray-700 text-gray-100 border border-gray-600 focus:outline-none focus:ring-2 focus:ring-blue-500"
+                value=""
+                onChange={(e) => e.target.value && onExport(e.target.value)}
+                disabled={!canExport}
+                title="Export this conversation"
+            >
+                <option value="">Export…</option>
+                {Object.entries(EXPORT_FORMATS).map(([format, { label }]) => (
+                    <option key={format} value={format}>{label}</option>
+                ))}
+            </select>
+            <button
+                onClick={() => fileInputRef.current?.click()}
+                disabled={disabled}
+                className={`p-1 px-2 rounded-lg bg-gray-700 hover:bg-gray-600 border border-gray-600 transition-colors duration-200
+                    ${disabled ? 'opacity-50 cursor-not-allowed' : ''}
+                `}
+                title="Import a conversation exported as JSON"
+            >
+                Import
+            </button>
+            <input
+                ref={fileInputRef}
+                type="file"
+                accept="application/json,.json"
+                className="hidden"
+                onChange={handleFileChange}
+            />
+        </div>
+    );
+};
+
+export default TranscriptControls;
@@ -0,0 +1,195 @@
+// Model configuration for getAIResponse: API key, model, generation parameters, safety
+// settings, the system prompt (persona) and the context budget (see ./context.js).
+// Defaults come from REACT_APP_* variables (see .env.example); anything changed in the
+// settings screen is kept in localStorage and wins.
+
+import { DEFAULT_CONTEXT_TOKENS } from './context';
+
+export const AI_SETTINGS_KEY = 'anyaAiSettings';
+
+export const DEFAULT_MODEL = 'gemini-2.5-flash';
+// Suggestions for the model field; any model name the API accepts can be typed in.
+export const MODEL_SUGGESTIONS = ['gemini-2.5-flash', 'gemini-2.5-pro', 'gemini-2.5-flash-lite', 'gemini-2.0-flash'];
+
+export const PARAMETER_RANGES = {
+    temperature: { min: 0, max: 2, step: 0.05 },
+    topP: { min: 0, max: 1, step: 0.05 },
+    maxOutputTokens: { min: 1, max: 65536, step: 1 },
+    contextTokens: { min: 1000, max: 1000000, step: 1000 },
+};
+
+// Parameters that are counted in whole tokens.
+const TOKEN_PARAMETERS = ['maxOutputTokens', 'contextTokens'];
+
+export const SAFETY_CATEGORIES = {
+    HARM_CATEGORY_HARASSMENT: 'Harassment',
+    HARM_CATEGORY_HATE_SPEECH: 'Hate speech',
+    HARM_CATEGORY_SEXUALLY_EXPLICIT: 'Sexually explicit',
+    HARM_CATEGORY_DANGEROUS_CONTENT: 'Dangerous content',
+};
+
+// 'DEFAULT' leaves the category out of the request, so the API default applies.
+export const SAFETY_THRESHOLDS = {
+    DEFAULT: 'API default',
+    BLOCK_NONE: 'Block none',
+    BLOCK_ONLY_HIGH: 'Block few',
+    BLOCK_MEDIUM_AND_ABOVE: 'Block some',
+    BLOCK_LOW_AND_ABOVE: 'Block most',
+};
+
+export const DEFAULT_SYSTEM_PROMPT = [
+    'You are A.N.Y.A., a friendly and quick-witted personal assistant.',
+    'Keep answers short and conversational, since they are often read aloud.',
+    'Use markdown (lists, tables, code blocks) only when it makes the answer clearer.',
+].join(' ');
+
+// Presets shipped with the app; user presets are stored with the settings.
+export const BUILTIN_PRESETS = [
+    { id: 'anya', name: 'A.N.Y.A. (default)', systemPrompt: DEFAULT_SYSTEM_PROMPT, builtin: true },
+    {
+        id: 'concise',
+        name: 'Concise',
+        systemPrompt: 'You are A.N.Y.A. Answer in as few words as possible. No preamble, no follow-up questions.',
+        builtin: true,
+    },
+    {
+        id: 'tutor',
+        name: 'Patient tutor',
+        systemPrompt: 'You are A.N.Y.A., a patient tutor. Explain step by step, check understanding with a short question, and use examples.',
+        builtin: true,
+    },
+];
+
+const env = process.env;
+
+const parseNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : null;
+};
+
+const clampParameter = (value, name) => {
+    const number = parseNumber(value);
+    if (number === null) return null;
+    const { min, max } = PARAMETER_RANGES[name];
+    const clamped = Math.min(max, Math.max(min, number));
+    return TOKEN_PARAMETERS.includes(name) ? Math.round(clamped) : clamped;
+};
+
+// Built-in configuration from the environment. Generation parameters left unset (null) are
+// not sent, so the model's own defaults apply.
+export const ENV_AI_CONFIG = {
+    apiKey: env.REACT_APP_GEMINI_API_KEY || '',
+    model: env.REACT_APP_GEMINI_MODEL || DEFAULT_MODEL,
+    temperature: clampParameter(env.REACT_APP_GEMINI_TEMPERATURE, 'temperature'),
+    topP: clampParameter(env.REACT_APP_GEMINI_TOP_P, 'topP'),
+    maxOutputTokens: clampParameter(env.REACT_APP_GEMINI_MAX_OUTPUT_TOKENS, 'maxOutputTokens'),
+    systemPrompt: env.REACT_APP_SYSTEM_PROMPT || DEFAULT_SYSTEM_PROMPT,
+    // Estimated tokens of conversation sent with each request.
+    contextTokens: clampParameter(env.REACT_APP_CONTEXT_TOKENS, 'contextTokens') ?? DEFAULT_CONTEXT_TOKENS,
+};
+
+// --- Persistence ---
+// Stored settings only hold what the user changed: a missing or null value falls back to
+// ENV_AI_CONFIG.
+
+const OVERRIDABLE = ['apiKey', 'model', 'temperature', 'topP', 'maxOutputTokens', 'systemPrompt', 'contextTokens'];
+
+export const DEFAULT_AI_SETTINGS = {
+    apiKey: null,
+    model: null,
+    temperature: null,
+    topP: null,
+    maxOutputTokens: null,
+    systemPrompt: null,
+    contextTokens: null,
+    safety: {}, // category -> threshold
+    presets: [], // { id, name, systemPrompt }
+};
+
+export const normalizeAiSettings = (saved = {}) => {
+    const text = (value) => (typeof value === 'string' ? value : null);
+    const safety = saved.safety && typeof saved.safety === 'object' ? saved.safety : {};
+    return {
+        apiKey: text(saved.apiKey),
+        model: text(saved.model) && saved.model.trim() ? saved.model.trim() : null,
+        temperature: clampParameter(saved.temperature, 'temperature'),
+        topP: clampParameter(saved.topP, 'topP'),
+        maxOutputTokens: clampParameter(saved.maxOutputTokens, 'maxOutputTokens'),
+        systemPrompt: text(saved.systemPrompt),
+        contextTokens: clampParameter(saved.contextTokens, 'contextTokens'),
+        safety: Object.fromEntries(Object.entries(safety).filter(([category, threshold]) => (
+            category in SAFETY_CATEGORIES && threshold in SAFETY_THRESHOLDS && threshold !== 'DEFAULT'
+        ))),
+        presets: Array.isArray(saved.presets)
+            ? saved.presets.filter(preset => preset && typeof preset.id === 'string' && typeof preset.name === 'string' && typeof preset.systemPrompt === 'string')
+            : [],
+    };
+};
+
+export const loadAiSettings = (storage = window.localStorage) => {
+    try {
+        return normalizeAiSettings(JSON.parse(storage.getItem(AI_SETTINGS_KEY)) || {});
+    } catch (error) {
+        return { ...DEFAULT_AI_SETTINGS };
+    }
+};
+
+export const saveAiSettings = (settings, storage = window.localStorage) => {
+    storage.setItem(AI_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// The configuration actually used: stored overrides on top of the environment defaults.
+// Numbers are clamped here rather than while the user is still typing them.
+export const resolveAiConfig = (settings, envConfig = ENV_AI_CONFIG) => {
+    const config = Object.fromEntries(OVERRIDABLE.map(name => [name, settings[name] ?? envConfig[name]]));
+    Object.keys(PARAMETER_RANGES).forEach(name => {
+        config[name] = clampParameter(config[name], name);
+    });
+    config.contextTokens = config.contextTokens ?? DEFAULT_CONTEXT_TOKENS;
+    return { ...config, safety: settings.safety };
+};
+
+// Request fields for runToolConversation's basePayload. Unset values are left out.
+export const buildRequestOptions = (config) => {
+    const options = {};
+    if (config.systemPrompt && config.systemPrompt.trim()) {
+        options.systemInstruction = { parts: [{ text: config.systemPrompt.trim() }] };
+    }
+
+    const generationConfig = Object.fromEntries(
+        ['temperature', 'topP', 'maxOutputTokens']
+            .filter(name => config[name] !== null && config[name] !== undefined)
+            .map(name => [name, config[name]])
+    );
+    if (Object.keys(generationConfig).length > 0) options.generationConfig = generationConfig;
+
+    const safetySettings = Object.entries(config.safety || {})
+        .filter(([, threshold]) => threshold && threshold !== 'DEFAULT')
+        .map(([category, threshold]) => ({ category, threshold }));
+    if (safetySettings.length > 0) options.safetySettings = safetySettings;
+
+    return options;
+};
+
+// --- Presets ---
+
+export const listPresets = (settings) => [...BUILTIN_PRESETS, ...settings.presets];
+
+// Saves the prompt under `name`, replacing a user preset of the same name.
+export const savePreset = (settings, name, systemPrompt, createId = () => `preset-${Date.now()}`) => {
+    const trimmed = name.trim();
+    const existing = settings.presets.find(preset => preset.name.toLowerCase() === trimmed.toLowerCase());
+    const preset = { id: existing ? existing.id : createId(), name: trimmed, systemPrompt };
+    return {
+        ...settings,
+        presets: existing
+            ? settings.presets.map(item => (item.id === existing.id ? preset : item))
+            : [...settings.presets, preset],
+    };
+};
+
+export const deletePreset = (settings, id) => ({
+    ...settings,
+    presets: settings.presets.filter(preset => preset.id !== id),
+});
@@ -0,0 +1,83 @@
+import {
+    resolveAiConfig, buildRequestOptions, normalizeAiSettings, loadAiSettings, saveAiSettings,
+    savePreset, deletePreset, listPresets, DEFAULT_AI_SETTINGS, BUILTIN_PRESETS, AI_SETTINGS_KEY
+} from './aiConfig';
+
+const ENV = {
+    apiKey: 'env-key',
+    model: 'gemini-env',
+    temperature: 0.7,
+    topP: null,
+    maxOutputTokens: null,
+    systemPrompt: 'Env persona.',
+    contextTokens: 8000,
+};
+
+describe('resolveAiConfig', () => {
+    test('uses the environment unless the user overrode a value', () => {
+        expect(resolveAiConfig(DEFAULT_AI_SETTINGS, ENV)).toEqual({ ...ENV, safety: {} });
+
+        const settings = { ...DEFAULT_AI_SETTINGS, model: 'gemini-user', topP: 0.9, systemPrompt: '' };
+        expect(resolveAiConfig(settings, ENV)).toMatchObject({
+            apiKey: 'env-key', model: 'gemini-user', temperature: 0.7, topP: 0.9, systemPrompt: '',
+        });
+    });
+
+    test('clamps parameters typed out of range', () => {
+        const settings = { ...DEFAULT_AI_SETTINGS, temperature: 5, maxOutputTokens: 10.6, contextTokens: 10 };
+        expect(resolveAiConfig(settings, ENV)).toMatchObject({ temperature: 2, maxOutputTokens: 11, contextTokens: 1000 });
+    });
+});
+
+describe('buildRequestOptions', () => {
+    test('sends the persona, set parameters and non-default safety settings', () => {
+        const options = buildRequestOptions({
+            ...ENV,
+            maxOutputTokens: 512,
+            safety: { HARM_CATEGORY_HARASSMENT: 'BLOCK_ONLY_HIGH', HARM_CATEGORY_HATE_SPEECH: 'DEFAULT' },
+        });
+        expect(options).toEqual({
+            systemInstruction: { parts: [{ text: 'Env persona.' }] },
+            generationConfig: { temperature: 0.7, maxOutputTokens: 512 },
+            safetySettings: [{ category: 'HARM_CATEGORY_HARASSMENT', threshold: 'BLOCK_ONLY_HIGH' }],
+        });
+    });
+
+    test('leaves everything out when nothing is set', () => {
+        expect(buildRequestOptions({ systemPrompt: '  ', temperature: null, topP: null, maxOutputTokens: null, safety: {} }))
+            .toEqual({});
+    });
+});
+
+describe('persistence', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('round-trips settings and drops invalid values', () => {
+        const settings = { ...DEFAULT_AI_SETTINGS, model: 'gemini-2.5-pro', temperature: 0.2, safety: { HARM_CATEGORY_HARASSMENT: 'BLOCK_NONE' } };
+        saveAiSettings(settings);
+        expect(loadAiSettings()).toEqual(settings);
+
+        expect(normalizeAiSettings({
+            model: '  ',
+            topP: 'high',
+            safety: { HARM_CATEGORY_HARASSMENT: 'BLOCK_EVERYTHING', NOT_A_CATEGORY: 'BLOCK_NONE' },
+            presets: [{ id: 'p1', name: 'Pirate', systemPrompt: 'Arr.' }, { name: 'broken' }],
+        })).toEqual({ ...DEFAULT_AI_SETTINGS, presets: [{ id: 'p1', name: 'Pirate', systemPrompt: 'Arr.' }] });
+
+        localStorage.setItem(AI_SETTINGS_KEY, 'not json');
+        expect(loadAiSettings()).toEqual(DEFAULT_AI_SETTINGS);
+    });
+});
+
+describe('presets', () => {
+    test('saves, replaces by name and deletes user presets', () => {
+        let ids = 0;
+        const createId = () => `p${++ids}`;
+        let settings = savePreset(DEFAULT_AI_SETTINGS, ' Pirate ', 'Talk like a pirate.', createId);
+        settings = savePreset(settings, 'pirate', 'Talk like a polite pirate.', createId);
+        expect(settings.presets).toEqual([{ id: 'p1', name: 'pirate', systemPrompt: 'Talk like a polite pirate.' }]);
+        expect(listPresets(settings)).toHaveLength(BUILTIN_PRESETS.length + 1);
+
+        expect(deletePreset(settings, 'p1').presets).toEqual([]);
+    });
+});
@@ -0,0 +1,169 @@
+// Files attached to a message: images, PDFs and text files.
+// An attachment is { id, name, kind, mimeType, size, data } where `data` is the base64
+// content and `kind` is 'image', 'pdf' or 'text'. Attachments are stored on the message
+// (`msg.attachments`) and sent to Gemini as inlineData parts. Images are downscaled in the
+// browser before they are attached, so photos straight off a phone stay small.
+
+const MB = 1024 * 1024;
+
+export const ATTACHMENT_LIMITS = {
+    maxFiles: 5,
+    // Per file, after downscaling.
+    maxFileBytes: 10 * MB,
+    // All attachments of one message, and of the turns sent along with it (see ./context.js);
+    // Gemini accepts inline requests of up to 20 MB, and base64 adds a third.
+    maxTotalBytes: 14 * MB,
+    // Longest side of an image, in pixels.
+    maxImageDimension: 1536,
+};
+
+// MIME types Gemini accepts inline, by kind.
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif'];
+const TEXT_TYPES = ['text/plain', 'text/markdown', 'text/csv', 'text/html', 'text/css', 'text/xml', 'text/javascript'];
+
+// Browsers often leave `type` empty for text files, so the extension decides then.
+const TEXT_EXTENSIONS = {
+    txt: 'text/plain', md: 'text/markdown', markdown: 'text/markdown', csv: 'text/csv', html: 'text/html',
+    htm: 'text/html', css: 'text/css', xml: 'text/xml', js: 'text/javascript', json: 'text/plain',
+    log: 'text/plain', py: 'text/plain', java: 'text/plain', ts: 'text/plain', yaml: 'text/plain', yml: 'text/plain',
+};
+
+// For the file picker.
+export const ACCEPTED_FILE_TYPES = ['image/*', 'application/pdf', ...TEXT_TYPES, ...Object.keys(TEXT_EXTENSIONS).map(ext => `.${ext}`)].join(',');
+
+// Rough token cost, for the context budget: Gemini counts 258 tokens per image and per PDF page.
+const TOKENS_PER_IMAGE = 258;
+const ESTIMATED_PDF_PAGE_BYTES = 100 * 1024;
+
+export class AttachmentError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AttachmentError';
+    }
+}
+
+const extensionOf = (name) => (name.includes('.') ? name.split('.').pop().toLowerCase() : '');
+
+// Returns { kind, mimeType } for a File, or null when it can't be attached.
+export const classifyFile = (file) => {
+    const type = (file.type || '').toLowerCase();
+    if (type.startsWith('image/')) return { kind: 'image', mimeType: type };
+    if (type === 'application/pdf' || (!type && extensionOf(file.name) === 'pdf')) return { kind: 'pdf', mimeType: 'application/pdf' };
+    if (TEXT_TYPES.includes(type)) return { kind: 'text', mimeType: type };
+    const textType = TEXT_EXTENSIONS[extensionOf(file.name)];
+    if (textType && (!type || type.startsWith('text/') || type === 'application/json')) return { kind: 'text', mimeType: textType };
+    return null;
+};
+
+export const formatBytes = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < MB) return `${Math.round(bytes / 1024)} KB`;
+    return `${(bytes / MB).toFixed(1)} MB`;
+};
+
+export const blobToBase64 = (blob) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).replace(/^data:[^,]*,/, ''));
+    reader.onerror = () => reject(reader.error || new Error('The file could not be read.'));
+    reader.readAsDataURL(blob);
+});
+
+// Redraws an image on a canvas so its longest side is at most `maxDimension`. Formats
+// Gemini doesn't take (GIF, BMP, SVG...) are converted even when they are small enough.
+// Resolves to { blob, mimeType, width, height }.
+export const downscaleImage = async (file, mimeType, maxDimension) => {
+    const url = URL.createObjectURL(file);
+    try {
+        const image = await new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new AttachmentError(`"${file.name}" is not an image this browser can open.`));
+            img.src = url;
+        });
+        const scale = Math.min(1, maxDimension / Math.max(image.naturalWidth, image.naturalHeight));
+        const width = Math.max(1, Math.round(image.naturalWidth * scale));
+        const height = Math.max(1, Math.round(image.naturalHeight * scale));
+        if (scale === 1 && IMAGE_TYPES.includes(mimeType)) return { blob: file, mimeType, width, height };
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(image, 0, 0, width, height);
+        // PNG keeps transparency; everything else becomes JPEG.
+        const outputType = mimeType === 'image/png' ? 'image/png' : 'image/jpeg';
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, outputType, 0.85));
+        if (!blob) throw new AttachmentError(`"${file.name}" could not be resized.`);
+        return { blob, mimeType: outputType, width, height };
+    } finally {
+        URL.revokeObjectURL(url);
+    }
+};
+
+const defaultCreateId = () => `att-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Reads a File into an attachment, checking it against `limits` and the attachments
+// already on the message. Throws AttachmentError with a message for the user.
+export const prepareAttachment = async (file, existing = [], {
+    limits = ATTACHMENT_LIMITS,
+    resizeImage = downscaleImage,
+    readBase64 = blobToBase64,
+    createId = defaultCreateId,
+} = {}) => {
+    const type = classifyFile(file);
+    if (!type) throw new AttachmentError(`"${file.name}" can't be attached. Images, PDFs and text files are supported.`);
+    if (existing.length >= limits.maxFiles) throw new AttachmentError(`A message can have at most ${limits.maxFiles} attachments.`);
+
+    let blob = file;
+    let { mimeType } = type;
+    let dimensions = {};
+    if (type.kind === 'image') {
+        const resized = await resizeImage(file, mimeType, limits.maxImageDimension);
+        ({ blob, mimeType } = resized);
+        dimensions = { width: resized.width, height: resized.height };
+    }
+
+    if (blob.size > limits.maxFileBytes) {
+        throw new AttachmentError(`"${file.name}" is ${formatBytes(blob.size)}; files can be at most ${formatBytes(limits.maxFileBytes)}.`);
+    }
+    const total = existing.reduce((sum, attachment) => sum + attachment.size, 0) + blob.size;
+    if (total > limits.maxTotalBytes) {
+        throw new AttachmentError(`Attachments on one message can add up to at most ${formatBytes(limits.maxTotalBytes)}.`);
+    }
+
+    return {
+        id: createId(),
+        name: file.name || `pasted-${type.kind}`,
+        kind: type.kind,
+        mimeType,
+        size: blob.size,
+        data: await readBase64(blob),
+        ...dimensions,
+    };
+};
+
+export const attachmentUrl = (attachment) => `data:${attachment.mimeType};base64,${attachment.data}`;
+
+export const toInlineDataPart = (attachment) => ({
+    inlineData: { mimeType: attachment.mimeType, data: attachment.data },
+});
+
+// Gemini content parts for a message: its attachments, then its text.
+export const messageParts = (msg, text = msg.text) => [
+    ...(msg.attachments || []).map(toInlineDataPart),
+    ...(text || !msg.attachments?.length ? [{ text }] : []),
+];
+
+export const estimateAttachmentTokens = (attachment) => {
+    if (attachment.kind === 'image') return TOKENS_PER_IMAGE;
+    if (attachment.kind === 'pdf') return TOKENS_PER_IMAGE * Math.max(1, Math.ceil(attachment.size / ESTIMATED_PDF_PAGE_BYTES));
+    return Math.ceil(attachment.size / 4);
+};
+
+export const isValidAttachment = (attachment) => Boolean(
+    attachment && typeof attachment === 'object'
+    && typeof attachment.name === 'string'
+    && ['image', 'pdf', 'text'].includes(attachment.kind)
+    && typeof attachment.mimeType === 'string'
+    && typeof attachment.data === 'string'
+    && Number.isFinite(attachment.size)
+);
@@ -0,0 +1,79 @@
+import {
+    classifyFile, prepareAttachment, messageParts, estimateAttachmentTokens, formatBytes,
+    AttachmentError, ATTACHMENT_LIMITS
+} from './attachments';
+import { buildContext } from './context';
+import { exportConversation, parseTranscript } from './transcript';
+import { createSession } from './sessions';
+
+const file = (name, type, content = 'hello') => new File([content], name, { type });
+
+const options = (overrides = {}) => ({
+    createId: () => 'att-1',
+    resizeImage: jest.fn(async (original, mimeType) => ({
+        blob: new Blob(['small'], { type: 'image/jpeg' }), mimeType: 'image/jpeg', width: 640, height: 480,
+    })),
+    ...overrides,
+});
+
+test('classifies files by MIME type, falling back to the extension', () => {
+    expect(classifyFile(file('cat.png', 'image/png'))).toEqual({ kind: 'image', mimeType: 'image/png' });
+    expect(classifyFile(file('paper.pdf', ''))).toEqual({ kind: 'pdf', mimeType: 'application/pdf' });
+    expect(classifyFile(file('notes.md', ''))).toEqual({ kind: 'text', mimeType: 'text/markdown' });
+    expect(classifyFile(file('data.json', 'application/json'))).toEqual({ kind: 'text', mimeType: 'text/plain' });
+    expect(classifyFile(file('app.exe', 'application/x-msdownload'))).toBeNull();
+});
+
+test('reads text files as base64', async () => {
+    const attachment = await prepareAttachment(file('notes.txt', 'text/plain', 'hello'), [], options());
+    expect(attachment).toEqual({ id: 'att-1', name: 'notes.txt', kind: 'text', mimeType: 'text/plain', size: 5, data: 'aGVsbG8=' });
+});
+
+test('downscales images before attaching them', async () => {
+    const opts = options();
+    const attachment = await prepareAttachment(file('photo.heic', 'image/heic', 'x'.repeat(5000)), [], opts);
+    expect(opts.resizeImage).toHaveBeenCalledWith(expect.any(File), 'image/heic', ATTACHMENT_LIMITS.maxImageDimension);
+    expect(attachment).toMatchObject({ kind: 'image', mimeType: 'image/jpeg', size: 5, width: 640, height: 480 });
+});
+
+test('enforces type, count and size limits', async () => {
+    const limits = { ...ATTACHMENT_LIMITS, maxFiles: 2, maxFileBytes: 10, maxTotalBytes: 12 };
+    const existing = [{ size: 8 }];
+
+    await expect(prepareAttachment(file('app.exe', 'application/x-msdownload'), [], options())).rejects.toThrow(AttachmentError);
+    await expect(prepareAttachment(file('big.txt', 'text/plain', 'x'.repeat(11)), [], options({ limits })))
+        .rejects.toThrow('"big.txt" is 11 B; files can be at most 10 B.');
+    await expect(prepareAttachment(file('more.txt', 'text/plain', 'x'.repeat(5)), existing, options({ limits })))
+        .rejects.toThrow(/add up to at most 12 B/);
+    await expect(prepareAttachment(file('third.txt', 'text/plain'), [{ size: 1 }, { size: 1 }], options({ limits })))
+        .rejects.toThrow(/at most 2 attachments/);
+});
+
+test('sends attachments as inlineData parts before the text', () => {
+    const attachment = { id: 'a', name: 'cat.png', kind: 'image', mimeType: 'image/png', size: 3, data: 'AAA' };
+    expect(messageParts({ sender: 'user', text: 'What is this?', attachments: [attachment] })).toEqual([
+        { inlineData: { mimeType: 'image/png', data: 'AAA' } },
+        { text: 'What is this?' },
+    ]);
+    expect(messageParts({ sender: 'user', text: '', attachments: [attachment] })).toHaveLength(1);
+    expect(messageParts({ sender: 'anya', text: 'Hi' })).toEqual([{ text: 'Hi' }]);
+});
+
+test('counts attachments against the context budget', () => {
+    expect(estimateAttachmentTokens({ kind: 'image', size: 2e6 })).toBe(258);
+    expect(estimateAttachmentTokens({ kind: 'pdf', size: 250 * 1024 })).toBe(258 * 3);
+    const messages = [{ sender: 'user', text: '', attachments: [{ kind: 'image', size: 10 }] }];
+    expect(buildContext(messages).usedTokens).toBe(262);
+    expect(formatBytes(1536)).toBe('2 KB');
+});
+
+test('attachments survive a JSON transcript round trip', () => {
+    const attachment = { id: 'a', name: 'cat.png', kind: 'image', mimeType: 'image/png', size: 3, data: 'AAA' };
+    const session = createSession([{ sender: 'user', text: 'Look', localTimestamp: '2025-01-01T00:00:00.000Z', attachments: [attachment] }]);
+
+    expect(parseTranscript(exportConversation(session, 'json').content).messages[0].attachments).toEqual([attachment]);
+    expect(exportConversation(session, 'markdown').content).toMatch(/_attached: cat\.png_/);
+
+    const broken = JSON.stringify([{ sender: 'user', text: 'x', localTimestamp: '2025-01-01T00:00:00.000Z', attachments: [{ name: 1 }] }]);
+    expect(() => parseTranscript(broken)).toThrow(/invalid attachment/);
+});
@@ -0,0 +1,56 @@
+// Client for the A.N.Y.A. backend server (see server/). When REACT_APP_BACKEND_URL is set,
+// Gemini requests go through the server's proxy, which holds the API key, and the
+// translation, news and search tools use its endpoints. Without it the app talks to Gemini directly.
+
+export const BACKEND_URL = (process.env.REACT_APP_BACKEND_URL || '').replace(/\/+$/, '');
+
+export class BackendError extends Error {
+    constructor(message, status) {
+        super(message);
+        this.name = 'BackendError';
+        this.status = status;
+    }
+}
+
+const defaultFetch = (...args) => fetch(...args);
+
+// Returns null when no backend is configured.
+export const createBackendClient = ({ baseUrl = BACKEND_URL, fetchImpl = defaultFetch } = {}) => {
+    if (!baseUrl) return null;
+    const root = baseUrl.replace(/\/+$/, '');
+
+    const request = async (path, options = {}) => {
+        let response;
+        try {
+            response = await fetchImpl(`${root}${path}`, options);
+        } catch (error) {
+            throw new BackendError(`Could not reach the backend server: ${error.message}`, 0);
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new BackendError(data.error || `Backend request failed with status: ${response.status}`, response.status);
+        }
+        return data;
+    };
+
+    // Resolves to { translatedText, detectedLanguage }.
+    const translate = (text, target, source = 'auto') => request('/tools/translate', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text, target, source }),
+    });
+
+    // Resolves to { articles: [{ title, source, url, publishedAt }] }.
+    const news = (topic) => {
+        const query = topic ? `?topic=${encodeURIComponent(topic)}` : '';
+        return request(`/tools/news${query}`);
+    };
+
+    // Resolves to { body }, the text at `url` fetched by the server (for hosts it allows).
+    const source = (url) => request(`/tools/source?url=${encodeURIComponent(url)}`);
+
+    // Resolves once the server answers its health check.
+    const health = ({ signal } = {}) => request('/health', { signal });
+
+    return { geminiBaseUrl: `${root}/gemini`, translate, news, source, health };
+};
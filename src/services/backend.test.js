@@ -0,0 +1,67 @@
+import { BackendError, createBackendClient } from './backend';
+import { createBuiltinTools } from '../tools/builtinTools';
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 400, status, json: async () => data });
+
+const toolHandler = (tools, name) => tools.find(tool => tool.name === name).handler;
+
+test('returns null when no backend is configured', () => {
+    expect(createBackendClient({ baseUrl: '' })).toBeNull();
+});
+
+test('calls the tool endpoints under the base URL', async () => {
+    const fetchImpl = jest.fn()
+        .mockResolvedValueOnce(jsonResponse({ translatedText: 'hola', detectedLanguage: 'en' }))
+        .mockResolvedValueOnce(jsonResponse({ articles: [] }));
+    const backend = createBackendClient({ baseUrl: 'http://localhost:8787/api/', fetchImpl });
+
+    expect(backend.geminiBaseUrl).toBe('http://localhost:8787/api/gemini');
+    await expect(backend.translate('hello', 'es')).resolves.toEqual({ translatedText: 'hola', detectedLanguage: 'en' });
+    const [url, options] = fetchImpl.mock.calls[0];
+    expect(url).toBe('http://localhost:8787/api/tools/translate');
+    expect(JSON.parse(options.body)).toEqual({ text: 'hello', target: 'es', source: 'auto' });
+
+    await backend.news('space travel');
+    expect(fetchImpl.mock.calls[1][0]).toBe('http://localhost:8787/api/tools/news?topic=space%20travel');
+
+    fetchImpl.mockResolvedValueOnce(jsonResponse({ body: '<rss/>' }));
+    await expect(backend.source('https://news.example/rss?q=a b')).resolves.toEqual({ body: '<rss/>' });
+    expect(fetchImpl.mock.calls[2][0]).toBe('http://localhost:8787/api/tools/source?url=https%3A%2F%2Fnews.example%2Frss%3Fq%3Da%20b');
+});
+
+test('surfaces server errors as BackendError', async () => {
+    const fetchImpl = jest.fn()
+        .mockResolvedValueOnce(jsonResponse({ error: 'Too many requests. Try again in 12s.' }, 429))
+        .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+    const backend = createBackendClient({ baseUrl: '/api', fetchImpl });
+
+    const limited = backend.news();
+    await expect(limited).rejects.toBeInstanceOf(BackendError);
+    await expect(limited).rejects.toMatchObject({ status: 429, message: 'Too many requests. Try again in 12s.' });
+    await expect(backend.news()).rejects.toThrow(/Could not reach the backend server/);
+});
+
+test('translation and news tools answer from the backend', async () => {
+    const backend = {
+        translate: jest.fn().mockResolvedValue({ translatedText: 'bonjour' }),
+        news: jest.fn().mockResolvedValue({ articles: [{ title: 'Rocket launch', source: 'Space Daily' }] }),
+    };
+    const tools = createBuiltinTools({ backend });
+
+    await expect(toolHandler(tools, 'performTranslation')({ text: 'hello', targetLang: 'fr' }))
+        .resolves.toEqual({ text: '🌍 In French: "bonjour"', speech: { text: 'bonjour', lang: 'fr' } });
+    const headlines = await toolHandler(tools, 'getNewsHeadlines')({ topic: 'space' });
+    expect(headlines).toMatchObject({
+        text: '📰 Latest headlines about space:\n1. Rocket launch (Space Daily)',
+        results: { kind: 'news', query: 'space', items: [{ title: 'Rocket launch', source: 'Space Daily' }] },
+    });
+});
+
+test('tools report backend failures instead of throwing', async () => {
+    const backend = { news: jest.fn().mockRejectedValue(new BackendError('No news API key is configured on the server.', 503)) };
+    const log = jest.fn();
+    const tools = createBuiltinTools({ backend, log });
+
+    await expect(toolHandler(tools, 'getNewsHeadlines')({})).resolves.toMatch(/No news API key/);
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/News error/), 'error');
+});
@@ -0,0 +1,150 @@
+// Branches of a conversation: edited messages and regenerated replies keep what they
+// replaced as alternatives that can be switched back to.
+// A session's `messages` are the branch on screen; every other branch is kept in
+// `session.branches`, keyed by the id of the message it follows (ROOT for alternatives to
+// the first message): { [key]: { tails, active } }. `tails` are the
+// alternative continuations after that message, each a list of messages that may fork again
+// further down; the one on screen is null, at `active`. The helpers take and return a
+// thread, { messages, branches }, and are pure.
+
+import { MESSAGE_STATUS, setMessageStatus } from './offlineQueue';
+
+export const ROOT = 'root';
+
+const keyBefore = (messages, index) => (index === 0 ? ROOT : messages[index - 1].id);
+
+const withoutKey = (branches, key) => {
+    const { [key]: removed, ...rest } = branches;
+    return rest;
+};
+
+// Where the branches after `key` start in `messages`, or -1 when they aren't on screen.
+const forkIndex = (messages, key) => (key === ROOT ? 0 : messages.findIndex(msg => msg.id === key) + 1 || -1);
+
+// The branch switcher for the message at `index`: { key, active, count } when it starts one
+// of several branches, else null.
+export const branchAt = ({ messages, branches = {} }, index) => {
+    const key = keyBefore(messages, index);
+    const fork = branches[key];
+    return fork && fork.tails.length > 1 ? { key, active: fork.active, count: fork.tails.length } : null;
+};
+
+// Replaces everything from `index` on with `tail`, keeping what was there as a branch.
+const fork = ({ messages, branches = {} }, index, tail) => {
+    const key = keyBefore(messages, index);
+    const { tails, active } = branches[key] || { tails: [null], active: 0 };
+    const kept = tails.map((other, i) => (i === active ? messages.slice(index) : other));
+    return {
+        messages: [...messages.slice(0, index), ...tail],
+        branches: { ...branches, [key]: { tails: [...kept, null], active: kept.length } },
+    };
+};
+
+// A new version of the user message at `index`, with the id `id`, queued to be sent in
+// place of it and everything after it.
+export const editMessage = (thread, index, text, id, now = new Date().toISOString()) => {
+    const original = thread.messages[index];
+    return fork(thread, index, [{
+        id,
+        sender: 'user',
+        text,
+        localTimestamp: now,
+        ...(original.attachments && { attachments: original.attachments }),
+        status: MESSAGE_STATUS.PENDING,
+    }]);
+};
+
+// Queues the user message before the reply at `index` again; the new reply starts a branch.
+export const regenerateReply = (thread, index) => {
+    const question = thread.messages[index - 1];
+    if (question?.sender !== 'user') return thread;
+    const forked = fork(thread, index, []);
+    return { ...forked, messages: setMessageStatus(forked.messages, question.id, MESSAGE_STATUS.PENDING) };
+};
+
+// Shows branch `target` (0-based) of the fork after `key`.
+export const switchBranch = ({ messages, branches = {} }, key, target) => {
+    const start = forkIndex(messages, key);
+    const branch = branches[key];
+    if (start === -1 || !branch || target === branch.active || !branch.tails[target]) return { messages, branches };
+    const tails = branch.tails.map((tail, i) => {
+        if (i === branch.active) return messages.slice(start);
+        return i === target ? null : tail;
+    });
+    return {
+        messages: [...messages.slice(0, start), ...branch.tails[target]],
+        branches: { ...branches, [key]: { tails, active: target } },
+    };
+};
+
+// Moves the branches after message `from` to `to`, as alternatives to those already there.
+const moveForks = (branches, from, to) => {
+    const moved = branches[from];
+    if (!moved) return branches;
+    const rest = withoutKey(branches, from);
+    const target = rest[to];
+    if (!target) return { ...rest, [to]: moved };
+    const others = moved.tails.filter((tail, i) => i !== moved.active);
+    return { ...rest, [to]: { tails: [...target.tails, ...others], active: target.active } };
+};
+
+// Deletes one message. The branches after it now follow the message before it, and a
+// branch left empty goes, with the one before it shown instead.
+export const deleteMessage = ({ messages, branches: saved = {} }, index) => {
+    const key = keyBefore(messages, index);
+    const branches = moveForks(saved, messages[index].id, key);
+    const remaining = [...messages.slice(0, index), ...messages.slice(index + 1)];
+    const branch = branches[key];
+    if (!branch || index < messages.length - 1) {
+        return { messages: remaining, branches };
+    }
+    const tails = branch.tails.filter((tail, i) => i !== branch.active);
+    const active = Math.max(0, branch.active - 1);
+    const thread = {
+        messages: [...remaining, ...tails[active]],
+        branches: { ...branches, [key]: { tails: tails.map((tail, i) => (i === active ? null : tail)), active } },
+    };
+    return tails.length > 1 ? thread : { ...thread, branches: withoutKey(branches, key) };
+};
+
+// Only the branches that can still be reached from `messages`: those after a message on
+// screen, or after one in a branch that can be reached.
+export const pruneBranches = (messages, branches = {}) => {
+    if (messages.length === 0) return {};
+    const kept = {};
+    const visit = (keys) => keys.forEach(key => {
+        if (!branches[key] || kept[key]) return;
+        kept[key] = branches[key];
+        branches[key].tails.forEach(tail => tail && visit(tail.map(msg => msg.id)));
+    });
+    visit([ROOT, ...messages.map(msg => msg.id)]);
+    return kept;
+};
+
+// Gives messages saved before messages had ids one from `createId`, in the branches too, and
+// re-keys the branches, which were keyed by localTimestamp then. A thread that needs none
+// comes back as it is.
+export const withMessageIds = (thread, createId) => {
+    const { messages, branches = {} } = thread;
+    const forks = Object.entries(branches);
+    const lists = [messages, ...forks.flatMap(([, fork]) => fork.tails.filter(Boolean))];
+    if (lists.every(list => list.every(msg => msg.id))) return thread;
+
+    // Timestamps may repeat; a key meant the first message with it, as it was looked up.
+    const ids = new Map();
+    const withIds = (list) => list.map(msg => {
+        const upgraded = msg.id ? msg : { ...msg, id: createId() };
+        if (!ids.has(msg.localTimestamp)) ids.set(msg.localTimestamp, upgraded.id);
+        return upgraded;
+    });
+    const upgraded = withIds(messages);
+    const tails = forks.map(([, fork]) => fork.tails.map(tail => tail && withIds(tail)));
+    return {
+        ...thread,
+        messages: upgraded,
+        branches: Object.fromEntries(forks.map(([key, fork], i) => [
+            key === ROOT ? ROOT : ids.get(key) || key,
+            { ...fork, tails: tails[i] },
+        ])),
+    };
+};
@@ -0,0 +1,121 @@
+import {
+    ROOT, branchAt, editMessage, regenerateReply, switchBranch, deleteMessage, pruneBranches, withMessageIds
+} from './branches';
+import { MESSAGE_STATUS, insertReply } from './offlineQueue';
+import { message } from '../testUtils';
+
+const conversation = () => ({
+    messages: [message('user', 'hi', 0), message('anya', 'hello', 1), message('user', 'a joke?', 2), message('anya', 'Knock knock.', 3)],
+    branches: {},
+});
+
+test('an edit keeps the old messages as a branch and queues the new version', () => {
+    const thread = conversation();
+    const edited = editMessage(thread, 2, 'a pun?', 'edit-1', '2026-10-19T15:00:00.000Z');
+
+    expect(edited.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a pun?']);
+    expect(edited.messages[2]).toMatchObject({ sender: 'user', status: MESSAGE_STATUS.PENDING });
+    expect(branchAt(edited, 2)).toEqual({ key: thread.messages[1].id, active: 1, count: 2 });
+    expect(branchAt(edited, 1)).toBeNull();
+
+    const back = switchBranch(edited, branchAt(edited, 2).key, 0);
+    expect(back.messages).toEqual(thread.messages);
+    expect(branchAt(back, 2)).toMatchObject({ active: 0, count: 2 });
+    expect(switchBranch(back, branchAt(back, 2).key, 1).messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a pun?']);
+});
+
+test('editing the first message forks at the root', () => {
+    const edited = editMessage(conversation(), 0, 'hey', 'edit-1', '2026-10-19T15:00:00.000Z');
+    expect(edited.messages.map(msg => msg.text)).toEqual(['hey']);
+    expect(branchAt(edited, 0)).toEqual({ key: ROOT, active: 1, count: 2 });
+});
+
+test('regenerated replies become branches of the message they answer', () => {
+    const thread = conversation();
+    let regenerated = regenerateReply(thread, 3);
+    expect(regenerated.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a joke?']);
+    expect(regenerated.messages[2].status).toBe(MESSAGE_STATUS.PENDING);
+
+    regenerated = { ...regenerated, messages: insertReply(regenerated.messages, thread.messages[2].id, message('anya', 'A pun.', 5)) };
+    regenerated = regenerateReply(regenerated, 3);
+    regenerated = { ...regenerated, messages: insertReply(regenerated.messages, thread.messages[2].id, message('anya', 'A riddle.', 6)) };
+    expect(branchAt(regenerated, 3)).toMatchObject({ active: 2, count: 3 });
+
+    const first = switchBranch(regenerated, thread.messages[2].id, 0);
+    expect(first.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a joke?', 'Knock knock.']);
+    expect(first.messages[2]).not.toHaveProperty('status');
+    expect(regenerateReply(thread, 1).messages.map(msg => msg.text)).toEqual(['hi']);
+    expect(regenerateReply({ messages: [message('anya', 'Reminder!', 0)], branches: {} }, 0).messages).toHaveLength(1);
+});
+
+test('branches further down are kept inside the branch they belong to', () => {
+    let thread = editMessage(conversation(), 0, 'hey', 'edit-1', '2026-10-19T15:00:00.000Z');
+    thread = switchBranch(thread, ROOT, 0);
+    thread = regenerateReply(thread, 3);
+
+    const other = switchBranch(thread, ROOT, 1);
+    expect(other.messages.map(msg => msg.text)).toEqual(['hey']);
+    const original = switchBranch(other, ROOT, 0);
+    expect(original.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a joke?']);
+    expect(branchAt(original, 3)).toMatchObject({ active: 1, count: 2 });
+    expect(Object.keys(pruneBranches(other.messages, other.branches))).toEqual(Object.keys(other.branches));
+});
+
+test('deletes single messages and switches away from a branch it empties', () => {
+    const thread = conversation();
+    expect(deleteMessage(thread, 1).messages.map(msg => msg.text)).toEqual(['hi', 'a joke?', 'Knock knock.']);
+
+    let regenerated = regenerateReply(thread, 3);
+    regenerated = { ...regenerated, messages: insertReply(regenerated.messages, thread.messages[2].id, message('anya', 'A pun.', 5)) };
+    const deleted = deleteMessage(regenerated, 3);
+    expect(deleted.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a joke?', 'Knock knock.']);
+    expect(deleted.branches).toEqual({});
+});
+
+test('messages sent in the same millisecond are told apart', () => {
+    const hi = message('user', 'hi calvin here', 0);
+    const thread = {
+        messages: [hi, { ...message('anya', 'Hello, Calvin.', 0), localTimestamp: hi.localTimestamp }, message('user', 'q', 1), message('anya', 'a', 2)],
+        branches: {},
+    };
+    const edited = editMessage(thread, 2, 'another q', 'edit-1');
+    expect(switchBranch(edited, branchAt(edited, 2).key, 0).messages).toEqual(thread.messages);
+});
+
+test('deleting a message keeps the branches after it', () => {
+    const thread = editMessage(conversation(), 2, 'a pun?', 'edit-1');
+    const deleted = deleteMessage(thread, 1);
+    expect(deleted.messages.map(msg => msg.text)).toEqual(['hi', 'a pun?']);
+    expect(branchAt(deleted, 1)).toEqual({ key: thread.messages[0].id, active: 1, count: 2 });
+    expect(switchBranch(deleted, thread.messages[0].id, 0).messages.map(msg => msg.text)).toEqual(['hi', 'a joke?', 'Knock knock.']);
+
+    // Deleting the first message of a branch adds the branches after it to that fork; this
+    // one is left empty, so the edit is shown.
+    const nested = regenerateReply(switchBranch(thread, thread.messages[1].id, 0), 3);
+    const merged = deleteMessage(nested, 2);
+    expect(merged.messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a pun?']);
+    expect(branchAt(merged, 2)).toMatchObject({ active: 0, count: 2 });
+    expect(switchBranch(merged, thread.messages[1].id, 1).messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'Knock knock.']);
+});
+
+test('messages saved without ids get them, and their branches are re-keyed', () => {
+    const [hi, hello, joke, knock] = conversation().messages.map(({ id, ...msg }) => msg);
+    let ids = 0;
+    const createId = () => `new-${++ids}`;
+    const saved = {
+        messages: [hi, hello, { ...joke, text: 'a pun?' }],
+        branches: { [hello.localTimestamp]: { tails: [[joke, knock], null], active: 1 } },
+    };
+    const upgraded = withMessageIds(saved, createId);
+    expect(upgraded.messages.map(msg => msg.id)).toEqual(['new-1', 'new-2', 'new-3']);
+    expect(Object.keys(upgraded.branches)).toEqual(['new-2']);
+    expect(switchBranch(upgraded, 'new-2', 0).messages.map(msg => msg.text)).toEqual(['hi', 'hello', 'a joke?', 'Knock knock.']);
+    expect(withMessageIds(upgraded, createId)).toBe(upgraded);
+});
+
+test('prunes branches that can no longer be reached', () => {
+    const edited = editMessage(conversation(), 2, 'a pun?', 'edit-1', '2026-10-19T15:00:00.000Z');
+    expect(pruneBranches(edited.messages, edited.branches)).toEqual(edited.branches);
+    expect(pruneBranches(edited.messages.slice(0, 1), edited.branches)).toEqual({});
+    expect(pruneBranches([], editMessage(conversation(), 0, 'hey', 'edit-1').branches)).toEqual({});
+});
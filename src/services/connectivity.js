@@ -0,0 +1,100 @@
+// Connectivity tracking for A.N.Y.A.
+// The browser's online/offline events tell when the network goes away, but "online" only
+// means there is a network, so it is confirmed with a health probe: the backend server's
+// /health when there is one, otherwise a request to the Gemini API host. While offline the
+// probe is repeated until it succeeds. Failed requests can ask for a check too.
+
+import { ERROR_KINDS, GEMINI_API_BASE } from './gemini';
+
+export const PROBE_INTERVAL_MS = 15 * 1000;
+export const PROBE_TIMEOUT_MS = 5000;
+
+const defaultFetch = (...args) => fetch(...args);
+
+// fetch rejects with a TypeError when the request never got an answer; the backend client
+// reports that as a BackendError with status 0 and the Gemini client as a network GeminiError.
+export const isNetworkError = (error) => error?.name === 'TypeError'
+    || (error?.name === 'BackendError' && error.status === 0)
+    || (error?.name === 'GeminiError' && error.kind === ERROR_KINDS.NETWORK);
+
+// Resolves to true when the backend server or the Gemini API host answers in time. Any
+// answer counts; without a backend the request is opaque (no-cors), as only reaching the
+// host matters.
+export const createHealthProbe = ({ backend = null, fetchImpl = defaultFetch, timeoutMs = PROBE_TIMEOUT_MS } = {}) => async () => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    try {
+        if (backend) {
+            await backend.health({ signal: controller.signal });
+        } else {
+            await fetchImpl(new URL(GEMINI_API_BASE).origin, { method: 'HEAD', mode: 'no-cors', cache: 'no-store', signal: controller.signal });
+        }
+        return true;
+    } catch (error) {
+        return false;
+    } finally {
+        clearTimeout(timer);
+    }
+};
+
+// `onChange(online)` is called when the state flips. `check()` probes right away and
+// resolves to the new state; concurrent checks share one probe.
+export const createConnectivityMonitor = ({
+    probe = createHealthProbe(),
+    target = window,
+    navigatorImpl = navigator,
+    interval = PROBE_INTERVAL_MS,
+    setTimer = (callback, ms) => setTimeout(callback, ms),
+    clearTimer = (timer) => clearTimeout(timer),
+    onChange = () => {},
+} = {}) => {
+    let online = navigatorImpl.onLine !== false;
+    let timer = null;
+    let checking = null;
+
+    const setOnline = (value) => {
+        if (value === online) return;
+        online = value;
+        onChange(online);
+    };
+
+    // Only an offline monitor keeps probing.
+    const schedule = () => {
+        clearTimer(timer);
+        timer = online ? null : setTimer(() => check(), interval);
+    };
+
+    const check = () => {
+        if (!checking) {
+            const result = navigatorImpl.onLine === false ? Promise.resolve(false) : probe();
+            checking = result.then((reachable) => {
+                checking = null;
+                setOnline(reachable);
+                schedule();
+                return reachable;
+            });
+        }
+        return checking;
+    };
+
+    const handleOnline = () => check();
+    const handleOffline = () => {
+        setOnline(false);
+        schedule();
+    };
+
+    const start = () => {
+        target.addEventListener('online', handleOnline);
+        target.addEventListener('offline', handleOffline);
+        check();
+    };
+
+    const stop = () => {
+        target.removeEventListener('online', handleOnline);
+        target.removeEventListener('offline', handleOffline);
+        clearTimer(timer);
+        timer = null;
+    };
+
+    return { start, stop, check, isOnline: () => online };
+};
@@ -0,0 +1,93 @@
+import { createConnectivityMonitor, createHealthProbe, isNetworkError } from './connectivity';
+import { BackendError } from './backend';
+import { ERROR_KINDS, GeminiError } from './gemini';
+
+// A probe whose answers are set by the test, and a single timer run by hand.
+const setup = ({ onLine = true, reachable = true } = {}) => {
+    const target = new EventTarget();
+    const navigatorImpl = { onLine };
+    const probe = jest.fn(async () => reachable);
+    const timers = { pending: null };
+    const onChange = jest.fn();
+    const monitor = createConnectivityMonitor({
+        probe,
+        target,
+        navigatorImpl,
+        setTimer: (callback) => {
+            timers.pending = callback;
+            return callback;
+        },
+        clearTimer: (timer) => {
+            if (timers.pending === timer) timers.pending = null;
+        },
+        onChange,
+    });
+    const setReachable = (value) => probe.mockImplementation(async () => value);
+    return { monitor, target, navigatorImpl, probe, timers, onChange, setReachable };
+};
+
+test('confirms the connection with the probe on start', async () => {
+    const { monitor, probe, onChange, timers } = setup({ reachable: false });
+    expect(monitor.isOnline()).toBe(true);
+    monitor.start();
+    await monitor.check();
+    expect(probe).toHaveBeenCalledTimes(1);
+    expect(monitor.isOnline()).toBe(false);
+    expect(onChange).toHaveBeenCalledWith(false);
+    expect(timers.pending).not.toBeNull();
+});
+
+test('goes offline on the offline event and probes until the connection is back', async () => {
+    const { monitor, target, navigatorImpl, probe, timers, onChange, setReachable } = setup();
+    monitor.start();
+    await monitor.check();
+    probe.mockClear();
+
+    navigatorImpl.onLine = false;
+    target.dispatchEvent(new Event('offline'));
+    expect(monitor.isOnline()).toBe(false);
+    expect(onChange).toHaveBeenLastCalledWith(false);
+
+    // The browser says online again, but the network isn't answering yet.
+    navigatorImpl.onLine = true;
+    setReachable(false);
+    target.dispatchEvent(new Event('online'));
+    await monitor.check();
+    expect(monitor.isOnline()).toBe(false);
+
+    setReachable(true);
+    await timers.pending();
+    expect(monitor.isOnline()).toBe(true);
+    expect(onChange).toHaveBeenLastCalledWith(true);
+    expect(timers.pending).toBeNull();
+
+    monitor.stop();
+    target.dispatchEvent(new Event('offline'));
+    expect(monitor.isOnline()).toBe(true);
+});
+
+test('skips the probe while the browser says it is offline', async () => {
+    const { monitor, probe } = setup({ onLine: false });
+    await expect(monitor.check()).resolves.toBe(false);
+    expect(probe).not.toHaveBeenCalled();
+});
+
+test('the probe asks the backend, or else reaches for the Gemini host', async () => {
+    const backend = { health: jest.fn().mockResolvedValue({ ok: true }) };
+    await expect(createHealthProbe({ backend })()).resolves.toBe(true);
+    backend.health.mockRejectedValue(new BackendError('Could not reach the backend server: Failed to fetch', 0));
+    await expect(createHealthProbe({ backend })()).resolves.toBe(false);
+
+    const fetchImpl = jest.fn().mockResolvedValue({ type: 'opaque' });
+    await expect(createHealthProbe({ fetchImpl })()).resolves.toBe(true);
+    expect(fetchImpl).toHaveBeenCalledWith('https://generativelanguage.googleapis.com', expect.objectContaining({ mode: 'no-cors' }));
+});
+
+test('tells network failures from other errors', () => {
+    expect(isNetworkError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isNetworkError(new BackendError('Could not reach the backend server', 0))).toBe(true);
+    expect(isNetworkError(new BackendError('Too many requests.', 429))).toBe(false);
+    expect(isNetworkError(new GeminiError('Could not reach Gemini: Failed to fetch', ERROR_KINDS.NETWORK))).toBe(true);
+    expect(isNetworkError(new GeminiError('API call failed with status: 500', ERROR_KINDS.SERVER))).toBe(false);
+    expect(isNetworkError(new Error('API call failed with status: 500'))).toBe(false);
+});
@@ -0,0 +1,173 @@
+// Context assembly for getAIResponse.
+// What is sent to Gemini is kept within a token budget: the most recent turns go verbatim
+// and older ones are folded into a running summary the model writes itself (kept on the
+// session as `summary: { text, upTo }`, covering messages[0..upTo)). Messages flagged with
+// `excludeFromContext` (Creator Mode exchanges and other system chatter) are never sent, nor
+// are error replies (those with an `error`), which say nothing about the conversation.
+// Token counts are estimates of about four characters per token; they only need to be close
+// enough to keep requests well inside the model's limit. The attachments sent along are
+// kept within what one message may carry, as every turn sent carries its own again.
+
+import { getCandidateParts, getTextFromParts } from './gemini';
+import { estimateAttachmentTokens, ATTACHMENT_LIMITS } from './attachments';
+
+export const DEFAULT_CONTEXT_TOKENS = 8000;
+// How much of the conversation a single summary update reads.
+export const SUMMARY_INPUT_TOKENS = 6000;
+// Local tool output longer than this is clipped before it is sent back to the model.
+export const MAX_TOOL_OUTPUT_CHARS = 1500;
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4; // role and framing of each turn
+
+// Chats saved before Creator Mode used a masked prompt have the password typed in as the
+// reply to this question.
+const LEGACY_PASSWORD_PROMPT = /please provide the password/i;
+
+export const estimateTokens = (text) => Math.ceil((text || '').length / CHARS_PER_TOKEN);
+
+export const isExcludedFromContext = (messages, index) => {
+    const msg = messages[index];
+    if (msg.excludeFromContext || msg.error) return true;
+    const previous = messages[index - 1];
+    return msg.sender === 'user' && previous?.sender === 'anya' && LEGACY_PASSWORD_PROMPT.test(previous.text);
+};
+
+// Search results shown as cards, so citations like [2] still mean something to the model.
+const sourcesText = (msg) => (msg.results?.items.length
+    ? `\n\nSources:\n${msg.results.items.map((item, index) => `[${index + 1}] ${item.title} (${item.url})`).join('\n')}`
+    : '');
+
+// The text of a message as the model sees it.
+export const contextText = (msg) => (msg.tool && msg.text.length > MAX_TOOL_OUTPUT_CHARS
+    ? `${msg.text.slice(0, MAX_TOOL_OUTPUT_CHARS)}… [output clipped]`
+    : msg.text) + sourcesText(msg);
+
+const messageTokens = (msg) => estimateTokens(contextText(msg)) + MESSAGE_OVERHEAD_TOKENS
+    + (msg.attachments || []).reduce((sum, attachment) => sum + estimateAttachmentTokens(attachment), 0);
+
+const attachmentBytes = (msg) => (msg.attachments || []).reduce((sum, attachment) => sum + attachment.size, 0);
+
+// Where the summary stops; a summary that no longer fits the messages (the chat was
+// cleared or shortened) is ignored.
+const summaryEnd = (messages, summary) => (summary && summary.upTo <= messages.length ? summary.upTo : 0);
+
+// Picks what to send for `messages`, newest first, until the budget is used up. The latest
+// message is always kept. `reservedTokens` covers the system prompt. Older turns stop once
+// their attachments would take the request over `maxAttachmentBytes`.
+// Returns {
+//   messages:     the turns to send verbatim,
+//   summary:      running summary text to send along, or null,
+//   usedTokens, budget,
+//   summarized:   how many messages the summary stands in for,
+//   pendingEnd:   messages before this index that fit neither verbatim nor in the summary yet,
+//   pending:      how many of those there are (the next summary update reads them),
+//   excluded:     how many flagged messages were left out,
+// }
+export const buildContext = (messages, {
+    summary = null,
+    budget = DEFAULT_CONTEXT_TOKENS,
+    reservedTokens = 0,
+    maxAttachmentBytes = ATTACHMENT_LIMITS.maxTotalBytes,
+} = {}) => {
+    const upTo = summaryEnd(messages, summary);
+    const summaryText = upTo > 0 && summary.text ? summary.text : null;
+    const available = budget - reservedTokens - estimateTokens(summaryText);
+
+    const kept = [];
+    let used = 0;
+    let bytes = 0;
+    let pendingEnd = upTo;
+    let excluded = 0;
+    for (let i = messages.length - 1; i >= upTo; i--) {
+        if (isExcludedFromContext(messages, i)) {
+            excluded++;
+            continue;
+        }
+        const tokens = messageTokens(messages[i]);
+        const size = attachmentBytes(messages[i]);
+        if (kept.length > 0 && (used + tokens > available || bytes + size > maxAttachmentBytes)) {
+            pendingEnd = i + 1;
+            break;
+        }
+        kept.unshift(messages[i]);
+        used += tokens;
+        bytes += size;
+    }
+
+    const countIncluded = (start, end) => messages.slice(start, end)
+        .filter((msg, offset) => !isExcludedFromContext(messages, start + offset)).length;
+
+    return {
+        messages: kept,
+        summary: summaryText,
+        usedTokens: used + reservedTokens + estimateTokens(summaryText),
+        budget,
+        summarized: countIncluded(0, upTo),
+        pendingEnd,
+        pending: countIncluded(upTo, pendingEnd),
+        excluded,
+    };
+};
+
+// Adds a part to the system instruction of a request; empty text leaves it as it is.
+export const withSystemNote = (requestOptions, text) => {
+    if (!text) return requestOptions;
+    const parts = requestOptions.systemInstruction?.parts || [];
+    return { ...requestOptions, systemInstruction: { parts: [...parts, { text }] } };
+};
+
+// Adds the running summary to the system instruction of a request.
+export const withSummary = (requestOptions, summaryText) => (summaryText
+    ? withSystemNote(requestOptions, `Summary of the earlier part of this conversation:\n${summaryText}`)
+    : requestOptions);
+
+export const buildSummaryRequest = (previousSummary, messages) => {
+    // The summary is text only; attachments are named so the model knows they existed.
+    const attachmentNote = (msg) => (msg.attachments?.length
+        ? ` [attached: ${msg.attachments.map(attachment => attachment.name).join(', ')}]`
+        : '');
+    const transcript = messages
+        .map(msg => `${msg.sender === 'user' ? 'User' : 'A.N.Y.A.'}: ${contextText(msg)}${attachmentNote(msg)}`)
+        .join('\n\n');
+    const instructions = [
+        'You keep the running summary of a conversation between a user and their assistant, A.N.Y.A.',
+        previousSummary
+            ? 'Update the summary below with the new turns.'
+            : 'Write a summary of the turns below.',
+        'Keep names, facts, decisions, preferences and open questions; drop small talk.',
+        'Write plain prose in under 200 words, and reply with the summary only.',
+    ].join(' ');
+    const text = [
+        instructions,
+        previousSummary && `Summary so far:\n${previousSummary}`,
+        `New turns:\n${transcript}`,
+    ].filter(Boolean).join('\n\n');
+    return {
+        contents: [{ role: 'user', parts: [{ text }] }],
+        generationConfig: { temperature: 0.2 },
+    };
+};
+
+// Folds the oldest pending messages (see buildContext) into the summary. Reads at most
+// SUMMARY_INPUT_TOKENS per call, so a long backlog is caught up over several replies.
+// Resolves to the new { text, upTo }.
+export const summarizeMessages = async ({ client, messages, summary = null, pendingEnd, signal }) => {
+    const start = summaryEnd(messages, summary);
+    const batch = [];
+    let tokens = 0;
+    let end = start;
+    for (; end < pendingEnd; end++) {
+        if (isExcludedFromContext(messages, end)) continue;
+        const messageCost = messageTokens(messages[end]);
+        if (batch.length > 0 && tokens + messageCost > SUMMARY_INPUT_TOKENS) break;
+        batch.push(messages[end]);
+        tokens += messageCost;
+    }
+
+    const previousText = start > 0 ? summary.text : '';
+    if (batch.length === 0) return { text: previousText, upTo: end };
+
+    const result = await client.generateContent(buildSummaryRequest(previousText, batch), { signal });
+    return { text: getTextFromParts(getCandidateParts(result)).trim(), upTo: end };
+};
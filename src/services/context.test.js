@@ -0,0 +1,135 @@
+import {
+    buildContext, buildSummaryRequest, contextText, estimateTokens, summarizeMessages, withSummary,
+    MAX_TOOL_OUTPUT_CHARS
+} from './context';
+import { createSession, setSessionMessages, setSessionSummary } from './sessions';
+import { message } from '../testUtils';
+
+// Each message costs 4 tokens of text plus 4 of overhead.
+const numbered = (sender, index) => message(sender, `m${String(index).padStart(3, '0')}`.padEnd(16, '.'), index);
+const conversation = (count) => Array.from({ length: count }, (_, i) => numbered(i % 2 ? 'anya' : 'user', i));
+
+test('estimates about four characters per token', () => {
+    expect(estimateTokens('')).toBe(0);
+    expect(estimateTokens('abcdefghi')).toBe(3);
+});
+
+test('keeps everything while the conversation fits the budget', () => {
+    const messages = conversation(4);
+    const context = buildContext(messages, { budget: 100, reservedTokens: 10 });
+    expect(context.messages).toEqual(messages);
+    expect(context).toMatchObject({ usedTokens: 42, summary: null, pending: 0, summarized: 0, excluded: 0 });
+});
+
+test('keeps the newest turns and reports the rest as pending', () => {
+    const messages = conversation(10);
+    const context = buildContext(messages, { budget: 40 });
+    expect(context.messages).toEqual(messages.slice(5));
+    expect(context).toMatchObject({ pending: 5, pendingEnd: 5 });
+
+    // The latest message is sent even when it alone is over budget.
+    expect(buildContext(messages, { budget: 1 }).messages).toEqual([messages[9]]);
+});
+
+test('keeps the attachments sent along within the limit of one message', () => {
+    const withFile = (msg, size) => ({ ...msg, attachments: [{ id: `file-${size}`, name: 'photo.jpg', kind: 'image', mimeType: 'image/jpeg', size, data: '' }] });
+    const messages = conversation(4).map((msg, i) => (i % 2 ? msg : withFile(msg, 6)));
+
+    const context = buildContext(messages, { budget: 10000, maxAttachmentBytes: 10 });
+    expect(context.messages).toEqual(messages.slice(1));
+    expect(context).toMatchObject({ pending: 1, pendingEnd: 1 });
+});
+
+test('sends the summary in place of the messages it covers', () => {
+    const messages = conversation(10);
+    const context = buildContext(messages, { summary: { text: 'x'.repeat(16), upTo: 6 }, budget: 40 });
+    expect(context.messages).toEqual(messages.slice(6));
+    expect(context).toMatchObject({ summary: 'x'.repeat(16), summarized: 6, pending: 0, usedTokens: 36 });
+
+    // A summary covering more messages than the chat has (it was cleared) is ignored.
+    expect(buildContext(messages.slice(0, 2), { summary: { text: 'old', upTo: 6 } }).summary).toBeNull();
+});
+
+test('leaves out flagged messages and legacy password replies', () => {
+    const messages = [
+        { sender: 'user', text: 'I am Calvin' },
+        { sender: 'anya', text: 'Hello, Calvin. I recognize your name. Please provide the password to unlock special functions.' },
+        { sender: 'user', text: '1945' },
+        { sender: 'user', text: 'open voice command', excludeFromContext: true },
+        { sender: 'anya', text: 'Voice Command mode activated.', excludeFromContext: true },
+        { sender: 'user', text: 'What is the weather?' },
+    ];
+    const context = buildContext(messages);
+    expect(context.messages.map(msg => msg.text)).toEqual(['I am Calvin', messages[1].text, 'What is the weather?']);
+    expect(context.excluded).toBe(3);
+});
+
+test('leaves out error replies', () => {
+    const messages = [
+        { sender: 'user', text: 'Tell me a joke' },
+        { sender: 'anya', text: "Gemini's rate limit or quota was reached.", error: { kind: 'quota', retryable: true } },
+        { sender: 'user', text: 'Tell me a joke' },
+        { sender: 'anya', text: 'Why did the chicken cross the road?' },
+    ];
+    const context = buildContext(messages);
+    expect(context.messages.map(msg => msg.sender)).toEqual(['user', 'user', 'anya']);
+    expect(context.excluded).toBe(1);
+});
+
+test('clips long tool output', () => {
+    const long = 'y'.repeat(MAX_TOOL_OUTPUT_CHARS + 50);
+    expect(contextText({ sender: 'anya', text: long })).toBe(long);
+    expect(contextText({ sender: 'anya', text: long, tool: 'searchInternet' })).toMatch(/^y{1500}… \[output clipped\]$/);
+});
+
+test('lists the sources of search results', () => {
+    const msg = {
+        sender: 'anya',
+        text: 'It launched on Monday [1].',
+        tool: 'searchInternet',
+        results: { kind: 'web', query: 'launch', items: [{ title: 'Rocket launch', url: 'https://space.example/launch' }] },
+    };
+    expect(contextText(msg)).toBe('It launched on Monday [1].\n\nSources:\n[1] Rocket launch (https://space.example/launch)');
+});
+
+test('adds the summary to the system instruction', () => {
+    expect(withSummary({ generationConfig: {} }, null)).toEqual({ generationConfig: {} });
+    expect(withSummary({ systemInstruction: { parts: [{ text: 'Persona.' }] } }, 'They like cats.').systemInstruction.parts)
+        .toEqual([{ text: 'Persona.' }, { text: 'Summary of the earlier part of this conversation:\nThey like cats.' }]);
+});
+
+test('folds pending messages into the running summary', async () => {
+    const messages = conversation(10);
+    const generateContent = jest.fn().mockResolvedValue({
+        candidates: [{ content: { parts: [{ text: '  Updated summary.  ' }] } }],
+    });
+    const summary = await summarizeMessages({
+        client: { generateContent },
+        messages,
+        summary: { text: 'Earlier summary.', upTo: 2 },
+        pendingEnd: 5,
+    });
+
+    expect(summary).toEqual({ text: 'Updated summary.', upTo: 5 });
+    const prompt = generateContent.mock.calls[0][0].contents[0].parts[0].text;
+    expect(prompt).toMatch(/Summary so far:\nEarlier summary\./);
+    expect(prompt).toMatch(/User: m002.*\n\nA\.N\.Y\.A\.: m003.*\n\nUser: m004/);
+    expect(prompt).not.toMatch(/m001|m005/);
+});
+
+test('skips the model call when only excluded messages are pending', async () => {
+    const generateContent = jest.fn();
+    const messages = [{ sender: 'user', text: 'secret', excludeFromContext: true }, numbered('anya', 1)];
+    await expect(summarizeMessages({ client: { generateContent }, messages, pendingEnd: 1 }))
+        .resolves.toEqual({ text: '', upTo: 1 });
+    expect(generateContent).not.toHaveBeenCalled();
+    expect(buildSummaryRequest('', [numbered('user', 0)]).contents[0].parts[0].text).toMatch(/^You keep .* Write a summary/);
+});
+
+test('sessions drop a summary when the chat is cleared', () => {
+    const session = createSession(conversation(6));
+    let sessions = setSessionSummary([session], session.id, { text: 'Summary.', upTo: 4 });
+    expect(setSessionMessages(sessions, session.id, conversation(8))[0].summary).toEqual({ text: 'Summary.', upTo: 4 });
+    sessions = setSessionMessages(sessions, session.id, []);
+    expect(sessions[0].summary).toBeNull();
+});
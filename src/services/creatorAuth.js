@@ -0,0 +1,154 @@
+// Creator Mode authentication.
+// The password is checked against a PBKDF2 hash supplied at build time through
+// REACT_APP_CREATOR_PASSWORD_HASH (generate one with `npm run hash-password`). The password
+// itself is never stored; only lockout counters (localStorage) and the unlocked session
+// (sessionStorage, so it survives a reload but not closing the tab) are kept.
+// Everything here runs in the browser, so it keeps casual users out of Creator Mode; it is
+// not a security boundary against someone editing the page in devtools.
+
+export const CREATOR_CONFIG = {
+    name: process.env.REACT_APP_CREATOR_NAME || 'Calvin',
+    passwordHash: process.env.REACT_APP_CREATOR_PASSWORD_HASH || '',
+    sessionMinutes: Number(process.env.REACT_APP_CREATOR_SESSION_MINUTES) || 30,
+};
+
+// What Creator Mode can unlock. Check permissions with hasPermission rather than
+// "is Creator Mode on", so new privileged features get their own entry here.
+export const PERMISSIONS = {
+    VOICE_COMMAND: 'voiceCommand',
+};
+
+export const ROLE_PERMISSIONS = {
+    creator: [PERMISSIONS.VOICE_COMMAND],
+};
+
+// True when the text mentions the creator by name as a whole word.
+export const mentionsCreator = (text, name = CREATOR_CONFIG.name) => (
+    new RegExp(`\\b${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i').test(text)
+);
+
+export const SESSION_KEY = 'anyaCreatorSession';
+export const LOCKOUT_KEY = 'anyaCreatorLockout';
+export const MAX_ATTEMPTS = 5;
+export const LOCKOUT_MS = 5 * 60 * 1000;
+const MAX_LOCKOUT_MS = 60 * 60 * 1000;
+export const HASH_ITERATIONS = 600000;
+
+// --- Password hashing ---
+// Encoded as "pbkdf2-sha256:<iterations>:<salt base64>:<hash base64>" (no "$", which
+// .env files would try to expand).
+
+const toBase64 = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+const getSubtle = () => (typeof crypto !== 'undefined' ? crypto.subtle : undefined);
+
+const derive = async (password, salt, iterations, subtle) => {
+    const key = await subtle.importKey('raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']);
+    return new Uint8Array(await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, key, 256));
+};
+
+export const parsePasswordHash = (encoded) => {
+    const [scheme, iterations, salt, hash] = (encoded || '').split(':');
+    if (scheme !== 'pbkdf2-sha256' || !/^\d+$/.test(iterations || '') || !salt || !hash) return null;
+    try {
+        return { iterations: Number(iterations), salt: fromBase64(salt), hash: fromBase64(hash) };
+    } catch (error) {
+        return null;
+    }
+};
+
+export const hashPassword = async (password, { iterations = HASH_ITERATIONS, salt = null, subtle = getSubtle() } = {}) => {
+    const saltBytes = salt || crypto.getRandomValues(new Uint8Array(16));
+    const hash = await derive(password, saltBytes, iterations, subtle);
+    return `pbkdf2-sha256:${iterations}:${toBase64(saltBytes)}:${toBase64(hash)}`;
+};
+
+// Compares every byte so the time taken doesn't reveal how much of the hash matched.
+const bytesEqual = (a, b) => {
+    if (a.length !== b.length) return false;
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) difference |= a[i] ^ b[i];
+    return difference === 0;
+};
+
+export const verifyPassword = async (password, encoded, subtle = getSubtle()) => {
+    const parsed = parsePasswordHash(encoded);
+    if (!parsed) return false;
+    return bytesEqual(await derive(password, parsed.salt, parsed.iterations, subtle), parsed.hash);
+};
+
+// --- Sessions and lockout ---
+
+const readJson = (storage, key) => {
+    try {
+        return JSON.parse(storage.getItem(key)) || null;
+    } catch (error) {
+        return null;
+    }
+};
+
+export const createCreatorAuth = ({
+    passwordHash = CREATOR_CONFIG.passwordHash,
+    sessionMinutes = CREATOR_CONFIG.sessionMinutes,
+    storage = window.localStorage,
+    sessionStorage = window.sessionStorage,
+    subtle = getSubtle(),
+    now = () => Date.now(),
+    maxAttempts = MAX_ATTEMPTS,
+    lockoutMs = LOCKOUT_MS,
+} = {}) => {
+    const isConfigured = Boolean(parsePasswordHash(passwordHash)) && Boolean(subtle);
+
+    const getLockout = () => {
+        const lockout = readJson(storage, LOCKOUT_KEY) || { failures: 0, lockouts: 0, lockedUntil: 0 };
+        return { ...lockout, locked: lockout.lockedUntil > now() };
+    };
+
+    // Returns the unlocked session, or null if there is none or it has expired.
+    const getSession = () => {
+        const session = readJson(sessionStorage, SESSION_KEY);
+        if (!session || !Array.isArray(session.permissions) || !(session.expiresAt > now())) {
+            if (session) sessionStorage.removeItem(SESSION_KEY);
+            return null;
+        }
+        return session;
+    };
+
+    const hasPermission = (permission) => Boolean(getSession()?.permissions.includes(permission));
+
+    // Resolves to { ok: true, session } or { ok: false, reason, ... } where reason is
+    // 'unconfigured', 'locked' (with lockedUntil) or 'invalid' (with remainingAttempts).
+    const unlock = async (password) => {
+        if (!isConfigured) return { ok: false, reason: 'unconfigured' };
+        const lockout = getLockout();
+        if (lockout.locked) return { ok: false, reason: 'locked', lockedUntil: lockout.lockedUntil };
+
+        if (await verifyPassword(password, passwordHash, subtle)) {
+            storage.removeItem(LOCKOUT_KEY);
+            const issuedAt = now();
+            const session = {
+                role: 'creator',
+                permissions: ROLE_PERMISSIONS.creator,
+                issuedAt,
+                expiresAt: issuedAt + sessionMinutes * 60 * 1000,
+            };
+            sessionStorage.setItem(SESSION_KEY, JSON.stringify(session));
+            return { ok: true, session };
+        }
+
+        const failures = lockout.failures + 1;
+        if (failures >= maxAttempts) {
+            // Each lockout in a row lasts twice as long as the previous one.
+            const lockedUntil = now() + Math.min(lockoutMs * 2 ** lockout.lockouts, MAX_LOCKOUT_MS);
+            storage.setItem(LOCKOUT_KEY, JSON.stringify({ failures: 0, lockouts: lockout.lockouts + 1, lockedUntil }));
+            return { ok: false, reason: 'locked', lockedUntil };
+        }
+        storage.setItem(LOCKOUT_KEY, JSON.stringify({ failures, lockouts: lockout.lockouts, lockedUntil: lockout.lockedUntil }));
+        return { ok: false, reason: 'invalid', remainingAttempts: maxAttempts - failures };
+    };
+
+    const lock = () => sessionStorage.removeItem(SESSION_KEY);
+
+    return { isConfigured, getSession, getLockout, hasPermission, unlock, lock };
+};
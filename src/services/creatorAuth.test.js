@@ -0,0 +1,90 @@
+import { webcrypto } from 'crypto';
+import { TextEncoder } from 'util';
+import {
+    createCreatorAuth, hashPassword, verifyPassword, parsePasswordHash, mentionsCreator,
+    PERMISSIONS, SESSION_KEY, LOCKOUT_KEY
+} from './creatorAuth';
+import { createMemoryStorage } from '../testUtils';
+
+// jsdom has neither SubtleCrypto nor TextEncoder; use Node's.
+const { subtle } = webcrypto;
+if (typeof global.TextEncoder === 'undefined') global.TextEncoder = TextEncoder;
+
+const salt = new Uint8Array(16).fill(7);
+let passwordHash;
+beforeAll(async () => {
+    // Few iterations keep the tests fast; the iteration count travels with the hash.
+    passwordHash = await hashPassword('correct horse', { iterations: 1000, salt, subtle });
+});
+
+const setup = (overrides = {}) => {
+    let time = Date.parse('2026-05-01T12:00:00Z');
+    const storage = createMemoryStorage();
+    const sessionStorage = createMemoryStorage();
+    const auth = createCreatorAuth({ passwordHash, storage, sessionStorage, subtle, now: () => time, sessionMinutes: 30, ...overrides });
+    return { auth, storage, sessionStorage, advance: (ms) => { time += ms; } };
+};
+
+test('hashes are salted PBKDF2 and verify only the right password', async () => {
+    expect(parsePasswordHash(passwordHash)).toMatchObject({ iterations: 1000 });
+    expect(passwordHash).not.toContain('correct horse');
+    await expect(verifyPassword('correct horse', passwordHash, subtle)).resolves.toBe(true);
+    await expect(verifyPassword('correct horse ', passwordHash, subtle)).resolves.toBe(false);
+    expect(parsePasswordHash('1945')).toBeNull();
+});
+
+test('Creator Mode is unavailable without a configured hash', async () => {
+    const { auth } = setup({ passwordHash: '' });
+    expect(auth.isConfigured).toBe(false);
+    await expect(auth.unlock('anything')).resolves.toEqual({ ok: false, reason: 'unconfigured' });
+});
+
+test('unlocking grants the creator permissions and never stores the password', async () => {
+    const { auth, storage, sessionStorage } = setup();
+    expect(auth.hasPermission(PERMISSIONS.VOICE_COMMAND)).toBe(false);
+
+    const result = await auth.unlock('correct horse');
+    expect(result.ok).toBe(true);
+    expect(auth.hasPermission(PERMISSIONS.VOICE_COMMAND)).toBe(true);
+    expect(auth.hasPermission('deleteEverything')).toBe(false);
+    expect(JSON.stringify([storage.data, sessionStorage.data])).not.toContain('correct horse');
+
+    auth.lock();
+    expect(auth.getSession()).toBeNull();
+});
+
+test('sessions expire', async () => {
+    const { auth, sessionStorage, advance } = setup();
+    await auth.unlock('correct horse');
+    advance(29 * 60 * 1000);
+    expect(auth.getSession()).not.toBeNull();
+    advance(2 * 60 * 1000);
+    expect(auth.getSession()).toBeNull();
+    expect(sessionStorage.data[SESSION_KEY]).toBeUndefined();
+});
+
+test('repeated failures lock the prompt, with longer lockouts each time', async () => {
+    const { auth, storage, advance } = setup({ maxAttempts: 3, lockoutMs: 60000 });
+    await expect(auth.unlock('1945')).resolves.toEqual({ ok: false, reason: 'invalid', remainingAttempts: 2 });
+    await auth.unlock('1946');
+    const locked = await auth.unlock('1947');
+    expect(locked).toMatchObject({ ok: false, reason: 'locked' });
+
+    // Even the right password is refused while locked.
+    await expect(auth.unlock('correct horse')).resolves.toMatchObject({ reason: 'locked' });
+
+    advance(61000);
+    for (let i = 0; i < 3; i++) await auth.unlock('wrong');
+    expect(auth.getLockout().lockedUntil - Date.parse('2026-05-01T12:01:01Z')).toBe(120000);
+
+    advance(121000);
+    await expect(auth.unlock('correct horse')).resolves.toMatchObject({ ok: true });
+    expect(storage.data[LOCKOUT_KEY]).toBeUndefined();
+});
+
+test('recognises the creator name only as a whole word', () => {
+    expect(mentionsCreator('Hi, this is Calvin', 'Calvin')).toBe(true);
+    expect(mentionsCreator('calvinism explained', 'Calvin')).toBe(false);
+    expect(mentionsCreator('hello A.J.', 'A.J')).toBe(true);
+    expect(mentionsCreator('hello AxJ', 'A.J')).toBe(false);
+});
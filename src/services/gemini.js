@@ -0,0 +1,381 @@
+// Gemini REST client used by getAIResponse.
+// Everything that talks to the network goes through `fetchImpl`, so tests can replay
+// canned Gemini responses without touching the real API.
+
+export const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta';
+
+// How many model <-> tool round trips a single reply may take before we force a text answer.
+export const MAX_TOOL_ROUNDS = 5;
+// Backoff between retries never grows past this.
+export const MAX_RETRY_DELAY_MS = 8000;
+// A rate limit that lifts later than this is reported instead of waited out.
+export const MAX_RETRY_AFTER_MS = 10000;
+
+const defaultFetch = (...args) => fetch(...args);
+const wait = (ms) => new Promise(res => setTimeout(res, ms));
+
+export const buildGeminiUrl = ({ model, method = 'generateContent', apiKey, baseUrl = GEMINI_API_BASE, params = {} }) => {
+    const query = Object.entries({ ...params, key: apiKey })
+        .filter(([, value]) => value)
+        .map(([name, value]) => `${name}=${encodeURIComponent(value)}`)
+        .join('&');
+    const url = `${baseUrl}/models/${model}:${method}`;
+    return query ? `${url}?${query}` : url;
+};
+
+const isAbortError = (error) => error?.name === 'AbortError';
+
+// --- Errors ---
+
+// What went wrong, which decides whether a request is retried and what the user is told.
+export const ERROR_KINDS = {
+    AUTH: 'auth', // missing, invalid or unauthorised API key
+    QUOTA: 'quota', // rate limit or quota (429), possibly with a time to retry after
+    SAFETY: 'safety', // the prompt or the reply was blocked
+    MALFORMED: 'malformed', // a response that can't be read
+    NETWORK: 'network', // no response at all
+    BAD_REQUEST: 'bad-request', // the API refused the request as it is
+    SERVER: 'server', // 5xx and timeouts on Gemini's side
+    UNKNOWN: 'unknown',
+};
+
+const RETRYABLE_KINDS = [ERROR_KINDS.QUOTA, ERROR_KINDS.MALFORMED, ERROR_KINDS.NETWORK, ERROR_KINDS.SERVER];
+
+// Finish reasons of a candidate that was withheld rather than answered.
+const BLOCKED_FINISH_REASONS = ['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'];
+
+export class GeminiError extends Error {
+    constructor(message, kind, { status = null, retryAfterMs = null, reason = null } = {}) {
+        super(message);
+        this.name = 'GeminiError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+        this.reason = reason;
+        this.retryable = RETRYABLE_KINDS.includes(kind);
+    }
+}
+
+// Any error from a request as a GeminiError. fetch and stream reads reject with a TypeError
+// when the connection fails, and JSON.parse with a SyntaxError.
+export const toGeminiError = (error) => {
+    if (error instanceof GeminiError) return error;
+    if (error?.name === 'TypeError') return new GeminiError(`Could not reach Gemini: ${error.message}`, ERROR_KINDS.NETWORK);
+    if (error?.name === 'SyntaxError') return new GeminiError(`Unreadable response: ${error.message}`, ERROR_KINDS.MALFORMED);
+    return new GeminiError(error?.message || String(error), ERROR_KINDS.UNKNOWN);
+};
+
+// Retry-After is either seconds or an HTTP date.
+export const parseRetryAfter = (value, now = Date.now()) => {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(Number(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+};
+
+// Gemini's own 429s say when to retry in a RetryInfo detail ("retryDelay": "12s").
+const retryInfoDelay = (details = []) => {
+    const delay = details.find(detail => String(detail['@type']).endsWith('RetryInfo'))?.retryDelay;
+    const seconds = parseFloat(delay);
+    return Number.isFinite(seconds) ? Math.round(seconds * 1000) : null;
+};
+
+// Reads a failed response into a GeminiError. Gemini answers { error: { code, message,
+// status, details } }; the backend server's own errors are { error: 'message' }.
+export const errorFromResponse = async (response) => {
+    let body = null;
+    try {
+        body = await response.json();
+    } catch (error) {
+        // No JSON body; the status alone has to do.
+    }
+    const apiError = body?.error && typeof body.error === 'object' ? body.error : { message: body?.error };
+    const { status } = response;
+    const detail = apiError.message || `status ${status}`;
+    const reasons = (apiError.details || []).map(item => item.reason).filter(Boolean);
+
+    if (status === 401 || status === 403 || reasons.includes('API_KEY_INVALID')) {
+        return new GeminiError(`Authentication failed: ${detail}`, ERROR_KINDS.AUTH, { status });
+    }
+    if (status === 429) {
+        const retryAfterMs = parseRetryAfter(response.headers?.get('Retry-After')) ?? retryInfoDelay(apiError.details);
+        return new GeminiError(`Rate limited: ${detail}`, ERROR_KINDS.QUOTA, { status, retryAfterMs });
+    }
+    if (status === 408 || status >= 500) {
+        return new GeminiError(`API call failed with status: ${status} (${detail})`, ERROR_KINDS.SERVER, { status });
+    }
+    return new GeminiError(detail, ERROR_KINDS.BAD_REQUEST, { status });
+};
+
+// How long to wait before the next attempt after `attempt` (0-based) failed, or null to give
+// up: when attempts run out, when the error won't go away by trying again, or when a rate
+// limit lifts too late to wait for. Backoff is exponential with jitter, so that clients
+// that failed together don't retry together.
+export const retryDelay = (error, attempt, { maxRetries, initialDelay, maxDelay = MAX_RETRY_DELAY_MS, random = Math.random }) => {
+    if (!error.retryable || attempt + 1 >= maxRetries) return null;
+    if (error.retryAfterMs !== null) return error.retryAfterMs <= MAX_RETRY_AFTER_MS ? error.retryAfterMs : null;
+    const base = Math.min(maxDelay, initialDelay * Math.pow(2, attempt));
+    return Math.round(base / 2 + random() * base / 2);
+};
+
+const seconds = (ms) => {
+    const value = Math.max(1, Math.ceil(ms / 1000));
+    return `${value} second${value === 1 ? '' : 's'}`;
+};
+
+const USER_MESSAGES = {
+    [ERROR_KINDS.AUTH]: () => 'The Gemini API key is missing or was rejected. Check it under Model settings, or on the backend server if you use one.',
+    [ERROR_KINDS.QUOTA]: (error) => (error.retryAfterMs
+        ? `Gemini's rate limit was reached. Try again in ${seconds(error.retryAfterMs)}.`
+        : "Gemini's rate limit or quota was reached. Wait a little and try again."),
+    [ERROR_KINDS.SAFETY]: (error) => `Gemini blocked this for safety reasons${error.reason ? ` (${error.reason.toLowerCase().replace(/_/g, ' ')})` : ''}. Try rephrasing your message.`,
+    [ERROR_KINDS.MALFORMED]: () => "Gemini sent back a response I couldn't read. Try again.",
+    [ERROR_KINDS.NETWORK]: () => "I couldn't reach Gemini. Check your connection and try again.",
+    [ERROR_KINDS.BAD_REQUEST]: (error) => `Gemini rejected the request: ${error.message}`,
+    [ERROR_KINDS.SERVER]: (error) => `Gemini is having trouble right now${error.status ? ` (status ${error.status})` : ''}. Try again in a moment.`,
+    [ERROR_KINDS.UNKNOWN]: (error) => `Something went wrong while getting a reply: ${error.message}`,
+};
+
+// What to tell the user about a failed request.
+export const describeGeminiError = (error) => {
+    const failure = toGeminiError(error);
+    return USER_MESSAGES[failure.kind](failure);
+};
+
+// Maps registry tools that declare a `parameters` schema to Gemini functionDeclarations.
+export const toFunctionDeclarations = (tools) => tools
+    .filter(tool => tool.parameters)
+    .map(({ name, description, parameters }) => ({ name, description, parameters }));
+
+// Returns the parts of the first candidate, or throws a GeminiError if the response has
+// none: a safety error when the prompt or the reply was blocked, else a malformed one.
+export const getCandidateParts = (result) => {
+    const blockReason = result?.promptFeedback?.blockReason;
+    if (blockReason) {
+        throw new GeminiError(`The prompt was blocked (${blockReason}).`, ERROR_KINDS.SAFETY, { reason: blockReason });
+    }
+    const candidate = result?.candidates?.[0];
+    const parts = candidate?.content?.parts;
+    if (!Array.isArray(parts) || parts.length === 0) {
+        if (BLOCKED_FINISH_REASONS.includes(candidate?.finishReason)) {
+            throw new GeminiError(`The reply was blocked (${candidate.finishReason}).`, ERROR_KINDS.SAFETY, { reason: candidate.finishReason });
+        }
+        throw new GeminiError('Malformed response from Gemini API.', ERROR_KINDS.MALFORMED);
+    }
+    return parts;
+};
+
+export const getTextFromParts = (parts) => parts
+    .filter(part => typeof part.text === 'string')
+    .map(part => part.text)
+    .join('');
+
+// Merges parts collected from stream chunks: consecutive text parts are joined,
+// everything else (function calls) is kept as-is.
+const mergeParts = (parts) => parts.reduce((merged, part) => {
+    const last = merged[merged.length - 1];
+    if (typeof part.text === 'string' && last && typeof last.text === 'string' && Object.keys(last).length === 1) {
+        merged[merged.length - 1] = { text: last.text + part.text };
+    } else {
+        merged.push(part);
+    }
+    return merged;
+}, []);
+
+// Reads a server-sent events body and calls `onData` with each parsed `data:` payload.
+// Chunks may be Uint8Arrays (fetch) or strings (tests and proxies).
+export const readSseStream = async (body, onData) => {
+    const reader = body.getReader();
+    let decoder = null;
+    let buffer = '';
+
+    const flushEvent = (rawEvent) => {
+        const data = rawEvent
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('data:'))
+            .map(line => line.slice(5).trimStart())
+            .join('\n');
+        if (data && data !== '[DONE]') {
+            onData(JSON.parse(data));
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        if (typeof value === 'string') {
+            buffer += value;
+        } else {
+            decoder = decoder || new TextDecoder();
+            buffer += decoder.decode(value, { stream: true });
+        }
+        const events = buffer.split(/\r?\n\r?\n/);
+        buffer = events.pop();
+        events.forEach(flushEvent);
+    }
+    if (buffer.trim()) flushEvent(buffer);
+};
+
+export const createGeminiClient = ({
+    apiKey,
+    model,
+    baseUrl = GEMINI_API_BASE,
+    maxRetries = 3,
+    initialRetryDelay = 1000,
+    fetchImpl = defaultFetch,
+    log = () => {},
+    isOnline = () => true,
+    random = Math.random,
+    sleep = wait,
+}) => {
+    // POSTs the payload and resolves to the response once it is OK. Failures become
+    // GeminiErrors and are retried as retryDelay allows. `readBody` runs inside the retry loop,
+    // so a malformed body is retried too. Requests cancelled through `signal` are never
+    // retried, nor are any once `isOnline` says the connection is gone.
+    const postWithRetry = async (apiUrl, payload, { signal, readBody = res => res } = {}) => {
+        for (let attempt = 0; ; attempt++) {
+            let error;
+            try {
+                const response = await fetchImpl(apiUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify(payload),
+                    signal
+                });
+
+                if (!response.ok) {
+                    throw await errorFromResponse(response);
+                }
+
+                const result = await readBody(response);
+                log(`Gemini API responded successfully after ${attempt + 1} attempt(s).`, 'success');
+                return result;
+            } catch (caught) {
+                if (isAbortError(caught)) throw caught;
+                error = toGeminiError(caught);
+            }
+
+            log(`Attempt ${attempt + 1}/${maxRetries} failed. Error: ${error.message}`, 'error');
+            if (!isOnline()) {
+                log('Offline, so not retrying.', 'warning');
+                throw error;
+            }
+            const delay = retryDelay(error, attempt, { maxRetries, initialDelay: initialRetryDelay, random });
+            if (delay === null) {
+                log(error.retryable ? 'All retry attempts failed. Aborting API call.' : `Not retrying (${error.kind} error).`, 'error');
+                throw error;
+            }
+            log(`Retrying in ${(delay / 1000).toFixed(1)} seconds...`, 'warning');
+            await sleep(delay);
+        }
+    };
+
+    // Resolves to the parsed JSON body.
+    const generateContent = (payload, { signal } = {}) => postWithRetry(
+        buildGeminiUrl({ model, apiKey, baseUrl }),
+        payload,
+        {
+            signal,
+            readBody: async (response) => {
+                const result = await response.json();
+                getCandidateParts(result);
+                return result;
+            }
+        }
+    );
+
+    // Streams the reply over SSE, calling `onText` with each text delta as it arrives.
+    // Only the initial connection is retried. Resolves to a generateContent-shaped result
+    // holding the merged parts, so callers can treat both modes the same way.
+    const streamGenerateContent = async (payload, { onText = () => {}, signal } = {}) => {
+        const response = await postWithRetry(
+            buildGeminiUrl({ model, apiKey, baseUrl, method: 'streamGenerateContent', params: { alt: 'sse' } }),
+            payload,
+            { signal }
+        );
+
+        const parts = [];
+        let finishReason;
+        await readSseStream(response.body, (chunk) => {
+            const candidate = chunk.candidates?.[0];
+            if (!candidate) return;
+            finishReason = candidate.finishReason || finishReason;
+            (candidate.content?.parts || []).forEach(part => {
+                parts.push(part);
+                if (typeof part.text === 'string' && part.text) onText(part.text);
+            });
+        });
+
+        const result = { candidates: [{ content: { role: 'model', parts: mergeParts(parts) }, finishReason }] };
+        getCandidateParts(result);
+        return result;
+    };
+
+    return { model, generateContent, streamGenerateContent };
+};
+
+// Runs one assistant turn with native function calling: the model may answer with
+// functionCall parts, which are executed through `executeTool(name, args)` and fed back
+// as functionResponse parts until the model produces text.
+// Passing `onText` switches to streaming, with text deltas delivered as they arrive.
+// Resolves to { text, toolsUsed }.
+export const runToolConversation = async ({
+    client,
+    contents,
+    tools = [],
+    executeTool,
+    basePayload = {},
+    maxRounds = MAX_TOOL_ROUNDS,
+    onText,
+    signal,
+    log = () => {},
+}) => {
+    const functionDeclarations = toFunctionDeclarations(tools);
+    const conversation = [...contents];
+    const toolsUsed = [];
+    // Text from every round, so the reply matches what was streamed (and spoken) before a
+    // tool call as well as after it.
+    let text = '';
+
+    for (let round = 0; round <= maxRounds; round++) {
+        const payload = { ...basePayload, contents: conversation };
+        if (functionDeclarations.length > 0) {
+            payload.tools = [{ functionDeclarations }];
+            // On the last round, stop the model from asking for yet another tool.
+            if (round === maxRounds) {
+                payload.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+            }
+        }
+
+        const result = onText
+            ? await client.streamGenerateContent(payload, { onText, signal })
+            : await client.generateContent(payload, { signal });
+        const parts = getCandidateParts(result);
+        const calls = parts.filter(part => part.functionCall).map(part => part.functionCall);
+        text += getTextFromParts(parts);
+
+        if (calls.length === 0) {
+            return { text, toolsUsed };
+        }
+
+        conversation.push({ role: 'model', parts });
+
+        const responses = [];
+        for (const { name, args = {} } of calls) {
+            log(`Model called tool ${name}(${JSON.stringify(args)})`, 'info');
+            let response;
+            try {
+                const result = await executeTool(name, args);
+                response = { result: result ?? 'No result.' };
+                if (!toolsUsed.includes(name)) toolsUsed.push(name);
+            } catch (error) {
+                log(`Tool ${name} failed: ${error.message}`, 'error');
+                response = { error: error.message };
+            }
+            responses.push({ functionResponse: { name, response } });
+        }
+        conversation.push({ role: 'user', parts: responses });
+    }
+
+    throw new Error('Gemini did not produce a final answer.');
+};
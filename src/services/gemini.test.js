@@ -0,0 +1,265 @@
+import {
+    buildGeminiUrl,
+    createGeminiClient,
+    describeGeminiError,
+    ERROR_KINDS,
+    GeminiError,
+    MAX_RETRY_DELAY_MS,
+    retryDelay,
+    runToolConversation,
+    toFunctionDeclarations,
+} from './gemini';
+import { createToolRegistry } from '../tools/registry';
+
+// Replays canned Gemini responses in order and records every request body.
+const replayFetch = (responses) => {
+    const requests = [];
+    const fetchImpl = jest.fn(async (url, options) => {
+        requests.push({ url, body: JSON.parse(options.body) });
+        const next = responses.shift();
+        return {
+            ok: next.status === undefined || next.status < 400,
+            status: next.status || 200,
+            headers: { get: (name) => next.headers?.[name] ?? null },
+            json: async () => next.body,
+        };
+    });
+    return { fetchImpl, requests };
+};
+
+const modelReply = (...parts) => ({ body: { candidates: [{ content: { role: 'model', parts } }] } });
+
+const weatherRegistry = () => {
+    const registry = createToolRegistry();
+    const temperatures = { Oslo: -3, Berlin: 4 };
+    registry.register({
+        name: 'getWeatherReport',
+        description: 'Current weather for a named location.',
+        patterns: [/weather in (.+)/i],
+        handler: jest.fn(async ({ location }) => `The current weather in ${location} is ${temperatures[location]}°C.`),
+        parameters: {
+            type: 'OBJECT',
+            properties: { location: { type: 'STRING' } },
+            required: ['location'],
+        },
+    });
+    registry.register({ name: 'patternOnly', patterns: [/x/], handler: () => 'x' });
+    return registry;
+};
+
+test('builds URLs with and without an API key', () => {
+    expect(buildGeminiUrl({ model: 'm', apiKey: 'k' }))
+        .toBe('https://generativelanguage.googleapis.com/v1beta/models/m:generateContent?key=k');
+    expect(buildGeminiUrl({ model: 'm', method: 'streamGenerateContent', baseUrl: '/api/gemini' }))
+        .toBe('/api/gemini/models/m:streamGenerateContent');
+});
+
+test('only tools with a parameter schema become function declarations', () => {
+    expect(toFunctionDeclarations(weatherRegistry().list()).map(d => d.name)).toEqual(['getWeatherReport']);
+});
+
+test('executes parallel function calls and returns the final text', async () => {
+    const registry = weatherRegistry();
+    const { fetchImpl, requests } = replayFetch([
+        modelReply(
+            { functionCall: { name: 'getWeatherReport', args: { location: 'Oslo' } } },
+            { functionCall: { name: 'getWeatherReport', args: { location: 'Berlin' } } },
+        ),
+        modelReply({ text: 'Yes, Oslo (-3°C) is colder than Berlin (4°C).' }),
+    ]);
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl });
+
+    const result = await runToolConversation({
+        client,
+        contents: [{ role: 'user', parts: [{ text: 'is it colder in Oslo than Berlin right now?' }] }],
+        tools: registry.list(),
+        executeTool: registry.execute,
+    });
+
+    expect(result).toEqual({ text: 'Yes, Oslo (-3°C) is colder than Berlin (4°C).', toolsUsed: ['getWeatherReport'] });
+    expect(registry.get('getWeatherReport').handler).toHaveBeenCalledTimes(2);
+
+    expect(requests[0].body.tools[0].functionDeclarations).toHaveLength(1);
+    const followUp = requests[1].body.contents;
+    expect(followUp[1].role).toBe('model');
+    expect(followUp[2].parts).toEqual([
+        { functionResponse: { name: 'getWeatherReport', response: { result: 'The current weather in Oslo is -3°C.' } } },
+        { functionResponse: { name: 'getWeatherReport', response: { result: 'The current weather in Berlin is 4°C.' } } },
+    ]);
+});
+
+test('reports tool failures back to the model instead of aborting', async () => {
+    const { fetchImpl, requests } = replayFetch([
+        modelReply({ functionCall: { name: 'missingTool', args: {} } }),
+        modelReply({ text: 'I could not do that.' }),
+    ]);
+    const registry = weatherRegistry();
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl });
+
+    const result = await runToolConversation({
+        client,
+        contents: [{ role: 'user', parts: [{ text: 'hi' }] }],
+        tools: registry.list(),
+        executeTool: registry.execute,
+    });
+
+    expect(result.text).toBe('I could not do that.');
+    expect(requests[1].body.contents[2].parts[0].functionResponse.response.error).toMatch(/Unknown tool/);
+});
+
+test('forces a text answer once the tool round limit is reached', async () => {
+    const call = modelReply({ functionCall: { name: 'getWeatherReport', args: { location: 'Oslo' } } });
+    const { fetchImpl, requests } = replayFetch([call, call, modelReply({ text: 'done' })]);
+    const registry = weatherRegistry();
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl });
+
+    const result = await runToolConversation({
+        client,
+        contents: [{ role: 'user', parts: [{ text: 'weather?' }] }],
+        tools: registry.list(),
+        executeTool: registry.execute,
+        maxRounds: 2,
+    });
+
+    expect(result.text).toBe('done');
+    expect(requests[2].body.toolConfig).toEqual({ functionCallingConfig: { mode: 'NONE' } });
+});
+
+test('retries failed requests before giving up', async () => {
+    const { fetchImpl } = replayFetch([{ status: 500, body: {} }, modelReply({ text: 'ok' })]);
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, initialRetryDelay: 0 });
+
+    const result = await runToolConversation({ client, contents: [], executeTool: jest.fn() });
+    expect(result.text).toBe('ok');
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('stops retrying once the connection is gone', async () => {
+    const fetchImpl = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, initialRetryDelay: 0, isOnline: () => false });
+
+    await expect(client.generateContent({ contents: [] })).rejects.toThrow('Failed to fetch');
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('sorts failed responses into error kinds', async () => {
+    const failWith = async (response) => {
+        const { fetchImpl } = replayFetch([response]);
+        const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, maxRetries: 1 });
+        return client.generateContent({ contents: [] }).catch(error => error);
+    };
+
+    expect(await failWith({ status: 403, body: { error: { message: 'Permission denied' } } }))
+        .toMatchObject({ name: 'GeminiError', kind: ERROR_KINDS.AUTH, status: 403, retryable: false });
+    expect(await failWith({ status: 400, body: { error: { message: 'API key not valid.', details: [{ reason: 'API_KEY_INVALID' }] } } }))
+        .toMatchObject({ kind: ERROR_KINDS.AUTH });
+    expect(await failWith({ status: 400, body: { error: { message: 'Invalid JSON payload.' } } }))
+        .toMatchObject({ kind: ERROR_KINDS.BAD_REQUEST, message: 'Invalid JSON payload.', retryable: false });
+    expect(await failWith({ status: 429, headers: { 'Retry-After': '7' }, body: {} }))
+        .toMatchObject({ kind: ERROR_KINDS.QUOTA, retryAfterMs: 7000, retryable: true });
+    expect(await failWith({ status: 429, body: { error: { details: [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: '31s' }] } } }))
+        .toMatchObject({ kind: ERROR_KINDS.QUOTA, retryAfterMs: 31000 });
+    expect(await failWith({ status: 502, body: { error: 'Upstream unavailable' } }))
+        .toMatchObject({ kind: ERROR_KINDS.SERVER, retryable: true });
+    expect(await failWith({ body: { promptFeedback: { blockReason: 'SAFETY' } } }))
+        .toMatchObject({ kind: ERROR_KINDS.SAFETY, reason: 'SAFETY', retryable: false });
+    expect(await failWith({ body: { candidates: [{ finishReason: 'RECITATION' }] } }))
+        .toMatchObject({ kind: ERROR_KINDS.SAFETY, reason: 'RECITATION' });
+    expect(await failWith({ body: { candidates: [] } }))
+        .toMatchObject({ kind: ERROR_KINDS.MALFORMED, retryable: true });
+});
+
+test('does not retry requests that would fail the same way again', async () => {
+    const { fetchImpl } = replayFetch([{ status: 400, body: { error: { message: 'Bad request' } } }, modelReply({ text: 'ok' })]);
+    const sleep = jest.fn();
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, sleep });
+
+    await expect(client.generateContent({ contents: [] })).rejects.toMatchObject({ kind: ERROR_KINDS.BAD_REQUEST });
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+    expect(sleep).not.toHaveBeenCalled();
+});
+
+test('waits out a short rate limit before retrying', async () => {
+    const { fetchImpl } = replayFetch([{ status: 429, headers: { 'Retry-After': '2' }, body: {} }, modelReply({ text: 'ok' })]);
+    const sleep = jest.fn(async () => {});
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, sleep });
+
+    await client.generateContent({ contents: [] });
+    expect(sleep).toHaveBeenCalledWith(2000);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
+
+test('backs off exponentially with jitter and gives up when retrying is pointless', () => {
+    const server = new GeminiError('down', ERROR_KINDS.SERVER);
+    const options = { maxRetries: 5, initialDelay: 1000 };
+
+    expect(retryDelay(server, 0, { ...options, random: () => 0 })).toBe(500);
+    expect(retryDelay(server, 0, { ...options, random: () => 1 })).toBe(1000);
+    expect(retryDelay(server, 2, { ...options, random: () => 0.5 })).toBe(3000);
+    expect(retryDelay(server, 3, { ...options, random: () => 1 })).toBe(MAX_RETRY_DELAY_MS);
+    expect(retryDelay(server, 4, options)).toBeNull();
+    expect(retryDelay(new GeminiError('key', ERROR_KINDS.AUTH), 0, options)).toBeNull();
+    expect(retryDelay(new GeminiError('busy', ERROR_KINDS.QUOTA, { retryAfterMs: 60000 }), 0, options)).toBeNull();
+});
+
+test('explains errors to the user', () => {
+    expect(describeGeminiError(new GeminiError('denied', ERROR_KINDS.AUTH))).toMatch(/API key/);
+    expect(describeGeminiError(new GeminiError('busy', ERROR_KINDS.QUOTA, { retryAfterMs: 1500 }))).toMatch(/in 2 seconds/);
+    expect(describeGeminiError(new GeminiError('blocked', ERROR_KINDS.SAFETY, { reason: 'PROHIBITED_CONTENT' })))
+        .toMatch(/safety reasons \(prohibited content\)/);
+    expect(describeGeminiError(new TypeError('Failed to fetch'))).toMatch(/couldn't reach Gemini/);
+    expect(describeGeminiError(new Error('boom'))).toMatch(/boom/);
+});
+
+// A fetch body that yields the given SSE text in arbitrary chunks.
+const sseBody = (chunks) => ({
+    getReader: () => ({
+        read: async () => (chunks.length ? { done: false, value: chunks.shift() } : { done: true }),
+    }),
+});
+
+const sseEvent = (parts) => `data: ${JSON.stringify({ candidates: [{ content: { role: 'model', parts } }] })}\r\n\r\n`;
+
+test('streams text deltas and merges them into the final answer', async () => {
+    const events = sseEvent([{ text: 'Hello' }]) + sseEvent([{ text: ', Oslo.' }]);
+    // Split mid-event to make sure partial lines are buffered.
+    const body = sseBody([events.slice(0, 20), events.slice(20)]);
+    const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, body }));
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl });
+    const onText = jest.fn();
+
+    const result = await runToolConversation({ client, contents: [], executeTool: jest.fn(), onText });
+
+    expect(fetchImpl.mock.calls[0][0]).toBe(
+        'https://generativelanguage.googleapis.com/v1beta/models/gemini-test:streamGenerateContent?alt=sse&key=test'
+    );
+    expect(onText.mock.calls.map(([delta]) => delta)).toEqual(['Hello', ', Oslo.']);
+    expect(result.text).toBe('Hello, Oslo.');
+});
+
+test('keeps the text streamed before a tool call in the final answer', async () => {
+    const bodies = [
+        sseEvent([{ text: 'Let me check. ' }, { functionCall: { name: 'getWeatherReport', args: { location: 'Oslo' } } }]),
+        sseEvent([{ text: 'It is sunny.' }]),
+    ];
+    const fetchImpl = jest.fn(async () => ({ ok: true, status: 200, body: sseBody([bodies.shift()]) }));
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl });
+    const onText = jest.fn();
+    const executeTool = jest.fn().mockResolvedValue('Sunny, 18°C');
+
+    const result = await runToolConversation({ client, contents: [], tools: [{ name: 'getWeatherReport', parameters: {} }], executeTool, onText });
+
+    expect(onText.mock.calls.map(([delta]) => delta)).toEqual(['Let me check. ', 'It is sunny.']);
+    expect(result).toEqual({ text: 'Let me check. It is sunny.', toolsUsed: ['getWeatherReport'] });
+});
+
+test('retries the initial stream connection but never an aborted request', async () => {
+    const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    const fetchImpl = jest.fn()
+        .mockResolvedValueOnce({ ok: false, status: 503 })
+        .mockRejectedValueOnce(abortError);
+    const client = createGeminiClient({ apiKey: 'test', model: 'gemini-test', fetchImpl, initialRetryDelay: 0 });
+
+    await expect(client.streamGenerateContent({}, { onText: jest.fn() })).rejects.toBe(abortError);
+    expect(fetchImpl).toHaveBeenCalledTimes(2);
+});
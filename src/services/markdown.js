@@ -0,0 +1,90 @@
+// Renders A.N.Y.A.'s markdown replies to HTML: GitHub-flavored markdown (tables, task
+// lists, strikethrough), highlighted code blocks with a copy button, and LaTeX math.
+// Raw HTML in the reply is shown as text, and the result is sanitised again with
+// DOMPurify, so model output can never inject markup or script.
+
+import { Marked } from 'marked';
+import DOMPurify from 'dompurify';
+import katex from 'katex';
+import hljs from 'highlight.js/lib/common';
+
+// Marks the copy button rendered above each code block (see MarkdownMessage).
+export const COPY_CODE_ATTRIBUTE = 'data-copy-code';
+
+const escapeHtml = (text) => text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// --- Math ---
+// $$…$$ and \[…\] display math (on their own lines), $…$ and \(…\) inline math.
+// Inline $ needs non-space next to both delimiters and no digit after the closing one,
+// so prices like "$5 and $10" stay text.
+
+const renderMath = (tex, displayMode) => katex.renderToString(tex, {
+    displayMode,
+    throwOnError: false, // invalid TeX is shown in red instead of failing the message
+    output: 'htmlAndMathml',
+});
+
+const blockMath = {
+    name: 'blockMath',
+    level: 'block',
+    start: (src) => src.match(/^ {0,3}(\$\$|\\\[)/m)?.index,
+    tokenizer(src) {
+        const match = /^ {0,3}\$\$([\s\S]+?)\$\$ *(?:\n|$)/.exec(src) || /^ {0,3}\\\[([\s\S]+?)\\\] *(?:\n|$)/.exec(src);
+        if (match) return { type: 'blockMath', raw: match[0], tex: match[1].trim() };
+        return undefined;
+    },
+    renderer: (token) => `<div class="math-display">${renderMath(token.tex, true)}</div>\n`,
+};
+
+const inlineMath = {
+    name: 'inlineMath',
+    level: 'inline',
+    start: (src) => src.match(/\$|\\\(/)?.index,
+    tokenizer(src) {
+        const match = /^\$(?!\s)((?:\\.|[^\\$\n])*?[^\\\s$])\$(?!\d)/.exec(src) || /^\\\((.+?)\\\)/.exec(src);
+        if (match) return { type: 'inlineMath', raw: match[0], tex: match[1] };
+        return undefined;
+    },
+    renderer: (token) => renderMath(token.tex, false),
+};
+
+// --- Renderer ---
+
+const renderer = {
+    code({ text, lang }) {
+        const language = (lang || '').trim().split(/\s+/)[0].toLowerCase();
+        const known = Boolean(language) && Boolean(hljs.getLanguage(language));
+        const body = known ? hljs.highlight(text, { language, ignoreIllegals: true }).value : escapeHtml(text);
+        return `<div class="code-block">`
+            + `<div class="code-block-header"><span>${escapeHtml(language || 'text')}</span>`
+            + `<button type="button" ${COPY_CODE_ATTRIBUTE} title="Copy code">Copy</button></div>`
+            + `<pre><code class="hljs${known ? ` language-${language}` : ''}">${body}</code></pre>`
+            + `</div>\n`;
+    },
+    // Raw HTML from the model is displayed, never interpreted.
+    html({ text }) {
+        return escapeHtml(text);
+    },
+};
+
+const markdown = new Marked({ gfm: true, breaks: true, renderer, extensions: [blockMath, inlineMath] });
+
+const purifier = DOMPurify(window);
+// Links open in a new tab without access to this page.
+purifier.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+        node.setAttribute('target', '_blank');
+        node.setAttribute('rel', 'noopener noreferrer');
+    }
+});
+
+export const renderMarkdown = (text) => purifier.sanitize(markdown.parse(text || '', { async: false }), {
+    USE_PROFILES: { html: true, mathMl: true },
+    FORBID_TAGS: ['style', 'form'],
+    ADD_ATTR: ['target'],
+});
@@ -0,0 +1,48 @@
+import { renderMarkdown, COPY_CODE_ATTRIBUTE } from './markdown';
+
+const toDom = (markdown) => {
+    const container = document.createElement('div');
+    container.innerHTML = renderMarkdown(markdown);
+    return container;
+};
+
+test('renders GitHub-flavored markdown', () => {
+    const container = toDom('# Title\n\n- **bold** item\n- [x] done\n\n| A | B |\n|---|---|\n| 1 | ~~2~~ |');
+    expect(container.querySelector('h1').textContent).toBe('Title');
+    expect(container.querySelector('li strong').textContent).toBe('bold');
+    expect(container.querySelector('input[type="checkbox"]').checked).toBe(true);
+    expect([...container.querySelectorAll('td')].map(td => td.textContent)).toEqual(['1', '2']);
+    expect(container.querySelector('del')).not.toBeNull();
+});
+
+test('highlights code blocks and adds a copy button', () => {
+    const container = toDom('```js\nconst x = "<b>";\n```\n\n```\nplain <i>\n```');
+    const [js, plain] = container.querySelectorAll('.code-block');
+    expect(js.querySelector(`[${COPY_CODE_ATTRIBUTE}]`)).not.toBeNull();
+    expect(js.querySelector('code').className).toContain('language-js');
+    expect(js.querySelector('.hljs-keyword').textContent).toBe('const');
+    expect(js.querySelector('code').textContent).toBe('const x = "<b>";');
+    expect(plain.querySelector('code').textContent).toBe('plain <i>');
+});
+
+test('renders inline and display math', () => {
+    const container = toDom('Euler: $e^{i\\pi} + 1 = 0$ and \\(x^2\\)\n\n$$\n\\int_0^1 x\\,dx\n$$\n\nIt costs $5 or $10.');
+    expect(container.querySelectorAll('.katex')).toHaveLength(3);
+    expect(container.querySelector('.math-display .katex-display')).not.toBeNull();
+    expect(container.textContent).toContain('It costs $5 or $10.');
+});
+
+test('never lets model output inject markup or script', () => {
+    const container = toDom([
+        '<script>alert(1)</script>',
+        '<img src=x onerror="alert(1)">',
+        '[click](javascript:alert(1))',
+        '[ok](https://example.com)',
+        '$\\href{javascript:alert(1)}{x}$',
+    ].join('\n\n'));
+    expect(container.querySelector('script, img, [onerror]')).toBeNull();
+    expect(container.textContent).toContain('<script>alert(1)</script>');
+    const links = [...container.querySelectorAll('a')];
+    expect(links.filter(a => /javascript:/i.test(a.getAttribute('href') || ''))).toHaveLength(0);
+    expect(container.querySelector('a[href="https://example.com"]').getAttribute('rel')).toBe('noopener noreferrer');
+});
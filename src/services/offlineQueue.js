@@ -0,0 +1,61 @@
+// Messages held back for the model while offline (see ./connectivity.js).
+// A user message that still needs a reply carries a `status`: 'pending' while it waits for
+// the connection or its turn and 'sending' while it is being sent. The status goes once the
+// reply is in; when sending fails that reply is an error reply, which can be retried (see
+// requeueAfterError). Messages are told apart by their id, as two can share a timestamp. The
+// helpers are pure and return new arrays.
+
+export const MESSAGE_STATUS = {
+    PENDING: 'pending',
+    SENDING: 'sending',
+};
+
+const QUEUED = Object.values(MESSAGE_STATUS);
+
+const isMessage = (msg, id) => msg.sender === 'user' && msg.id === id;
+
+const withStatus = (msg, status) => {
+    const { status: previous, ...rest } = msg;
+    return status ? { ...rest, status } : rest;
+};
+
+// Whether a message of `messages` is still waiting to be sent, so that new ones queue
+// behind it and keep their order.
+export const hasQueued = (messages) => messages.some(msg => QUEUED.includes(msg.status));
+
+export const countQueued = (sessions) => sessions
+    .reduce((count, session) => count + session.messages.filter(msg => QUEUED.includes(msg.status)).length, 0);
+
+// The oldest queued message over all sessions, as { sessionId, message }, or null. A
+// message still marked as sending was interrupted (the page was closed) and goes again.
+export const nextQueued = (sessions) => sessions
+    .flatMap(session => session.messages
+        .filter(msg => QUEUED.includes(msg.status))
+        .map(message => ({ sessionId: session.id, message })))
+    .sort((a, b) => a.message.localTimestamp.localeCompare(b.message.localTimestamp))[0] || null;
+
+export const setMessageStatus = (messages, id, status) => messages.map(msg => (
+    isMessage(msg, id) ? withStatus(msg, status) : msg
+));
+
+// What to send for a queued message: the conversation up to it, without other messages
+// that never got a reply.
+export const historyUpTo = (messages, id) => {
+    const index = messages.findIndex(msg => isMessage(msg, id));
+    return messages.slice(0, index + 1).filter((msg, i) => i === index || !msg.status);
+};
+
+// Puts the reply right after the message it answers, wherever the conversation has got to.
+export const insertReply = (messages, id, reply) => {
+    const index = messages.findIndex(msg => isMessage(msg, id));
+    if (index === -1) return messages;
+    return [...messages.slice(0, index), withStatus(messages[index], null), reply, ...messages.slice(index + 1)];
+};
+
+// Retrying after an error reply: the reply goes and the message it answered is queued again.
+export const requeueAfterError = (messages, replyId) => {
+    const index = messages.findIndex(msg => msg.sender === 'anya' && msg.error && msg.id === replyId);
+    const question = messages[index - 1];
+    if (index < 1 || question.sender !== 'user') return messages;
+    return [...messages.slice(0, index - 1), withStatus(question, MESSAGE_STATUS.PENDING), ...messages.slice(index + 1)];
+};
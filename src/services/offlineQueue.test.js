@@ -0,0 +1,50 @@
+import { MESSAGE_STATUS, hasQueued, countQueued, nextQueued, setMessageStatus, historyUpTo, insertReply, requeueAfterError } from './offlineQueue';
+import { user, anya } from '../testUtils';
+
+test('finds the oldest queued message over all sessions', () => {
+    const sessions = [
+        { id: 'a', messages: [user('hi', 0), anya('hello', 0), user('what is new?', 5, MESSAGE_STATUS.PENDING)] },
+        { id: 'b', messages: [user('tell me a joke', 3, MESSAGE_STATUS.PENDING), anya('Knock knock.', 3)] },
+    ];
+    expect(nextQueued(sessions)).toEqual({ sessionId: 'b', message: sessions[1].messages[0] });
+    expect(countQueued(sessions)).toBe(2);
+    expect(hasQueued(sessions[0].messages)).toBe(true);
+    expect(hasQueued([user('x', 1), anya('y', 1)])).toBe(false);
+    expect(nextQueued([{ id: 'c', messages: [user('x', 1)] }])).toBeNull();
+});
+
+test('sends the conversation up to a queued message, without unanswered ones', () => {
+    const messages = [user('hi', 0), anya('hello', 0), user('earlier', 1, MESSAGE_STATUS.PENDING), user('queued', 2, MESSAGE_STATUS.PENDING), user('later', 3, MESSAGE_STATUS.PENDING)];
+    expect(historyUpTo(messages, messages[3].id).map(msg => msg.text)).toEqual(['hi', 'hello', 'queued']);
+});
+
+test('marks messages and puts the reply right after the one it answers', () => {
+    const messages = [user('first', 1, MESSAGE_STATUS.PENDING), user('second', 2, MESSAGE_STATUS.PENDING)];
+    const sending = setMessageStatus(messages, messages[0].id, MESSAGE_STATUS.SENDING);
+    expect(sending.map(msg => msg.status)).toEqual([MESSAGE_STATUS.SENDING, MESSAGE_STATUS.PENDING]);
+
+    const answered = insertReply(sending, messages[0].id, anya('reply', 6));
+    expect(answered.map(msg => msg.text)).toEqual(['first', 'reply', 'second']);
+    expect(answered[0]).not.toHaveProperty('status');
+    expect(insertReply(answered, 'missing', anya('x', 7))).toBe(answered);
+});
+
+test('queues the message again when its error reply is retried', () => {
+    const failed = { ...anya('Gemini is having trouble right now.', 1), error: { kind: 'server', retryable: true } };
+    const messages = [user('hi', 0), anya('hello', 0), user('joke?', 1), failed, user('later', 2)];
+
+    const retried = requeueAfterError(messages, failed.id);
+    expect(retried.map(msg => msg.text)).toEqual(['hi', 'hello', 'joke?', 'later']);
+    expect(retried[2].status).toBe(MESSAGE_STATUS.PENDING);
+    expect(requeueAfterError(messages, messages[1].id)).toBe(messages);
+});
+
+test('tells apart a message and its reply sent in the same millisecond', () => {
+    const question = user('hi', 0, MESSAGE_STATUS.PENDING);
+    const earlier = { ...user('hi', 0), id: 'earlier' };
+    const messages = [earlier, anya('hello', 0), question];
+
+    expect(setMessageStatus(messages, question.id, MESSAGE_STATUS.SENDING).map(msg => msg.status))
+        .toEqual([undefined, undefined, MESSAGE_STATUS.SENDING]);
+    expect(insertReply(messages, question.id, anya('again?', 0)).map(msg => msg.text)).toEqual(['hi', 'hello', 'hi', 'again?']);
+});
@@ -0,0 +1,184 @@
+// Conversation sessions for A.N.Y.A.
+// A session is { id, title, titleIsCustom, pinned, createdAt, updatedAt, messages, summary, branches }.
+// `summary` is the running summary of older messages kept by ./context.js, or null.
+// `branches` holds the branches of the conversation that aren't on screen (see ./branches.js).
+// The helpers here are pure (they return new arrays) apart from the load/save functions,
+// which read and write localStorage. Those are now only the fallback and migration source
+// for the IndexedDB store in ./storage.
+
+import { pruneBranches, withMessageIds } from './branches';
+
+export const SESSIONS_KEY = 'anyaSessions';
+export const ACTIVE_SESSION_KEY = 'anyaActiveSession';
+export const LEGACY_HISTORY_KEY = 'chatHistory';
+
+export const DEFAULT_TITLE = 'New conversation';
+const TITLE_MAX_LENGTH = 48;
+
+export const createId = () => (
+    typeof crypto !== 'undefined' && crypto.randomUUID
+        ? crypto.randomUUID()
+        : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`
+);
+
+export const createSession = (messages = [], now = new Date().toISOString()) => ({
+    id: createId(),
+    title: DEFAULT_TITLE,
+    titleIsCustom: false,
+    pinned: false,
+    createdAt: now,
+    updatedAt: now,
+    messages,
+    summary: null,
+    branches: {},
+});
+
+// Builds a short title from the first exchange: the first user message, or the start of
+// the reply if the user only said something like "hi".
+export const generateTitle = (messages) => {
+    const firstUser = messages.find(msg => msg.sender === 'user');
+    if (!firstUser) return DEFAULT_TITLE;
+
+    const clean = (text) => text.replace(/[#*_`>]/g, '').replace(/\s+/g, ' ').trim();
+    let source = clean(firstUser.text);
+    if (source.split(' ').length < 3) {
+        const firstReply = messages.find(msg => msg.sender === 'anya');
+        if (firstReply) source = clean(firstReply.text).split(/(?<=[.!?])\s/)[0] || source;
+    }
+    if (source.length <= TITLE_MAX_LENGTH) return source.replace(/[.!?]+$/, '') || DEFAULT_TITLE;
+    const cut = source.slice(0, TITLE_MAX_LENGTH);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 20 ? cut.lastIndexOf(' ') : cut.length)}…`;
+};
+
+const updateSession = (sessions, id, update) => sessions.map(session => (
+    session.id === id ? { ...session, ...update(session) } : session
+));
+
+const sameMessage = (a, b) => a === b
+    || (a.sender === b.sender && a.text === b.text && a.localTimestamp === b.localTimestamp);
+
+// Whether `messages` still start with the first `count` messages of `previous`, as far as
+// what was said goes (a queued message's status may have changed).
+const keepsStart = (previous, messages, count) => (
+    count <= messages.length && previous.slice(0, count).every((msg, index) => sameMessage(msg, messages[index]))
+);
+
+// Replaces a session's messages; an untouched title follows the conversation. A summary
+// covering messages that are gone or changed (the chat was cleared, or a message was edited,
+// deleted or switched to another branch) is dropped, and so are branches no longer reachable.
+export const setSessionMessages = (sessions, id, messages, now = new Date().toISOString()) => (
+    updateSession(sessions, id, session => ({
+        messages,
+        updatedAt: now,
+        title: session.titleIsCustom ? session.title : generateTitle(messages),
+        branches: pruneBranches(messages, session.branches),
+        ...(session.summary && !keepsStart(session.messages, messages, session.summary.upTo) && { summary: null }),
+    }))
+);
+
+// Applies a change from ./branches.js to the session's { messages, branches }.
+export const changeSessionThread = (sessions, id, change, now = new Date().toISOString()) => {
+    const session = sessions.find(other => other.id === id);
+    if (!session) return sessions;
+    const thread = change({ messages: session.messages, branches: session.branches || {} });
+    return setSessionMessages(updateSession(sessions, id, () => ({ branches: thread.branches })), id, thread.messages, now);
+};
+
+// `basedOn` is the conversation the summary was written from; if what it covers has changed
+// since, the summary is out of date and is not kept.
+export const setSessionSummary = (sessions, id, summary, basedOn = null) => updateSession(sessions, id, session => (
+    !summary || !basedOn || keepsStart(basedOn, session.messages, summary.upTo) ? { summary } : {}
+));
+
+// An empty title goes back to the generated one.
+export const renameSession = (sessions, id, title) => {
+    const trimmed = title.trim();
+    return updateSession(sessions, id, session => (trimmed
+        ? { title: trimmed, titleIsCustom: true }
+        : { title: generateTitle(session.messages), titleIsCustom: false }));
+};
+
+export const togglePinned = (sessions, id) => updateSession(sessions, id, session => ({ pinned: !session.pinned }));
+
+export const deleteSession = (sessions, id) => sessions.filter(session => session.id !== id);
+
+// Pinned first, then most recently updated.
+export const sortSessions = (sessions) => [...sessions].sort((a, b) => (
+    (Number(b.pinned) - Number(a.pinned)) || b.updatedAt.localeCompare(a.updatedAt)
+));
+
+// Full-text search over titles and message text. Every search word must appear in the
+// message (or title). Returns [{ sessionId, title, messageIndex, snippet }], newest first.
+export const searchSessions = (sessions, query, { limit = 50 } = {}) => {
+    const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length === 0) return [];
+    const matches = (text) => {
+        const lower = (text || '').toLowerCase();
+        return words.every(word => lower.includes(word));
+    };
+    const snippetFor = (text) => {
+        const index = text.toLowerCase().indexOf(words[0]);
+        const start = Math.max(0, index - 30);
+        const end = Math.min(text.length, index + 70);
+        return `${start > 0 ? '…' : ''}${text.slice(start, end).replace(/\s+/g, ' ')}${end < text.length ? '…' : ''}`;
+    };
+
+    const results = [];
+    for (const session of sortSessions(sessions)) {
+        if (matches(session.title)) {
+            results.push({ sessionId: session.id, title: session.title, messageIndex: null, snippet: session.title });
+        }
+        session.messages.forEach((msg, messageIndex) => {
+            if (matches(msg.text)) {
+                results.push({ sessionId: session.id, title: session.title, messageIndex, snippet: snippetFor(msg.text) });
+            }
+        });
+        if (results.length >= limit) break;
+    }
+    return results.slice(0, limit);
+};
+
+// --- Persistence ---
+
+// Gives the messages of a session saved before messages had ids theirs (see withMessageIds).
+export const upgradeSession = (session) => withMessageIds(session, createId);
+
+// Loads sessions, migrating the old single-key history into the first session.
+// Always returns at least one session. `log` receives problems worth surfacing.
+export const loadSessions = (storage = window.localStorage, log = () => {}) => {
+    let sessions = [];
+    const saved = storage.getItem(SESSIONS_KEY);
+    if (saved) {
+        try {
+            const parsed = JSON.parse(saved);
+            if (Array.isArray(parsed)) sessions = parsed.filter(session => session && session.id && Array.isArray(session.messages));
+        } catch (error) {
+            log('Error parsing saved conversations from local storage.', 'error');
+        }
+    }
+
+    const legacy = storage.getItem(LEGACY_HISTORY_KEY);
+    if (legacy) {
+        try {
+            const messages = JSON.parse(legacy);
+            if (Array.isArray(messages) && messages.length > 0) {
+                const migrated = createSession([], messages[0].localTimestamp || new Date().toISOString());
+                sessions = [...setSessionMessages([migrated], migrated.id, messages, messages[messages.length - 1].localTimestamp || migrated.updatedAt), ...sessions];
+                log(`Migrated ${messages.length} messages from the old chat history into a conversation.`, 'info');
+            }
+            storage.removeItem(LEGACY_HISTORY_KEY);
+        } catch (error) {
+            log('Error parsing chat history from local storage; the old history was left in place.', 'error');
+        }
+    }
+
+    sessions = sessions.length > 0 ? sessions.map(upgradeSession) : [createSession()];
+    const activeId = storage.getItem(ACTIVE_SESSION_KEY);
+    const activeSessionId = sessions.some(session => session.id === activeId) ? activeId : sortSessions(sessions)[0].id;
+    return { sessions, activeSessionId };
+};
+
+export const saveSessions = (sessions, activeSessionId, storage = window.localStorage) => {
+    storage.setItem(SESSIONS_KEY, JSON.stringify(sessions));
+    storage.setItem(ACTIVE_SESSION_KEY, activeSessionId);
+};
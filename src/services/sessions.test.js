@@ -0,0 +1,90 @@
+import {
+    createSession, setSessionMessages, setSessionSummary, changeSessionThread, renameSession, togglePinned,
+    deleteSession, sortSessions, searchSessions, generateTitle, loadSessions, saveSessions, DEFAULT_TITLE, LEGACY_HISTORY_KEY
+} from './sessions';
+import { editMessage } from './branches';
+import { createMemoryStorage, message } from '../testUtils';
+
+test('titles come from the first exchange', () => {
+    expect(generateTitle([])).toBe(DEFAULT_TITLE);
+    expect(generateTitle([message('user', 'How do I bake sourdough bread?')])).toBe('How do I bake sourdough bread');
+    expect(generateTitle([message('user', 'hi'), message('anya', 'Hello! How can I help you today?')])).toBe('Hello');
+    expect(generateTitle([message('user', 'Please explain the difference between TCP and UDP in networking')]))
+        .toBe('Please explain the difference between TCP and…');
+});
+
+test('custom titles survive new messages and can be reset', () => {
+    const session = createSession();
+    let sessions = renameSession([session], session.id, 'Trip planning');
+    sessions = setSessionMessages(sessions, session.id, [message('user', 'What should I pack for Norway?')]);
+    expect(sessions[0].title).toBe('Trip planning');
+
+    sessions = renameSession(sessions, session.id, '   ');
+    expect(sessions[0].title).toBe('What should I pack for Norway');
+});
+
+test('editing a message the summary covers drops the summary; later edits keep it', () => {
+    const messages = ['one', 'two', 'three', 'four'].map((text, i) => message(i % 2 ? 'anya' : 'user', text, i));
+    const session = createSession(messages);
+    const sessions = setSessionSummary([session], session.id, { text: 'Summary.', upTo: 2 });
+
+    const later = changeSessionThread(sessions, sessions[0].id, thread => editMessage(thread, 2, 'THREE'));
+    expect(later[0].summary).toEqual({ text: 'Summary.', upTo: 2 });
+    expect(Object.keys(later[0].branches)).toHaveLength(1);
+
+    const earlier = changeSessionThread(sessions, sessions[0].id, thread => editMessage(thread, 0, 'ONE'));
+    expect(earlier[0].summary).toBeNull();
+    expect(earlier[0].messages.map(msg => msg.text)).toEqual(['ONE']);
+});
+
+test('a summary written from messages that have changed since is not kept', () => {
+    const messages = ['one', 'two', 'three'].map((text, i) => message(i % 2 ? 'anya' : 'user', text, i));
+    const sessions = [createSession(messages)];
+    const edited = changeSessionThread(sessions, sessions[0].id, thread => editMessage(thread, 0, 'ONE'));
+
+    expect(setSessionSummary(edited, sessions[0].id, { text: 'Old.', upTo: 2 }, messages)[0].summary).toBeNull();
+    expect(setSessionSummary(sessions, sessions[0].id, { text: 'New.', upTo: 2 }, messages)[0].summary).toEqual({ text: 'New.', upTo: 2 });
+});
+
+test('pinned conversations sort first, then most recent', () => {
+    const older = { ...createSession([], '2025-01-01T00:00:00.000Z'), title: 'older' };
+    const newer = { ...createSession([], '2025-02-01T00:00:00.000Z'), title: 'newer' };
+    expect(sortSessions([older, newer]).map(s => s.title)).toEqual(['newer', 'older']);
+    expect(sortSessions(togglePinned([older, newer], older.id)).map(s => s.title)).toEqual(['older', 'newer']);
+    expect(deleteSession([older, newer], older.id)).toEqual([newer]);
+});
+
+test('search finds every word across all conversations', () => {
+    let sessions = [createSession(), createSession()];
+    sessions = setSessionMessages(sessions, sessions[0].id, [message('user', 'Weather in Oslo tomorrow?')]);
+    sessions = setSessionMessages(sessions, sessions[1].id, [message('user', 'hello'), message('anya', 'Oslo is the capital of Norway.')]);
+
+    const results = searchSessions(sessions, 'oslo norway').filter(result => result.messageIndex !== null);
+    expect(results).toEqual([expect.objectContaining({ sessionId: sessions[1].id, messageIndex: 1 })]);
+    expect(searchSessions(sessions, 'tomorrow')[0]).toMatchObject({ sessionId: sessions[0].id, messageIndex: null });
+    expect(searchSessions(sessions, '  ')).toEqual([]);
+});
+
+test('legacy single-key history is migrated into the first conversation', () => {
+    const history = [message('user', 'What is the weather in Paris?'), message('anya', 'Sunny.', 1)];
+    const storage = createMemoryStorage({ [LEGACY_HISTORY_KEY]: JSON.stringify(history) });
+
+    const { sessions, activeSessionId } = loadSessions(storage);
+    expect(sessions).toHaveLength(1);
+    expect(sessions[0].messages).toEqual(history);
+    expect(sessions[0].title).toBe('What is the weather in Paris');
+    expect(activeSessionId).toBe(sessions[0].id);
+    expect(storage.getItem(LEGACY_HISTORY_KEY)).toBeNull();
+
+    saveSessions(sessions, activeSessionId, storage);
+    expect(loadSessions(storage)).toEqual({ sessions, activeSessionId });
+});
+
+test('unreadable legacy history is left in place', () => {
+    const storage = createMemoryStorage({ [LEGACY_HISTORY_KEY]: '{not json' });
+    const log = jest.fn();
+    const { sessions } = loadSessions(storage, log);
+    expect(sessions).toHaveLength(1);
+    expect(storage.getItem(LEGACY_HISTORY_KEY)).toBe('{not json');
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/Error parsing/), 'error');
+});
@@ -0,0 +1,266 @@
+// Persistent storage for A.N.Y.A. conversations, backed by IndexedDB.
+// Session metadata and messages live in separate object stores with one record per
+// message, so sending a message writes a couple of small records instead of
+// re-serialising every conversation. Falls back to localStorage when IndexedDB is missing.
+
+import {
+    createSession, generateTitle, sortSessions, loadSessions, saveSessions, upgradeSession,
+    SESSIONS_KEY, ACTIVE_SESSION_KEY, LEGACY_HISTORY_KEY
+} from './sessions';
+
+export const DB_NAME = 'anya';
+export const SESSION_STORE = 'sessions';
+export const MESSAGE_STORE = 'messages';
+export const META_STORE = 'meta';
+
+// migrations[n] upgrades the database from version n to n + 1, so the current schema
+// version is MIGRATIONS.length. Never change a migration that has shipped; add a new one.
+export const MIGRATIONS = [
+    // v1: conversations and their messages, keyed by [sessionId, position].
+    (db) => {
+        db.createObjectStore(SESSION_STORE, { keyPath: 'id' });
+        const messages = db.createObjectStore(MESSAGE_STORE, { keyPath: ['sessionId', 'position'] });
+        messages.createIndex('bySession', 'sessionId');
+    },
+    // v2: small key/value store for app state such as the active conversation.
+    (db) => {
+        db.createObjectStore(META_STORE, { keyPath: 'key' });
+    },
+];
+
+// --- IndexedDB helpers ---
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Storage transaction was aborted.'));
+});
+
+export const openDatabase = ({ indexedDB = window.indexedDB, name = DB_NAME, migrations = MIGRATIONS } = {}) => {
+    if (!indexedDB) return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(name, migrations.length);
+        request.onupgradeneeded = (event) => {
+            for (let version = event.oldVersion; version < migrations.length; version++) {
+                migrations[version](request.result, request.transaction);
+            }
+        };
+        request.onsuccess = () => {
+            const db = request.result;
+            // Let a newer tab upgrade the schema instead of blocking it.
+            db.onversionchange = () => db.close();
+            resolve(db);
+        };
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('The conversation database is open in an older tab. Close it and reload.'));
+    });
+};
+
+// --- Records ---
+
+// Branches that aren't on screen are kept with the session record (see ./branches.js).
+const SESSION_FIELDS = ['id', 'title', 'titleIsCustom', 'pinned', 'createdAt', 'updatedAt', 'summary', 'branches'];
+
+const toSessionRecord = (session) => Object.fromEntries(SESSION_FIELDS.map(field => [field, session[field]]));
+
+const isValidSessionRecord = (record) => Boolean(
+    record && typeof record.id === 'string' && typeof record.title === 'string' && typeof record.updatedAt === 'string'
+);
+
+const isValidMessageRecord = (record) => Boolean(
+    record && record.message && ['user', 'anya'].includes(record.message.sender) && typeof record.message.text === 'string'
+);
+
+const deleteSessionMessages = async (messageStore, sessionId) => {
+    const keys = await requestToPromise(messageStore.index('bySession').getAllKeys(sessionId));
+    keys.forEach(key => messageStore.delete(key));
+};
+
+// Writes only the messages that changed. Messages are never mutated in place, so an
+// unchanged object at the same position is already stored.
+const writeMessages = async (messageStore, sessionId, previous, messages) => {
+    if (!previous) await deleteSessionMessages(messageStore, sessionId);
+    messages.forEach((message, position) => {
+        if (!previous || previous[position] !== message) messageStore.put({ sessionId, position, message });
+    });
+    for (let position = messages.length; previous && position < previous.length; position++) {
+        messageStore.delete([sessionId, position]);
+    }
+};
+
+// Turns raw store contents into sessions. Unreadable records are skipped rather than
+// failing the whole load; sessions that lost records are returned in `damagedIds` so
+// they can be rewritten cleanly, and so are those whose messages were saved without ids
+// (see upgradeSession).
+export const assembleSessions = (sessionRecords, messageRecords) => {
+    const messagesBySession = new Map();
+    const damagedIds = new Set();
+    let skippedMessages = 0;
+
+    messageRecords.forEach(record => {
+        if (!isValidMessageRecord(record)) {
+            skippedMessages++;
+            if (record && typeof record.sessionId === 'string') damagedIds.add(record.sessionId);
+            return;
+        }
+        if (!messagesBySession.has(record.sessionId)) messagesBySession.set(record.sessionId, []);
+        messagesBySession.get(record.sessionId).push(record);
+    });
+    const messagesFor = (id) => (messagesBySession.get(id) || [])
+        .sort((a, b) => a.position - b.position)
+        .map(record => record.message);
+
+    const sessions = [];
+    let skippedSessions = 0;
+    sessionRecords.forEach(record => {
+        if (!isValidSessionRecord(record)) {
+            skippedSessions++;
+            return;
+        }
+        const session = { ...createSession(), ...toSessionRecord(record), branches: record.branches || {}, messages: messagesFor(record.id) };
+        const upgraded = upgradeSession(session);
+        if (upgraded !== session) damagedIds.add(record.id);
+        sessions.push(upgraded);
+        messagesBySession.delete(record.id);
+    });
+
+    // Messages whose conversation record is unreadable get a fresh one.
+    messagesBySession.forEach((records, id) => {
+        const { messages } = upgradeSession({ messages: messagesFor(id) });
+        const lastTimestamp = messages[messages.length - 1].localTimestamp || new Date().toISOString();
+        sessions.push({
+            ...createSession(messages, messages[0].localTimestamp || lastTimestamp),
+            id,
+            title: generateTitle(messages),
+            updatedAt: lastTimestamp,
+        });
+        damagedIds.add(id);
+    });
+
+    return { sessions, damagedIds, skippedMessages, skippedSessions };
+};
+
+// --- Stores ---
+
+// Store used when IndexedDB can't be opened: the previous localStorage behaviour.
+export const createLocalChatStore = (storage = window.localStorage, log = () => {}) => ({
+    kind: 'localStorage',
+    load: async () => loadSessions(storage, log),
+    sync: async (previous, sessions, activeSessionId) => {
+        if (activeSessionId) saveSessions(sessions, activeSessionId, storage);
+    },
+    close: () => {},
+});
+
+export const createIndexedDbChatStore = (db, { legacyStorage = null, log = () => {} } = {}) => {
+    // Writes run one at a time, in the order they were requested.
+    let queue = Promise.resolve();
+    const enqueue = (task) => {
+        const run = queue.then(task);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    const writeSessions = (previous, sessions, activeSessionId) => enqueue(async () => {
+        const transaction = db.transaction([SESSION_STORE, MESSAGE_STORE, META_STORE], 'readwrite');
+        const done = transactionDone(transaction);
+        // A failed request also aborts the transaction; report that failure only once.
+        done.catch(() => {});
+        const sessionStore = transaction.objectStore(SESSION_STORE);
+        const messageStore = transaction.objectStore(MESSAGE_STORE);
+        const previousById = new Map(previous.map(session => [session.id, session]));
+        const currentIds = new Set(sessions.map(session => session.id));
+
+        for (const session of sessions) {
+            const before = previousById.get(session.id);
+            if (before === session) continue;
+            sessionStore.put(toSessionRecord(session));
+            if (!before || before.messages !== session.messages) {
+                await writeMessages(messageStore, session.id, before?.messages, session.messages);
+            }
+        }
+        for (const session of previous) {
+            if (currentIds.has(session.id)) continue;
+            sessionStore.delete(session.id);
+            await deleteSessionMessages(messageStore, session.id);
+        }
+        if (activeSessionId) transaction.objectStore(META_STORE).put({ key: 'activeSessionId', value: activeSessionId });
+        await done;
+    });
+
+    // One-off import of conversations saved by older versions in localStorage.
+    const importLegacy = async () => {
+        if (!legacyStorage || (!legacyStorage.getItem(SESSIONS_KEY) && !legacyStorage.getItem(LEGACY_HISTORY_KEY))) {
+            return null;
+        }
+        const loaded = loadSessions(legacyStorage, log);
+        await writeSessions([], loaded.sessions, loaded.activeSessionId);
+        legacyStorage.removeItem(SESSIONS_KEY);
+        legacyStorage.removeItem(ACTIVE_SESSION_KEY);
+        log(`Moved ${loaded.sessions.length} conversation(s) from local storage to IndexedDB.`, 'info');
+        return loaded;
+    };
+
+    const load = async () => {
+        const transaction = db.transaction([SESSION_STORE, MESSAGE_STORE, META_STORE], 'readonly');
+        const [sessionRecords, messageRecords, activeRecord] = await Promise.all([
+            requestToPromise(transaction.objectStore(SESSION_STORE).getAll()),
+            requestToPromise(transaction.objectStore(MESSAGE_STORE).getAll()),
+            requestToPromise(transaction.objectStore(META_STORE).get('activeSessionId')),
+        ]);
+
+        if (sessionRecords.length === 0 && messageRecords.length === 0) {
+            const imported = await importLegacy();
+            if (imported) return imported;
+        }
+
+        const { sessions, damagedIds, skippedMessages, skippedSessions } = assembleSessions(sessionRecords, messageRecords);
+        if (skippedMessages > 0 || skippedSessions > 0) {
+            log(`Skipped ${skippedMessages} unreadable message(s) and ${skippedSessions} unreadable conversation record(s); the rest of your history was kept.`, 'warning');
+        }
+        if (damagedIds.size > 0) {
+            // Rewrite damaged conversations so positions are contiguous again, and upgraded
+            // ones so their new ids are kept.
+            const damaged = sessions.filter(session => damagedIds.has(session.id));
+            await writeSessions([], damaged, null).catch(error => log(`Could not repair damaged conversations: ${error.message}`, 'error'));
+        }
+
+        if (sessions.length === 0) sessions.push(createSession());
+        const activeId = activeRecord?.value;
+        const activeSessionId = sessions.some(session => session.id === activeId)
+            ? activeId
+            : sortSessions(sessions)[0].id;
+        return { sessions, activeSessionId };
+    };
+
+    return {
+        kind: 'indexedDB',
+        load,
+        // Persists the difference between two snapshots of the sessions array.
+        sync: writeSessions,
+        close: () => db.close(),
+    };
+};
+
+// Opens the best available store. IndexedDB failures (private browsing, blocked upgrades,
+// missing API) are logged and fall back to localStorage rather than losing the session.
+export const openChatStore = async ({
+    indexedDB = window.indexedDB,
+    storage = window.localStorage,
+    name = DB_NAME,
+    log = () => {},
+} = {}) => {
+    try {
+        const db = await openDatabase({ indexedDB, name });
+        return createIndexedDbChatStore(db, { legacyStorage: storage, log });
+    } catch (error) {
+        log(`IndexedDB unavailable (${error.message}); falling back to local storage.`, 'warning');
+        return createLocalChatStore(storage, log);
+    }
+};
@@ -0,0 +1,171 @@
+import v8 from 'v8';
+import { IDBFactory, IDBObjectStore } from 'fake-indexeddb';
+import {
+    openDatabase, openChatStore, createIndexedDbChatStore, MIGRATIONS,
+    MESSAGE_STORE, SESSION_STORE
+} from './storage';
+import { createSession, setSessionMessages, SESSIONS_KEY, LEGACY_HISTORY_KEY } from './sessions';
+import { createMemoryStorage, message } from '../testUtils';
+
+const readAll = async (db, storeName) => new Promise((resolve, reject) => {
+    const request = db.transaction(storeName, 'readonly').objectStore(storeName).getAll();
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+const putRaw = async (db, storeName, records) => new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, 'readwrite');
+    records.forEach(record => transaction.objectStore(storeName).put(record));
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+});
+
+// fake-indexeddb clones records with structuredClone, which jsdom doesn't provide.
+if (typeof global.structuredClone !== 'function') {
+    global.structuredClone = (value) => v8.deserialize(v8.serialize(value));
+}
+
+let indexedDB;
+beforeEach(() => {
+    indexedDB = new IDBFactory();
+});
+
+test('round-trips sessions and writes only the messages that changed', async () => {
+    const db = await openDatabase({ indexedDB });
+    const store = createIndexedDbChatStore(db);
+
+    const first = [message('user', 'hello there friend'), message('anya', 'Hi!')];
+    let sessions = [createSession(first)];
+    const id = sessions[0].id;
+    await store.sync([], sessions, id);
+
+    const previous = sessions;
+    const reply = message('anya', 'Anything else?');
+    sessions = setSessionMessages(sessions, id, [...first, reply]);
+    const putSpy = jest.spyOn(IDBObjectStore.prototype, 'put');
+    await store.sync(previous, sessions, id);
+    const messagePuts = putSpy.mock.calls.filter(([record]) => 'position' in record);
+    putSpy.mockRestore();
+
+    expect(messagePuts).toEqual([[{ sessionId: id, position: 2, message: reply }]]);
+    const loaded = await store.load();
+    expect(loaded.activeSessionId).toBe(id);
+    expect(loaded.sessions[0].messages.map(msg => msg.text)).toEqual(['hello there friend', 'Hi!', 'Anything else?']);
+    store.close();
+});
+
+test('keeps the branches of a conversation', async () => {
+    const db = await openDatabase({ indexedDB });
+    const store = createIndexedDbChatStore(db);
+    const session = createSession([message('user', 'hello there friend'), message('anya', 'Hi!')]);
+    const branches = { root: { tails: [[message('user', 'hey there')], null], active: 1 } };
+
+    await store.sync([], [{ ...session, branches }], session.id);
+
+    expect((await store.load()).sessions[0].branches).toEqual(branches);
+    store.close();
+});
+
+test('messages saved without ids get them once, and their branches follow', async () => {
+    const db = await openDatabase({ indexedDB });
+    const store = createIndexedDbChatStore(db);
+    const [hi, hello, joke] = [message('user', 'hi', 0), message('anya', 'hello', 0), message('user', 'a joke?', 1)]
+        .map(({ id, ...saved }) => saved);
+    const session = { ...createSession([hi, hello]), branches: { [hello.localTimestamp]: { tails: [null, [joke]], active: 0 } } };
+    await store.sync([], [session], session.id);
+
+    const [loaded] = (await store.load()).sessions;
+    expect(loaded.messages.every(msg => typeof msg.id === 'string')).toBe(true);
+    expect(Object.keys(loaded.branches)).toEqual([loaded.messages[0].id]);
+    expect((await store.load()).sessions[0]).toEqual(loaded);
+    store.close();
+});
+
+test('deleting a conversation removes its messages', async () => {
+    const db = await openDatabase({ indexedDB });
+    const store = createIndexedDbChatStore(db);
+    const keep = createSession([message('user', 'keep me please')]);
+    const drop = createSession([message('user', 'drop me please')]);
+
+    await store.sync([], [keep, drop], keep.id);
+    await store.sync([keep, drop], [keep], keep.id);
+
+    expect((await readAll(db, MESSAGE_STORE)).map(record => record.message.text)).toEqual(['keep me please']);
+    store.close();
+});
+
+test('corrupt records are skipped and the rest of the history survives', async () => {
+    const db = await openDatabase({ indexedDB });
+    const log = jest.fn();
+    const store = createIndexedDbChatStore(db, { log });
+    const good = createSession([message('user', 'first'), message('anya', 'second'), message('user', 'third')]);
+    await store.sync([], [good], good.id);
+
+    // Damage one message, and leave messages behind for a conversation record that is garbage.
+    await putRaw(db, MESSAGE_STORE, [
+        { sessionId: good.id, position: 1, message: '{"sender": "anya", "te' },
+        { sessionId: 'orphan', position: 0, message: message('user', 'what is the capital of Peru') },
+    ]);
+    await putRaw(db, SESSION_STORE, [{ id: 'orphan', title: 42 }]);
+
+    const { sessions } = await store.load();
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/Skipped 1 unreadable message\(s\) and 1 unreadable conversation/), 'warning');
+    expect(sessions.find(session => session.id === good.id).messages.map(msg => msg.text)).toEqual(['first', 'third']);
+    expect(sessions.find(session => session.id === 'orphan')).toMatchObject({
+        title: 'what is the capital of Peru',
+        messages: [expect.objectContaining({ text: 'what is the capital of Peru' })],
+    });
+
+    // The damaged conversation was rewritten with contiguous positions.
+    const positions = (await readAll(db, MESSAGE_STORE))
+        .filter(record => record.sessionId === good.id)
+        .map(record => record.position);
+    expect(positions).toEqual([0, 1]);
+    store.close();
+});
+
+test('upgrading from an older schema keeps existing data', async () => {
+    const oldDb = await openDatabase({ indexedDB, migrations: MIGRATIONS.slice(0, 1) });
+    expect(oldDb.version).toBe(1);
+    const session = createSession([message('user', 'saved before the upgrade')]);
+    await putRaw(oldDb, SESSION_STORE, [{ id: session.id, title: 'Old', titleIsCustom: true, pinned: false, createdAt: session.createdAt, updatedAt: session.updatedAt }]);
+    await putRaw(oldDb, MESSAGE_STORE, [{ sessionId: session.id, position: 0, message: session.messages[0] }]);
+    oldDb.close();
+
+    const store = await openChatStore({ indexedDB, storage: createMemoryStorage() });
+    const { sessions, activeSessionId } = await store.load();
+    expect(store.kind).toBe('indexedDB');
+    expect(activeSessionId).toBe(session.id);
+    expect(sessions[0]).toMatchObject({ title: 'Old', messages: [expect.objectContaining({ text: 'saved before the upgrade' })] });
+    store.close();
+});
+
+test('conversations in localStorage are moved into IndexedDB once', async () => {
+    const storage = createMemoryStorage({
+        [LEGACY_HISTORY_KEY]: JSON.stringify([message('user', 'from the old chat history key')]),
+    });
+    const log = jest.fn();
+
+    const store = await openChatStore({ indexedDB, storage, log });
+    const { sessions } = await store.load();
+    expect(sessions[0].messages[0].text).toBe('from the old chat history key');
+    expect(storage.data[LEGACY_HISTORY_KEY]).toBeUndefined();
+    expect(storage.data[SESSIONS_KEY]).toBeUndefined();
+    store.close();
+
+    const reopened = await openChatStore({ indexedDB, storage, log });
+    expect((await reopened.load()).sessions).toHaveLength(1);
+    reopened.close();
+});
+
+test('falls back to localStorage when IndexedDB is unavailable', async () => {
+    const storage = createMemoryStorage();
+    const log = jest.fn();
+    const store = await openChatStore({ indexedDB: null, storage, log });
+    expect(store.kind).toBe('localStorage');
+    expect(log).toHaveBeenCalledWith(expect.stringMatching(/falling back to local storage/), 'warning');
+
+    const { sessions, activeSessionId } = await store.load();
+    await store.sync([], sessions, activeSessionId);
+    expect(JSON.parse(storage.data[SESSIONS_KEY])).toHaveLength(1);
+});
@@ -0,0 +1,256 @@
+// Conversation transcripts: export to Markdown, JSON or plain text, and import of
+// exported JSON back into a conversation. JSON is the lossless format; every message
+// field is kept as-is so an export followed by an import gives back the same messages,
+// except a queued message's status (see ./offlineQueue.js) and result cards that aren't
+// well-formed.
+
+import { createSession, generateTitle, upgradeSession } from './sessions';
+import { pruneBranches } from './branches';
+import { isValidAttachment } from './attachments';
+
+export const TRANSCRIPT_FORMAT = 'anya-transcript';
+// Version 2 added the conversation's running summary, version 3 its branches.
+export const TRANSCRIPT_VERSION = 3;
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+export const EXPORT_FORMATS = {
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    text: { label: 'Plain text', extension: 'txt', mimeType: 'text/plain' },
+};
+
+export class TranscriptError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranscriptError';
+    }
+}
+
+const senderName = (msg) => (msg.sender === 'user' ? 'You' : 'A.N.Y.A.');
+
+const formatTimestamp = (timestamp) => {
+    const date = new Date(timestamp);
+    return Number.isNaN(date.getTime()) ? 'unknown time' : date.toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' UTC');
+};
+
+// Notes that follow the sender line, e.g. which tool answered.
+const messageNotes = (msg) => [
+    msg.attachments?.length && `attached: ${msg.attachments.map(attachment => attachment.name).join(', ')}`,
+    msg.tool && `via ${msg.tool}`,
+    msg.cancelled && 'stopped early',
+].filter(Boolean);
+
+const toMarkdown = (session) => {
+    const lines = [`# ${session.title}`, '', `Exported from A.N.Y.A. on ${formatTimestamp(new Date().toISOString())}.`, ''];
+    session.messages.forEach(msg => {
+        const notes = messageNotes(msg);
+        lines.push(`### ${senderName(msg)} · ${formatTimestamp(msg.localTimestamp)}${notes.length ? ` · _${notes.join(', ')}_` : ''}`);
+        lines.push('', msg.text, '');
+    });
+    return lines.join('\n');
+};
+
+const toText = (session) => {
+    const lines = [session.title, '='.repeat(session.title.length), ''];
+    session.messages.forEach(msg => {
+        const notes = messageNotes(msg);
+        lines.push(`[${formatTimestamp(msg.localTimestamp)}] ${senderName(msg)}${notes.length ? ` (${notes.join(', ')})` : ''}:`);
+        lines.push(msg.text, '');
+    });
+    return lines.join('\n');
+};
+
+const toJson = (session) => JSON.stringify({
+    format: TRANSCRIPT_FORMAT,
+    version: TRANSCRIPT_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+        title: session.title,
+        titleIsCustom: session.titleIsCustom,
+        pinned: session.pinned,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        summary: session.summary,
+        branches: session.branches,
+    },
+    messages: session.messages,
+}, null, 2);
+
+const FORMATTERS = { markdown: toMarkdown, json: toJson, text: toText };
+
+const slugify = (title) => title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 40) || 'conversation';
+
+// Returns { filename, mimeType, content } for the given format.
+export const exportConversation = (session, format = 'markdown') => {
+    const formatter = FORMATTERS[format];
+    if (!formatter) throw new TranscriptError(`Unknown export format "${format}".`);
+    const { extension, mimeType } = EXPORT_FORMATS[format];
+    const date = new Date().toISOString().slice(0, 10);
+    return {
+        filename: `anya-${slugify(session.title)}-${date}.${extension}`,
+        mimeType,
+        content: formatter(session),
+    };
+};
+
+// --- Import ---
+
+const isWebUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+};
+
+const isDate = (value) => typeof value === 'string' && !Number.isNaN(new Date(value).getTime());
+
+// Result cards (see ../tools/search.js) keep only items with a title and a web link, or none
+// (shown as plain text); without any left the cards go.
+const validResults = (results) => {
+    if (!results || typeof results !== 'object' || !Array.isArray(results.items)) return null;
+    const items = results.items
+        .filter(item => item && typeof item.title === 'string' && typeof item.url === 'string' && (item.url === '' || isWebUrl(item.url)))
+        .map(item => ({
+            title: item.title,
+            url: item.url,
+            snippet: typeof item.snippet === 'string' ? item.snippet : '',
+            source: typeof item.source === 'string' ? item.source : '',
+            publishedAt: isDate(item.publishedAt) ? item.publishedAt : null,
+        }));
+    if (items.length === 0) return null;
+    return { kind: results.kind === 'news' ? 'news' : 'web', query: typeof results.query === 'string' ? results.query : '', items };
+};
+
+// What is wrong with a message, or null.
+const messageProblem = (msg) => {
+    if (!msg || typeof msg !== 'object' || Array.isArray(msg)) return 'is not an object.';
+    if (msg.sender !== 'user' && msg.sender !== 'anya') return `has an unknown sender "${msg.sender}".`;
+    if (typeof msg.text !== 'string') return 'has no text.';
+    if (msg.id !== undefined && typeof msg.id !== 'string') return 'has an invalid id.';
+    if (!isDate(msg.localTimestamp)) return 'has an invalid timestamp.';
+    if (msg.tool !== undefined && msg.tool !== null && typeof msg.tool !== 'string') return 'has an invalid tool name.';
+    if (msg.attachments !== undefined && !(Array.isArray(msg.attachments) && msg.attachments.every(isValidAttachment))) {
+        return 'has an invalid attachment.';
+    }
+    return null;
+};
+
+const validateMessage = (msg, index) => {
+    const problem = messageProblem(msg);
+    if (problem) throw new TranscriptError(`Message ${index + 1} ${problem}`);
+};
+
+// A message that was still queued would otherwise be sent on its own once imported.
+const importedMessage = ({ status, results, ...msg }) => {
+    const valid = validResults(results);
+    return valid ? { ...msg, results: valid } : msg;
+};
+
+// The running summary (see ./context.js), or null when it doesn't fit the messages; it is
+// written again when needed.
+const validSummary = (summary, messages) => (
+    summary && typeof summary.text === 'string'
+    && Number.isInteger(summary.upTo) && summary.upTo > 0 && summary.upTo <= messages.length
+        ? { text: summary.text, upTo: summary.upTo }
+        : null
+);
+
+// The branches not on screen (see ./branches.js); a fork that isn't well-formed is left out.
+const validBranches = (branches) => {
+    if (!branches || typeof branches !== 'object' || Array.isArray(branches)) return {};
+    const isTail = (tail) => Array.isArray(tail) && tail.length > 0 && tail.every(msg => !messageProblem(msg));
+    const isFork = (fork) => fork && Array.isArray(fork.tails) && fork.tails.length > 1
+        && Number.isInteger(fork.active) && fork.tails[fork.active] === null
+        && fork.tails.every((tail, i) => i === fork.active || isTail(tail));
+    return Object.fromEntries(Object.entries(branches)
+        .filter(([, fork]) => isFork(fork))
+        .map(([key, fork]) => [key, { tails: fork.tails.map(tail => tail && tail.map(importedMessage)), active: fork.active }]));
+};
+
+// Parses and validates an exported JSON transcript. A bare array of messages (the old
+// chatHistory format) is accepted too. Returns { title, titleIsCustom, pinned, createdAt,
+// summary, branches, messages }.
+export const parseTranscript = (content) => {
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (error) {
+        throw new TranscriptError('This file is not valid JSON. Only JSON exports can be imported.');
+    }
+
+    const messages = Array.isArray(data) ? data : data?.messages;
+    if (!Array.isArray(data)) {
+        if (!data || data.format !== TRANSCRIPT_FORMAT) throw new TranscriptError('This file is not an A.N.Y.A. transcript.');
+        if (data.version > TRANSCRIPT_VERSION) {
+            throw new TranscriptError(`This transcript was exported by a newer version (format ${data.version}).`);
+        }
+        if (!Array.isArray(messages)) throw new TranscriptError('The transcript has no messages.');
+    }
+    if (messages.length === 0) throw new TranscriptError('The transcript has no messages.');
+    messages.forEach(validateMessage);
+
+    const meta = Array.isArray(data) ? {} : (data.session || {});
+    return {
+        title: typeof meta.title === 'string' ? meta.title : null,
+        titleIsCustom: meta.titleIsCustom === true,
+        pinned: meta.pinned === true,
+        createdAt: typeof meta.createdAt === 'string' ? meta.createdAt : messages[0].localTimestamp,
+        summary: validSummary(meta.summary, messages),
+        branches: validBranches(meta.branches),
+        messages: messages.map(importedMessage),
+    };
+};
+
+const messageKey = (msg) => `${msg.sender}\u0000${msg.localTimestamp}\u0000${msg.text}`;
+
+// An import is a duplicate when some conversation already starts with exactly the same
+// messages (the same transcript imported twice, or the original it was exported from).
+export const findDuplicateSession = (sessions, messages) => {
+    const keys = messages.map(messageKey);
+    return sessions.find(session => (
+        session.messages.length >= keys.length
+        && keys.every((key, index) => messageKey(session.messages[index]) === key)
+    )) || null;
+};
+
+// Builds a new conversation (with a fresh id) from a parsed transcript. Messages from
+// transcripts exported before messages had ids get them.
+export const createSessionFromTranscript = (transcript) => {
+    const { messages, branches } = upgradeSession({ messages: transcript.messages, branches: transcript.branches || {} });
+    const customTitle = transcript.titleIsCustom && transcript.title;
+    return {
+        ...createSession(messages, transcript.createdAt),
+        title: customTitle || generateTitle(messages),
+        titleIsCustom: Boolean(customTitle),
+        pinned: transcript.pinned,
+        summary: transcript.summary,
+        branches: pruneBranches(messages, branches),
+        updatedAt: messages[messages.length - 1].localTimestamp,
+    };
+};
+
+// --- Browser helpers ---
+
+export const downloadFile = ({ filename, mimeType, content }) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
+
+export const readFileAsText = (file) => {
+    if (file.size > MAX_IMPORT_BYTES) {
+        return Promise.reject(new TranscriptError('This file is too large to be a transcript.'));
+    }
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(new TranscriptError('The file could not be read.'));
+        reader.readAsText(file);
+    });
+};
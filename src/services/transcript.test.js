@@ -0,0 +1,109 @@
+import {
+    exportConversation, parseTranscript, findDuplicateSession, createSessionFromTranscript, TranscriptError
+} from './transcript';
+import { createSession } from './sessions';
+import { editMessage, switchBranch, branchAt } from './branches';
+
+const messages = [
+    { sender: 'user', text: 'what is 2^10', localTimestamp: '2026-03-01T09:15:00.000Z' },
+    { sender: 'anya', text: 'The result is: 1024', localTimestamp: '2026-03-01T09:15:01.000Z', tool: 'calculate' },
+    { sender: 'user', text: 'and a haiku about it?', localTimestamp: '2026-03-01T09:16:00.000Z' },
+    { sender: 'anya', text: 'Two to the tenth—\nbinary', localTimestamp: '2026-03-01T09:16:02.000Z', cancelled: true },
+];
+
+const session = createSession(messages, '2026-03-01T09:15:00.000Z');
+
+test('JSON export round-trips losslessly', () => {
+    const exported = exportConversation({ ...session, title: 'Powers of two', titleIsCustom: true, pinned: true }, 'json');
+    expect(exported.filename).toMatch(/^anya-powers-of-two-\d{4}-\d{2}-\d{2}\.json$/);
+    expect(exported.mimeType).toBe('application/json');
+
+    const transcript = parseTranscript(exported.content);
+    expect(transcript.messages).toEqual(messages);
+
+    const imported = createSessionFromTranscript(transcript);
+    expect(imported).toMatchObject({ title: 'Powers of two', titleIsCustom: true, pinned: true, messages });
+    expect(imported.id).not.toBe(session.id);
+    expect(imported.updatedAt).toBe('2026-03-01T09:16:02.000Z');
+});
+
+test('the running summary is exported and imported with the conversation', () => {
+    const summary = { text: 'The user asked for 2^10.', upTo: 2 };
+    const transcript = parseTranscript(exportConversation({ ...session, summary }, 'json').content);
+    expect(createSessionFromTranscript(transcript).summary).toEqual(summary);
+
+    const tooLong = JSON.stringify({ format: 'anya-transcript', version: 2, session: { summary: { text: 'x', upTo: 9 } }, messages });
+    expect(parseTranscript(tooLong).summary).toBeNull();
+    expect(parseTranscript(JSON.stringify(messages)).summary).toBeNull();
+});
+
+test('Markdown and text exports include sender, time and the tool used', () => {
+    const markdown = exportConversation(session, 'markdown').content;
+    expect(markdown).toContain('### You · 2026-03-01 09:15:00 UTC');
+    expect(markdown).toContain('### A.N.Y.A. · 2026-03-01 09:15:01 UTC · _via calculate_');
+    expect(markdown).toContain('_stopped early_');
+
+    const text = exportConversation(session, 'text').content;
+    expect(text).toContain('[2026-03-01 09:15:01 UTC] A.N.Y.A. (via calculate):\nThe result is: 1024');
+});
+
+test('the branches are exported and imported with the conversation', () => {
+    const withIds = createSessionFromTranscript(parseTranscript(JSON.stringify(messages)));
+    const edited = { ...withIds, ...editMessage(withIds, 2, 'and 2^11?', 'edit-1', '2026-03-01T09:17:00.000Z') };
+
+    const imported = createSessionFromTranscript(parseTranscript(exportConversation(edited, 'json').content));
+    expect(imported.messages).toEqual(edited.messages.map(({ status, ...msg }) => msg));
+    expect(branchAt(imported, 2)).toEqual({ key: withIds.messages[1].id, active: 1, count: 2 });
+    expect(switchBranch(imported, withIds.messages[1].id, 0).messages.map(msg => msg.text)).toEqual(messages.map(msg => msg.text));
+
+    const broken = JSON.stringify({ format: 'anya-transcript', version: 3, session: { branches: { [withIds.messages[1].id]: { tails: [null], active: 3 } } }, messages: withIds.messages });
+    expect(createSessionFromTranscript(parseTranscript(broken)).branches).toEqual({});
+});
+
+test('rejects files that are not valid transcripts', () => {
+    expect(() => parseTranscript('# not json')).toThrow(TranscriptError);
+    expect(() => parseTranscript('{"hello": 1}')).toThrow('This file is not an A.N.Y.A. transcript.');
+    expect(() => parseTranscript(JSON.stringify({ format: 'anya-transcript', version: 99, messages }))).toThrow(/newer version/);
+    expect(() => parseTranscript(JSON.stringify({ format: 'anya-transcript', version: 1, messages: [] }))).toThrow(/no messages/);
+    expect(() => parseTranscript(JSON.stringify({
+        format: 'anya-transcript',
+        version: 1,
+        messages: [messages[0], { sender: 'robot', text: 'hi', localTimestamp: messages[0].localTimestamp }],
+    }))).toThrow('Message 2 has an unknown sender "robot".');
+});
+
+test('accepts the old bare chatHistory array', () => {
+    const transcript = parseTranscript(JSON.stringify(messages.slice(0, 2)));
+    expect(transcript.messages).toHaveLength(2);
+
+    const [first, second] = createSessionFromTranscript(transcript).messages;
+    expect(first.id).toEqual(expect.any(String));
+    expect(second.id).not.toBe(first.id);
+});
+
+test('imported messages are not queued again', () => {
+    const queued = [...messages, { sender: 'user', text: 'and 2^11?', localTimestamp: '2026-03-01T09:17:00.000Z', status: 'pending' }];
+    const { messages: imported } = parseTranscript(JSON.stringify(queued));
+    expect(imported[4]).toEqual({ sender: 'user', text: 'and 2^11?', localTimestamp: '2026-03-01T09:17:00.000Z' });
+});
+
+test('result cards are checked on import', () => {
+    const item = { title: 'Artemis II', url: 'https://www.nasa.gov/artemis-ii', snippet: 'Around the Moon.', source: 'nasa.gov', publishedAt: null };
+    const withResults = (results) => [messages[0], { ...messages[1], results }];
+    const imported = (results) => parseTranscript(JSON.stringify(withResults(results))).messages[1].results;
+
+    expect(imported({ kind: 'web', query: 'artemis', items: [item] })).toEqual({ kind: 'web', query: 'artemis', items: [item] });
+    expect(imported({})).toBeUndefined();
+    expect(imported({ kind: 'web', items: [{ title: 'Sneaky', url: 'data:text/html,hello' }, 'oops'] })).toBeUndefined();
+    expect(imported({ kind: 'news', items: [{ title: 'Launch', url: '', publishedAt: 'someday' }, { url: 'https://x.example' }] }))
+        .toEqual({ kind: 'news', query: '', items: [{ title: 'Launch', url: '', snippet: '', source: '', publishedAt: null }] });
+});
+
+test('detects a conversation that was already imported or continued since', () => {
+    const continued = createSession([...messages, { sender: 'user', text: 'thanks', localTimestamp: '2026-03-01T09:20:00.000Z' }]);
+    const other = createSession(messages.slice(0, 1));
+
+    expect(findDuplicateSession([other, continued], messages)).toBe(continued);
+    expect(findDuplicateSession([other], messages)).toBeNull();
+    expect(findDuplicateSession([continued], [{ ...messages[0], text: 'what is 2^11' }])).toBeNull();
+});
@@ -0,0 +1,41 @@
+// Collects streamed text and hands back complete sentences as soon as they end,
+// so speech output can start before the whole reply has arrived.
+
+// A sentence ends at . ! ? or … (optionally followed by closing quotes/brackets) and
+// whitespace, or at a blank line. Decimal points like "3.5" are not followed by
+// whitespace, so they never split a sentence.
+const SENTENCE_END = /[.!?…]+["')\]]*\s+|\n\s*\n/g;
+
+export const createSentenceBuffer = (onSentence) => {
+    let pending = '';
+
+    const emit = (sentence) => {
+        const trimmed = sentence.trim();
+        if (trimmed) onSentence(trimmed);
+    };
+
+    // Adds a chunk of streamed text, emitting every sentence it completes.
+    const push = (text) => {
+        pending += text;
+        let lastEnd = 0;
+        for (const match of pending.matchAll(SENTENCE_END)) {
+            const end = match.index + match[0].length;
+            emit(pending.slice(lastEnd, end));
+            lastEnd = end;
+        }
+        pending = pending.slice(lastEnd);
+    };
+
+    // Emits whatever is left once the stream has finished.
+    const flush = () => {
+        emit(pending);
+        pending = '';
+    };
+
+    // Drops buffered text without emitting it (e.g. when the user cancels).
+    const reset = () => {
+        pending = '';
+    };
+
+    return { push, flush, reset };
+};
@@ -0,0 +1,23 @@
+import { createSentenceBuffer } from './sentenceBuffer';
+
+test('emits sentences as soon as they are complete', () => {
+    const sentences = [];
+    const buffer = createSentenceBuffer(sentence => sentences.push(sentence));
+
+    buffer.push('Pi is roughly 3.');
+    expect(sentences).toEqual([]);
+    buffer.push('14. Is that ');
+    expect(sentences).toEqual(['Pi is roughly 3.14.']);
+    buffer.push('enough? Yes');
+    buffer.flush();
+    expect(sentences).toEqual(['Pi is roughly 3.14.', 'Is that enough?', 'Yes']);
+});
+
+test('reset drops the unfinished sentence', () => {
+    const sentences = [];
+    const buffer = createSentenceBuffer(sentence => sentences.push(sentence));
+    buffer.push('Half a sent');
+    buffer.reset();
+    buffer.flush();
+    expect(sentences).toEqual([]);
+});
@@ -0,0 +1,154 @@
+// Turns markdown replies into text worth reading aloud, and cuts it into sentence-sized
+// chunks. Browsers stop or stall on very long utterances, and chunks let the speech
+// queue pause and skip at sentence boundaries.
+
+import { createSentenceBuffer } from './sentenceBuffer';
+
+// Read in place of a fenced code block.
+export const CODE_PLACEHOLDER = 'Code block omitted.';
+// Longer sentences are split further, at commas or between words.
+export const MAX_CHUNK_LENGTH = 220;
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const EMOJI = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u{FE0F}\u{200D}\u{20E3}]/gu;
+const ENDS_SENTENCE = /[.!?…:;,]["')\]]*$/;
+
+const hostOf = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return 'a link';
+    }
+};
+
+// Converts one line of markdown to plain text.
+const speakableLine = (line) => {
+    // Table rows read as comma-separated cells; separator rows are dropped
+    if (/^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line)) return '';
+    if (/^\s*\|.*\|\s*$/.test(line)) {
+        line = line.trim().replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()).filter(Boolean).join(', ');
+    }
+    // Horizontal rules
+    if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) return '';
+
+    return line
+        .replace(/^\s{0,3}#{1,6}\s+/, '') // headings
+        .replace(/^\s*>\s?/, '') // block quotes
+        .replace(/^\s*(?:[-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '') // list markers and task boxes
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1') // images: keep the alt text
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1') // links: keep the label
+        .replace(/<https?:\/\/[^>]+>|https?:\/\/[^\s<>()]+/g, (url) => hostOf(url.replace(/^<|>$/g, '')))
+        .replace(/<\/?[a-z][^>]*>/gi, '') // inline HTML
+        .replace(/`([^`]+)`/g, '$1') // inline code
+        .replace(/(\*\*|__)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1$2')
+        .replace(/(^|\W)_(?!\s)([^_]+?)_(?!\w)/g, '$1$2')
+        .replace(/~~(.+?)~~/g, '$1')
+        .replace(/\$\$?([^$]+)\$\$?/g, '$1') // math delimiters
+        .replace(EMOJI, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Replaces each fenced code block (even an unterminated one) with CODE_PLACEHOLDER.
+const withoutCodeBlocks = (lines) => {
+    let inCode = false;
+    return lines.flatMap(line => {
+        if (!FENCE.test(line)) return inCode ? [] : [line];
+        inCode = !inCode;
+        return inCode ? [CODE_PLACEHOLDER] : [];
+    });
+};
+
+// Strips markdown, code, URLs and emoji. Lines that don't end a sentence (headings, list
+// items, table rows) get a full stop so the voice pauses between them.
+export const toSpeakableText = (markdown) => (
+    withoutCodeBlocks(markdown.split('\n'))
+        .map(speakableLine)
+        .filter(line => /[\p{L}\p{N}]/u.test(line))
+        .map(line => (ENDS_SENTENCE.test(line) ? line : `${line}.`))
+        .join(' ')
+);
+
+// Splits a sentence that is too long for one utterance, preferring commas and semicolons.
+const splitLongSentence = (sentence, maxLength) => {
+    const pieces = [];
+    let rest = sentence;
+    while (rest.length > maxLength) {
+        const window = rest.slice(0, maxLength);
+        let cut = Math.max(window.lastIndexOf(', '), window.lastIndexOf('; '));
+        if (cut < maxLength / 3) cut = window.lastIndexOf(' ');
+        if (cut <= 0) cut = maxLength - 1;
+        pieces.push(rest.slice(0, cut + 1).trim());
+        rest = rest.slice(cut + 1).trim();
+    }
+    if (rest) pieces.push(rest);
+    return pieces;
+};
+
+// Splits speakable text into sentence-sized chunks.
+export const splitIntoChunks = (text, maxLength = MAX_CHUNK_LENGTH) => {
+    const sentences = [];
+    const buffer = createSentenceBuffer(sentence => sentences.push(sentence));
+    buffer.push(text);
+    buffer.flush();
+    return sentences.flatMap(sentence => splitLongSentence(sentence, maxLength));
+};
+
+// Sentence buffer for streamed markdown that leaves out fenced code blocks, which may
+// arrive over many chunks. Text is passed on as soon as its line can't be a fence, so
+// speech still starts mid-paragraph.
+export const createMarkdownSentenceBuffer = (onSentence) => {
+    const sentences = createSentenceBuffer(onSentence);
+    let pending = '';
+    let inCode = false;
+    let lineStarted = false; // part of the current line has already been passed on
+
+    const push = (text) => {
+        pending += text;
+        while (pending) {
+            const newline = pending.indexOf('\n');
+            if (lineStarted) {
+                const end = newline === -1 ? pending.length : newline + 1;
+                sentences.push(pending.slice(0, end));
+                pending = pending.slice(end);
+                lineStarted = newline === -1;
+                continue;
+            }
+            if (newline === -1) {
+                // A partial line that can't become a fence can go straight through
+                if (!inCode && !/^\s*[`~]*$/.test(pending) && !FENCE.test(pending)) {
+                    sentences.push(pending);
+                    pending = '';
+                    lineStarted = true;
+                }
+                return;
+            }
+            const line = pending.slice(0, newline + 1);
+            pending = pending.slice(newline + 1);
+            if (FENCE.test(line)) {
+                inCode = !inCode;
+                if (inCode) sentences.push(`\n\n${CODE_PLACEHOLDER}\n\n`);
+            } else if (!inCode) {
+                sentences.push(line);
+            }
+        }
+    };
+
+    const flush = () => {
+        if (pending && !inCode && !FENCE.test(pending)) sentences.push(pending);
+        sentences.flush();
+        pending = '';
+        inCode = false;
+        lineStarted = false;
+    };
+
+    const reset = () => {
+        sentences.reset();
+        pending = '';
+        inCode = false;
+        lineStarted = false;
+    };
+
+    return { push, flush, reset };
+};
@@ -0,0 +1,63 @@
+import {
+    toSpeakableText, splitIntoChunks, createMarkdownSentenceBuffer, CODE_PLACEHOLDER
+} from './speakable';
+
+describe('toSpeakableText', () => {
+    test('strips emphasis, headings, lists and inline code', () => {
+        const markdown = '## Steps\n\n1. Open **Settings**\n2. Run `npm start` and *wait*\n- done_for_now ✅';
+        expect(toSpeakableText(markdown)).toBe('Steps. Open Settings. Run npm start and wait. done_for_now.');
+    });
+
+    test('replaces code blocks and reads links by label or site', () => {
+        const markdown = 'Try this:\n```js\nconst a = 1;\n\nconsole.log(a);\n```\nSee [the docs](https://example.com/x) or https://www.mozilla.org/en-US/ 🚀';
+        expect(toSpeakableText(markdown)).toBe(`Try this: ${CODE_PLACEHOLDER} See the docs or mozilla.org.`);
+    });
+
+    test('reads tables row by row', () => {
+        const markdown = '| City | Temp |\n|------|-----:|\n| Oslo | 4°C |';
+        expect(toSpeakableText(markdown)).toBe('City, Temp. Oslo, 4°C.');
+    });
+
+    test('leaves nothing for emoji-only text', () => {
+        expect(toSpeakableText('👍🏽 🎉')).toBe('');
+    });
+});
+
+describe('splitIntoChunks', () => {
+    test('splits at sentence ends', () => {
+        expect(splitIntoChunks('One. Two? Three!')).toEqual(['One.', 'Two?', 'Three!']);
+    });
+
+    test('breaks long sentences at commas, then spaces', () => {
+        const sentence = `${'word '.repeat(30).trim()}, ${'more '.repeat(30).trim()}.`;
+        const chunks = splitIntoChunks(sentence, 200);
+        expect(chunks).toHaveLength(2);
+        expect(chunks[0]).toMatch(/word,$/);
+        expect(chunks.join(' ')).toBe(sentence);
+
+        const unbroken = 'x'.repeat(450);
+        expect(splitIntoChunks(unbroken, 200).map(chunk => chunk.length)).toEqual([200, 200, 50]);
+    });
+});
+
+describe('createMarkdownSentenceBuffer', () => {
+    const stream = (deltas) => {
+        const sentences = [];
+        const buffer = createMarkdownSentenceBuffer(sentence => sentences.push(sentence));
+        deltas.forEach(delta => buffer.push(delta));
+        return { sentences, buffer };
+    };
+
+    test('passes text through mid-line and drops code blocks split across chunks', () => {
+        const { sentences, buffer } = stream(['Here is ', 'the fix. Then', ' run it.\n``', '`py\nprint("a. b")\n', '```\nDone.']);
+        expect(sentences).toEqual(['Here is the fix.', 'Then run it.', CODE_PLACEHOLDER]);
+        buffer.flush();
+        expect(sentences).toEqual(['Here is the fix.', 'Then run it.', CODE_PLACEHOLDER, 'Done.']);
+    });
+
+    test('drops an unterminated code block on flush', () => {
+        const { sentences, buffer } = stream(['Look:\n```\nlet x', ' = 1;']);
+        buffer.flush();
+        expect(sentences).toEqual(['Look:', CODE_PLACEHOLDER]);
+    });
+});
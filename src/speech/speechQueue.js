@@ -0,0 +1,127 @@
+// Speaks chunks of text one utterance at a time. Owning the queue (rather than leaving it
+// to speechSynthesis) lets us pause, resume and skip, and report which message is read.
+// Each chunk belongs to an `owner` (the key of the message it came from, or null).
+
+export const IDLE_SPEECH_STATE = { status: 'idle', owner: null, pending: 0 };
+
+// Errors reported for utterances we cancelled ourselves.
+const CANCEL_ERRORS = ['interrupted', 'canceled'];
+
+export const createSpeechQueue = ({
+    synth,
+    createUtterance = (text) => new window.SpeechSynthesisUtterance(text),
+    onStateChange = () => {},
+    onError = () => {},
+    log = () => {},
+}) => {
+    let items = []; // { text, owner, prepare }
+    let current = null; // { item, utterance }
+    let paused = false;
+    let skippedOwner = null; // chunks still streaming in for a skipped message are dropped
+
+    const getState = () => ({
+        status: !current ? 'idle' : paused ? 'paused' : 'speaking',
+        owner: current ? current.item.owner : null,
+        pending: items.length,
+    });
+
+    const notify = () => onStateChange(getState());
+
+    // Stops the utterance in progress without moving on. Its late end/error events are
+    // ignored because it is no longer `current`.
+    const cancelCurrent = () => {
+        current = null;
+        synth.cancel();
+        if (paused) {
+            // A paused synth stays paused for the next utterance unless resumed.
+            paused = false;
+            synth.resume();
+        }
+    };
+
+    const next = () => {
+        current = null;
+        const item = items.shift();
+        if (!item) {
+            notify();
+            return;
+        }
+
+        const utterance = createUtterance(item.text);
+        if (item.prepare) item.prepare(utterance);
+        utterance.onend = () => {
+            if (current?.utterance === utterance) next();
+        };
+        utterance.onerror = (event) => {
+            if (current?.utterance !== utterance) return;
+            if (!CANCEL_ERRORS.includes(event.error)) {
+                log(`Speech synthesis error: ${event.error || 'unknown'}`, 'error');
+                onError(event.error || 'unknown');
+            }
+            next();
+        };
+
+        current = { item, utterance };
+        notify();
+        try {
+            synth.speak(utterance);
+        } catch (error) {
+            log(`Error calling speechSynth.speak(): ${error.message}`, 'error');
+            onError(error.message);
+            next();
+        }
+    };
+
+    // Queues chunks of one text. With `interrupt`, whatever is queued or speaking is dropped first.
+    const enqueue = (chunks, { owner = null, interrupt = false, prepare = null } = {}) => {
+        if (interrupt) {
+            items = [];
+            skippedOwner = null;
+            if (current) cancelCurrent();
+        }
+        if (owner !== null && owner === skippedOwner) return;
+
+        items.push(...chunks.map(text => ({ text, owner, prepare })));
+        if (!current) {
+            next();
+        } else {
+            notify();
+        }
+    };
+
+    const pause = () => {
+        if (!current || paused) return;
+        paused = true;
+        synth.pause();
+        notify();
+    };
+
+    const resume = () => {
+        if (!paused) return;
+        paused = false;
+        synth.resume();
+        notify();
+    };
+
+    // Skips the rest of the message being read (or just the current chunk if it has no owner).
+    const skip = () => {
+        if (!current) return;
+        const { owner } = current.item;
+        if (owner !== null) {
+            skippedOwner = owner;
+            items = items.filter(item => item.owner !== owner);
+        }
+        cancelCurrent();
+        next();
+    };
+
+    // Silences everything, including the rest of a reply that is still streaming in.
+    const stop = () => {
+        if (current && current.item.owner !== null) skippedOwner = current.item.owner;
+        items = [];
+        if (current) cancelCurrent();
+        notify();
+    };
+
+    return { enqueue, pause, resume, skip, stop, getState };
+};
@@ -0,0 +1,104 @@
+import { createSpeechQueue } from './speechQueue';
+
+// A speechSynthesis stand-in that plays one utterance at a time and lets the test end it.
+const createFakeSynth = () => {
+    const synth = {
+        spoken: [],
+        current: null,
+        speak: jest.fn((utterance) => {
+            synth.spoken.push(utterance.text);
+            synth.current = utterance;
+        }),
+        cancel: jest.fn(() => {
+            const utterance = synth.current;
+            synth.current = null;
+            utterance?.onerror?.({ error: 'interrupted' });
+        }),
+        pause: jest.fn(),
+        resume: jest.fn(),
+        finish: () => {
+            const utterance = synth.current;
+            synth.current = null;
+            utterance.onend();
+        },
+    };
+    return synth;
+};
+
+const setup = () => {
+    const synth = createFakeSynth();
+    const states = [];
+    const queue = createSpeechQueue({
+        synth,
+        createUtterance: (text) => ({ text }),
+        onStateChange: (state) => states.push(state),
+    });
+    return { synth, queue, states };
+};
+
+test('speaks chunks one after another and reports the owner', () => {
+    const { synth, queue, states } = setup();
+    queue.enqueue(['One.', 'Two.'], { owner: 'a', prepare: (utterance) => { utterance.rate = 1.5; } });
+    expect(synth.spoken).toEqual(['One.']);
+    expect(synth.current.rate).toBe(1.5);
+    expect(queue.getState()).toEqual({ status: 'speaking', owner: 'a', pending: 1 });
+
+    synth.finish();
+    synth.finish();
+    expect(synth.spoken).toEqual(['One.', 'Two.']);
+    expect(states[states.length - 1]).toEqual({ status: 'idle', owner: null, pending: 0 });
+});
+
+test('queues behind or interrupts the current text', () => {
+    const { synth, queue } = setup();
+    queue.enqueue(['First.'], { owner: 'a' });
+    queue.enqueue(['Second.'], { owner: 'b' });
+    expect(synth.spoken).toEqual(['First.']);
+
+    queue.enqueue(['Third.'], { owner: 'c', interrupt: true });
+    expect(synth.spoken).toEqual(['First.', 'Third.']);
+    synth.finish();
+    expect(queue.getState().status).toBe('idle');
+});
+
+test('pauses and resumes', () => {
+    const { synth, queue } = setup();
+    queue.enqueue(['One.'], { owner: 'a' });
+    queue.pause();
+    expect(synth.pause).toHaveBeenCalled();
+    expect(queue.getState().status).toBe('paused');
+    queue.resume();
+    expect(synth.resume).toHaveBeenCalled();
+    expect(queue.getState().status).toBe('speaking');
+});
+
+test('skip drops the rest of the message, including chunks still streaming in', () => {
+    const { synth, queue } = setup();
+    queue.enqueue(['A1.', 'A2.'], { owner: 'a' });
+    queue.enqueue(['B1.'], { owner: 'b' });
+    queue.pause();
+    queue.skip();
+    expect(synth.resume).toHaveBeenCalled();
+    expect(synth.spoken).toEqual(['A1.', 'B1.']);
+
+    queue.enqueue(['A3.'], { owner: 'a' });
+    synth.finish();
+    expect(synth.spoken).toEqual(['A1.', 'B1.']);
+    expect(queue.getState().status).toBe('idle');
+
+    // Reading the message again on request works.
+    queue.enqueue(['A1.'], { owner: 'a', interrupt: true });
+    expect(synth.spoken).toEqual(['A1.', 'B1.', 'A1.']);
+});
+
+test('stop silences everything and moves on after synthesis errors', () => {
+    const { synth, queue } = setup();
+    queue.enqueue(['One.', 'Two.'], { owner: 'a' });
+    queue.stop();
+    expect(queue.getState()).toEqual({ status: 'idle', owner: null, pending: 0 });
+    expect(synth.spoken).toEqual(['One.']);
+
+    queue.enqueue(['Three.', 'Four.']);
+    synth.current.onerror({ error: 'synthesis-failed' });
+    expect(synth.spoken).toEqual(['One.', 'Three.', 'Four.']);
+});
@@ -0,0 +1,178 @@
+// Speech preferences (voice, rate, pitch, volume, languages), language detection for
+// replies, and voice selection. Preferences are kept in localStorage.
+
+export const SPEECH_SETTINGS_KEY = 'anyaSpeechSettings';
+
+export const DEFAULT_SPEECH_SETTINGS = {
+    voiceURI: null, // null picks automatically
+    rate: 1,
+    pitch: 1,
+    volume: 1,
+    recognitionLang: 'en-US',
+    synthesisLang: 'auto', // 'auto' follows the detected language of each reply
+    voicesByLanguage: {}, // primary language ('de') -> voiceURI
+    interruptReplies: true, // a new reply cuts off speech in progress instead of queueing behind it
+};
+
+export const SETTING_RANGES = {
+    rate: { min: 0.5, max: 2, step: 0.1 },
+    pitch: { min: 0, max: 2, step: 0.1 },
+    volume: { min: 0, max: 1, step: 0.05 },
+};
+
+// Offered for recognition even before any voices have loaded.
+export const COMMON_LANGUAGES = [
+    'en-US', 'en-GB', 'es-ES', 'fr-FR', 'de-DE', 'it-IT', 'pt-BR', 'nl-NL', 'sv-SE', 'pl-PL',
+    'tr-TR', 'ru-RU', 'uk-UA', 'ar-SA', 'hi-IN', 'id-ID', 'ja-JP', 'ko-KR', 'zh-CN',
+];
+
+export const primaryLanguage = (code) => (code || '').toLowerCase().split(/[-_]/)[0];
+
+export const languageLabel = (code) => {
+    try {
+        return `${new Intl.DisplayNames(['en'], { type: 'language' }).of(code)} (${code})`;
+    } catch (error) {
+        return code;
+    }
+};
+
+// --- Persistence ---
+
+const clamp = (value, { min, max }, fallback) => (
+    typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : fallback
+);
+
+export const normalizeSpeechSettings = (saved = {}) => ({
+    voiceURI: typeof saved.voiceURI === 'string' ? saved.voiceURI : null,
+    rate: clamp(saved.rate, SETTING_RANGES.rate, DEFAULT_SPEECH_SETTINGS.rate),
+    pitch: clamp(saved.pitch, SETTING_RANGES.pitch, DEFAULT_SPEECH_SETTINGS.pitch),
+    volume: clamp(saved.volume, SETTING_RANGES.volume, DEFAULT_SPEECH_SETTINGS.volume),
+    recognitionLang: typeof saved.recognitionLang === 'string' && saved.recognitionLang ? saved.recognitionLang : DEFAULT_SPEECH_SETTINGS.recognitionLang,
+    synthesisLang: typeof saved.synthesisLang === 'string' && saved.synthesisLang ? saved.synthesisLang : DEFAULT_SPEECH_SETTINGS.synthesisLang,
+    voicesByLanguage: saved.voicesByLanguage && typeof saved.voicesByLanguage === 'object'
+        ? Object.fromEntries(Object.entries(saved.voicesByLanguage).filter(([, uri]) => typeof uri === 'string'))
+        : {},
+    interruptReplies: typeof saved.interruptReplies === 'boolean' ? saved.interruptReplies : DEFAULT_SPEECH_SETTINGS.interruptReplies,
+});
+
+export const loadSpeechSettings = (storage = window.localStorage) => {
+    try {
+        return normalizeSpeechSettings(JSON.parse(storage.getItem(SPEECH_SETTINGS_KEY)) || {});
+    } catch (error) {
+        return { ...DEFAULT_SPEECH_SETTINGS };
+    }
+};
+
+export const saveSpeechSettings = (settings, storage = window.localStorage) => {
+    storage.setItem(SPEECH_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// --- Language detection ---
+// Good enough to pick a voice: the writing system settles most languages, and for
+// Latin-script text we count common short words and telltale letters.
+
+const SCRIPTS = [
+    [/[\u3040-\u30ff]/, 'ja'], // Hiragana and Katakana (before Han, which Japanese also uses)
+    [/[\uac00-\ud7af]/, 'ko'],
+    [/[\u4e00-\u9fff]/, 'zh'],
+    [/[\u0600-\u06ff]/, 'ar'],
+    [/[\u0590-\u05ff]/, 'he'],
+    [/[\u0900-\u097f]/, 'hi'],
+    [/[\u0e00-\u0e7f]/, 'th'],
+    [/[\u0370-\u03ff]/, 'el'],
+    [/[\u0456\u0457\u0454\u0491]/i, 'uk'], // і ї є ґ are Ukrainian-only Cyrillic letters
+    [/[\u0400-\u04ff]/, 'ru'],
+];
+
+const COMMON_WORDS = {
+    en: 'the and is are you that it of to in for with this what have be not on can your my was',
+    es: 'el los las que y en un una es por para con no lo como más pero su al del se está hola',
+    fr: 'le les des et est un une que qui pour pas dans je vous il elle avec sur ce bonjour du au',
+    de: 'der die das und ist nicht ein eine ich du sie zu mit den auf für es sich auch dem von wie hallo',
+    it: 'il lo gli di che è un una per non con sono mi ti ciao della del anche come questo',
+    pt: 'os que é um uma para com não em do da você olá por mais está eu isso',
+    nl: 'de het een en is van ik je niet dat op te met zijn voor hallo wat er maar ook',
+    sv: 'och är att det en ett jag du inte på med för som har hej vad den till av om',
+    pl: 'w nie na się jest to że z do jak ale co czy tak dla cześć jestem mnie po',
+    tr: 've bir bu da de için ne ile çok ama gibi merhaba ben sen değil var mi mı olarak daha',
+    id: 'dan yang di ini itu dengan untuk tidak saya anda ada dari ke apa juga halo akan bisa kami',
+};
+const WORD_SETS = Object.fromEntries(Object.entries(COMMON_WORDS).map(([lang, words]) => [lang, new Set(words.split(' '))]));
+
+const LETTER_HINTS = [
+    [/[ñ¿¡]/i, 'es'],
+    [/ß/, 'de'],
+    [/[ãõ]/i, 'pt'],
+    [/[ąęłśźżń]/i, 'pl'],
+    [/[ğşı]/i, 'tr'],
+    [/å/i, 'sv'],
+    [/[œ]|[àâêîôûç]/i, 'fr'],
+];
+
+// Returns a primary language code ('es'), or null when the text is too short or ambiguous.
+export const detectLanguage = (text) => {
+    for (const [pattern, lang] of SCRIPTS) {
+        if (pattern.test(text)) return lang;
+    }
+
+    const words = text.toLowerCase().match(/[\p{L}']+/gu) || [];
+    const scores = Object.fromEntries(Object.keys(WORD_SETS).map(lang => [lang, 0]));
+    words.forEach(word => {
+        Object.entries(WORD_SETS).forEach(([lang, set]) => {
+            if (set.has(word)) scores[lang]++;
+        });
+    });
+    LETTER_HINTS.forEach(([pattern, lang]) => {
+        if (pattern.test(text)) scores[lang] += 2;
+    });
+
+    const [best, second] = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+    if (best[1] < 2 || best[1] === second[1]) return null;
+    return best[0];
+};
+
+// --- Voice selection ---
+
+const isFemale = (voice) => /female/i.test(voice.name);
+
+// Best voice among candidates for a language: the exact regional variant, then a female
+// voice (A.N.Y.A.'s original voice was an en-GB female one), then the browser default.
+const pickVoice = (candidates, lang) => {
+    const exact = candidates.filter(voice => voice.lang.toLowerCase().replace('_', '-') === lang.toLowerCase());
+    const pool = exact.length > 0 ? exact : candidates;
+    return pool.find(isFemale) || pool.find(voice => voice.default) || pool[0] || null;
+};
+
+// Chooses the voice for text in `lang` (a primary code like 'de' or a tag like 'de-DE';
+// null when unknown). Per-language choices win, then the chosen default voice if it speaks
+// that language, then the best installed voice for it. With no language, or no voice for
+// it, the default voice is used.
+export const selectVoice = (voices, settings, lang = null) => {
+    if (voices.length === 0) return null;
+    const byURI = (uri) => (uri ? voices.find(voice => voice.voiceURI === uri) : undefined);
+    const defaultVoice = byURI(settings.voiceURI);
+
+    if (lang) {
+        const wanted = primaryLanguage(lang);
+        const override = byURI(settings.voicesByLanguage[wanted]);
+        if (override) return override;
+        if (defaultVoice && primaryLanguage(defaultVoice.lang) === wanted) return defaultVoice;
+        const candidates = voices.filter(voice => primaryLanguage(voice.lang) === wanted);
+        if (candidates.length > 0) return pickVoice(candidates, wanted === 'en' && !lang.includes('-') ? 'en-GB' : lang);
+    }
+    if (defaultVoice) return defaultVoice;
+    const english = voices.filter(voice => primaryLanguage(voice.lang) === 'en');
+    return pickVoice(english.length > 0 ? english : voices, 'en-GB');
+};
+
+const PREVIEW_TEXT = {
+    en: "Hello, I'm A.N.Y.A. This is how I sound.",
+    es: 'Hola, soy A.N.Y.A. Así es como sueno.',
+    fr: 'Bonjour, je suis A.N.Y.A. Voici ma voix.',
+    de: 'Hallo, ich bin A.N.Y.A. So klinge ich.',
+    it: 'Ciao, sono A.N.Y.A. Ecco come suono.',
+    pt: 'Olá, eu sou a A.N.Y.A. É assim que eu soo.',
+    nl: 'Hallo, ik ben A.N.Y.A. Zo klink ik.',
+};
+
+export const previewText = (lang) => PREVIEW_TEXT[primaryLanguage(lang)] || PREVIEW_TEXT.en;
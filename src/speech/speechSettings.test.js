@@ -0,0 +1,78 @@
+import {
+    detectLanguage, selectVoice, loadSpeechSettings, saveSpeechSettings, normalizeSpeechSettings,
+    DEFAULT_SPEECH_SETTINGS, SPEECH_SETTINGS_KEY
+} from './speechSettings';
+
+const voice = (name, lang, extra = {}) => ({ name, lang, voiceURI: `${name}-${lang}`, default: false, ...extra });
+
+const VOICES = [
+    voice('Daniel', 'en-GB'),
+    voice('Google UK English Female', 'en-GB'),
+    voice('Samantha', 'en-US', { default: true }),
+    voice('Anna', 'de-DE'),
+    voice('Monica', 'es-ES'),
+    voice('Paulina', 'es-MX'),
+];
+
+describe('detectLanguage', () => {
+    test.each([
+        ['What is the weather like in London today?', 'en'],
+        ['Hola, ¿qué tal? El tiempo está muy bien hoy.', 'es'],
+        ['Bonjour, je suis très content de vous voir.', 'fr'],
+        ['Das ist nicht so einfach, aber ich versuche es.', 'de'],
+        ['Привет, как дела?', 'ru'],
+        ['こんにちは、元気ですか', 'ja'],
+    ])('%s', (text, lang) => {
+        expect(detectLanguage(text)).toBe(lang);
+    });
+
+    test('returns null when there is too little to go on', () => {
+        expect(detectLanguage('OK')).toBeNull();
+        expect(detectLanguage('42°C')).toBeNull();
+    });
+});
+
+describe('selectVoice', () => {
+    const settings = DEFAULT_SPEECH_SETTINGS;
+
+    test('keeps the en-GB female voice as the default for English', () => {
+        expect(selectVoice(VOICES, settings, 'en').name).toBe('Google UK English Female');
+        expect(selectVoice(VOICES, settings, null).name).toBe('Google UK English Female');
+    });
+
+    test('follows the language of the reply, preferring the exact region', () => {
+        expect(selectVoice(VOICES, settings, 'de').name).toBe('Anna');
+        expect(selectVoice(VOICES, settings, 'es-MX').name).toBe('Paulina');
+    });
+
+    test('uses the chosen voice for its own language and per-language choices elsewhere', () => {
+        const custom = { ...settings, voiceURI: 'Daniel-en-GB', voicesByLanguage: { es: 'Paulina-es-MX' } };
+        expect(selectVoice(VOICES, custom, 'en').name).toBe('Daniel');
+        expect(selectVoice(VOICES, custom, 'es').name).toBe('Paulina');
+        expect(selectVoice(VOICES, custom, 'de').name).toBe('Anna');
+    });
+
+    test('falls back to the default voice when none speaks the language', () => {
+        expect(selectVoice(VOICES, settings, 'fi').name).toBe('Google UK English Female');
+        expect(selectVoice(VOICES, { ...settings, voiceURI: 'Samantha-en-US' }, 'fi').name).toBe('Samantha');
+        expect(selectVoice([], settings, 'en')).toBeNull();
+    });
+});
+
+describe('persistence', () => {
+    beforeEach(() => localStorage.clear());
+
+    test('round-trips settings', () => {
+        const settings = { ...DEFAULT_SPEECH_SETTINGS, rate: 1.5, recognitionLang: 'de-DE', voicesByLanguage: { fr: 'x' } };
+        saveSpeechSettings(settings);
+        expect(loadSpeechSettings()).toEqual(settings);
+    });
+
+    test('uses defaults for missing, invalid or out-of-range values', () => {
+        localStorage.setItem(SPEECH_SETTINGS_KEY, '{not json');
+        expect(loadSpeechSettings()).toEqual(DEFAULT_SPEECH_SETTINGS);
+
+        expect(normalizeSpeechSettings({ rate: 10, pitch: -1, volume: 'loud', voicesByLanguage: { de: 5 } }))
+            .toEqual({ ...DEFAULT_SPEECH_SETTINGS, rate: 2, pitch: 0 });
+    });
+});
@@ -0,0 +1,281 @@
+// Hands-free listening: continuous speech recognition that waits for a wake phrase
+// ("Hey ANYA"), captures what is said after it and hands that over as a command.
+
+export const WAKE_PHRASE = process.env.REACT_APP_WAKE_PHRASE || 'Hey ANYA';
+
+const GREETINGS = ['hey', 'hi', 'hello', 'ok', 'okay'];
+const CAPTURE_TIMEOUT_MS = 8000;
+const RESUME_DELAY_MS = 400;
+const MAX_RESTART_DELAY_MS = 10000;
+// Sessions shorter than this count as failures when deciding whether to back off.
+const HEALTHY_SESSION_MS = 5000;
+// Errors that will not go away by restarting.
+const FATAL_ERRORS = ['not-allowed', 'service-not-allowed', 'audio-capture', 'language-not-supported'];
+
+const normalizeWord = (word) => word.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const editDistance = (a, b) => {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+        }
+        previous = current;
+    }
+    return previous[b.length];
+};
+
+// Recognisers spell names loosely ("ania", "anja", "anyas"), so longer words may be one
+// edit off, but never shorter ("hey any news" is not a wake phrase). Any greeting stands
+// in for another ("hi anya" for "hey anya").
+const wordMatches = (heard, expected) => {
+    if (heard === expected) return true;
+    if (GREETINGS.includes(expected) && GREETINGS.includes(heard)) return true;
+    return expected.length >= 4 && heard.length >= expected.length && editDistance(heard, expected) <= 1;
+};
+
+// Finds the wake phrase in a transcript. Returns { command } with the (original) text
+// that follows it, or null. A phrase word may be heard as several tokens, such as the
+// spelled-out "A.N.Y.A." or "a n y a".
+export const matchWakePhrase = (transcript, phrase = WAKE_PHRASE) => {
+    const expected = phrase.split(/\s+/).map(normalizeWord).filter(Boolean);
+    const tokens = transcript.split(/\s+/).filter(Boolean);
+    const words = tokens.map(normalizeWord);
+    if (expected.length === 0) return null;
+
+    const matchAt = (start) => {
+        let position = start;
+        for (const word of expected) {
+            let joined = '';
+            let matched = false;
+            for (let end = position; end < words.length && end < position + word.length; end++) {
+                joined += words[end];
+                if (joined && wordMatches(joined, word)) {
+                    position = end + 1;
+                    matched = true;
+                    break;
+                }
+            }
+            if (!matched) return -1;
+        }
+        return position;
+    };
+
+    for (let start = 0; start < words.length; start++) {
+        const end = matchAt(start);
+        if (end !== -1) {
+            return { command: tokens.slice(end).join(' ').replace(/^[\s,.!?;:]+/, '').trim() };
+        }
+    }
+    return null;
+};
+
+// Turns a stream of recognition results into commands. After the wake phrase on its own,
+// the next utterance (within captureTimeoutMs) is the command.
+export const createWakeWordDetector = ({
+    phrase = WAKE_PHRASE,
+    onWake = () => {},
+    onInterim = () => {},
+    onCommand = () => {},
+    onTimeout = () => {},
+    captureTimeoutMs = CAPTURE_TIMEOUT_MS,
+} = {}) => {
+    let capturing = false;
+    let timer = null;
+
+    const stopTimer = () => {
+        clearTimeout(timer);
+        timer = null;
+    };
+
+    const startCapture = () => {
+        if (!capturing) onWake();
+        capturing = true;
+        stopTimer();
+        timer = setTimeout(() => {
+            capturing = false;
+            timer = null;
+            onTimeout();
+        }, captureTimeoutMs);
+    };
+
+    // Feeds one recognition result (interim or final).
+    const handleResult = (transcript, isFinal) => {
+        const match = matchWakePhrase(transcript, phrase);
+        if (!capturing && !match) return;
+        const command = match ? match.command : transcript.trim();
+
+        if (!isFinal) {
+            startCapture();
+            onInterim(command);
+            return;
+        }
+        if (!command) {
+            startCapture();
+            onInterim('');
+            return;
+        }
+        capturing = false;
+        stopTimer();
+        onCommand(command);
+    };
+
+    const reset = () => {
+        capturing = false;
+        stopTimer();
+    };
+
+    return { handleResult, reset, isCapturing: () => capturing };
+};
+
+// Shows the interim text of a listener in an input through `setInput`, a React state setter.
+// Clearing it (the listener stops, pauses or gives up on a command) leaves the input alone
+// unless it still holds what was last shown, so a draft typed meanwhile stays.
+export const interimInput = (setInput) => {
+    let shown = '';
+    return (text) => {
+        const previous = shown;
+        shown = text;
+        setInput(current => (text || current === previous ? text : current));
+    };
+};
+
+// Keeps a continuous SpeechRecognition session alive (browsers end them after silence or
+// a minute or so) and routes its results through a wake word detector.
+// States: 'off', 'waiting' (for the wake phrase), 'capturing' (the command) and 'paused'
+// (while A.N.Y.A. is speaking, so the reply isn't picked up as a command).
+export const createWakeWordListener = ({
+    createRecognition,
+    lang = 'en-US',
+    phrase = WAKE_PHRASE,
+    onStateChange = () => {},
+    onInterim = () => {},
+    onCommand = () => {},
+    onError = () => {},
+    log = () => {},
+    captureTimeoutMs = CAPTURE_TIMEOUT_MS,
+    resumeDelayMs = RESUME_DELAY_MS,
+}) => {
+    let recognition = null;
+    let state = 'off';
+    let running = false;
+    let restartTimer = null;
+    let restartDelay = 0;
+    let startedAt = 0;
+
+    const setState = (next) => {
+        if (next === state) return;
+        state = next;
+        onStateChange(next);
+    };
+
+    const detector = createWakeWordDetector({
+        phrase,
+        captureTimeoutMs,
+        onWake: () => setState('capturing'),
+        onInterim,
+        onTimeout: () => {
+            setState('waiting');
+            onInterim('');
+            log('No command heard after the wake phrase.', 'info');
+        },
+        onCommand: (command) => {
+            setState('waiting');
+            onCommand(command);
+        },
+    });
+
+    const begin = () => {
+        restartTimer = null;
+        if (state === 'off' || state === 'paused') return;
+        try {
+            recognition.start();
+            running = true;
+            startedAt = Date.now();
+        } catch (error) {
+            // Already running (InvalidStateError) is fine.
+            running = error.name === 'InvalidStateError';
+            if (!running) log(`Could not start hands-free listening: ${error.message}`, 'error');
+        }
+    };
+
+    const scheduleStart = (delay) => {
+        clearTimeout(restartTimer);
+        restartTimer = setTimeout(begin, delay);
+    };
+
+    const setup = () => {
+        recognition = createRecognition();
+        recognition.continuous = true;
+        recognition.interimResults = true;
+        recognition.lang = lang;
+
+        recognition.onresult = (event) => {
+            restartDelay = 0;
+            for (let i = event.resultIndex; i < event.results.length; i++) {
+                const result = event.results[i];
+                detector.handleResult(result[0].transcript, result.isFinal);
+            }
+        };
+
+        recognition.onerror = (event) => {
+            if (FATAL_ERRORS.includes(event.error)) {
+                log(`Hands-free listening stopped: ${event.error}`, 'error');
+                onError(event.error);
+                stop();
+            } else if (event.error !== 'no-speech' && event.error !== 'aborted') {
+                log(`Hands-free listening error: ${event.error}. Restarting.`, 'warning');
+            }
+        };
+
+        // The browser ended the session; start a new one unless we stopped on purpose.
+        // Back off if it keeps ending straight away (e.g. repeated network errors).
+        recognition.onend = () => {
+            running = false;
+            if (state === 'off' || state === 'paused') return;
+            if (Date.now() - startedAt >= HEALTHY_SESSION_MS) restartDelay = 0;
+            scheduleStart(restartDelay);
+            restartDelay = Math.min(MAX_RESTART_DELAY_MS, restartDelay ? restartDelay * 2 : 250);
+        };
+    };
+
+    const start = () => {
+        if (state !== 'off') return;
+        if (!recognition) setup();
+        setState('waiting');
+        restartDelay = 0;
+        begin();
+    };
+
+    const halt = () => {
+        clearTimeout(restartTimer);
+        restartTimer = null;
+        detector.reset();
+        onInterim('');
+        if (running) recognition.abort();
+        running = false;
+    };
+
+    const stop = () => {
+        if (state === 'off') return;
+        setState('off');
+        halt();
+    };
+
+    const pause = () => {
+        if (state === 'off' || state === 'paused') return;
+        setState('paused');
+        halt();
+    };
+
+    // Re-arms after a short delay so the tail of A.N.Y.A.'s own speech isn't picked up.
+    const resume = () => {
+        if (state !== 'paused') return;
+        setState('waiting');
+        restartDelay = 0;
+        scheduleStart(resumeDelayMs);
+    };
+
+    return { start, stop, pause, resume, getState: () => state };
+};
@@ -0,0 +1,171 @@
+import { matchWakePhrase, createWakeWordDetector, createWakeWordListener, interimInput } from './wakeWord';
+
+describe('wake phrase matching', () => {
+    test.each([
+        ['Hey ANYA what time is it', 'what time is it'],
+        ['hey anya, what is 2+2?', 'what is 2+2?'],
+        ['hi Ania turn it up', 'turn it up'],
+        ['OK A.N.Y.A. tell me a joke', 'tell me a joke'],
+        ['hey a n y a', ''],
+        ['so, hey anya. Weather in Oslo', 'Weather in Oslo'],
+    ])('%s', (transcript, command) => {
+        expect(matchWakePhrase(transcript, 'Hey ANYA')).toEqual({ command });
+    });
+
+    test('ignores near misses', () => {
+        expect(matchWakePhrase('hey any news today', 'Hey ANYA')).toBeNull();
+        expect(matchWakePhrase('anya is a nice name', 'Hey ANYA')).toBeNull();
+    });
+
+    test('works with a custom phrase', () => {
+        expect(matchWakePhrase('computer, lights on', 'Computer')).toEqual({ command: 'lights on' });
+    });
+});
+
+describe('detector', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    const setup = () => {
+        const events = [];
+        const detector = createWakeWordDetector({
+            phrase: 'Hey ANYA',
+            captureTimeoutMs: 5000,
+            onWake: () => events.push('wake'),
+            onInterim: (text) => events.push(`interim:${text}`),
+            onCommand: (text) => events.push(`command:${text}`),
+            onTimeout: () => events.push('timeout'),
+        });
+        return { detector, events };
+    };
+
+    test('a command in the same breath is sent once it is final', () => {
+        const { detector, events } = setup();
+        detector.handleResult('what did you', false);
+        detector.handleResult('hey anya what', false);
+        detector.handleResult('hey anya what time is it', true);
+        expect(events).toEqual(['wake', 'interim:what', 'command:what time is it']);
+    });
+
+    test('after the wake phrase alone, the next utterance is the command', () => {
+        const { detector, events } = setup();
+        detector.handleResult('hey anya', true);
+        detector.handleResult('play some', false);
+        detector.handleResult('play some jazz', true);
+        expect(events).toEqual(['wake', 'interim:', 'interim:play some', 'command:play some jazz']);
+    });
+
+    test('gives up waiting for a command', () => {
+        const { detector, events } = setup();
+        detector.handleResult('hey anya', true);
+        jest.advanceTimersByTime(5000);
+        detector.handleResult('just chatting with a friend', true);
+        expect(events).toEqual(['wake', 'interim:', 'timeout']);
+    });
+});
+
+describe('listener', () => {
+    beforeEach(() => jest.useFakeTimers());
+    afterEach(() => jest.useRealTimers());
+
+    const createFakeRecognition = () => {
+        const recognition = {
+            started: 0,
+            aborted: 0,
+            start: jest.fn(() => { recognition.started++; }),
+            abort: jest.fn(() => { recognition.aborted++; }),
+            say: (transcript, isFinal = true) => recognition.onresult({
+                resultIndex: 0,
+                results: [Object.assign([{ transcript }], { isFinal })],
+            }),
+        };
+        return recognition;
+    };
+
+    const setup = () => {
+        const recognition = createFakeRecognition();
+        const commands = [];
+        const states = [];
+        const onError = jest.fn();
+        const listener = createWakeWordListener({
+            createRecognition: () => recognition,
+            onCommand: (command) => commands.push(command),
+            onStateChange: (state) => states.push(state),
+            onError,
+            resumeDelayMs: 400,
+        });
+        return { listener, recognition, commands, states, onError };
+    };
+
+    test('runs continuously with interim results and sends commands', () => {
+        const { listener, recognition, commands } = setup();
+        listener.start();
+        expect(recognition).toMatchObject({ continuous: true, interimResults: true, started: 1 });
+
+        recognition.say('hey anya what is the weather in Paris');
+        expect(commands).toEqual(['what is the weather in Paris']);
+        expect(listener.getState()).toBe('waiting');
+    });
+
+    test('restarts when the browser ends the session', () => {
+        const { listener, recognition } = setup();
+        listener.start();
+        jest.advanceTimersByTime(6000);
+        recognition.onend();
+        jest.advanceTimersByTime(0);
+        expect(recognition.started).toBe(2);
+
+        // Sessions that end immediately back off instead of spinning.
+        recognition.onend();
+        jest.advanceTimersByTime(0);
+        expect(recognition.started).toBe(2);
+        jest.advanceTimersByTime(250);
+        expect(recognition.started).toBe(3);
+    });
+
+    test('pauses while A.N.Y.A. speaks and re-arms afterwards', () => {
+        const { listener, recognition, commands, states } = setup();
+        listener.start();
+        listener.pause();
+        expect(recognition.aborted).toBe(1);
+        recognition.onend();
+        jest.advanceTimersByTime(1000);
+        expect(recognition.started).toBe(1);
+
+        listener.resume();
+        jest.advanceTimersByTime(399);
+        expect(recognition.started).toBe(1);
+        jest.advanceTimersByTime(1);
+        expect(recognition.started).toBe(2);
+        recognition.say('hey anya stop');
+        expect(commands).toEqual(['stop']);
+        expect(states).toEqual(['waiting', 'paused', 'waiting']);
+    });
+
+    test('stops for good when microphone access is denied', () => {
+        const { listener, recognition, onError } = setup();
+        listener.start();
+        recognition.onerror({ error: 'not-allowed' });
+        recognition.onend();
+        jest.advanceTimersByTime(20000);
+        expect(onError).toHaveBeenCalledWith('not-allowed');
+        expect(listener.getState()).toBe('off');
+        expect(recognition.started).toBe(1);
+    });
+});
+
+test('clearing the interim text keeps a draft typed meanwhile', () => {
+    let input = 'my draft';
+    const onInterim = interimInput(update => { input = update(input); });
+
+    onInterim('');
+    expect(input).toBe('my draft');
+    onInterim('what is the');
+    onInterim('');
+    expect(input).toBe('');
+
+    onInterim('what is the');
+    input = 'something else';
+    onInterim('');
+    expect(input).toBe('something else');
+});
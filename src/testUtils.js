@@ -0,0 +1,27 @@
+// Helpers shared by the tests.
+
+// In-memory stand-in for localStorage and sessionStorage; `data` is what has been saved.
+export const createMemoryStorage = (initial = {}) => {
+    const data = { ...initial };
+    return {
+        getItem: key => (key in data ? data[key] : null),
+        setItem: (key, value) => { data[key] = String(value); },
+        removeItem: key => { delete data[key]; },
+        data,
+    };
+};
+
+// --- Messages ---
+
+// Sent on 19 October 2026 at 14:<minute>, each with an id of its own. `anya` replies come
+// half a minute after the `user` message of the same minute.
+const timestamp = (minute, second = 0) => `2026-10-19T14:${String(minute).padStart(2, '0')}:${String(second).padStart(2, '0')}.000Z`;
+
+let ids = 0;
+const nextId = () => `msg-${++ids}`;
+
+export const message = (sender, text, minute = 0) => ({ id: nextId(), sender, text, localTimestamp: timestamp(minute) });
+
+export const user = (text, minute = 0, status) => ({ ...message('user', text, minute), ...(status && { status }) });
+
+export const anya = (text, minute = 0) => ({ id: nextId(), sender: 'anya', text, localTimestamp: timestamp(minute, 30) });
@@ -0,0 +1,635 @@
+// Built-in local tools for A.N.Y.A.
+// Each entry is registered with the tool registry (see ./registry.js). `notify` and
+// `log` are the component's showNotification and addLog callbacks; `backend` is the
+// client from ../services/backend.js, or null when no backend server is configured.
+// `weather` is the service from ./weather.js (tests pass one with a stubbed fetch),
+// `scheduler` the one from ./scheduler.js that the component starts and listens to, and
+// `notes` the store from ./notes.js behind the notes panel. `translator` is a provider from
+// ./translation.js; without one, the backend's translation endpoint is used if there is one.
+// `search` is the service from ./search.js for web search and news. `calculatorMemory`
+// (see ./expression.js) keeps the calculator's variables per conversation; handlers get the
+// conversation as `sessionId` in their context.
+
+import { evaluateExpression, formatResult, describeError, isKnownName, createCalculatorMemory } from './expression';
+import { convertQuery, findUnit, parseConversionQuery } from './units';
+import { createWeatherService, parseWeatherQuery, parseUnits } from './weather';
+import { createBackendTranslator, parseTranslationRequest, findLanguage, languageName } from './translation';
+import { createSearchService, formatResults, resultsForModel, removeCitations } from './search';
+import {
+    createScheduler, parseScheduleRequest, parseCancelRequest, parseWhen, parseDuration, formatDuration, formatDueTime,
+    formatItemList, describeItem, requestNotificationPermission, KINDS, SNOOZE_MINUTES
+} from './scheduler';
+import {
+    createNotesStore, parseAddRequest, parseShowRequest, parseItemRequest, parseClearRequest, parseItemRef,
+    formatList, listTitle, NotesError, NOTES_LIST
+} from './notes';
+
+const CALCULATION_PREFIX = /^(?:what is|what's|calculate|compute|evaluate)\s+/i;
+const CALCULATION_PATTERN = /^(?:what is|what's|calculate|compute|evaluate)\s+(.+?)[?=]?\s*$/i;
+
+export const createBuiltinTools = ({
+    notify = () => {},
+    log = () => {},
+    backend = null,
+    weather = createWeatherService(),
+    scheduler = createScheduler(),
+    notes = createNotesStore(),
+    translator = backend ? createBackendTranslator(backend) : null,
+    search = createSearchService({ backend }),
+    calculatorMemory = createCalculatorMemory(),
+} = {}) => {
+
+    // Forecasts, unit preference and the remembered location (see ./weather.js).
+    const getWeatherReport = async (query) => {
+        const where = query.location || weather.getPreferences().defaultLocation?.name || 'your location';
+        notify(`🌤️ Getting the weather for ${where}...`, 'info');
+        log(`Weather request: ${JSON.stringify(query)}`, 'info');
+        try {
+            const report = await weather.report(query);
+            log(`Weather report ready for ${where}.`, 'success');
+            return report;
+        } catch (error) {
+            log(`Weather error: ${error.message}`, 'error');
+            return `I'm sorry, I couldn't fetch the weather data. ${error.message}`;
+        }
+    };
+
+    const setWeatherPreferences = async ({ units, location }) => {
+        const replies = [];
+        if (units) {
+            weather.setPreferences({ units });
+            replies.push(`🌡️ I'll give weather in ${units === 'imperial' ? '°F, mph and inches' : '°C, km/h and millimetres'} from now on.`);
+            log(`Weather units set to ${units}.`, 'info');
+        }
+        if (location) {
+            try {
+                replies.push(await weather.rememberLocation(location));
+                log(`Default weather location: ${location}`, 'info');
+            } catch (error) {
+                log(`Weather error: ${error.message}`, 'error');
+                replies.push(`I couldn't look up "${location}" right now. ${error.message}`);
+            }
+        }
+        return replies.join('\n') || null;
+    };
+
+    // Reminders, timers and alarms (see ./scheduler.js).
+    const setReminder = ({ kind, label, when }) => {
+        if (!when) {
+            return `When should I remind you${label ? ` about "${label}"` : ''}? You can say something like "in 20 minutes" or "at 3pm".`;
+        }
+        const time = scheduler.now();
+        const dueAt = parseWhen(when, time);
+        if (dueAt === null) {
+            return `I couldn't tell when "${when}" is. Try something like "in 20 minutes", "at 3pm" or "tomorrow at 9am".`;
+        }
+        if (dueAt <= time) return `That time (${formatDueTime(dueAt, time)}) has already passed.`;
+
+        const item = scheduler.add({ kind, label, dueAt, durationMs: kind === 'timer' ? dueAt - time : undefined });
+        requestNotificationPermission();
+        log(`Scheduled ${kind} for ${new Date(dueAt).toISOString()}${label ? `: ${label}` : ''}`, 'info');
+        const due = formatDueTime(dueAt, time);
+        const remaining = formatDuration(dueAt - time);
+        if (kind === 'timer') return `⏲️ Timer set for ${remaining}${label ? ` (${label})` : ''}. It ends ${due}.`;
+        if (kind === 'alarm') return `⏰ Alarm set ${due}, ${remaining} from now.`;
+        return `🔔 Reminder set ${due} (in ${remaining})${item.label ? `: ${item.label}` : ''}.`;
+    };
+
+    const listReminders = (kind) => {
+        const items = scheduler.list();
+        const shown = kind ? items.filter(item => item.kind === kind) : items;
+        const what = kind ? `${kind}s` : 'reminders, timers or alarms';
+        if (shown.length === 0) return `You have no ${what} set.`;
+        return `📋 Your ${kind ? `${kind}s` : 'reminders, timers and alarms'}:\n${formatItemList(shown, items, scheduler.now())}`;
+    };
+
+    // `query` is a number from the list, a time ("3pm") or part of the label.
+    const cancelReminders = ({ kind, query, all }) => {
+        const time = scheduler.now();
+        const items = scheduler.list();
+        const candidates = kind ? items.filter(item => item.kind === kind) : items;
+        if (candidates.length === 0) return `You have no ${kind ? `${kind}s` : 'reminders, timers or alarms'} set.`;
+
+        let matches = candidates;
+        if (query && /^\d+$/.test(query)) {
+            const item = items[Number(query) - 1];
+            // The numbers count every item, so one of another kind is asked about, not cancelled.
+            if (item && kind && item.kind !== kind) {
+                return `Number ${query} is a ${item.kind}, not a ${kind}. Your ${kind}s are:\n`
+                    + `${formatItemList(candidates, items, time)}\nWhich one should I cancel?`;
+            }
+            matches = item ? [item] : [];
+        } else if (query) {
+            const needle = query.toLowerCase();
+            const at = /\d|noon|midnight/.test(needle) ? parseWhen(needle, time) : null;
+            const sameClock = (item) => {
+                const due = new Date(item.dueAt);
+                return due.getHours() === new Date(at).getHours() && due.getMinutes() === new Date(at).getMinutes();
+            };
+            matches = candidates.filter(item => (at !== null && sameClock(item)) || item.label?.toLowerCase().includes(needle));
+        }
+
+        if (matches.length === 0) return `I couldn't find ${kind ? `a ${kind}` : 'anything'} matching "${query}" to cancel.`;
+        if (matches.length > 1 && !all) {
+            return `Which one should I cancel? You have:\n${formatItemList(matches, items, time)}\n`
+                + `Say "cancel ${matches[0].kind} ${items.indexOf(matches[0]) + 1}", for example.`;
+        }
+        const removed = scheduler.cancel(matches.map(item => item.id));
+        log(`Cancelled ${removed.length} scheduled item(s).`, 'info');
+        if (removed.length === 1) return `🗑️ Cancelled the ${describeItem(removed[0])} ${formatDueTime(removed[0].dueAt, time)}.`;
+        return `🗑️ Cancelled ${removed.length} ${kind ? `${kind}s` : 'items'}.`;
+    };
+
+    const snoozeReminder = (minutes) => {
+        const item = scheduler.snooze(null, minutes);
+        if (!item) return "There's nothing to snooze right now.";
+        log(`Snoozed ${item.kind} for ${minutes} minute(s).`, 'info');
+        return `😴 Snoozed for ${formatDuration(minutes * 60 * 1000)}. I'll bring up the ${describeItem(item)} again ${formatDueTime(item.dueAt, scheduler.now())}.`;
+    };
+
+    // Notes and lists (see ./notes.js). An unknown list or item is a NotesError, which is
+    // told to the user as it is.
+    const withNotes = (action) => {
+        try {
+            return action();
+        } catch (error) {
+            if (error instanceof NotesError) return error.message;
+            throw error;
+        }
+    };
+
+    const listLabel = (name) => listTitle(name).toLowerCase();
+
+    const addToList = (list, items) => withNotes(() => {
+        const { list: updated, added } = notes.addItems(list, items);
+        log(`Added ${added.length} item(s) to the ${updated.name} list.`, 'info');
+        if (updated.name === NOTES_LIST && added.length === 1) return `📝 Noted: "${added[0].text}"`;
+        const what = added.length === 1 ? `"${added[0].text}"` : `${added.length} items`;
+        return `✅ Added ${what} to your ${listLabel(updated.name)}. It has ${updated.items.length} item${updated.items.length === 1 ? '' : 's'} now.`;
+    });
+
+    const showList = (list) => withNotes(() => {
+        if (list) return formatList(notes.getList(list));
+        const { lists } = notes.getData();
+        if (lists.length === 0) return 'You don\'t have any lists yet. Try "add milk to my shopping list" or "take a note: ...".';
+        const lines = lists.map(({ name, items }) => {
+            const done = items.filter(item => item.done).length;
+            return `- ${listTitle(name)}: ${items.length} item${items.length === 1 ? '' : 's'}${done && name !== NOTES_LIST ? `, ${done} done` : ''}`;
+        });
+        return `📝 Your lists:\n${lines.join('\n')}`;
+    });
+
+    const updateListItem = (list, ref, action) => withNotes(() => {
+        if (action === 'remove') {
+            const removed = notes.removeItem(list, ref);
+            log(`Removed "${removed.text}" from a list.`, 'info');
+            return `🗑️ Removed "${removed.text}" from your ${listLabel(notes.getList(list).name)}.`;
+        }
+        const item = notes.updateItem(list, ref, { done: action === 'done' });
+        return action === 'done' ? `☑ Marked "${item.text}" as done.` : `☐ Marked "${item.text}" as not done.`;
+    });
+
+    const clearList = (list, scope) => withNotes(() => {
+        if (scope === 'list') return `🗑️ Deleted your ${listLabel(notes.deleteList(list).name)}.`;
+        const cleared = notes.clearList(list, { doneOnly: scope === 'done' });
+        const label = listLabel(notes.getList(list).name);
+        if (scope === 'done') return `🧹 Cleared ${cleared} done item${cleared === 1 ? '' : 's'} from your ${label}.`;
+        return `🧹 Emptied your ${label}.`;
+    });
+
+    // Whether text is meant as maths rather than a question that happens to start with "what is".
+    // `variables` are the conversation's, shared by successive calculations; `ans` holds the
+    // last result.
+    const looksLikeMath = (text, variables) => {
+        // The target of an assignment ("r = 4") may be a new name.
+        const words = text.replace(/^\s*[a-z_]\w*\s*=/i, '').match(/[a-z_]+/gi) || [];
+        if (!words.every(word => isKnownName(word, { ans: true, ...variables }))) return false;
+        return /[\dπ√]/.test(text) || words.some(word => word.toLowerCase() !== 'x');
+    };
+
+    const calculate = (mathExpression, variables) => {
+        try {
+            const result = evaluateExpression(mathExpression, variables);
+            variables.ans = result;
+            log(`Calculation: "${mathExpression}" = ${result}`, 'info');
+            return `The result is: ${formatResult(result)}`;
+        } catch (e) {
+            log(`Calculation error: ${e.message}`, 'error');
+            return `I'm sorry, I couldn't perform that calculation. ${describeError(mathExpression, e)}`;
+        }
+    };
+
+    const performCalculationOrConversion = (query, variables) => {
+        const mathMatch = query.match(CALCULATION_PATTERN);
+        if (mathMatch && looksLikeMath(mathMatch[1], variables)) {
+            return calculate(mathMatch[1].trim(), variables);
+        }
+
+        if (parseConversionQuery(query)) {
+            try {
+                const { text } = convertQuery(query);
+                log(`Conversion: ${text}`, 'info');
+                return text;
+            } catch (e) {
+                log(`Conversion error: ${e.message}`, 'warning');
+                return `I'm sorry, I couldn't convert that. ${e.message}`;
+            }
+        }
+        return null;
+    };
+
+    // Translation through the configured provider (see ./translation.js). Without text, the
+    // message before the request is translated. The translation is spoken with a voice for
+    // the target language.
+    const performTranslation = async ({ text, target, source }, history = []) => {
+        const original = text || [...history.slice(0, -1)].reverse().find(msg => msg.text?.trim())?.text;
+        if (!original) return 'What should I translate?';
+        if (!translator) return 'No translation service is available.';
+
+        const targetName = languageName(target);
+        notify(`🌍 Translating to ${targetName}...`, 'info');
+        try {
+            const result = await translator.translate({ text: original, target, source });
+            const detected = result.source && findLanguage(result.source);
+            const from = detected && detected.code !== target ? ` (from ${detected.name})` : '';
+            log(`Translated ${original.length} character(s) to ${target} with ${translator.name}.`, 'success');
+            return { text: `🌍 In ${targetName}${from}: "${result.text}"`, speech: { text: result.text, lang: target } };
+        } catch (error) {
+            log(`Translation error: ${error.message}`, 'error');
+            return `I couldn't translate that right now. ${error.message}`;
+        }
+    };
+
+    // Search and news (see ./search.js). The results come back as cards under the reply.
+    // Asked directly with summaries on, Gemini answers from them with numbered citations;
+    // when the model called the tool itself, it gets the numbered results to answer from.
+    const answerFromResults = async (request, results, context) => {
+        const cards = { ...request, items: results };
+        if (context.fromModel) return { text: resultsForModel(results), results: cards };
+        if (search.canSummarize) {
+            const question = request.kind === 'news' ? `the latest news${request.query ? ` about ${request.query}` : ''}` : request.query;
+            try {
+                const summary = await search.summarize(question, results);
+                return { text: summary, speech: { text: removeCitations(summary) }, results: cards };
+            } catch (error) {
+                log(`Summary error: ${error.message}`, 'warning');
+            }
+        }
+        return { text: formatResults(request, results), results: cards };
+    };
+
+    const getNewsHeadlines = async (topic, context = {}) => {
+        const query = topic && topic.toLowerCase() !== 'general' ? topic : null;
+        const about = query ? ` about ${query}` : '';
+        notify(`📰 Fetching news${about}...`, 'info');
+        try {
+            const { provider, results } = await search.news(query);
+            log(`Fetched ${results.length} headline(s)${about} from ${provider}.`, 'success');
+            if (results.length === 0) return `I couldn't find any recent news${about}.`;
+            return await answerFromResults({ kind: 'news', query }, results, context);
+        } catch (error) {
+            log(`News error: ${error.message}`, 'error');
+            return `I couldn't fetch the news right now. ${error.message}`;
+        }
+    };
+
+    const searchInternet = async (query, engine = null, context = {}) => {
+        notify(`🌐 Searching the web for "${query}"...`, 'info');
+        try {
+            const { provider, results } = await search.search(query, { engine });
+            log(`Found ${results.length} result(s) for "${query}" with ${provider}.`, 'success');
+            if (results.length === 0) return `I couldn't find anything for "${query}".`;
+            return await answerFromResults({ kind: 'web', query }, results, context);
+        } catch (error) {
+            log(`Search error: ${error.message}`, 'error');
+            return `I couldn't search the web right now. ${error.message}`;
+        }
+    };
+
+    const socialMediaSearch = async (personName) => {
+        notify(`🕵️‍♀️ Searching social media for "${personName}"...`, 'info');
+        await new Promise(resolve => setTimeout(resolve, 2500));
+        const result = `Due to privacy restrictions and API limitations, I cannot access real-time personal profiles on platforms.`;
+        log(`Social media search limitation: ${result}`, 'info');
+        return result;
+    };
+
+    // --- Tool Definitions ---
+
+    return [
+        {
+            name: 'getWeatherReport',
+            description: 'Current weather, the next few hours, or the forecast for a day or the week ahead. Answers questions such as "will it rain in Paris tomorrow?". Without a location, the user\'s saved default location is used.',
+            match: (input) => parseWeatherQuery(input),
+            extractArgs: (query) => ({
+                location: query.location,
+                when: query.when,
+                condition: query.condition,
+                units: query.units,
+            }),
+            priority: 20,
+            handler: ({ location = null, when = null, condition = null, units = null }) => (
+                getWeatherReport({ location, when, condition, units: parseUnits(units) })
+            ),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    location: { type: 'STRING', description: 'City or place name, e.g. "Oslo" or "Springfield, Illinois". Leave out for the saved default location.' },
+                    when: {
+                        type: 'STRING',
+                        description: '"now" (default), "hours" for the next few hours, "today", "tomorrow", "dayAfterTomorrow", a weekday such as "friday", "weekend", "week", or a date as YYYY-MM-DD within the next 7 days.',
+                    },
+                    condition: { type: 'STRING', enum: ['rain', 'snow'], description: 'Set when the user asks whether it will rain or snow.' },
+                    units: { type: 'STRING', enum: ['metric', 'imperial'], description: 'Only when the user asks for specific units.' },
+                },
+            },
+        },
+        {
+            name: 'setWeatherPreferences',
+            description: 'Remember the user\'s default weather location and/or preferred units.',
+            patterns: [
+                /^(?:please )?(?:use|switch to|show|give me) (celsius|fahrenheit|metric|imperial)(?: units)?(?: for (?:the )?weather)?[.!]?$/i,
+                /^(?:set |remember )?my (?:default |home )?location (?:is|to|as) (.+?)[.!]?$/i,
+                /^(?:remember that )?i live in (.+?)[.!]?$/i,
+            ],
+            extractArgs: (match) => {
+                const units = parseUnits(match[1]);
+                return units ? { units } : { location: match[1].trim() };
+            },
+            priority: 20,
+            handler: ({ units = null, location = null }) => setWeatherPreferences({ units: parseUnits(units), location }),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    location: { type: 'STRING', description: 'Place to use when no location is given, e.g. "Oslo".' },
+                    units: { type: 'STRING', enum: ['metric', 'imperial'], description: 'Preferred units for weather.' },
+                },
+            },
+        },
+        {
+            name: 'setReminder',
+            description: 'Set a reminder, a countdown timer or an alarm. A.N.Y.A. notifies and speaks up when it is due, even after a reload.',
+            match: (input) => parseScheduleRequest(input),
+            extractArgs: (request) => ({ kind: request.kind, label: request.label, when: request.when }),
+            priority: 25,
+            offline: true,
+            handler: ({ kind = 'reminder', label = null, when = null }) => (
+                setReminder({ kind: KINDS.includes(kind) ? kind : 'reminder', label: label || null, when })
+            ),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    kind: { type: 'STRING', enum: KINDS, description: '"reminder" (default), "timer" for a countdown, or "alarm".' },
+                    label: { type: 'STRING', description: 'What to remind the user about, e.g. "check the build". Optional for timers and alarms.' },
+                    when: {
+                        type: 'STRING',
+                        description: 'When, in the user\'s words: "in 20 minutes", "at 3pm", "tomorrow at 9am", "on friday at 17:30". For a timer, its length, e.g. "5 minutes".',
+                    },
+                },
+                required: ['when'],
+            },
+        },
+        {
+            name: 'listReminders',
+            description: 'List the pending reminders, timers and alarms, numbered.',
+            patterns: [
+                /^(?:list|show)(?: me)?(?: all)?(?: of)? (?:my |the )?(reminders|timers|alarms)\??$/i,
+                /^what (reminders|timers|alarms) (?:do i have|are set)\??$/i,
+                /^what are my (reminders|timers|alarms)\??$/i,
+                /^(?:do i have any|are there any|any) (reminders|timers|alarms)(?: set)?\??$/i,
+            ],
+            // "my reminders" covers everything that is scheduled.
+            extractArgs: (match) => ({ kind: match[1].toLowerCase() === 'reminders' ? null : match[1].toLowerCase().slice(0, -1) }),
+            priority: 25,
+            offline: true,
+            handler: ({ kind = null }) => listReminders(KINDS.includes(kind) ? kind : null),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    kind: { type: 'STRING', enum: KINDS, description: 'Only list this kind. Leave out to list everything.' },
+                },
+            },
+        },
+        {
+            name: 'cancelReminder',
+            description: 'Cancel pending reminders, timers or alarms, picked by their number in the list, their time or their label.',
+            match: (input) => parseCancelRequest(input),
+            extractArgs: (request) => request,
+            priority: 25,
+            offline: true,
+            handler: ({ kind = null, query = null, all = false }) => (
+                cancelReminders({ kind: KINDS.includes(kind) ? kind : null, query: query || null, all: Boolean(all) })
+            ),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    kind: { type: 'STRING', enum: KINDS, description: 'Kind to cancel, when the user names one.' },
+                    query: { type: 'STRING', description: 'Which one: its number in the list ("2"), its time ("3pm") or words from its label ("call mom").' },
+                    all: { type: 'BOOLEAN', description: 'True to cancel every match, e.g. "cancel all my timers".' },
+                },
+            },
+        },
+        {
+            name: 'snoozeReminder',
+            description: 'Snooze the reminder, timer or alarm that just went off.',
+            patterns: [/^snooze(?: it| that| (?:the|my) (?:reminder|timer|alarm))?(?: for (.+?))?[.!]?$/i],
+            extractArgs: (match) => ({ minutes: match[1] ? parseDuration(match[1]) / 60000 : null }),
+            priority: 25,
+            offline: true,
+            handler: ({ minutes = null }) => snoozeReminder(Number(minutes) > 0 ? Number(minutes) : SNOOZE_MINUTES),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    minutes: { type: 'NUMBER', description: `How long to snooze for, in minutes (default ${SNOOZE_MINUTES}).` },
+                },
+            },
+        },
+        {
+            name: 'addToList',
+            description: 'Add items to one of the user\'s lists ("to-do", "shopping", ...) or save a note to the "notes" list. Lists are created when first used.',
+            match: (input) => parseAddRequest(input),
+            extractArgs: (request) => request,
+            priority: 25,
+            offline: true,
+            handler: ({ list = null, items = [] }) => addToList(list, Array.isArray(items) ? items.map(String) : [String(items)]),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    list: { type: 'STRING', description: 'List name, e.g. "shopping" or "to-do"; "notes" for a note.' },
+                    items: { type: 'ARRAY', items: { type: 'STRING' }, description: 'Items to add, one per entry, or the text of the note.' },
+                },
+                required: ['items'],
+            },
+        },
+        {
+            name: 'showList',
+            description: 'Show one of the user\'s lists with numbered items, or name all lists when no list is given.',
+            match: (input) => parseShowRequest(input),
+            extractArgs: (request) => request,
+            priority: 25,
+            offline: true,
+            handler: ({ list = null }) => showList(list),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    list: { type: 'STRING', description: 'List name, e.g. "shopping", "to-do" or "notes". Leave out to list all lists.' },
+                },
+            },
+        },
+        {
+            name: 'updateListItem',
+            description: 'Mark an item on a list as done or not done, or remove it. Without a list, the list used last is meant.',
+            match: (input) => parseItemRequest(input),
+            extractArgs: (request) => request,
+            priority: 25,
+            offline: true,
+            handler: ({ list = null, item, action = 'done' }) => (
+                updateListItem(list, typeof item === 'number' ? item : parseItemRef(item), action)
+            ),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    list: { type: 'STRING', description: 'List name, e.g. "shopping".' },
+                    item: { type: 'STRING', description: 'The item\'s number in the list ("2") or its text ("milk").' },
+                    action: { type: 'STRING', enum: ['done', 'undone', 'remove'], description: 'What to do with the item.' },
+                },
+                required: ['item', 'action'],
+            },
+        },
+        {
+            name: 'clearList',
+            description: 'Remove the done items from a list, empty it, or delete the list altogether.',
+            match: (input) => parseClearRequest(input),
+            extractArgs: (request) => request,
+            priority: 25,
+            offline: true,
+            handler: ({ list = null, scope = 'done' }) => clearList(list, scope),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    list: { type: 'STRING', description: 'List name, e.g. "shopping".' },
+                    scope: { type: 'STRING', enum: ['done', 'all', 'list'], description: '"done" items only, "all" items, or the whole "list".' },
+                },
+                required: ['scope'],
+            },
+        },
+        {
+            name: 'calculate',
+            description: 'Evaluate a mathematical expression: + - * / ^, percentages, functions such as sqrt or sin, constants, and `ans` for the previous result.',
+            // Only route here when the text actually parses as maths, with or without a
+            // "what is" / "calculate" prefix ("2^10", "15% of 240", "sqrt(81)").
+            match: (input, { sessionId } = {}) => {
+                const prefixed = CALCULATION_PREFIX.test(input);
+                const expression = input.replace(CALCULATION_PREFIX, '').replace(/[?=]\s*$/, '').trim();
+                if (!expression || !looksLikeMath(expression, calculatorMemory.variablesFor(sessionId))) return null;
+                if (!prefixed && !/[+\-*/^%!×÷√(=]/.test(expression)) return null;
+                return { expression, score: 1 };
+            },
+            extractArgs: (match) => ({ expression: match.expression }),
+            priority: 30,
+            offline: true,
+            handler: ({ expression }, { sessionId } = {}) => calculate(expression, calculatorMemory.variablesFor(sessionId)),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    expression: { type: 'STRING', description: 'Expression, e.g. "2^10", "15% of 240", "sin(pi/2)" or "ans * 2".' },
+                },
+                required: ['expression'],
+            },
+        },
+        {
+            name: 'convertUnits',
+            description: 'Convert a quantity between units of length, mass, volume, temperature, speed, area, data size, time or energy.',
+            // "convert ..." and "how many ..." are always conversions; other phrasings only
+            // when every unit is recognised, so "5 tips in Paris" is left alone.
+            match: (input) => {
+                const parsed = parseConversionQuery(input);
+                if (!parsed) return null;
+                const unitsKnown = [...parsed.parts.map(part => part.unitText), parsed.target].every(unit => findUnit(unit));
+                return parsed.explicit || unitsKnown ? { score: 1 } : null;
+            },
+            extractArgs: (match, input) => ({ query: input }),
+            priority: 30,
+            offline: true,
+            handler: ({ query }, { sessionId } = {}) => performCalculationOrConversion(query, calculatorMemory.variablesFor(sessionId)),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    query: { type: 'STRING', description: 'Conversion request, e.g. "5 ft 3 in to cm" or "72 fahrenheit in celsius".' },
+                },
+                required: ['query'],
+            },
+        },
+        {
+            name: 'performTranslation',
+            description: 'Translate text into another language. The source language is detected when not given.',
+            match: (input) => parseTranslationRequest(input),
+            extractArgs: (request) => ({ text: request.text, targetLang: request.target, sourceLang: request.source }),
+            priority: 20,
+            handler: ({ text = null, targetLang, sourceLang = null }, context = {}) => {
+                const target = findLanguage(targetLang);
+                if (!target) return `I don't know the language "${targetLang}".`;
+                return performTranslation({ text, target: target.code, source: findLanguage(sourceLang)?.code || null }, context.history);
+            },
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    text: { type: 'STRING', description: 'Text to translate.' },
+                    targetLang: { type: 'STRING', description: 'Target language, as a name ("Japanese") or code ("ja", "pt-BR").' },
+                    sourceLang: { type: 'STRING', description: 'Language of the text, only when the user says what it is.' },
+                },
+                required: ['text', 'targetLang'],
+            },
+        },
+        {
+            name: 'getNewsHeadlines',
+            description: 'Latest news headlines, optionally about a topic.',
+            patterns: [
+                /\b(?:news|headlines) (?:about|on) (.+?)\??$/i,
+                /^(?:show me |get |what's |what is )?(?:the )?(?:latest |today's )?(?:news|headlines)\??$/i,
+            ],
+            extractArgs: (match) => ({ topic: match[1] ? match[1].trim() : 'general' }),
+            priority: 10,
+            handler: ({ topic }, context) => getNewsHeadlines(topic, context),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    topic: { type: 'STRING', description: 'News topic, or "general".' },
+                },
+            },
+        },
+        {
+            name: 'socialMediaSearch',
+            description: 'Look up a person on social media.',
+            patterns: [/search for (.+) on (instagram|facebook|x|social media)/i],
+            extractArgs: (match) => ({ personName: match[1].trim() }),
+            priority: 15,
+            handler: ({ personName }) => socialMediaSearch(personName),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    personName: { type: 'STRING', description: 'Name of the person to look up.' },
+                },
+                required: ['personName'],
+            },
+        },
+        {
+            name: 'searchInternet',
+            description: 'Search the web for a query. Returns numbered results to cite as [1], [2] etc.',
+            patterns: [/^search (google|duckduckgo) for (.+)/i, /^search (?:the web |the internet )?for (.+)/i],
+            extractArgs: (match) => (match.length > 2
+                ? { query: match[2].trim(), engine: match[1].toLowerCase() }
+                : { query: match[1].trim() }),
+            priority: 5,
+            handler: ({ query, engine }, context) => searchInternet(query, engine, context),
+            parameters: {
+                type: 'OBJECT',
+                properties: {
+                    query: { type: 'STRING', description: 'Search query.' },
+                    engine: { type: 'STRING', description: 'Search engine name.', enum: ['google', 'duckduckgo'] },
+                },
+                required: ['query'],
+            },
+        },
+    ];
+};
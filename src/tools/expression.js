@@ -0,0 +1,430 @@
+// Arithmetic expression evaluator for the calculator tool.
+// Input is tokenized, parsed into a small syntax tree and evaluated by walking that tree;
+// nothing is ever handed to eval/new Function.
+//
+// Supported: + - * / ^ ** mod, postfix % and !, "x"/"×"/"÷" as operators, "15% of 240",
+// "200 + 10%", implicit multiplication ("2pi", "3(4+5)"), degrees ("sin(30°)"),
+// common functions and constants, variables such as `ans`, and assignment ("r = 4").
+
+export class ExpressionError extends Error {
+    constructor(message, position = null, token = null) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+        this.token = token;
+    }
+}
+
+const FUNCTIONS = {
+    sqrt: Math.sqrt,
+    cbrt: Math.cbrt,
+    abs: Math.abs,
+    round: (x, digits = 0) => {
+        const factor = Math.pow(10, digits);
+        return Math.round(x * factor) / factor;
+    },
+    floor: Math.floor,
+    ceil: Math.ceil,
+    trunc: Math.trunc,
+    sign: Math.sign,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    asin: Math.asin,
+    acos: Math.acos,
+    atan: Math.atan,
+    sinh: Math.sinh,
+    cosh: Math.cosh,
+    tanh: Math.tanh,
+    exp: Math.exp,
+    ln: Math.log,
+    log: (x, base) => (base === undefined ? Math.log10(x) : Math.log(x) / Math.log(base)),
+    log10: Math.log10,
+    log2: Math.log2,
+    pow: Math.pow,
+    min: Math.min,
+    max: Math.max,
+};
+
+// Expected argument counts: [min, max].
+const FUNCTION_ARITY = {
+    round: [1, 2],
+    log: [1, 2],
+    pow: [2, 2],
+    min: [1, Infinity],
+    max: [1, Infinity],
+};
+
+export const CONSTANTS = {
+    pi: Math.PI,
+    'π': Math.PI,
+    e: Math.E,
+    tau: 2 * Math.PI,
+    phi: (1 + Math.sqrt(5)) / 2,
+};
+
+const KEYWORDS = { mod: 'mod', of: 'of' };
+
+// Own-property lookups only, so names like "constructor" are never resolved through the prototype.
+const has = (table, name) => Object.prototype.hasOwnProperty.call(table, name);
+
+const OPERATOR_ALIASES = {
+    '×': '*',
+    '·': '*',
+    '÷': '/',
+    '−': '-',
+    '–': '-',
+};
+
+// --- Tokenizer ---
+
+const isDigit = (ch) => ch >= '0' && ch <= '9';
+const isIdentStart = (ch) => /[A-Za-z_π]/.test(ch);
+const isIdentPart = (ch) => /[A-Za-z0-9_]/.test(ch);
+
+export const tokenize = (input) => {
+    const tokens = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const ch = input[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (isDigit(ch) || (ch === '.' && isDigit(input[i + 1] || ''))) {
+            const match = input.slice(i).match(/^(\d*\.?\d+|\d+\.)(e[+-]?\d+)?/i);
+            tokens.push({ type: 'number', value: parseFloat(match[0]), text: match[0], position: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (isIdentStart(ch)) {
+            let end = i + 1;
+            if (ch !== 'π') {
+                while (end < input.length && isIdentPart(input[end])) end++;
+            }
+            let text = input.slice(i, end);
+            // "3 x 4" and "3x4" use x as the multiplication sign.
+            if (/^x\d+$/i.test(text)) {
+                end = i + 1;
+                text = 'x';
+            }
+            const lower = text.toLowerCase();
+            if (lower === 'x') {
+                tokens.push({ type: 'operator', value: '*', text, position: i });
+            } else if (has(KEYWORDS, lower)) {
+                tokens.push({ type: 'keyword', value: KEYWORDS[lower], text, position: i });
+            } else {
+                tokens.push({ type: 'identifier', value: lower, text, position: i });
+            }
+            i = end;
+            continue;
+        }
+
+        if (ch === '*' && input[i + 1] === '*') {
+            tokens.push({ type: 'operator', value: '^', text: '**', position: i });
+            i += 2;
+            continue;
+        }
+
+        const operator = OPERATOR_ALIASES[ch] || ch;
+        if ('+-*/^%!'.includes(operator)) {
+            tokens.push({ type: 'operator', value: operator, text: ch, position: i });
+        } else if (ch === '°') {
+            tokens.push({ type: 'operator', value: '°', text: ch, position: i });
+        } else if (ch === '√') {
+            tokens.push({ type: 'identifier', value: 'sqrt', text: ch, position: i });
+        } else if (ch === '(' || ch === ')' || ch === ',' || ch === '=') {
+            tokens.push({ type: ch, value: ch, text: ch, position: i });
+        } else {
+            throw new ExpressionError(`Unexpected character "${ch}" at position ${i + 1}.`, i, ch);
+        }
+        i++;
+    }
+
+    tokens.push({ type: 'end', value: null, text: '', position: input.length });
+    return tokens;
+};
+
+// --- Parser ---
+//
+// assignment     := identifier '=' expression | expression
+// expression     := term (('+' | '-') term)*
+// term           := unary (('*' | '/' | 'mod' | 'of') unary | <implicit> unary)*
+// unary          := ('+' | '-') unary | power
+// power          := postfix ('^' unary)?
+// postfix        := primary ('!' | '%' | '°')*
+// primary        := number | identifier | identifier '(' args ')' | '(' expression ')'
+
+export const parse = (input) => {
+    const tokens = tokenize(input);
+    let index = 0;
+
+    const peek = (offset = 0) => tokens[index + offset];
+    const next = () => tokens[index++];
+
+    const fail = (token, expected) => {
+        if (token.type === 'end') {
+            throw new ExpressionError(`Unexpected end of expression${expected ? `, expected ${expected}` : ''}.`, token.position, '');
+        }
+        throw new ExpressionError(
+            `Unexpected "${token.text}" at position ${token.position + 1}${expected ? `, expected ${expected}` : ''}.`,
+            token.position,
+            token.text
+        );
+    };
+
+    const expect = (type, description) => {
+        const token = next();
+        if (token.type !== type) fail(token, description);
+        return token;
+    };
+
+    const isOperator = (token, ...values) => token.type === 'operator' && values.includes(token.value);
+
+    // Can this token start an operand? Used for implicit multiplication and to tell
+    // "10 % 3" (modulo) apart from "10%" (percent).
+    const startsOperand = (token) => token.type === 'number' || token.type === 'identifier' || token.type === '(';
+
+    const parsePrimary = () => {
+        const token = next();
+
+        if (token.type === 'number') {
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'identifier') {
+            if (has(FUNCTIONS, token.value)) {
+                // "√9" and "sqrt 9" are accepted without parentheses.
+                if (peek().type !== '(') {
+                    if (!startsOperand(peek())) fail(peek(), `an argument for ${token.text}`);
+                    return { type: 'call', name: token.value, args: [parsePostfix()], token };
+                }
+                next();
+                const args = [];
+                if (peek().type !== ')') {
+                    args.push(parseExpression());
+                    while (peek().type === ',') {
+                        next();
+                        args.push(parseExpression());
+                    }
+                }
+                expect(')', '")"');
+                return { type: 'call', name: token.value, args, token };
+            }
+            return { type: 'variable', name: token.value, token };
+        }
+
+        if (token.type === '(') {
+            const inner = parseExpression();
+            expect(')', '")"');
+            return inner;
+        }
+
+        return fail(token, 'a number');
+    };
+
+    const parsePostfix = () => {
+        let node = parsePrimary();
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, '!') || isOperator(token, '°')) {
+                next();
+                node = { type: token.value === '!' ? 'factorial' : 'degrees', operand: node, token };
+            } else if (isOperator(token, '%') && !startsOperand(peek(1))) {
+                next();
+                node = { type: 'percent', operand: node, token };
+            } else {
+                return node;
+            }
+        }
+    };
+
+    const parsePower = () => {
+        const base = parsePostfix();
+        if (isOperator(peek(), '^')) {
+            const token = next();
+            return { type: 'binary', operator: '^', left: base, right: parseUnary(), token };
+        }
+        return base;
+    };
+
+    const parseUnary = () => {
+        if (isOperator(peek(), '+', '-')) {
+            const token = next();
+            const operand = parseUnary();
+            return token.value === '-' ? { type: 'negate', operand, token } : operand;
+        }
+        return parsePower();
+    };
+
+    const parseTerm = () => {
+        let node = parseUnary();
+        for (;;) {
+            const token = peek();
+            if (isOperator(token, '*', '/', '%') || (token.type === 'keyword' && token.value === 'mod')) {
+                next();
+                const operator = token.value === 'mod' ? '%' : token.value;
+                node = { type: 'binary', operator, left: node, right: parseUnary(), token };
+            } else if (token.type === 'keyword' && token.value === 'of') {
+                // "15% of 240"
+                next();
+                node = { type: 'binary', operator: '*', left: node, right: parseUnary(), token };
+            } else if (startsOperand(token)) {
+                node = { type: 'binary', operator: '*', left: node, right: parseUnary(), token };
+            } else {
+                return node;
+            }
+        }
+    };
+
+    const parseExpression = () => {
+        let node = parseTerm();
+        while (isOperator(peek(), '+', '-')) {
+            const token = next();
+            node = { type: 'binary', operator: token.value, left: node, right: parseTerm(), token };
+        }
+        return node;
+    };
+
+    let tree;
+    if (peek().type === 'identifier' && peek(1).type === '=') {
+        const target = next();
+        next();
+        tree = { type: 'assign', name: target.value, value: parseExpression(), token: target };
+    } else {
+        tree = parseExpression();
+    }
+
+    if (peek().type !== 'end') fail(peek(), 'an operator');
+    return tree;
+};
+
+// --- Evaluator ---
+
+const factorial = (n, token) => {
+    if (!Number.isInteger(n) || n < 0) {
+        throw new ExpressionError(`Factorial is only defined for non-negative whole numbers (position ${token.position + 1}).`, token.position, token.text);
+    }
+    if (n > 170) return Infinity;
+    let result = 1;
+    for (let i = 2; i <= n; i++) result *= i;
+    return result;
+};
+
+export const evaluate = (tree, variables = {}) => {
+    const visit = (node) => {
+        switch (node.type) {
+            case 'number':
+                return node.value;
+            case 'variable': {
+                if (has(variables, node.name) && variables[node.name] !== undefined) {
+                    return variables[node.name];
+                }
+                if (has(CONSTANTS, node.name)) return CONSTANTS[node.name];
+                const hint = node.name === 'ans' ? ' There is no previous answer yet.' : '';
+                throw new ExpressionError(`Unknown name "${node.token.text}" at position ${node.token.position + 1}.${hint}`, node.token.position, node.token.text);
+            }
+            case 'call': {
+                const [min, max] = FUNCTION_ARITY[node.name] || [1, 1];
+                if (node.args.length < min || node.args.length > max) {
+                    const expected = min === max ? `${min}` : `${min} to ${max === Infinity ? 'any number of' : max}`;
+                    throw new ExpressionError(
+                        `${node.token.text}() takes ${expected} argument(s) but got ${node.args.length} (position ${node.token.position + 1}).`,
+                        node.token.position,
+                        node.token.text
+                    );
+                }
+                return FUNCTIONS[node.name](...node.args.map(visit));
+            }
+            case 'negate':
+                return -visit(node.operand);
+            case 'percent':
+                return visit(node.operand) / 100;
+            case 'degrees':
+                return visit(node.operand) * Math.PI / 180;
+            case 'factorial':
+                return factorial(visit(node.operand), node.token);
+            case 'assign': {
+                if (has(FUNCTIONS, node.name) || has(CONSTANTS, node.name)) {
+                    throw new ExpressionError(`"${node.token.text}" is a built-in name and cannot be assigned.`, node.token.position, node.token.text);
+                }
+                const value = visit(node.value);
+                variables[node.name] = value;
+                return value;
+            }
+            case 'binary': {
+                const left = visit(node.left);
+                // "200 + 10%" means 200 plus 10% of 200, like a desk calculator.
+                if ((node.operator === '+' || node.operator === '-') && node.right.type === 'percent') {
+                    const share = left * visit(node.right);
+                    return node.operator === '+' ? left + share : left - share;
+                }
+                const right = visit(node.right);
+                switch (node.operator) {
+                    case '+': return left + right;
+                    case '-': return left - right;
+                    case '*': return left * right;
+                    case '/':
+                        if (right === 0) {
+                            throw new ExpressionError(`Division by zero at position ${node.token.position + 1}.`, node.token.position, node.token.text);
+                        }
+                        return left / right;
+                    case '%': return left % right;
+                    case '^': return Math.pow(left, right);
+                    default:
+                        throw new ExpressionError(`Unknown operator "${node.operator}".`, node.token.position, node.token.text);
+                }
+            }
+            default:
+                throw new ExpressionError(`Cannot evaluate node "${node.type}".`);
+        }
+    };
+
+    const result = visit(tree);
+    if (typeof result !== 'number' || Number.isNaN(result)) {
+        throw new ExpressionError('The result is not a real number.');
+    }
+    return result;
+};
+
+// True if `name` means something to the evaluator (function, constant, keyword, operator
+// or one of the given variables).
+export const isKnownName = (name, variables = {}) => {
+    const lower = name.toLowerCase();
+    return has(FUNCTIONS, lower) || has(CONSTANTS, lower) || has(KEYWORDS, lower) || lower === 'x' || has(variables, lower);
+};
+
+// Parses and evaluates in one step. `variables` is updated in place by assignments.
+export const evaluateExpression = (input, variables = {}) => evaluate(parse(input), variables);
+
+// The calculator's variables (`ans` and assigned names) for each conversation, so they
+// neither carry over to another one nor go when the tools are rebuilt.
+export const createCalculatorMemory = () => {
+    const sessions = new Map();
+    const variablesFor = (sessionId = null) => {
+        if (!sessions.has(sessionId)) sessions.set(sessionId, {});
+        return sessions.get(sessionId);
+    };
+    const forget = (sessionId) => sessions.delete(sessionId);
+    return { variablesFor, forget };
+};
+
+// Rounds away floating point noise (0.1 + 0.2 -> 0.3) for display.
+export const formatResult = (value) => {
+    if (!Number.isFinite(value)) return value > 0 ? '∞' : '-∞';
+    const rounded = Number(value.toPrecision(12));
+    return Math.abs(rounded) >= 1e21 || (rounded !== 0 && Math.abs(rounded) < 1e-9)
+        ? rounded.toExponential()
+        : String(rounded);
+};
+
+// Renders the expression with a caret under the offending token, for chat replies.
+export const describeError = (input, error) => {
+    if (!(error instanceof ExpressionError) || error.position === null) return error.message;
+    const caret = `${' '.repeat(error.position)}${'^'.repeat(Math.max(1, (error.token || '').length))}`;
+    return `${error.message}\n${input}\n${caret}`;
+};
@@ -0,0 +1,116 @@
+import { evaluateExpression, ExpressionError, formatResult, describeError, tokenize } from './expression';
+
+const calc = (input, variables) => Number(formatResult(evaluateExpression(input, variables)));
+
+describe('operators and precedence', () => {
+    test.each([
+        ['1 + 2 * 3', 7],
+        ['(1 + 2) * 3', 9],
+        ['2^10', 1024],
+        ['2 ** 10', 1024],
+        ['2^3^2', 512],
+        ['-2^2', -4],
+        ['2^-1', 0.5],
+        ['10 mod 3', 1],
+        ['10 % 3', 1],
+        ['5!', 120],
+        ['3 x 4', 12],
+        ['3x4', 12],
+        ['12 ÷ 4 × 2', 6],
+        ['0.1 + 0.2', 0.3],
+        ['1.5e3 / 3', 500],
+    ])('%s = %p', (input, expected) => {
+        expect(calc(input)).toBe(expected);
+    });
+});
+
+describe('percentages', () => {
+    test.each([
+        ['15% of 240', 36],
+        ['50%', 0.5],
+        ['200 + 10%', 220],
+        ['200 - 25%', 150],
+        ['20% * 50', 10],
+    ])('%s = %p', (input, expected) => {
+        expect(calc(input)).toBe(expected);
+    });
+});
+
+describe('functions and constants', () => {
+    test.each([
+        ['sqrt(81)', 9],
+        ['√81', 9],
+        ['sqrt 16', 4],
+        ['sin(pi/2)', 1],
+        ['cos(0)', 1],
+        ['sin(30°)', 0.5],
+        ['log(1000)', 3],
+        ['log(8, 2)', 3],
+        ['ln(e)', 1],
+        ['max(3, 9, 4)', 9],
+        ['round(3.14159, 2)', 3.14],
+        ['abs(-7)', 7],
+    ])('%s = %p', (input, expected) => {
+        expect(calc(input)).toBe(expected);
+    });
+
+    test('implicit multiplication', () => {
+        expect(calc('2pi')).toBeCloseTo(2 * Math.PI);
+        expect(calc('3(4 + 5)')).toBe(27);
+        expect(calc('(1 + 1)(2 + 2)')).toBe(8);
+        expect(calc('2 sqrt(9)')).toBe(6);
+    });
+});
+
+describe('variables', () => {
+    test('ans refers to the previous answer', () => {
+        expect(calc('ans * 2', { ans: 21 })).toBe(42);
+    });
+
+    test('assignment stores a variable for later expressions', () => {
+        const variables = {};
+        expect(calc('r = 2', variables)).toBe(2);
+        expect(calc('pi r^2', variables)).toBeCloseTo(4 * Math.PI);
+    });
+
+    test('constants and functions cannot be reassigned', () => {
+        expect(() => evaluateExpression('pi = 3')).toThrow(/built-in/);
+    });
+});
+
+describe('errors', () => {
+    const errorFor = (input, variables) => {
+        try {
+            evaluateExpression(input, variables);
+        } catch (error) {
+            return error;
+        }
+        throw new Error(`"${input}" did not fail`);
+    };
+
+    test('points at the unexpected token', () => {
+        const error = errorFor('2 + * 3');
+        expect(error).toBeInstanceOf(ExpressionError);
+        expect(error.message).toBe('Unexpected "*" at position 5, expected a number.');
+        expect(describeError('2 + * 3', error)).toBe('Unexpected "*" at position 5, expected a number.\n2 + * 3\n    ^');
+    });
+
+    test.each([
+        ['(1 + 2', /Unexpected end of expression, expected "\)"/],
+        ['1 + 2)', /Unexpected "\)" at position 6/],
+        ['2 $ 3', /Unexpected character "\$" at position 3/],
+        ['foo + 1', /Unknown name "foo"/],
+        ['ans + 1', /no previous answer/],
+        ['1 / 0', /Division by zero/],
+        ['(-3)!', /Factorial/],
+        ['pow(2)', /takes 2 argument/],
+        ['sqrt(-1)', /not a real number/],
+    ])('%s', (input, message) => {
+        expect(errorFor(input).message).toMatch(message);
+    });
+
+    test('never executes code', () => {
+        expect(() => tokenize('alert("x")')).toThrow(ExpressionError);
+        expect(() => evaluateExpression('constructor')).toThrow(/Unknown name/);
+    });
+});
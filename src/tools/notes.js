@@ -0,0 +1,283 @@
+// Notes and lists for the notes tools and the notes panel.
+// Everything lives in named lists ("to-do", "shopping", "notes" ...) of items that can be
+// ticked off, kept in localStorage. Items are referred to by their number in the list, by
+// their text, or by id (the panel). When the user allows it, lists relevant to a question
+// are sent to Gemini along with it (see notesContext).
+
+export const NOTES_KEY = 'anyaNotes';
+export const DEFAULT_LIST = 'to-do';
+export const NOTES_LIST = 'notes';
+
+// Lists sent along with a question are cut off around here.
+const MAX_CONTEXT_CHARS = 2000;
+
+const defaultCreateId = () => `note-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export class NotesError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'NotesError';
+    }
+}
+
+// --- List names ---
+
+// "Shopping List" -> "shopping", "todo" / "to do list" / "tasks" -> "to-do", "note" -> "notes".
+export const normalizeListName = (name) => {
+    const words = String(name || '').toLowerCase()
+        .replace(/[^\p{L}\p{N}\s-]/gu, ' ')
+        .replace(/\b(?:my|the|our)\b/g, ' ')
+        .replace(/\blists?\b/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+    if (!words || /^(?:to[- ]?dos?|tasks?)$/.test(words)) return DEFAULT_LIST;
+    if (/^notes?$/.test(words)) return NOTES_LIST;
+    return words;
+};
+
+// "to-do" -> "To-do list", "notes" -> "Notes".
+export const listTitle = (name) => {
+    const title = `${name[0].toUpperCase()}${name.slice(1)}`;
+    return name === NOTES_LIST ? title : `${title} list`;
+};
+
+// "milk, eggs and bread" -> ['milk', 'eggs', 'bread']
+export const splitItems = (text) => text
+    .split(/\s*,\s*(?:and\s+)?|\s+and\s+/i)
+    .map(item => item.trim().replace(/[.!?]+$/, ''))
+    .filter(Boolean);
+
+// --- Requests ---
+// `list` is null when no list was named.
+
+const LIST_REF = String.raw`(?:my|the|our)\s+(.*?)\s*(list|to-?dos?|notes)`;
+const listFrom = (name, word) => normalizeListName(name || word);
+const tidy = (input) => input.trim().replace(/^please\s+/i, '').replace(/[.!?]+$/, '').trim();
+
+// "take a note: ...", "add milk and eggs to my shopping list", "add a to-do: call the bank".
+// Resolves to { list, items } or null.
+export const parseAddRequest = (input) => {
+    const text = tidy(input);
+    const note = text.match(/^(?:(?:take|make|add) a note|write (?:this )?down|jot (?:this )?down|note (?:that|down))(?: that| saying)?[:,]?\s+(.+)$/i);
+    if (note) return { list: NOTES_LIST, items: [note[1].trim()] };
+
+    const todo = text.match(/^(?:add (?:a )?|new )(?:to-?do|task)[:,]?\s+(.+)$/i);
+    if (todo) return { list: DEFAULT_LIST, items: [todo[1].trim()] };
+
+    const add = text.match(new RegExp(String.raw`^(?:add|put|write)\s+(.+?)\s+(?:to|on|onto|in)\s+${LIST_REF}$`, 'i'));
+    if (add) return { list: listFrom(add[2], add[3]), items: splitItems(add[1]) };
+    return null;
+};
+
+// "what's on my to-do list", "show my shopping list", "read my notes", "what lists do I have".
+// Resolves to { list } (null list for all of them) or null.
+export const parseShowRequest = (input) => {
+    const text = tidy(input);
+    if (/^(?:what|which) lists do (?:i|we) have$|^(?:show|list)(?: me)?(?: all)?(?: of)? my lists$/i.test(text)) {
+        return { list: null };
+    }
+    const show = text.match(new RegExp(String.raw`^(?:what(?:'s| is| are)(?: on| in)?|show(?: me)?|read(?: me)?|open|display)\s+${LIST_REF}$`, 'i'));
+    return show ? { list: listFrom(show[1], show[2]) } : null;
+};
+
+// "item 2", "number 2", "#2", "2" -> 2; anything else is the item's text.
+export const parseItemRef = (text) => {
+    const number = String(text).trim().match(/^(?:item|number|no\.?|#)?\s*(\d+)$/i);
+    return number ? Number(number[1]) : String(text).trim().replace(/^the\s+/i, '');
+};
+
+// "mark item 2 done", "mark milk as not done", "tick off eggs on my shopping list",
+// "cross milk off my shopping list", "remove item 3 from my to-do list", "delete note 2".
+// Resolves to { list, item, action } with action 'done', 'undone' or 'remove', or null.
+export const parseItemRequest = (input) => {
+    const text = tidy(input);
+    const onList = String.raw`(?:\s+(?:on|in|from|off)\s+${LIST_REF})?`;
+    const patterns = [
+        [new RegExp(String.raw`^mark\s+(.+?)\s+(?:as\s+)?(not done|undone|incomplete|not complete|done|complete|completed|finished)${onList}$`, 'i'),
+            (match) => ({ item: match[1], action: /^(?:not|un|in)/i.test(match[2]) ? 'undone' : 'done', name: match[3], word: match[4] })],
+        [new RegExp(String.raw`^(?:check|tick|cross)\s+off\s+(.+?)${onList}$`, 'i'),
+            (match) => ({ item: match[1], action: 'done', name: match[2], word: match[3] })],
+        [new RegExp(String.raw`^(?:check|tick|cross)\s+(.+?)\s+off(?:\s+${LIST_REF})?$`, 'i'),
+            (match) => ({ item: match[1], action: 'done', name: match[2], word: match[3] })],
+        [new RegExp(String.raw`^(?:uncheck|untick)\s+(.+?)${onList}$`, 'i'),
+            (match) => ({ item: match[1], action: 'undone', name: match[2], word: match[3] })],
+        [/^(?:remove|delete)\s+note\s+(\d+)$/i,
+            (match) => ({ item: match[1], action: 'remove', name: NOTES_LIST })],
+        [new RegExp(String.raw`^(?:remove|delete|take)\s+(.+?)\s+(?:from|off)\s+${LIST_REF}$`, 'i'),
+            (match) => ({ item: match[1], action: 'remove', name: match[2], word: match[3] })],
+        [/^(?:remove|delete)\s+(item\s+\d+)$/i,
+            (match) => ({ item: match[1], action: 'remove' })],
+    ];
+    for (const [pattern, read] of patterns) {
+        const match = text.match(pattern);
+        if (match) {
+            const { item, action, name, word } = read(match);
+            return { list: name || word ? listFrom(name, word) : null, item: parseItemRef(item), action };
+        }
+    }
+    return null;
+};
+
+// "clear completed items from my to-do list", "clear my shopping list", "delete my shopping list".
+// Resolves to { list, scope } with scope 'done', 'all' or 'list', or null.
+export const parseClearRequest = (input) => {
+    const text = tidy(input);
+    const done = text.match(new RegExp(String.raw`^(?:clear|remove|delete)\s+(?:the\s+|all\s+)?(?:done|completed|finished|checked|ticked)(?:\s+(?:items|ones|tasks))?(?:\s+(?:from|on|in)\s+${LIST_REF})?$`, 'i'));
+    if (done) return { list: done[1] || done[2] ? listFrom(done[1], done[2]) : null, scope: 'done' };
+    const clear = text.match(new RegExp(String.raw`^(?:clear|empty)\s+${LIST_REF}$`, 'i'));
+    if (clear) return { list: listFrom(clear[1], clear[2]), scope: 'all' };
+    const remove = text.match(new RegExp(String.raw`^(?:delete|remove)\s+${LIST_REF}$`, 'i'));
+    if (remove && remove[2].toLowerCase() === 'list') return { list: listFrom(remove[1], remove[2]), scope: 'list' };
+    return null;
+};
+
+// --- Formatting ---
+
+export const formatList = (list) => {
+    if (list.items.length === 0) return `📝 Your ${listTitle(list.name).toLowerCase()} is empty.`;
+    const lines = list.items.map((item, index) => (
+        list.name === NOTES_LIST
+            ? `${index + 1}. ${item.text}`
+            : `${index + 1}. ${item.done ? '☑' : '☐'} ${item.text}`
+    ));
+    return `📝 ${listTitle(list.name)}:\n${lines.join('\n')}`;
+};
+
+// Lists that a question is about: those it names, or all of them when it asks about notes,
+// lists or to-dos in general. Null when there is nothing to send.
+export const notesContext = (lists, message) => {
+    const question = String(message || '').toLowerCase();
+    const withItems = lists.filter(list => list.items.length > 0);
+    const named = withItems.filter(list => new RegExp(`\\b${list.name.replace(/[-\s]/g, '[-\\s]?')}`).test(question));
+    const general = /\b(?:notes?|lists?|to-?dos?|tasks?)\b/.test(question);
+    const relevant = named.length > 0 ? named : general ? withItems : [];
+    if (relevant.length === 0) return null;
+
+    let text = relevant.map(formatList).join('\n\n');
+    if (text.length > MAX_CONTEXT_CHARS) text = `${text.slice(0, MAX_CONTEXT_CHARS)}…`;
+    return `The user's saved lists in A.N.Y.A. (☑ = done):\n${text}`;
+};
+
+// --- Persistence ---
+
+const isValidItem = (item) => Boolean(item) && typeof item.id === 'string' && typeof item.text === 'string';
+
+export const loadNotes = (storage = window.localStorage) => {
+    let saved = {};
+    try {
+        saved = JSON.parse(storage.getItem(NOTES_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    const lists = Array.isArray(saved.lists) ? saved.lists : [];
+    return {
+        lists: lists
+            .filter(list => list && typeof list.name === 'string' && Array.isArray(list.items))
+            .map(list => ({ name: list.name, items: list.items.filter(isValidItem).map(item => ({ ...item, done: Boolean(item.done) })) })),
+        useInAnswers: saved.useInAnswers !== false,
+    };
+};
+
+export const saveNotes = (data, storage = window.localStorage) => {
+    storage.setItem(NOTES_KEY, JSON.stringify(data));
+};
+
+// --- Store ---
+
+// `onChange(data)` is called after every change. Lists are created when something is first
+// added to them. Commands without a list name use the list used last, or the to-do list.
+export const createNotesStore = ({
+    storage = window.localStorage,
+    now = () => Date.now(),
+    createId = defaultCreateId,
+    onChange = () => {},
+} = {}) => {
+    let data = loadNotes(storage);
+    let lastList = null;
+
+    const commit = (lists, changes = {}) => {
+        data = { ...data, ...changes, lists };
+        saveNotes(data, storage);
+        onChange(data);
+    };
+
+    const resolveName = (name) => (name ? normalizeListName(name) : lastList || DEFAULT_LIST);
+
+    const getList = (name) => {
+        const listName = resolveName(name);
+        const list = data.lists.find(other => other.name === listName);
+        if (!list) throw new NotesError(`You don't have a ${listTitle(listName).toLowerCase()}.`);
+        lastList = listName;
+        return list;
+    };
+
+    const findItem = (list, ref) => {
+        if (typeof ref === 'number') {
+            const item = list.items[ref - 1];
+            if (!item) throw new NotesError(`Your ${listTitle(list.name).toLowerCase()} has no item ${ref}.`);
+            return item;
+        }
+        const needle = String(ref).toLowerCase();
+        const item = list.items.find(other => other.id === ref || other.text.toLowerCase() === needle)
+            || list.items.find(other => other.text.toLowerCase().includes(needle));
+        if (!item) throw new NotesError(`I couldn't find "${ref}" on your ${listTitle(list.name).toLowerCase()}.`);
+        return item;
+    };
+
+    const replaceList = (list) => data.lists.map(other => (other.name === list.name ? list : other));
+
+    const addItems = (name, texts) => {
+        const listName = resolveName(name);
+        const existing = data.lists.find(list => list.name === listName);
+        const added = texts.map(text => ({ id: createId(), text: text.trim(), done: false, createdAt: now() }))
+            .filter(item => item.text);
+        if (added.length === 0) throw new NotesError('There was nothing to add.');
+        const list = { name: listName, items: [...(existing?.items || []), ...added] };
+        commit(existing ? replaceList(list) : [...data.lists, list]);
+        lastList = listName;
+        return { list, added };
+    };
+
+    const updateItem = (name, ref, changes) => {
+        const list = getList(name);
+        const item = findItem(list, ref);
+        const updated = { ...item, ...changes };
+        commit(replaceList({ ...list, items: list.items.map(other => (other === item ? updated : other)) }));
+        return updated;
+    };
+
+    const removeItem = (name, ref) => {
+        const list = getList(name);
+        const item = findItem(list, ref);
+        commit(replaceList({ ...list, items: list.items.filter(other => other !== item) }));
+        return item;
+    };
+
+    // Removes the done items (or all of them); returns how many went.
+    const clearList = (name, { doneOnly = false } = {}) => {
+        const list = getList(name);
+        const items = doneOnly ? list.items.filter(item => !item.done) : [];
+        commit(replaceList({ ...list, items }));
+        return list.items.length - items.length;
+    };
+
+    const deleteList = (name) => {
+        const list = getList(name);
+        commit(data.lists.filter(other => other !== list));
+        lastList = null;
+        return list;
+    };
+
+    const setUseInAnswers = (useInAnswers) => commit(data.lists, { useInAnswers: Boolean(useInAnswers) });
+
+    return {
+        getData: () => data,
+        getList,
+        addItems,
+        updateItem,
+        removeItem,
+        clearList,
+        deleteList,
+        setUseInAnswers,
+    };
+};
@@ -0,0 +1,108 @@
+import {
+    createNotesStore, parseAddRequest, parseShowRequest, parseItemRequest, parseClearRequest, normalizeListName,
+    notesContext, formatList, NOTES_KEY
+} from './notes';
+import { createBuiltinTools } from './builtinTools';
+import { createMemoryStorage } from '../testUtils';
+import { withSystemNote, withSummary } from '../services/context';
+
+const createStore = (storage = createMemoryStorage()) => {
+    let ids = 0;
+    return createNotesStore({ storage, now: () => 0, createId: () => `n${++ids}` });
+};
+
+test('normalises list names', () => {
+    expect(normalizeListName('Shopping List')).toBe('shopping');
+    expect(normalizeListName('to do')).toBe('to-do');
+    expect(normalizeListName('todos')).toBe('to-do');
+    expect(normalizeListName('list')).toBe('to-do');
+    expect(normalizeListName('note')).toBe('notes');
+});
+
+describe('parsing requests', () => {
+    test.each([
+        ['add milk to my shopping list', { list: 'shopping', items: ['milk'] }],
+        ['Add milk, eggs and bread to the shopping list.', { list: 'shopping', items: ['milk', 'eggs', 'bread'] }],
+        ['put call the bank on my to-do list', { list: 'to-do', items: ['call the bank'] }],
+        ['take a note: the wifi password is on the router', { list: 'notes', items: ['the wifi password is on the router'] }],
+        ['add a to-do: renew passport', { list: 'to-do', items: ['renew passport'] }],
+    ])('%s', (input, expected) => {
+        expect(parseAddRequest(input)).toEqual(expected);
+    });
+
+    test('shows, updates and clears lists', () => {
+        expect(parseShowRequest("what's on my to-do list?")).toEqual({ list: 'to-do' });
+        expect(parseShowRequest('read my notes')).toEqual({ list: 'notes' });
+        expect(parseShowRequest('what lists do I have')).toEqual({ list: null });
+
+        expect(parseItemRequest('mark item 2 done')).toEqual({ list: null, item: 2, action: 'done' });
+        expect(parseItemRequest('mark milk as not done')).toEqual({ list: null, item: 'milk', action: 'undone' });
+        expect(parseItemRequest('cross the eggs off my shopping list')).toEqual({ list: 'shopping', item: 'eggs', action: 'done' });
+        expect(parseItemRequest('remove item 3 from my to-do list')).toEqual({ list: 'to-do', item: 3, action: 'remove' });
+        expect(parseItemRequest('delete note 2')).toEqual({ list: 'notes', item: 2, action: 'remove' });
+
+        expect(parseClearRequest('clear completed items from my to-do list')).toEqual({ list: 'to-do', scope: 'done' });
+        expect(parseClearRequest('clear my shopping list')).toEqual({ list: 'shopping', scope: 'all' });
+        expect(parseClearRequest('delete my shopping list')).toEqual({ list: 'shopping', scope: 'list' });
+    });
+
+    test('ignores other text', () => {
+        expect(parseAddRequest('add 2 and 2')).toBeNull();
+        expect(parseShowRequest('show me a picture of a cat')).toBeNull();
+        expect(parseItemRequest('mark my words')).toBeNull();
+    });
+});
+
+test('the store keeps lists in localStorage', () => {
+    const storage = createMemoryStorage();
+    const store = createStore(storage);
+    store.addItems('shopping', ['milk', 'eggs']);
+    store.updateItem('shopping', 2, { done: true });
+    store.addItems('notes', ['parking on level 3']);
+
+    const reloaded = createStore(storage);
+    expect(reloaded.getData().lists.map(list => list.name)).toEqual(['shopping', 'notes']);
+    expect(formatList(reloaded.getList('shopping'))).toBe('📝 Shopping list:\n1. ☐ milk\n2. ☑ eggs');
+    expect(JSON.parse(storage.data[NOTES_KEY]).useInAnswers).toBe(true);
+
+    expect(reloaded.clearList('shopping', { doneOnly: true })).toBe(1);
+    expect(() => reloaded.getList('garden')).toThrow("You don't have a garden list.");
+    expect(() => reloaded.removeItem('shopping', 5)).toThrow('Your shopping list has no item 5.');
+});
+
+test('the notes tools answer through the store', () => {
+    const notes = createStore();
+    const tools = createBuiltinTools({ notes });
+    const handler = (name) => tools.find(tool => tool.name === name).handler;
+
+    expect(handler('showList')({})).toMatch(/^You don't have any lists yet/);
+    expect(handler('addToList')({ list: 'shopping', items: ['milk', 'eggs'] }))
+        .toBe('✅ Added 2 items to your shopping list. It has 2 items now.');
+    expect(handler('addToList')({ list: 'notes', items: 'gate code 4512' })).toBe('📝 Noted: "gate code 4512"');
+    expect(handler('showList')({ list: 'shopping' })).toBe('📝 Shopping list:\n1. ☐ milk\n2. ☐ eggs');
+
+    // Without a list, the one used last is meant.
+    expect(handler('updateListItem')({ item: 2, action: 'done' })).toBe('☑ Marked "eggs" as done.');
+    expect(handler('updateListItem')({ item: 'milk', action: 'remove' })).toBe('🗑️ Removed "milk" from your shopping list.');
+    expect(handler('updateListItem')({ item: 'bread', action: 'done' })).toBe('I couldn\'t find "bread" on your shopping list.');
+    expect(handler('showList')({})).toBe('📝 Your lists:\n- Shopping list: 1 item, 1 done\n- Notes: 1 item');
+    expect(handler('clearList')({ list: 'shopping', scope: 'done' })).toBe('🧹 Cleared 1 done item from your shopping list.');
+    expect(handler('clearList')({ list: 'shopping', scope: 'list' })).toBe('🗑️ Deleted your shopping list.');
+});
+
+test('sends the lists a question is about', () => {
+    const store = createStore();
+    store.addItems('shopping', ['milk']);
+    store.addItems('to-do', ['call the bank']);
+    const { lists } = store.getData();
+
+    expect(notesContext(lists, 'what do I still need from the shop?')).toBeNull();
+    expect(notesContext(lists, 'Is milk on my shopping list?')).toBe("The user's saved lists in A.N.Y.A. (☑ = done):\n📝 Shopping list:\n1. ☐ milk");
+    expect(notesContext(lists, 'what is left on my todo?')).toMatch(/To-do list:\n1\. ☐ call the bank$/);
+    expect(notesContext(lists, 'summarise my lists')).toMatch(/Shopping list[\s\S]*To-do list/);
+
+    const options = withSystemNote(withSummary({ systemInstruction: { parts: [{ text: 'Be brief.' }] } }, 'Earlier.'), 'Notes.');
+    expect(options.systemInstruction.parts.map(part => part.text)).toEqual([
+        'Be brief.', 'Summary of the earlier part of this conversation:\nEarlier.', 'Notes.',
+    ]);
+});
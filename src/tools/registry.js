@@ -0,0 +1,171 @@
+// Tool registry for A.N.Y.A.
+//
+// A tool is a plain object:
+//   {
+//     name: 'getWeatherReport',          // unique id
+//     description: 'Current weather...', // intent description
+//     patterns: [/weather in (.+)/i],    // trigger patterns (or a custom `match(input, context)`)
+//     extractArgs: (match, input, context) => ({ location: match[1] }), // return null to decline
+//     priority: 10,                      // higher wins when several tools match
+//     handler: async (args, context) => 'text reply', // return null to fall through, or
+//                                        // { text, speech: { text, lang }, results } to have
+//                                        // something else spoken (in another language) and
+//                                        // result cards shown under the reply
+//     parameters: { type: 'OBJECT', ... } // optional schema; exposes the tool to Gemini function calling
+//     offline: true,                     // works without a connection: answers before Gemini is
+//                                        // asked, and still answers offline
+//   }
+//
+// A handler gets the same args either way: from `extractArgs` when the tool is matched
+// against the user's text, or from Gemini when it calls the tool, so `parameters` describes
+// the fields `extractArgs` returns. The parsers in the tool modules are the text side.
+//
+// The dispatcher tries every matching tool from best to worst and returns the first
+// non-empty reply, so the caller can fall back to getAIResponse when nothing answers.
+
+const DEFAULT_PRIORITY = 0;
+
+const normalizeTool = (tool) => {
+    if (!tool || typeof tool !== 'object') {
+        throw new TypeError('Tool definition must be an object.');
+    }
+    if (!tool.name || typeof tool.name !== 'string') {
+        throw new TypeError('Tool definition requires a string "name".');
+    }
+    if (typeof tool.handler !== 'function') {
+        throw new TypeError(`Tool "${tool.name}" requires a "handler" function.`);
+    }
+    const patterns = tool.patterns || [];
+    if (!Array.isArray(patterns) || patterns.some(p => !(p instanceof RegExp))) {
+        throw new TypeError(`Tool "${tool.name}" patterns must be an array of RegExp.`);
+    }
+    if (patterns.length === 0 && typeof tool.match !== 'function') {
+        throw new TypeError(`Tool "${tool.name}" needs either "patterns" or a "match" function.`);
+    }
+
+    return {
+        description: '',
+        extractArgs: (match) => (match ? { input: match.input } : {}),
+        ...tool,
+        patterns,
+        priority: Number.isFinite(tool.priority) ? tool.priority : DEFAULT_PRIORITY,
+    };
+};
+
+// Returns { match, score } for the first pattern that matches, or null.
+// The score favours matches that cover more of the input, so that a specific
+// pattern beats a loose keyword match when priorities are equal.
+const matchTool = (tool, input, context) => {
+    if (typeof tool.match === 'function') {
+        const match = tool.match(input, context);
+        if (!match) return null;
+        return { match, score: typeof match.score === 'number' ? match.score : 0.5 };
+    }
+    for (const pattern of tool.patterns) {
+        const match = input.match(pattern);
+        if (match) {
+            return { match, score: input.length ? match[0].length / input.length : 0 };
+        }
+    }
+    return null;
+};
+
+// A handler's reply as { text, speech, results }; plain strings are shown and spoken as they are.
+export const toReply = (reply) => (reply && typeof reply === 'object'
+    ? { text: reply.text, speech: reply.speech || null, results: reply.results || null }
+    : { text: reply, speech: null, results: null });
+
+export const createToolRegistry = () => {
+    const tools = new Map();
+    const listeners = new Set();
+
+    const notify = () => listeners.forEach(listener => listener());
+
+    // Listeners are called whenever a tool is added or removed.
+    const subscribe = (listener) => {
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    };
+
+    const unregister = (name) => {
+        const removed = tools.delete(name);
+        if (removed) notify();
+        return removed;
+    };
+
+    // Registering a tool with an existing name replaces it, so custom tools can
+    // override the built-in ones.
+    const register = (tool) => {
+        const normalized = normalizeTool(tool);
+        tools.set(normalized.name, normalized);
+        notify();
+        return () => {
+            if (tools.get(normalized.name) === normalized) unregister(normalized.name);
+        };
+    };
+
+    const get = (name) => tools.get(name) || null;
+
+    const list = () => [...tools.values()].sort((a, b) => b.priority - a.priority);
+
+    // All tools that accept the input, best candidate first.
+    // `filter` can restrict which tools are considered; `context` is the one handlers get.
+    const findMatches = (input, filter = () => true, context = {}) => {
+        const trimmed = (input || '').trim();
+        if (!trimmed) return [];
+
+        const candidates = [];
+        for (const tool of tools.values()) {
+            if (!filter(tool)) continue;
+            const result = matchTool(tool, trimmed, context);
+            if (!result) continue;
+            const args = tool.extractArgs(result.match, trimmed, context);
+            if (args === null || args === undefined) continue;
+            candidates.push({ tool, args, score: result.score });
+        }
+        return candidates.sort((a, b) => (b.tool.priority - a.tool.priority) || (b.score - a.score));
+    };
+
+    // Runs the best matching tool. Resolves to { tool, text, speech?, results? } or null when
+    // no tool answered.
+    const dispatch = async (input, context = {}, { filter } = {}) => {
+        const log = context.log || (() => {});
+        for (const { tool, args } of findMatches(input, filter, context)) {
+            try {
+                const { text, speech, results } = toReply(await tool.handler(args, { ...context, input }));
+                if (text) {
+                    return { tool: tool.name, text, ...(speech && { speech }), ...(results && { results }) };
+                }
+                log(`Tool "${tool.name}" declined the request, trying the next match.`, 'info');
+            } catch (error) {
+                log(`Tool "${tool.name}" failed: ${error.message}`, 'error');
+            }
+        }
+        return null;
+    };
+
+    // Runs a tool by name with already-extracted arguments (used for Gemini function calls).
+    const execute = async (name, args = {}, context = {}) => {
+        const tool = tools.get(name);
+        if (!tool) {
+            throw new Error(`Unknown tool "${name}".`);
+        }
+        return tool.handler(args, context);
+    };
+
+    return { register, unregister, get, list, findMatches, dispatch, execute, subscribe };
+};
+
+// Which tools may answer a message before Gemini sees it. Tools that work without a
+// connection (calculator, units, reminders, lists) always do: they only claim unambiguous
+// requests and need no round trip. Offline they are the only ones; online, the tools Gemini
+// can call itself are left to it when function calling is on.
+export const localToolFilter = ({ offline = false, functionCalling = false } = {}) => (tool) => (
+    Boolean(tool.offline) || (!offline && !(functionCalling && tool.parameters))
+);
+
+// Shared registry for tools defined outside Anya.js. Anything registered here is
+// merged into the component's dispatcher, including tools added after mount.
+export const toolRegistry = createToolRegistry();
+
+export const registerTool = (tool) => toolRegistry.register(tool);
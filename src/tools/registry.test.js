@@ -0,0 +1,124 @@
+import { createToolRegistry, localToolFilter } from './registry';
+import { createBuiltinTools } from './builtinTools';
+import { createCalculatorMemory } from './expression';
+
+const echoTool = (overrides = {}) => ({
+    name: 'echo',
+    patterns: [/^echo (.+)/i],
+    extractArgs: (match) => ({ text: match[1] }),
+    handler: ({ text }) => text,
+    ...overrides,
+});
+
+test('rejects malformed tool definitions', () => {
+    const registry = createToolRegistry();
+    expect(() => registry.register({ name: 'noHandler', patterns: [/x/] })).toThrow(/handler/);
+    expect(() => registry.register({ name: 'noPatterns', handler: () => 'x' })).toThrow(/patterns/);
+});
+
+test('dispatches to the highest priority match', async () => {
+    const registry = createToolRegistry();
+    registry.register(echoTool());
+    registry.register(echoTool({ name: 'shout', priority: 5, handler: ({ text }) => text.toUpperCase() }));
+
+    await expect(registry.dispatch('echo hello')).resolves.toEqual({ tool: 'shout', text: 'HELLO' });
+});
+
+test('falls through to the next match when a handler declines', async () => {
+    const registry = createToolRegistry();
+    registry.register(echoTool());
+    registry.register(echoTool({ name: 'picky', priority: 5, handler: () => null }));
+
+    await expect(registry.dispatch('echo hello')).resolves.toEqual({ tool: 'echo', text: 'hello' });
+});
+
+test('passes on what a tool wants spoken and its result cards', async () => {
+    const registry = createToolRegistry();
+    registry.register(echoTool({ handler: ({ text }) => ({ text: `In French: ${text}`, speech: { text, lang: 'fr' } }) }));
+    registry.register(echoTool({ name: 'find', patterns: [/^find (.+)/i], handler: ({ text }) => ({ text: '1 result', results: { kind: 'web', query: text, items: [] } }) }));
+
+    await expect(registry.dispatch('echo bonjour')).resolves.toEqual({
+        tool: 'echo', text: 'In French: bonjour', speech: { text: 'bonjour', lang: 'fr' },
+    });
+    await expect(registry.dispatch('find cats')).resolves.toEqual({
+        tool: 'find', text: '1 result', results: { kind: 'web', query: 'cats', items: [] },
+    });
+});
+
+test('returns null when nothing matches so the caller can use the AI', async () => {
+    const registry = createToolRegistry();
+    registry.register(echoTool());
+    await expect(registry.dispatch('tell me a joke')).resolves.toBeNull();
+});
+
+test('replacing a tool by name notifies subscribers', () => {
+    const registry = createToolRegistry();
+    const listener = jest.fn();
+    registry.subscribe(listener);
+    registry.register(echoTool());
+    registry.register(echoTool({ handler: () => 'custom' }));
+
+    expect(registry.list()).toHaveLength(1);
+    expect(listener).toHaveBeenCalledTimes(2);
+});
+
+test('built-in routing no longer sends every "what is" or "news" mention to a tool', () => {
+    const registry = createToolRegistry();
+    createBuiltinTools().forEach(registry.register);
+    const bestTool = (input) => registry.findMatches(input)[0]?.tool.name;
+
+    expect(bestTool('what is the meaning of life?')).toBeUndefined();
+    expect(bestTool('is there any good news for me?')).toBeUndefined();
+    expect(bestTool('what is 12 * (3 + 4)')).toBe('calculate');
+    expect(bestTool("what's the weather like in Paris?")).toBe('getWeatherReport');
+    expect(bestTool('news about space')).toBe('getNewsHeadlines');
+    expect(bestTool('convert 5 km to miles')).toBe('convertUnits');
+});
+
+test('the calculator only claims input that is actually maths', async () => {
+    const registry = createToolRegistry();
+    createBuiltinTools().forEach(registry.register);
+    const bestTool = (input) => registry.findMatches(input)[0]?.tool.name;
+
+    expect(bestTool('what is 2^10')).toBe('calculate');
+    expect(bestTool('15% of 240')).toBe('calculate');
+    expect(bestTool('sin(pi/2)')).toBe('calculate');
+    expect(bestTool('what is love?')).toBeUndefined();
+    expect(bestTool('42')).toBeUndefined();
+
+    await expect(registry.dispatch('calculate 6 * 7')).resolves.toEqual({ tool: 'calculate', text: 'The result is: 42' });
+    await expect(registry.dispatch('ans * 2')).resolves.toEqual({ tool: 'calculate', text: 'The result is: 84' });
+});
+
+test('calculator variables belong to a conversation and outlive the tools', async () => {
+    const calculatorMemory = createCalculatorMemory();
+    const build = () => {
+        const registry = createToolRegistry();
+        createBuiltinTools({ calculatorMemory }).forEach(registry.register);
+        return registry;
+    };
+    const first = build();
+    await first.dispatch('r = 4', { sessionId: 'a' });
+    await first.dispatch('calculate 6 * 7', { sessionId: 'a' });
+
+    const rebuilt = build();
+    await expect(rebuilt.dispatch('ans + r', { sessionId: 'a' })).resolves.toMatchObject({ text: 'The result is: 46' });
+    await expect(rebuilt.dispatch('ans + r', { sessionId: 'b' })).resolves.toBeNull();
+    await expect(rebuilt.execute('calculate', { expression: 'ans * 2' }, { sessionId: 'b' })).resolves.toMatch(/no previous answer/);
+});
+
+test('local tools answer first even when Gemini can call tools itself', async () => {
+    const registry = createToolRegistry();
+    createBuiltinTools().forEach(registry.register);
+    const dispatch = (input, options) => registry.dispatch(input, {}, { filter: localToolFilter(options) });
+
+    const online = { functionCalling: true };
+    await expect(dispatch('what is 2+2', online)).resolves.toMatchObject({ tool: 'calculate', text: 'The result is: 4' });
+    await expect(dispatch('convert 5 km to miles', online)).resolves.toMatchObject({ tool: 'convertUnits' });
+    await expect(dispatch("what's the weather like in Paris?", online)).resolves.toBeNull();
+
+    const names = (options) => registry.list().filter(localToolFilter(options)).map(tool => tool.name);
+    expect(names({ functionCalling: false })).toContain('getWeatherReport');
+    expect(names({ offline: true })).not.toContain('getWeatherReport');
+    expect(names({ offline: true })).toContain('calculate');
+});
@@ -0,0 +1,447 @@
+// Reminders, timers and alarms for the scheduler tools.
+// Pending items are kept in localStorage, so they survive a reload; anything that fell due
+// while A.N.Y.A. was closed fires as soon as the scheduler starts again. Times are given in
+// natural language ("in 20 minutes", "at 3pm", "tomorrow at 9") and resolved in local time.
+// A fired item can be snoozed for a while afterwards.
+
+export const SCHEDULE_KEY = 'anyaSchedule';
+export const KINDS = ['reminder', 'timer', 'alarm'];
+export const SNOOZE_MINUTES = 5;
+
+// Hour used when only a day is given ("remind me tomorrow to ...").
+const DEFAULT_HOUR = 9;
+const EVENING_HOUR = 20;
+// Items firing later than this are reported as missed.
+const LATE_MS = 60 * 1000;
+// setTimeout can't wait longer than this; longer waits are re-armed in steps.
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+// How many fired items stay available to snooze.
+const RECENT_LIMIT = 5;
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const defaultCreateId = () => `sch-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+// --- Durations ---
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+    eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, forty: 40, 'forty-five': 45, fifty: 50, ninety: 90,
+};
+
+const UNIT_MS = [
+    [/^(?:seconds?|secs?|s)$/, 1000],
+    [/^(?:minutes?|mins?|m)$/, MINUTE_MS],
+    [/^(?:hours?|hrs?|h)$/, 60 * MINUTE_MS],
+    [/^(?:days?|d)$/, DAY_MS],
+];
+
+const DURATION_PART = /(\d+(?:\.\d+)?|[a-z]+(?:-[a-z]+)?)\s*-?\s*(seconds?|secs?|minutes?|mins?|hours?|hrs?|days?|[smhd])\b/g;
+
+// "20 minutes", "1 hour and 30 minutes", "an hour and a half", "90s". Null unless the whole
+// text is a duration.
+export const parseDuration = (text) => {
+    const phrase = String(text).trim().toLowerCase()
+        .replace(/\b(an?|one) hour and a half\b/g, '90 minutes')
+        .replace(/\bhalf an? hour\b/g, '30 minutes')
+        .replace(/\bhalf a minute\b/g, '30 seconds');
+    let total = 0;
+    let parts = 0;
+    const leftover = phrase.replace(DURATION_PART, (whole, amountText, unitText) => {
+        const isDigits = /^\d/.test(amountText);
+        const amount = isDigits ? parseFloat(amountText) : NUMBER_WORDS[amountText];
+        // Single-letter units only after digits ("5m", not "a m").
+        if (amount === undefined || (!isDigits && unitText.length === 1)) return whole;
+        total += amount * UNIT_MS.find(([pattern]) => pattern.test(unitText))[1];
+        parts++;
+        return ' ';
+    });
+    if (parts === 0 || leftover.replace(/\b(?:and)\b|,/g, '').trim()) return null;
+    return total > 0 ? Math.round(total) : null;
+};
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const joinWords = (words) => (words.length > 1
+    ? `${words.slice(0, -1).join(', ')} and ${words[words.length - 1]}`
+    : words[0] || '');
+
+// "1 hour and 30 minutes". Seconds are only mentioned for short spans.
+export const formatDuration = (ms) => {
+    const totalSeconds = Math.max(0, Math.round(ms / 1000));
+    if (totalSeconds < 60) return plural(totalSeconds, 'second');
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds < 600 ? totalSeconds % 60 : 0;
+    return joinWords([
+        days && plural(days, 'day'),
+        hours && plural(hours, 'hour'),
+        minutes && plural(minutes, 'minute'),
+        seconds && plural(seconds, 'second'),
+    ].filter(Boolean));
+};
+
+// --- Clock times ---
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_WORD = /\b(?:on\s+)?(today|tonight|tomorrow|(?:next\s+|this\s+)?(?:sun|mon|tues|wednes|thurs|fri|satur)day)\b/;
+const CLOCK = /^(?:at\s+)?(?:(noon|midday|midnight)|(\d{1,2})(?:[:.](\d{2}))?\s*(am|pm|a\.m\.|p\.m\.|o'clock)?)(?:\s+(in the morning|in the afternoon|in the evening|at night))?$/;
+
+const startOfDay = (time) => {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    return date;
+};
+
+const atTime = (day, hours, minutes, offsetDays = 0) => {
+    const date = new Date(day);
+    date.setDate(date.getDate() + offsetDays);
+    date.setHours(hours, minutes, 0, 0);
+    return date.getTime();
+};
+
+// Days from `now` until the named day.
+const daysUntil = (dayWord, now) => {
+    if (dayWord === 'today' || dayWord === 'tonight') return 0;
+    if (dayWord === 'tomorrow') return 1;
+    const weekday = WEEKDAYS.indexOf(dayWord.replace(/^(?:next|this)\s+/, ''));
+    return (weekday - new Date(now).getDay() + 7) % 7 || 7;
+};
+
+// "3pm", "at 15:30", "tomorrow at 9", "on friday at 5pm", "tonight". Hours without am/pm
+// are taken as the next time they come round; with a day named, 1–6 mean the afternoon.
+const parseClockTime = (phrase, now) => {
+    let rest = phrase;
+    let dayWord = null;
+    const dayMatch = rest.match(DAY_WORD);
+    if (dayMatch) {
+        dayWord = dayMatch[1].replace(/\s+/g, ' ');
+        rest = rest.replace(dayMatch[0], ' ');
+    }
+    rest = rest.replace(/\s+/g, ' ').replace(/\s*\bat$/, '').trim();
+
+    const today = startOfDay(now);
+    const offset = dayWord ? daysUntil(dayWord, now) : 0;
+    if (!rest) {
+        if (!dayWord) return null;
+        return atTime(today, dayWord === 'tonight' ? EVENING_HOUR : DEFAULT_HOUR, 0, offset);
+    }
+
+    const match = rest.match(CLOCK);
+    if (!match) return null;
+    const [, named, hourText, minuteText, suffix, partOfDay] = match;
+    let hours = named ? { noon: 12, midday: 12, midnight: 0 }[named] : parseInt(hourText, 10);
+    const minutes = minuteText ? parseInt(minuteText, 10) : 0;
+    const meridiem = suffix && suffix !== "o'clock" ? suffix[0] : null;
+    if (minutes > 59 || hours > 23 || (meridiem && (hours < 1 || hours > 12))) return null;
+
+    const afternoon = meridiem === 'p' || dayWord === 'tonight' || (partOfDay && partOfDay !== 'in the morning');
+    if (meridiem === 'a' || partOfDay === 'in the morning') {
+        if (hours === 12) hours = 0;
+    } else if (afternoon) {
+        if (hours < 12) hours += 12;
+    } else if (!named && hours >= 1 && hours <= 11 && !hourText.startsWith('0')) {
+        // No am/pm: the next of the two times, or by day with 1–6 as the afternoon.
+        if (dayWord) return atTime(today, hours <= 6 ? hours + 12 : hours, minutes, offset);
+        return [hours, hours + 12, hours + 24]
+            .map(hour => atTime(today, hour, minutes))
+            .find(time => time > now);
+    }
+    const time = atTime(today, hours, minutes, offset);
+    // A bare time that has passed today means tomorrow.
+    return !dayWord && time <= now ? atTime(today, hours, minutes, 1) : time;
+};
+
+// Resolves a time phrase to a timestamp, or null when it can't be read. Relative phrases
+// ("in 20 minutes", "for 5 minutes", "90 seconds from now"), clock times with an optional
+// day, and local ISO times ("2026-10-20T09:00") are understood.
+export const parseWhen = (text, now = Date.now()) => {
+    if (!text) return null;
+    const phrase = String(text).trim().toLowerCase().replace(/[.!?]+$/, '').replace(/\s+/g, ' ');
+
+    const relative = phrase.match(/^(?:in|for|after)?\s*(.+?)(?:\s+from now)?$/);
+    const duration = relative && parseDuration(relative[1]);
+    if (duration) return now + duration;
+
+    const iso = phrase.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{2}):(\d{2})/);
+    if (iso) {
+        const [, year, month, day, hours, minutes] = iso.map(Number);
+        return new Date(year, month - 1, day, hours, minutes).getTime();
+    }
+    return parseClockTime(phrase, now);
+};
+
+const formatClock = (time) => new Date(time).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+
+// "at 3:00 PM", "tomorrow at 9:00 AM", "on Friday at 5:00 PM", "on 30 Oct at 8:00 AM".
+export const formatDueTime = (time, now = Date.now()) => {
+    const days = Math.round((startOfDay(time) - startOfDay(now)) / DAY_MS);
+    const clock = formatClock(time);
+    if (days === 0) return `at ${clock}`;
+    if (days === 1) return `tomorrow at ${clock}`;
+    const date = new Date(time);
+    if (days > 1 && days < 7) return `on ${date.toLocaleDateString([], { weekday: 'long' })} at ${clock}`;
+    return `on ${date.toLocaleDateString([], { day: 'numeric', month: 'short' })} at ${clock}`;
+};
+
+// --- Requests ---
+
+// Time phrases that can end a reminder ("... to call mom at 3pm").
+const TRAILING_TIME = new RegExp(`^(?:in|at|on|by|after|for|next|this|today|tonight|tomorrow|noon|midnight|${WEEKDAYS.join('|')})\\b`);
+
+// Splits "<label> <time>" where the time comes last; the longest time phrase wins.
+const splitTrailingTime = (text) => {
+    const words = text.split(/\s+/);
+    for (let i = 1; i < words.length; i++) {
+        const when = words.slice(i).join(' ');
+        if (TRAILING_TIME.test(when.toLowerCase()) && parseWhen(when) !== null) {
+            return { label: words.slice(0, i).join(' ').replace(/^(?:to|that|about)\s+/i, ''), when };
+        }
+    }
+    return null;
+};
+
+// Splits "<duration> [for|called <label>]"; the longest duration wins.
+const splitLeadingDuration = (text) => {
+    const words = text.split(/\s+/);
+    for (let i = words.length; i > 0; i--) {
+        const duration = words.slice(0, i).join(' ');
+        if (parseDuration(duration)) {
+            const label = words.slice(i).join(' ').replace(/^(?:for|called|named|to)\s+/i, '').trim();
+            return { when: duration, label: label || null };
+        }
+    }
+    return null;
+};
+
+const cleanLabel = (label) => (label ? label.trim().replace(/[.!?]+$/, '') || null : null);
+
+// "remind me in 20 minutes to check the build", "remind me to call mom at 3pm",
+// "set a timer for 5 minutes", "start a 10 minute timer for the pasta", "wake me up at 7".
+// Resolves to { kind, label, when } (`when` is the unparsed time phrase, null if missing),
+// or null for text that is not a request to schedule something.
+export const parseScheduleRequest = (input) => {
+    const text = input.trim().replace(/^(?:please|hey anya,?|can you|could you)\s+/i, '').replace(/[.!?]+$/, '').trim();
+
+    const reminder = text.match(/^remind me\s+(.+)$/i);
+    if (reminder) {
+        const rest = reminder[1];
+        const leading = rest.match(/^(.+?)\s+(?:to|that|about)\s+(.+)$/i);
+        if (leading && parseWhen(leading[1]) !== null) {
+            return { kind: 'reminder', label: cleanLabel(leading[2]), when: leading[1] };
+        }
+        if (parseWhen(rest) !== null) return { kind: 'reminder', label: null, when: rest };
+        const trailing = splitTrailingTime(rest);
+        if (trailing) return { kind: 'reminder', label: cleanLabel(trailing.label), when: trailing.when };
+        return { kind: 'reminder', label: cleanLabel(rest.replace(/^(?:to|that|about)\s+/i, '')), when: null };
+    }
+
+    const timerFor = text.match(/^(?:(?:set|start|create)\s+)?(?:a\s+|an\s+)?timer\s+(?:for\s+)?(.+)$/i);
+    const namedTimer = text.match(/^(?:(?:set|start|create)\s+)?(?:a\s+|an\s+)?(.+?)[\s-]timer(?:\s+(?:for|called|named|to)\s+(.+))?$/i);
+    if (timerFor) {
+        const split = splitLeadingDuration(timerFor[1]);
+        if (split) return { kind: 'timer', label: cleanLabel(split.label), when: split.when };
+    }
+    if (namedTimer && parseDuration(namedTimer[1])) {
+        return { kind: 'timer', label: cleanLabel(namedTimer[2]), when: namedTimer[1] };
+    }
+
+    const alarm = text.match(/^(?:(?:set|create)\s+)?(?:an\s+)?alarm\s+(?:for\s+)?(.+)$/i)
+        || text.match(/^wake me(?: up)?\s+(.+)$/i);
+    if (alarm && parseWhen(alarm[1]) !== null) return { kind: 'alarm', label: null, when: alarm[1] };
+    return null;
+};
+
+// "cancel the 3pm reminder", "cancel my timer", "delete the reminder to call mom",
+// "cancel all alarms", "cancel reminder 2". Resolves to { kind, query, all } or null.
+export const parseCancelRequest = (input) => {
+    const match = input.trim().replace(/[.!?]+$/, '').match(/^(?:please\s+)?(?:cancel|delete|remove|clear|turn off|stop)\s+(.+)$/i);
+    if (!match) return null;
+    const rest = match[1];
+    const kindMatch = rest.match(/\b(reminder|timer|alarm)s?\b/i);
+    if (!kindMatch) return null;
+    const before = rest.slice(0, kindMatch.index);
+    const query = [
+        before.replace(/\b(?:all|of|my|the|a|an|that|this)\b/gi, ''),
+        rest.slice(kindMatch.index + kindMatch[0].length).replace(/^\s*(?:to|for|about|at|called|named|that)\b/i, ''),
+    ].map(part => part.trim()).filter(Boolean).join(' ');
+    return {
+        kind: kindMatch[1].toLowerCase(),
+        query: query || null,
+        all: /\ball\b/i.test(before),
+    };
+};
+
+// --- Descriptions ---
+
+const KIND_ICONS = { reminder: '🔔', timer: '⏲️', alarm: '⏰' };
+
+export const describeItem = (item) => {
+    if (item.kind === 'timer') {
+        const length = item.durationMs ? `timer for ${formatDuration(item.durationMs)}` : 'timer';
+        return item.label ? `${length} (${item.label})` : length;
+    }
+    if (item.kind === 'alarm') return item.label ? `alarm (${item.label})` : 'alarm';
+    return item.label ? `reminder "${item.label}"` : 'reminder';
+};
+
+// What is shown and spoken when an item fires. `late` items fell due while A.N.Y.A. was closed.
+export const describeFiredItem = (item, { late = false, now = Date.now() } = {}) => {
+    let message;
+    if (item.kind === 'timer') {
+        message = `${KIND_ICONS.timer} Time's up! Your ${describeItem(item)} is done.`;
+    } else if (item.kind === 'alarm') {
+        message = `${KIND_ICONS.alarm} Alarm: ${formatClock(item.dueAt)}${item.label ? ` — ${item.label}` : ''}.`;
+    } else {
+        message = `${KIND_ICONS.reminder} Reminder: ${item.label || 'you asked me to remind you now'}.`;
+    }
+    return late ? `${message} (This was due ${formatDueTime(item.dueAt, now)}, while I was closed.)` : message;
+};
+
+// One numbered line per item, numbered by position in the full list so "cancel reminder 2"
+// can refer to it.
+export const formatItemList = (items, allItems = items, now = Date.now()) => items.map(item => {
+    const description = describeItem(item);
+    const due = `${formatDueTime(item.dueAt, now)} (in ${formatDuration(item.dueAt - now)})`;
+    return `${allItems.indexOf(item) + 1}. ${KIND_ICONS[item.kind]} ${description[0].toUpperCase()}${description.slice(1)} — ${due}`;
+}).join('\n');
+
+// --- Persistence ---
+
+const isValidItem = (item) => Boolean(item)
+    && typeof item.id === 'string'
+    && KINDS.includes(item.kind)
+    && Number.isFinite(item.dueAt)
+    && (item.label === null || typeof item.label === 'string');
+
+export const loadSchedule = (storage = window.localStorage) => {
+    try {
+        const saved = JSON.parse(storage.getItem(SCHEDULE_KEY));
+        return Array.isArray(saved) ? saved.filter(isValidItem) : [];
+    } catch (error) {
+        return [];
+    }
+};
+
+export const saveSchedule = (items, storage = window.localStorage) => {
+    storage.setItem(SCHEDULE_KEY, JSON.stringify(items));
+};
+
+// --- Browser notifications ---
+
+// Asks once; later calls do nothing if the user already answered.
+export const requestNotificationPermission = () => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'default') return Promise.resolve();
+    return Promise.resolve(Notification.requestPermission()).catch(() => {});
+};
+
+export const showDesktopNotification = (item, message) => {
+    if (typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+    try {
+        new Notification('A.N.Y.A.', { body: message, tag: item.id });
+    } catch (error) {
+        // Some browsers only allow notifications from a service worker.
+    }
+};
+
+// --- Scheduler ---
+
+// Keeps pending items and one timer armed for the next of them. `onFire(item, { late })`
+// is called when an item falls due, and `onChange(items, fired)` whenever the pending list
+// or the fired items that can still be snoozed (newest first, as { item, late }) change.
+// Nothing fires until start() is called.
+export const createScheduler = ({
+    storage = window.localStorage,
+    now = () => Date.now(),
+    setTimer = (callback, ms) => setTimeout(callback, ms),
+    clearTimer = (id) => clearTimeout(id),
+    createId = defaultCreateId,
+    onFire = () => {},
+    onChange = () => {},
+} = {}) => {
+    let items = loadSchedule(storage);
+    let fired = [];
+    let timer = null;
+    let running = false;
+
+    const list = () => [...items].sort((a, b) => a.dueAt - b.dueAt);
+    const emit = () => onChange(list(), [...fired]);
+
+    const arm = () => {
+        if (timer !== null) clearTimer(timer);
+        timer = null;
+        if (!running || items.length === 0) return;
+        const next = Math.min(...items.map(item => item.dueAt));
+        timer = setTimer(tick, Math.min(MAX_TIMEOUT_MS, Math.max(0, next - now())));
+    };
+
+    const tick = () => {
+        timer = null;
+        const time = now();
+        const due = list().filter(item => item.dueAt <= time);
+        if (due.length > 0) {
+            items = items.filter(item => item.dueAt > time);
+            saveSchedule(items, storage);
+            const entries = due.map(item => ({ item, late: time - item.dueAt > LATE_MS }));
+            fired = [...[...entries].reverse(), ...fired].slice(0, RECENT_LIMIT);
+            emit();
+            entries.forEach(({ item, late }) => onFire(item, { late }));
+        }
+        arm();
+    };
+
+    const commit = (nextItems) => {
+        items = nextItems;
+        saveSchedule(items, storage);
+        emit();
+        arm();
+    };
+
+    // Fires whatever fell due while stopped.
+    const start = () => {
+        running = true;
+        emit();
+        tick();
+    };
+
+    const stop = () => {
+        running = false;
+        arm();
+    };
+
+    const add = ({ kind = 'reminder', label = null, dueAt, durationMs }) => {
+        const item = { id: createId(), kind, label, dueAt, createdAt: now() };
+        if (durationMs) item.durationMs = durationMs;
+        commit([...items, item]);
+        return item;
+    };
+
+    const cancel = (ids) => {
+        const removed = items.filter(item => ids.includes(item.id));
+        if (removed.length > 0) commit(items.filter(item => !ids.includes(item.id)));
+        return removed;
+    };
+
+    // Schedules a fired item (the most recent one without `id`) again in `minutes`.
+    // Returns the new item, or null when there is nothing to snooze.
+    const snooze = (id = null, minutes = SNOOZE_MINUTES) => {
+        const entry = id ? fired.find(({ item }) => item.id === id) : fired[0];
+        if (!entry) return null;
+        fired = fired.filter(other => other !== entry);
+        const { item } = entry;
+        const snoozed = { ...item, id: createId(), dueAt: now() + minutes * MINUTE_MS, snoozed: (item.snoozed || 0) + 1 };
+        commit([...items, snoozed]);
+        return snoozed;
+    };
+
+    // Forgets a fired item so it can no longer be snoozed.
+    const dismiss = (id) => {
+        fired = fired.filter(({ item }) => item.id !== id);
+        emit();
+    };
+
+    return { start, stop, add, cancel, snooze, dismiss, list, now };
+};
@@ -0,0 +1,213 @@
+import {
+    createScheduler, parseDuration, parseWhen, parseScheduleRequest, parseCancelRequest, formatDuration,
+    describeFiredItem, SCHEDULE_KEY
+} from './scheduler';
+import { createBuiltinTools } from './builtinTools';
+import { createMemoryStorage } from '../testUtils';
+
+// Monday 19 October 2026, 14:15 local time.
+const NOW = new Date(2026, 9, 19, 14, 15).getTime();
+const at = (day, hours, minutes = 0) => new Date(2026, 9, day, hours, minutes).getTime();
+
+// A clock whose single pending timer runs when time is moved past it.
+const createClock = (start = NOW) => {
+    const clock = { time: start, pending: null };
+    clock.now = () => clock.time;
+    clock.setTimer = (callback, ms) => {
+        clock.pending = { callback, at: clock.time + ms };
+        return clock.pending;
+    };
+    clock.clearTimer = (timer) => {
+        if (clock.pending === timer) clock.pending = null;
+    };
+    clock.advance = (ms) => {
+        clock.time += ms;
+        while (clock.pending && clock.pending.at <= clock.time) {
+            const { callback } = clock.pending;
+            clock.pending = null;
+            callback();
+        }
+    };
+    return clock;
+};
+
+const setup = ({ storage = createMemoryStorage(), clock = createClock() } = {}) => {
+    let ids = 0;
+    const onFire = jest.fn();
+    const onChange = jest.fn();
+    const scheduler = createScheduler({
+        storage, now: clock.now, setTimer: clock.setTimer, clearTimer: clock.clearTimer,
+        createId: () => `item-${++ids}`, onFire, onChange,
+    });
+    return { scheduler, storage, clock, onFire, onChange };
+};
+
+test('reads durations', () => {
+    expect(parseDuration('20 minutes')).toBe(20 * 60000);
+    expect(parseDuration('1 hour and 30 minutes')).toBe(90 * 60000);
+    expect(parseDuration('an hour and a half')).toBe(90 * 60000);
+    expect(parseDuration('half an hour')).toBe(30 * 60000);
+    expect(parseDuration('90s')).toBe(90000);
+    expect(parseDuration('ten mins')).toBe(10 * 60000);
+    expect(parseDuration('the build')).toBeNull();
+    expect(formatDuration(90 * 60000)).toBe('1 hour and 30 minutes');
+    expect(formatDuration(125000)).toBe('2 minutes and 5 seconds');
+});
+
+describe('parseWhen', () => {
+    test.each([
+        ['in 20 minutes', NOW + 20 * 60000],
+        ['5 minutes from now', NOW + 5 * 60000],
+        ['at 3pm', at(19, 15)],
+        ['at 9', at(19, 21)],
+        ['15:30', at(19, 15, 30)],
+        ['at 2pm', at(20, 14)],
+        ['tomorrow at 9', at(20, 9)],
+        ['tomorrow at 3', at(20, 15)],
+        ['at 7:30 am tomorrow', at(20, 7, 30)],
+        ['on friday at 5pm', at(23, 17)],
+        ['next monday', at(26, 9)],
+        ['tonight', at(19, 20)],
+        ['noon', at(20, 12)],
+        ['2026-10-20T09:00', at(20, 9)],
+    ])('%s', (text, expected) => {
+        expect(parseWhen(text, NOW)).toBe(expected);
+    });
+
+    test('rejects what is not a time', () => {
+        expect(parseWhen('whenever', NOW)).toBeNull();
+        expect(parseWhen('at 25:00', NOW)).toBeNull();
+        expect(parseWhen('at 13pm', NOW)).toBeNull();
+    });
+});
+
+describe('parseScheduleRequest', () => {
+    test.each([
+        ['remind me in 20 minutes to check the build', { kind: 'reminder', label: 'check the build', when: 'in 20 minutes' }],
+        ['Remind me to call mom at 3pm.', { kind: 'reminder', label: 'call mom', when: 'at 3pm' }],
+        ['remind me to go to bed at 11', { kind: 'reminder', label: 'go to bed', when: 'at 11' }],
+        ['remind me tomorrow to buy milk', { kind: 'reminder', label: 'buy milk', when: 'tomorrow' }],
+        ['remind me to water the plants', { kind: 'reminder', label: 'water the plants', when: null }],
+        ['set a timer for 5 minutes', { kind: 'timer', label: null, when: '5 minutes' }],
+        ['start a 10 minute timer for the pasta', { kind: 'timer', label: 'the pasta', when: '10 minute' }],
+        ['set an alarm for 7am tomorrow', { kind: 'alarm', label: null, when: '7am tomorrow' }],
+        ['wake me up at 6:45', { kind: 'alarm', label: null, when: 'at 6:45' }],
+    ])('%s', (input, expected) => {
+        expect(parseScheduleRequest(input)).toEqual(expected);
+    });
+
+    test('ignores other text', () => {
+        expect(parseScheduleRequest('what is a timer?')).toBeNull();
+        expect(parseScheduleRequest('reset the timer')).toBeNull();
+    });
+});
+
+test('reads which items to cancel', () => {
+    expect(parseCancelRequest('cancel the 3pm reminder')).toEqual({ kind: 'reminder', query: '3pm', all: false });
+    expect(parseCancelRequest('delete the reminder to call mom')).toEqual({ kind: 'reminder', query: 'call mom', all: false });
+    expect(parseCancelRequest('cancel reminder 2')).toEqual({ kind: 'reminder', query: '2', all: false });
+    expect(parseCancelRequest('stop my timer')).toEqual({ kind: 'timer', query: null, all: false });
+    expect(parseCancelRequest('cancel all alarms')).toEqual({ kind: 'alarm', query: null, all: true });
+    expect(parseCancelRequest('stop talking')).toBeNull();
+});
+
+describe('createScheduler', () => {
+    test('fires items when they fall due', () => {
+        const { scheduler, clock, onFire, onChange } = setup();
+        scheduler.start();
+        scheduler.add({ kind: 'reminder', label: 'later', dueAt: NOW + 120000 });
+        scheduler.add({ kind: 'timer', label: null, dueAt: NOW + 60000, durationMs: 60000 });
+        expect(scheduler.list().map(item => item.id)).toEqual(['item-2', 'item-1']);
+
+        clock.advance(60000);
+        expect(onFire).toHaveBeenCalledTimes(1);
+        expect(onFire).toHaveBeenLastCalledWith(expect.objectContaining({ id: 'item-2' }), { late: false });
+        expect(describeFiredItem(onFire.mock.calls[0][0])).toBe("⏲️ Time's up! Your timer for 1 minute is done.");
+
+        clock.advance(60000);
+        expect(onFire).toHaveBeenCalledTimes(2);
+        expect(scheduler.list()).toEqual([]);
+        expect(onChange).toHaveBeenLastCalledWith([], [
+            { item: expect.objectContaining({ id: 'item-1' }), late: false },
+            { item: expect.objectContaining({ id: 'item-2' }), late: false },
+        ]);
+    });
+
+    test('keeps items across reloads and fires missed ones on start', () => {
+        const storage = createMemoryStorage();
+        const first = setup({ storage });
+        first.scheduler.add({ kind: 'reminder', label: 'check the build', dueAt: NOW + 20 * 60000 });
+        first.scheduler.add({ kind: 'alarm', label: null, dueAt: at(20, 7) });
+        expect(JSON.parse(storage.data[SCHEDULE_KEY])).toHaveLength(2);
+
+        // Reopened an hour later.
+        const second = setup({ storage, clock: createClock(NOW + 60 * 60000) });
+        expect(second.onFire).not.toHaveBeenCalled();
+        second.scheduler.start();
+        expect(second.onFire).toHaveBeenCalledWith(expect.objectContaining({ label: 'check the build' }), { late: true });
+        expect(describeFiredItem(second.onFire.mock.calls[0][0], { late: true, now: NOW + 60 * 60000 }))
+            .toMatch(/^🔔 Reminder: check the build\. \(This was due at 2:35\sPM, while I was closed\.\)$/);
+        expect(second.scheduler.list().map(item => item.kind)).toEqual(['alarm']);
+    });
+
+    test('snoozes and dismisses fired items', () => {
+        const { scheduler, clock, onFire } = setup();
+        scheduler.start();
+        expect(scheduler.snooze()).toBeNull();
+        scheduler.add({ kind: 'alarm', label: null, dueAt: NOW + 1000 });
+        clock.advance(1000);
+
+        const snoozed = scheduler.snooze(null, 10);
+        expect(snoozed).toMatchObject({ kind: 'alarm', dueAt: NOW + 1000 + 10 * 60000, snoozed: 1 });
+        expect(scheduler.snooze()).toBeNull();
+
+        clock.advance(10 * 60000);
+        expect(onFire).toHaveBeenCalledTimes(2);
+        scheduler.dismiss(snoozed.id);
+        expect(scheduler.snooze(snoozed.id)).toBeNull();
+    });
+});
+
+test('the scheduler tools set, list, cancel and snooze', () => {
+    const { scheduler, clock } = setup();
+    scheduler.start();
+    const tools = createBuiltinTools({ scheduler });
+    const handler = (name) => tools.find(tool => tool.name === name).handler;
+
+    expect(handler('setReminder')({ label: 'check the build', when: 'in 20 minutes' }))
+        .toMatch(/^🔔 Reminder set at 2:35\sPM \(in 20 minutes\): check the build\.$/);
+    expect(handler('setReminder')({ kind: 'timer', when: '5 minutes' })).toMatch(/^⏲️ Timer set for 5 minutes\. It ends at 2:20\sPM\.$/);
+    expect(handler('setReminder')({ label: 'call mom', when: 'at 3pm' })).toMatch(/3:00\sPM/);
+    expect(handler('setReminder')({ label: 'stretch' })).toMatch(/^When should I remind you about "stretch"\?/);
+    expect(handler('setReminder')({ when: 'today at 9am' })).toMatch(/has already passed/);
+
+    const list = handler('listReminders')({}).split('\n');
+    expect(list).toHaveLength(4);
+    expect(list[1]).toMatch(/^1\. ⏲️ Timer for 5 minutes — at 2:20\sPM \(in 5 minutes\)$/);
+    expect(handler('listReminders')({ kind: 'alarm' })).toBe('You have no alarms set.');
+
+    expect(handler('cancelReminder')({ kind: 'reminder' })).toMatch(/^Which one should I cancel\?[\s\S]*Say "cancel reminder 2"/);
+    expect(handler('cancelReminder')({ kind: 'reminder', query: '3pm' })).toMatch(/^🗑️ Cancelled the reminder "call mom" at 3:00\sPM\.$/);
+    expect(handler('cancelReminder')({ query: 'dentist' })).toBe('I couldn\'t find anything matching "dentist" to cancel.');
+
+    clock.advance(5 * 60000);
+    expect(handler('snoozeReminder')({})).toMatch(/^😴 Snoozed for 5 minutes\. I'll bring up the timer for 5 minutes again at 2:25\sPM\.$/);
+    expect(handler('cancelReminder')({ kind: 'timer', query: '1' })).toMatch(/^🗑️ Cancelled the timer/);
+    expect(scheduler.list().map(item => item.label)).toEqual(['check the build']);
+});
+
+test('cancelling by number asks which one when the number is of another kind', () => {
+    const { scheduler } = setup();
+    const tools = createBuiltinTools({ scheduler });
+    const handler = (name) => tools.find(tool => tool.name === name).handler;
+    handler('setReminder')({ kind: 'timer', when: '5 minutes' });
+    handler('setReminder')({ label: 'call mom', when: 'at 3pm' });
+
+    const reply = handler('cancelReminder')({ kind: 'timer', query: '2' });
+    expect(reply).toMatch(/^Number 2 is a reminder, not a timer\. Your timers are:\n1\. ⏲️ Timer for 5 minutes[\s\S]*Which one should I cancel\?$/);
+    expect(scheduler.list()).toHaveLength(2);
+
+    expect(handler('cancelReminder')({ kind: 'reminder', query: '2' })).toMatch(/^🗑️ Cancelled the reminder "call mom"/);
+    expect(handler('cancelReminder')({ query: '1' })).toMatch(/^🗑️ Cancelled the timer/);
+    expect(scheduler.list()).toEqual([]);
+});
@@ -0,0 +1,265 @@
+// Web search and news for the searchInternet and getNewsHeadlines tools.
+// Web search uses a SearXNG instance's JSON API. News comes from an RSS or Atom feed when
+// one is set ("{topic}" in its address is replaced by the topic), else from SearXNG's news
+// category, else from the backend server. The addresses are set at runtime in the Sources
+// settings and kept in localStorage; REACT_APP_SEARXNG_URL and REACT_APP_NEWS_FEED_URL are
+// the defaults. Every result is { title, url, snippet, source, publishedAt }.
+
+import { getCandidateParts, getTextFromParts } from '../services/gemini';
+
+export const SEARCH_SETTINGS_KEY = 'anyaSearchSettings';
+export const MAX_RESULTS = 5;
+
+export const DEFAULT_SEARCH_SETTINGS = {
+    searxngUrl: process.env.REACT_APP_SEARXNG_URL || '',
+    newsFeedUrl: process.env.REACT_APP_NEWS_FEED_URL || '',
+    summarize: true,
+};
+
+export class SearchError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SearchError';
+    }
+}
+
+// The browser can't tell a service that is down from one that doesn't allow requests from
+// this page (CORS); both fail alike.
+const defaultFetch = async (...args) => {
+    try {
+        return await fetch(...args);
+    } catch (error) {
+        throw new Error(`${error.message}. It may be down, or not allow requests from this page (CORS)`);
+    }
+};
+
+// Fetches through the backend server, which has no CORS to deal with (see
+// ../services/backend.js). Answers like fetch, as far as the providers need.
+const backendFetch = (backend) => async (url) => {
+    const { body } = await backend.source(url);
+    return { ok: true, status: 200, json: async () => JSON.parse(body), text: async () => body };
+};
+
+export const loadSearchSettings = (storage = window.localStorage) => {
+    let saved = {};
+    try {
+        saved = JSON.parse(storage.getItem(SEARCH_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    return {
+        searxngUrl: typeof saved.searxngUrl === 'string' ? saved.searxngUrl : DEFAULT_SEARCH_SETTINGS.searxngUrl,
+        newsFeedUrl: typeof saved.newsFeedUrl === 'string' ? saved.newsFeedUrl : DEFAULT_SEARCH_SETTINGS.newsFeedUrl,
+        summarize: typeof saved.summarize === 'boolean' ? saved.summarize : DEFAULT_SEARCH_SETTINGS.summarize,
+    };
+};
+
+export const saveSearchSettings = (settings, storage = window.localStorage) => {
+    storage.setItem(SEARCH_SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// --- Results ---
+
+const stripHtml = (html) => (html
+    ? new DOMParser().parseFromString(html, 'text/html').body.textContent.replace(/\s+/g, ' ').trim()
+    : '');
+
+const hostName = (url) => {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return '';
+    }
+};
+
+const toIsoDate = (value) => {
+    const date = new Date(value);
+    return value && !Number.isNaN(date.getTime()) ? date.toISOString() : null;
+};
+
+// Only web links are kept: a feed or search engine could hand back a javascript: or data: URL.
+const webUrl = (url) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol) ? url : '';
+    } catch (error) {
+        return '';
+    }
+};
+
+const toResult = ({ title, url: link, snippet = '', source = '', publishedAt = null }) => {
+    const url = webUrl(link);
+    return {
+        title: (title || url || '').trim(),
+        url,
+        snippet: stripHtml(snippet),
+        source: source || hostName(url),
+        publishedAt: toIsoDate(publishedAt),
+    };
+};
+
+// SearXNG's /search?format=json response.
+export const parseSearxngResults = (data, limit = MAX_RESULTS) => (data.results || [])
+    .filter(result => result.url)
+    .slice(0, limit)
+    .map(result => toResult({
+        title: result.title,
+        url: result.url,
+        snippet: result.content,
+        source: hostName(result.url),
+        publishedAt: result.publishedDate,
+    }));
+
+const childText = (element, ...names) => {
+    for (const name of names) {
+        const child = element.getElementsByTagName(name)[0];
+        if (child?.textContent.trim()) return child.textContent.trim();
+    }
+    return '';
+};
+
+// An RSS 2.0 or Atom feed. Items name their own source when the feed aggregates several
+// (Google News does); otherwise the feed's title is the source.
+export const parseFeed = (xml, limit = MAX_RESULTS) => {
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0) {
+        throw new SearchError('The news feed is not valid RSS or Atom.');
+    }
+    const channel = doc.getElementsByTagName('channel')[0] || doc.documentElement;
+    const feedTitle = childText(channel, 'title');
+    const entries = [...doc.getElementsByTagName('item'), ...doc.getElementsByTagName('entry')];
+    return entries.slice(0, limit).map(entry => {
+        const link = entry.getElementsByTagName('link')[0];
+        return toResult({
+            title: childText(entry, 'title'),
+            url: link?.getAttribute('href') || link?.textContent.trim(),
+            snippet: childText(entry, 'description', 'summary', 'content'),
+            source: childText(entry, 'source') || feedTitle,
+            publishedAt: childText(entry, 'pubDate', 'published', 'updated', 'dc:date'),
+        });
+    });
+};
+
+const formatDate = (iso) => (iso
+    ? new Date(iso).toLocaleDateString(undefined, { day: 'numeric', month: 'short', year: 'numeric' })
+    : '');
+
+// The reply shown (and spoken) when the results aren't summarised; the cards link to them.
+export const formatResults = ({ kind, query }, items) => {
+    const about = query ? ` about ${query}` : '';
+    const heading = kind === 'news' ? `📰 Latest headlines${about}:` : `🌐 Top results for "${query}":`;
+    return [heading, ...items.map((item, index) => `${index + 1}. ${item.title}${item.source ? ` (${item.source})` : ''}`)].join('\n');
+};
+
+// The results as the model sees them when it called the tool itself.
+export const resultsForModel = (items) => [
+    'Numbered results; cite them in your answer as [1], [2] etc.',
+    ...items.map((item, index) => [
+        `[${index + 1}] ${item.title}`,
+        [item.source, formatDate(item.publishedAt)].filter(Boolean).join(', '),
+        item.url,
+        item.snippet,
+    ].filter(Boolean).join('\n')),
+].join('\n\n');
+
+export const removeCitations = (text) => text.replace(/\s*\[\d+(?:\s*[,–-]\s*\d+)*\]/g, '');
+
+// --- Providers ---
+
+export const createSearxngProvider = ({ url, fetchImpl = defaultFetch }) => {
+    const root = url.replace(/\/+$/, '');
+    const search = async (query, { category = 'general', engine = null } = {}) => {
+        const params = new URLSearchParams({ q: query, format: 'json', categories: category, ...(engine && { engines: engine }) });
+        let response;
+        try {
+            response = await fetchImpl(`${root}/search?${params}`);
+        } catch (error) {
+            throw new SearchError(`Could not reach the search service: ${error.message}`);
+        }
+        if (!response.ok) throw new SearchError(`The search service responded with status ${response.status}.`);
+        return parseSearxngResults(await response.json());
+    };
+    return { name: 'searxng', search };
+};
+
+// Without "{topic}" in the address, the feed's items are filtered by the topic instead.
+export const createFeedProvider = ({ url, fetchImpl = defaultFetch }) => {
+    const news = async (topic) => {
+        const templated = url.includes('{topic}');
+        const feedUrl = templated ? url.replace('{topic}', encodeURIComponent(topic || 'news')) : url;
+        let response;
+        try {
+            response = await fetchImpl(feedUrl);
+        } catch (error) {
+            throw new SearchError(`Could not reach the news feed: ${error.message}`);
+        }
+        if (!response.ok) throw new SearchError(`The news feed responded with status ${response.status}.`);
+        const items = parseFeed(await response.text(), templated || !topic ? MAX_RESULTS : Infinity);
+        if (templated || !topic) return items;
+        const words = topic.toLowerCase().split(/\s+/);
+        return items
+            .filter(item => words.some(word => `${item.title} ${item.snippet}`.toLowerCase().includes(word)))
+            .slice(0, MAX_RESULTS);
+    };
+    return { name: 'rss', news };
+};
+
+// ../services/backend.js answers with { articles: [{ title, source, url, publishedAt }] }.
+const createBackendNewsProvider = (backend) => ({
+    name: 'backend',
+    news: async (topic) => {
+        const { articles } = await backend.news(topic);
+        return articles.slice(0, MAX_RESULTS).map(toResult);
+    },
+});
+
+// --- Service ---
+
+// `settings` are the Sources settings (see loadSearchSettings); `getClient` returns a Gemini
+// client for summaries. With a backend the sources are fetched through it.
+export const createSearchService = ({
+    settings = loadSearchSettings(),
+    backend = null,
+    getClient = null,
+    fetchImpl = backend ? backendFetch(backend) : defaultFetch,
+} = {}) => {
+    const searxng = settings.searxngUrl ? createSearxngProvider({ url: settings.searxngUrl, fetchImpl }) : null;
+    const feed = settings.newsFeedUrl ? createFeedProvider({ url: settings.newsFeedUrl, fetchImpl }) : null;
+    const backendNews = backend ? createBackendNewsProvider(backend) : null;
+
+    // Resolves to { provider, results }.
+    const search = async (query, { engine = null } = {}) => {
+        if (!searxng) throw new SearchError('No search service is set up. Add a SearXNG address under Sources.');
+        return { provider: searxng.name, results: await searxng.search(query, { engine }) };
+    };
+
+    const news = async (topic = null) => {
+        if (feed) return { provider: feed.name, results: await feed.news(topic) };
+        if (searxng) return { provider: searxng.name, results: await searxng.search(topic || 'news', { category: 'news' }) };
+        if (backendNews) return { provider: backendNews.name, results: await backendNews.news(topic) };
+        throw new SearchError('No news source is set up. Add a feed or SearXNG address under Sources.');
+    };
+
+    // Has Gemini answer `query` from the results, citing them by number.
+    const summarize = async (query, results, { signal } = {}) => {
+        if (!getClient) throw new SearchError('Summaries need the Gemini client.');
+        const instructions = [
+            `Answer the request "${query}" using only the numbered search results below.`,
+            'Cite the results you use as [1], [2] etc. right after the facts they support.',
+            'Keep it under 120 words and say so if the results do not answer it.',
+        ].join(' ');
+        const result = await getClient().generateContent({
+            contents: [{ role: 'user', parts: [{ text: `${instructions}\n\n${resultsForModel(results)}` }] }],
+            generationConfig: { temperature: 0.2 },
+        }, { signal });
+        const text = getTextFromParts(getCandidateParts(result)).trim();
+        if (!text) throw new SearchError('The model returned no summary.');
+        return text;
+    };
+
+    return {
+        search,
+        news,
+        summarize,
+        canSummarize: Boolean(settings.summarize && getClient),
+    };
+};
@@ -0,0 +1,189 @@
+import {
+    createSearchService, parseFeed, parseSearxngResults, loadSearchSettings, removeCitations, SEARCH_SETTINGS_KEY
+} from './search';
+import { createBuiltinTools } from './builtinTools';
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 400, status, json: async () => data });
+const textResponse = (text, status = 200) => ({ ok: status < 400, status, text: async () => text });
+
+const SEARXNG_RESULTS = {
+    results: [
+        { title: 'Artemis II', url: 'https://www.nasa.gov/artemis-ii', content: 'The <b>crewed</b> flight around the Moon.', publishedDate: '2026-10-18T09:00:00' },
+        { title: 'No link' },
+        { title: 'Artemis program', url: 'https://en.wikipedia.org/wiki/Artemis_program', content: 'A Moon programme.' },
+    ],
+};
+
+const RSS = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+    <title>Space Daily</title>
+    <item>
+        <title>Rocket launch delayed</title>
+        <link>https://space.example/launch</link>
+        <description>&lt;p&gt;Weather keeps the rocket on the pad.&lt;/p&gt;</description>
+        <pubDate>Mon, 19 Oct 2026 08:00:00 GMT</pubDate>
+    </item>
+    <item>
+        <title>New telescope images</title>
+        <link>https://space.example/telescope</link>
+        <source url="https://astro.example">Astro News</source>
+    </item>
+</channel></rss>`;
+
+const ATOM = `<?xml version="1.0"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+    <title>Tech Feed</title>
+    <entry>
+        <title>Chip shortage eases</title>
+        <link href="https://tech.example/chips"/>
+        <summary>Supply is back.</summary>
+        <updated>2026-10-18T12:00:00Z</updated>
+    </entry>
+</feed>`;
+
+const stubClient = (reply) => ({
+    generateContent: jest.fn().mockResolvedValue({ candidates: [{ content: { parts: [{ text: reply }] } }] }),
+});
+
+test('reads SearXNG results and feeds', () => {
+    expect(parseSearxngResults(SEARXNG_RESULTS)).toEqual([
+        { title: 'Artemis II', url: 'https://www.nasa.gov/artemis-ii', snippet: 'The crewed flight around the Moon.', source: 'nasa.gov', publishedAt: expect.stringMatching(/^2026-10-18T/) },
+        { title: 'Artemis program', url: 'https://en.wikipedia.org/wiki/Artemis_program', snippet: 'A Moon programme.', source: 'en.wikipedia.org', publishedAt: null },
+    ]);
+    expect(parseFeed(RSS)).toEqual([
+        { title: 'Rocket launch delayed', url: 'https://space.example/launch', snippet: 'Weather keeps the rocket on the pad.', source: 'Space Daily', publishedAt: '2026-10-19T08:00:00.000Z' },
+        { title: 'New telescope images', url: 'https://space.example/telescope', snippet: '', source: 'Astro News', publishedAt: null },
+    ]);
+    expect(parseFeed(ATOM)).toEqual([
+        { title: 'Chip shortage eases', url: 'https://tech.example/chips', snippet: 'Supply is back.', source: 'Tech Feed', publishedAt: '2026-10-18T12:00:00.000Z' },
+    ]);
+    expect(() => parseFeed('<html><body>Not a feed')).toThrow('not valid RSS or Atom');
+});
+
+test('drops links that are not http or https', () => {
+    const feed = `<?xml version="1.0"?>
+<rss version="2.0"><channel>
+    <title>Space Daily</title>
+    <item><title>Click me</title><link>javascript:alert(document.cookie)</link></item>
+    <item><link>data:text/html,hello</link></item>
+</channel></rss>`;
+    expect(parseFeed(feed)).toEqual([
+        { title: 'Click me', url: '', snippet: '', source: 'Space Daily', publishedAt: null },
+        { title: '', url: '', snippet: '', source: 'Space Daily', publishedAt: null },
+    ]);
+    expect(parseSearxngResults({ results: [{ title: 'Sneaky', url: 'data:text/html,hello' }] }))
+        .toEqual([{ title: 'Sneaky', url: '', snippet: '', source: '', publishedAt: null }]);
+});
+
+test('settings come from localStorage with environment defaults', () => {
+    const storage = { getItem: () => JSON.stringify({ searxngUrl: 'https://searx.example', summarize: false }) };
+    expect(loadSearchSettings(storage)).toEqual({ searxngUrl: 'https://searx.example', newsFeedUrl: '', summarize: false });
+    expect(loadSearchSettings({ getItem: () => '{oops' })).toEqual({ searxngUrl: '', newsFeedUrl: '', summarize: true });
+    expect(SEARCH_SETTINGS_KEY).toBe('anyaSearchSettings');
+});
+
+describe('createSearchService', () => {
+    test('searches SearXNG', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(SEARXNG_RESULTS));
+        const service = createSearchService({ settings: { searxngUrl: 'https://searx.example/', newsFeedUrl: '', summarize: false }, fetchImpl });
+
+        const { provider, results } = await service.search('artemis', { engine: 'duckduckgo' });
+        expect(provider).toBe('searxng');
+        expect(results).toHaveLength(2);
+        expect(fetchImpl).toHaveBeenCalledWith('https://searx.example/search?q=artemis&format=json&categories=general&engines=duckduckgo');
+
+        await service.news('moon');
+        expect(fetchImpl).toHaveBeenLastCalledWith('https://searx.example/search?q=moon&format=json&categories=news');
+    });
+
+    test('fills the topic into the feed address, or filters the feed by it', async () => {
+        const fetchImpl = jest.fn().mockResolvedValue(textResponse(RSS));
+        const templated = createSearchService({ settings: { searxngUrl: '', newsFeedUrl: 'https://news.example/rss?q={topic}', summarize: false }, fetchImpl });
+        await expect(templated.news('space travel')).resolves.toMatchObject({ provider: 'rss', results: [{}, {}] });
+        expect(fetchImpl).toHaveBeenCalledWith('https://news.example/rss?q=space%20travel');
+
+        const plain = createSearchService({ settings: { searxngUrl: '', newsFeedUrl: 'https://space.example/feed', summarize: false }, fetchImpl });
+        const { results } = await plain.news('telescope');
+        expect(results.map(item => item.title)).toEqual(['New telescope images']);
+    });
+
+    test('fetches the sources through the backend when there is one', async () => {
+        const backend = { source: jest.fn().mockResolvedValue({ body: JSON.stringify(SEARXNG_RESULTS) }) };
+        const service = createSearchService({ settings: { searxngUrl: 'https://searx.example', newsFeedUrl: '', summarize: false }, backend });
+        await expect(service.search('artemis')).resolves.toMatchObject({ provider: 'searxng', results: [{}, {}] });
+        expect(backend.source).toHaveBeenCalledWith('https://searx.example/search?q=artemis&format=json&categories=general');
+
+        backend.source.mockRejectedValue(new Error('searx.example is not in the server\'s SOURCE_HOSTS.'));
+        await expect(service.search('artemis')).rejects.toThrow(/Could not reach the search service: searx\.example is not in/);
+    });
+
+    test('says when the browser may have been refused by CORS', async () => {
+        const original = global.fetch;
+        global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+        try {
+            const service = createSearchService({ settings: { searxngUrl: '', newsFeedUrl: 'https://news.example/rss', summarize: false } });
+            await expect(service.news()).rejects.toThrow('Could not reach the news feed: Failed to fetch. It may be down, or not allow requests from this page (CORS)');
+        } finally {
+            global.fetch = original;
+        }
+    });
+
+    test('falls back to the backend for news and explains what is missing', async () => {
+        const backend = { news: jest.fn().mockResolvedValue({ articles: [{ title: 'Rocket launch', source: 'Space Daily', url: 'https://space.example/launch', publishedAt: null }] }) };
+        const settings = { searxngUrl: '', newsFeedUrl: '', summarize: true };
+        await expect(createSearchService({ settings, backend }).news('space')).resolves.toMatchObject({ provider: 'backend' });
+
+        const unconfigured = createSearchService({ settings });
+        await expect(unconfigured.search('x')).rejects.toThrow(/Add a SearXNG address under Sources/);
+        await expect(unconfigured.news()).rejects.toThrow(/No news source is set up/);
+        expect(unconfigured.canSummarize).toBe(false);
+    });
+});
+
+describe('the search and news tools', () => {
+    const setup = ({ summary = null, summarize = false } = {}) => {
+        const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(SEARXNG_RESULTS));
+        const client = stubClient(summary);
+        const search = createSearchService({
+            settings: { searxngUrl: 'https://searx.example', newsFeedUrl: '', summarize },
+            getClient: () => client,
+            fetchImpl,
+        });
+        const tools = createBuiltinTools({ search });
+        return { client, handler: (name) => tools.find(tool => tool.name === name).handler };
+    };
+
+    test('return result cards with a numbered list', async () => {
+        const { handler } = setup();
+        const reply = await handler('searchInternet')({ query: 'artemis' }, {});
+        expect(reply.text).toBe('🌐 Top results for "artemis":\n1. Artemis II (nasa.gov)\n2. Artemis program (en.wikipedia.org)');
+        expect(reply.results).toMatchObject({ kind: 'web', query: 'artemis', items: [{ title: 'Artemis II' }, { title: 'Artemis program' }] });
+        expect(reply.speech).toBeUndefined();
+    });
+
+    test('summarise the results with citations when asked directly', async () => {
+        const { handler, client } = setup({ summarize: true, summary: 'Artemis II flies a crew around the Moon [1], part of the Artemis program [2].' });
+        const reply = await handler('searchInternet')({ query: 'artemis' }, {});
+        expect(reply.text).toBe('Artemis II flies a crew around the Moon [1], part of the Artemis program [2].');
+        expect(reply.speech).toEqual({ text: 'Artemis II flies a crew around the Moon, part of the Artemis program.' });
+        expect(client.generateContent.mock.calls[0][0].contents[0].parts[0].text).toMatch(/\[2\] Artemis program\nen\.wikipedia\.org\nhttps:/);
+    });
+
+    test('leave the answer to the model when it called the tool', async () => {
+        const { handler, client } = setup({ summarize: true, summary: 'unused' });
+        const reply = await handler('getNewsHeadlines')({ topic: 'moon' }, { fromModel: true });
+        expect(reply.text).toMatch(/^Numbered results; cite them in your answer as \[1\], \[2\] etc\.\n\n\[1\] Artemis II\n/);
+        expect(reply.results.kind).toBe('news');
+        expect(client.generateContent).not.toHaveBeenCalled();
+    });
+
+    test('report failures', async () => {
+        const tools = createBuiltinTools({ search: createSearchService({ settings: { searxngUrl: '', newsFeedUrl: '', summarize: false } }) });
+        await expect(tools.find(tool => tool.name === 'searchInternet').handler({ query: 'x' }, {}))
+            .resolves.toMatch(/^I couldn't search the web right now\. No search service is set up/);
+    });
+});
+
+test('removes citations from spoken text', () => {
+    expect(removeCitations('It rained [1][2] and then cleared [3, 4].')).toBe('It rained and then cleared.');
+});
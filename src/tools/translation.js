@@ -0,0 +1,189 @@
+// Translation for the performTranslation tool.
+// A provider is `{ name, translate({ text, target, source }) }` resolving to
+// `{ text, source }`, where `source` is the detected language code (or null). Gemini does
+// the translating by default; a LibreTranslate-compatible service can be used instead,
+// called directly or through the backend server's /tools/translate endpoint.
+
+import { getCandidateParts, getTextFromParts } from '../services/gemini';
+
+export const TRANSLATION_ENV = {
+    provider: (process.env.REACT_APP_TRANSLATION_PROVIDER || 'gemini').toLowerCase(),
+    libreTranslateUrl: (process.env.REACT_APP_LIBRETRANSLATE_URL || '').replace(/\/+$/, ''),
+    libreTranslateKey: process.env.REACT_APP_LIBRETRANSLATE_API_KEY || '',
+};
+
+export class TranslationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TranslationError';
+    }
+}
+
+// --- Languages ---
+
+// code, English name, other names it goes by (native names included).
+export const LANGUAGES = [
+    ['ar', 'Arabic', ['العربية']],
+    ['bn', 'Bengali', ['bangla']],
+    ['zh', 'Chinese', ['mandarin', '中文', 'chinese simplified']],
+    ['zh-TW', 'Traditional Chinese', ['chinese traditional', '繁體中文']],
+    ['cs', 'Czech', ['čeština']],
+    ['da', 'Danish', ['dansk']],
+    ['nl', 'Dutch', ['nederlands', 'flemish']],
+    ['en', 'English', []],
+    ['fi', 'Finnish', ['suomi']],
+    ['fr', 'French', ['français', 'francais']],
+    ['de', 'German', ['deutsch']],
+    ['el', 'Greek', ['ελληνικά']],
+    ['he', 'Hebrew', ['עברית']],
+    ['hi', 'Hindi', ['हिन्दी']],
+    ['hu', 'Hungarian', ['magyar']],
+    ['id', 'Indonesian', ['bahasa indonesia']],
+    ['it', 'Italian', ['italiano']],
+    ['ja', 'Japanese', ['日本語']],
+    ['ko', 'Korean', ['한국어']],
+    ['no', 'Norwegian', ['norsk', 'nb']],
+    ['fa', 'Persian', ['farsi']],
+    ['pl', 'Polish', ['polski']],
+    ['pt', 'Portuguese', ['português', 'portugues']],
+    ['pt-BR', 'Brazilian Portuguese', ['portuguese brazil']],
+    ['ro', 'Romanian', ['română']],
+    ['ru', 'Russian', ['русский']],
+    ['es', 'Spanish', ['español', 'espanol', 'castilian']],
+    ['sw', 'Swahili', ['kiswahili']],
+    ['sv', 'Swedish', ['svenska']],
+    ['tl', 'Tagalog', ['filipino']],
+    ['ta', 'Tamil', ['தமிழ்']],
+    ['th', 'Thai', ['ไทย']],
+    ['tr', 'Turkish', ['türkçe', 'turkce']],
+    ['uk', 'Ukrainian', ['українська']],
+    ['ur', 'Urdu', ['اردو']],
+    ['vi', 'Vietnamese', ['tiếng việt']],
+].map(([code, name, aliases]) => ({ code, name, aliases }));
+
+// A language from its code ("ja", "pt-BR"), name ("Japanese") or another name ("deutsch").
+// Resolves to { code, name } or null.
+export const findLanguage = (text) => {
+    const wanted = String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    if (!wanted) return null;
+    const language = LANGUAGES.find(({ code, name, aliases }) => (
+        code.toLowerCase() === wanted || name.toLowerCase() === wanted || aliases.includes(wanted)
+    )) || LANGUAGES.find(({ code }) => code === wanted.split(/[-_]/)[0]);
+    return language ? { code: language.code, name: language.name } : null;
+};
+
+export const languageName = (code) => findLanguage(code)?.name || code;
+
+// --- Requests ---
+
+const LANGUAGE_WORDS = String.raw`([\p{L}-]+(?: [\p{L}]+)?)`;
+// "translate this", "translate that", "translate your last message": the previous message.
+const PREVIOUS_MESSAGE = /^(?:this|that|it|(?:the|your|my) (?:last |previous )?(?:message|answer|reply|sentence))$/i;
+
+const unquote = (text) => text.trim().replace(/^["“'‘«「](.*)["”'’»」]$/su, '$1').trim();
+
+// "translate hello to Japanese", "translate 'bonjour' from French into English",
+// "translate to German: good morning", "translate this to Spanish",
+// "how do you say thank you in Korean", "what's 'cheers' in Swedish".
+// Resolves to { text, target, source } with language codes, `text` null meaning the
+// previous message, or null when the text isn't a translation request.
+export const parseTranslationRequest = (input) => {
+    const text = input.trim().replace(/^(?:please|can you|could you)\s+/i, '').trim();
+    const attempts = [
+        [new RegExp(String.raw`^translate\s+(?:from\s+${LANGUAGE_WORDS}\s+)?(?:in)?to\s+${LANGUAGE_WORDS}\s*[:,-]\s*(.+)$`, 'isu'),
+            (match) => ({ text: match[3], target: match[2], source: match[1] })],
+        [new RegExp(String.raw`^translate\s+(.+?)\s+(?:from\s+${LANGUAGE_WORDS}\s+)?(?:in)?to\s+${LANGUAGE_WORDS}[.!?]?$`, 'isu'),
+            (match) => ({ text: match[1], target: match[3], source: match[2] })],
+        [new RegExp(String.raw`^how (?:do|would|can) (?:you|i|we) say\s+(.+?)\s+in\s+${LANGUAGE_WORDS}\??$`, 'isu'),
+            (match) => ({ text: match[1], target: match[2] })],
+        [new RegExp(String.raw`^what(?:'s| is)\s+(["“'‘].+["”'’])\s+in\s+${LANGUAGE_WORDS}\??$`, 'isu'),
+            (match) => ({ text: match[1], target: match[2] })],
+    ];
+    for (const [pattern, read] of attempts) {
+        const match = text.match(pattern);
+        if (!match) continue;
+        const request = read(match);
+        const target = findLanguage(request.target);
+        const source = request.source ? findLanguage(request.source) : null;
+        if (!target || (request.source && !source)) continue;
+        const phrase = unquote(request.text);
+        return { text: PREVIOUS_MESSAGE.test(phrase) ? null : phrase, target: target.code, source: source?.code || null };
+    }
+    return null;
+};
+
+// --- Providers ---
+
+const parseGeminiReply = (reply) => {
+    const json = reply.trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+    try {
+        const data = JSON.parse(json);
+        if (typeof data.translation === 'string') {
+            return { text: data.translation.trim(), source: typeof data.source === 'string' ? data.source : null };
+        }
+    } catch (error) {
+        // Not JSON after all; take the reply as the translation.
+    }
+    return { text: reply.trim(), source: null };
+};
+
+// Translates with the same Gemini client (and key or backend) as the chat. `getClient`
+// returns a client from ../services/gemini.js.
+export const createGeminiTranslator = ({ getClient }) => ({
+    name: 'gemini',
+    translate: async ({ text, target, source = null, signal }) => {
+        const instructions = [
+            `Translate the text below ${source ? `from ${languageName(source)} ` : ''}into ${languageName(target)}.`,
+            'Keep the meaning, tone and formatting; do not add explanations.',
+            'Reply with JSON only: {"source": "<ISO 639-1 code of the original language>", "translation": "<the translation>"}.',
+        ].join(' ');
+        const result = await getClient().generateContent({
+            contents: [{ role: 'user', parts: [{ text: `${instructions}\n\nText:\n${text}` }] }],
+            generationConfig: { temperature: 0.1, responseMimeType: 'application/json' },
+        }, { signal });
+        const reply = getTextFromParts(getCandidateParts(result));
+        if (!reply.trim()) throw new TranslationError('The model returned no translation.');
+        return parseGeminiReply(reply);
+    },
+});
+
+// Any LibreTranslate-compatible service: POST {url}/translate { q, source, target }.
+export const createLibreTranslateProvider = ({ url, apiKey = '', fetchImpl = (...args) => fetch(...args) }) => ({
+    name: 'libretranslate',
+    translate: async ({ text, target, source = null }) => {
+        const response = await fetchImpl(`${url}/translate`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ q: text, source: source || 'auto', target, format: 'text', ...(apiKey && { api_key: apiKey }) }),
+        });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new TranslationError(data.error || `The translation service responded with status ${response.status}.`);
+        }
+        return { text: data.translatedText, source: data.detectedLanguage?.language || source };
+    },
+});
+
+// LibreTranslate through the backend server (see ../services/backend.js).
+export const createBackendTranslator = (backend) => ({
+    name: 'backend',
+    translate: async ({ text, target, source = null }) => {
+        const data = await backend.translate(text, target, source || 'auto');
+        return { text: data.translatedText, source: data.detectedLanguage || source };
+    },
+});
+
+// The provider picked by REACT_APP_TRANSLATION_PROVIDER: "gemini" (default) or
+// "libretranslate", which uses REACT_APP_LIBRETRANSLATE_URL or else the backend server.
+export const createTranslationProvider = ({ env = TRANSLATION_ENV, getClient, backend = null, fetchImpl, log = () => {} }) => {
+    if (env.provider === 'libretranslate') {
+        if (env.libreTranslateUrl) {
+            return createLibreTranslateProvider({ url: env.libreTranslateUrl, apiKey: env.libreTranslateKey, fetchImpl });
+        }
+        if (backend) return createBackendTranslator(backend);
+        log('LibreTranslate needs REACT_APP_LIBRETRANSLATE_URL or a backend server; translating with Gemini instead.', 'warning');
+    } else if (env.provider !== 'gemini') {
+        log(`Unknown translation provider "${env.provider}"; translating with Gemini.`, 'warning');
+    }
+    return createGeminiTranslator({ getClient });
+};
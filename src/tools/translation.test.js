@@ -0,0 +1,107 @@
+import {
+    parseTranslationRequest, findLanguage, createGeminiTranslator, createLibreTranslateProvider, createTranslationProvider
+} from './translation';
+import { createBuiltinTools } from './builtinTools';
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 400, status, json: async () => data });
+
+const stubClient = (reply) => ({
+    generateContent: jest.fn().mockResolvedValue({ candidates: [{ content: { parts: [{ text: reply }] } }] }),
+});
+
+test('finds languages by name, code or native name', () => {
+    expect(findLanguage('Japanese')).toEqual({ code: 'ja', name: 'Japanese' });
+    expect(findLanguage('DE')).toEqual({ code: 'de', name: 'German' });
+    expect(findLanguage('español')).toEqual({ code: 'es', name: 'Spanish' });
+    expect(findLanguage('traditional chinese')).toEqual({ code: 'zh-TW', name: 'Traditional Chinese' });
+    expect(findLanguage('fr-CA')).toEqual({ code: 'fr', name: 'French' });
+    expect(findLanguage('Klingon')).toBeNull();
+});
+
+describe('parseTranslationRequest', () => {
+    test.each([
+        ['translate hello to Japanese', { text: 'hello', target: 'ja', source: null }],
+        ['Translate "good night" into Spanish.', { text: 'good night', target: 'es', source: null }],
+        ["translate 'merci beaucoup' from French to English", { text: 'merci beaucoup', target: 'en', source: 'fr' }],
+        ['translate to German: where is the station?', { text: 'where is the station?', target: 'de', source: null }],
+        ['please translate this to Korean', { text: null, target: 'ko', source: null }],
+        ['translate your last answer into pt-BR', { text: null, target: 'pt-BR', source: null }],
+        ['how do you say thank you in Swedish?', { text: 'thank you', target: 'sv', source: null }],
+        ["what's 'cheers' in Italian", { text: 'cheers', target: 'it', source: null }],
+    ])('%s', (input, expected) => {
+        expect(parseTranslationRequest(input)).toEqual(expected);
+    });
+
+    test('ignores other text', () => {
+        expect(parseTranslationRequest('translate this to Klingon')).toBeNull();
+        expect(parseTranslationRequest('how do you say no to a friend')).toBeNull();
+        expect(parseTranslationRequest('what is the weather in Paris')).toBeNull();
+    });
+});
+
+describe('providers', () => {
+    test('Gemini translates and detects the source language', async () => {
+        const client = stubClient('{"source": "en", "translation": "おはようございます"}');
+        const translator = createGeminiTranslator({ getClient: () => client });
+
+        await expect(translator.translate({ text: 'good morning', target: 'ja' }))
+            .resolves.toEqual({ text: 'おはようございます', source: 'en' });
+        const [request] = client.generateContent.mock.calls[0];
+        expect(request.contents[0].parts[0].text).toMatch(/into Japanese[\s\S]*Text:\ngood morning$/);
+        expect(request.generationConfig.responseMimeType).toBe('application/json');
+    });
+
+    test('a reply that is not JSON is taken as the translation', async () => {
+        const translator = createGeminiTranslator({ getClient: () => stubClient('Buenas noches') });
+        await expect(translator.translate({ text: 'good night', target: 'es' })).resolves.toEqual({ text: 'Buenas noches', source: null });
+    });
+
+    test('LibreTranslate is called over HTTP', async () => {
+        const fetchImpl = jest.fn()
+            .mockResolvedValueOnce(jsonResponse({ translatedText: 'Guten Morgen', detectedLanguage: { language: 'en', confidence: 90 } }))
+            .mockResolvedValueOnce(jsonResponse({ error: 'Invalid API key' }, 403));
+        const translator = createLibreTranslateProvider({ url: 'https://translate.example', apiKey: 'key', fetchImpl });
+
+        await expect(translator.translate({ text: 'good morning', target: 'de' })).resolves.toEqual({ text: 'Guten Morgen', source: 'en' });
+        const [url, options] = fetchImpl.mock.calls[0];
+        expect(url).toBe('https://translate.example/translate');
+        expect(JSON.parse(options.body)).toEqual({ q: 'good morning', source: 'auto', target: 'de', format: 'text', api_key: 'key' });
+        await expect(translator.translate({ text: 'hi', target: 'de' })).rejects.toThrow('Invalid API key');
+    });
+
+    test('the provider comes from the environment', () => {
+        const log = jest.fn();
+        const getClient = () => stubClient('');
+        const backend = { translate: jest.fn() };
+        const env = (provider, libreTranslateUrl = '') => ({ provider, libreTranslateUrl, libreTranslateKey: '' });
+
+        expect(createTranslationProvider({ env: env('gemini'), getClient, backend }).name).toBe('gemini');
+        expect(createTranslationProvider({ env: env('libretranslate', 'https://lt.example'), getClient }).name).toBe('libretranslate');
+        expect(createTranslationProvider({ env: env('libretranslate'), getClient, backend }).name).toBe('backend');
+        expect(createTranslationProvider({ env: env('libretranslate'), getClient, log }).name).toBe('gemini');
+        expect(log).toHaveBeenCalledWith(expect.stringMatching(/REACT_APP_LIBRETRANSLATE_URL/), 'warning');
+    });
+});
+
+test('the translation tool speaks the translation in the target language', async () => {
+    const translator = { name: 'stub', translate: jest.fn().mockResolvedValue({ text: 'Hola, ¿qué tal?', source: 'en' }) };
+    const tools = createBuiltinTools({ translator });
+    const tool = tools.find(other => other.name === 'performTranslation');
+    const history = [
+        { sender: 'anya', text: 'Hello, how are you?' },
+        { sender: 'user', text: 'translate that to Spanish' },
+    ];
+
+    const args = tool.extractArgs(tool.match('translate that to Spanish'));
+    await expect(tool.handler(args, { history })).resolves.toEqual({
+        text: '🌍 In Spanish (from English): "Hola, ¿qué tal?"',
+        speech: { text: 'Hola, ¿qué tal?', lang: 'es' },
+    });
+    expect(translator.translate).toHaveBeenCalledWith({ text: 'Hello, how are you?', target: 'es', source: null });
+
+    translator.translate.mockRejectedValueOnce(new Error('Quota exceeded.'));
+    await expect(tool.handler({ text: 'hi', targetLang: 'fr' })).resolves.toBe("I couldn't translate that right now. Quota exceeded.");
+    expect(tool.handler({ text: 'hi', targetLang: 'Klingon' })).toBe('I don\'t know the language "Klingon".');
+    await expect(createBuiltinTools().find(other => other.name === 'performTranslation').handler({ text: 'hi', targetLang: 'fr' }))
+        .resolves.toBe('No translation service is available.');
+});
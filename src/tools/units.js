@@ -0,0 +1,380 @@
+// Unit conversion engine for the convertUnits tool.
+//
+// Every unit belongs to a dimensional category and converts through that category's base
+// unit: value_in_base = (value + offset) * factor. Offsets are only used by temperature.
+// Metric (and, for data, binary) prefixes, plurals, "square"/"cubic" lengths and
+// "length per time" speeds are resolved on the fly, so they don't need table entries.
+
+export class ConversionError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ConversionError';
+    }
+}
+
+export const CATEGORIES = {
+    length: 'length',
+    mass: 'mass',
+    volume: 'volume',
+    temperature: 'temperature',
+    speed: 'speed',
+    area: 'area',
+    data: 'data size',
+    time: 'time',
+    energy: 'energy',
+};
+
+// [symbol, category, factor to base unit, names and aliases, options]
+// Base units: metre, kilogram, cubic metre, kelvin, metre/second, square metre, byte,
+// second and joule.
+const UNIT_TABLE = [
+    // Length
+    ['m', 'length', 1, ['meter', 'metre'], { prefixable: true }],
+    ['in', 'length', 0.0254, ['inch', 'inches', '"']],
+    ['ft', 'length', 0.3048, ['foot', 'feet', "'"]],
+    ['yd', 'length', 0.9144, ['yard']],
+    ['mi', 'length', 1609.344, ['mile']],
+    ['nmi', 'length', 1852, ['nautical mile']],
+    ['au', 'length', 1.495978707e11, ['astronomical unit']],
+    ['ly', 'length', 9.4607304725808e15, ['light year', 'lightyear']],
+
+    // Mass
+    ['g', 'mass', 0.001, ['gram', 'gramme'], { prefixable: true }],
+    ['t', 'mass', 1000, ['tonne', 'metric ton']],
+    ['lb', 'mass', 0.45359237, ['lbs', 'pound']],
+    ['oz', 'mass', 0.028349523125, ['ounce']],
+    ['st', 'mass', 6.35029318, ['stone']],
+    ['ton', 'mass', 907.18474, ['short ton', 'us ton']],
+    ['long ton', 'mass', 1016.0469088, ['imperial ton', 'uk ton']],
+
+    // Volume
+    ['L', 'volume', 0.001, ['l', 'liter', 'litre'], { prefixable: true }],
+    ['cc', 'volume', 1e-6, []],
+    ['gal', 'volume', 3.785411784e-3, ['gallon', 'us gallon']],
+    ['imp gal', 'volume', 4.54609e-3, ['imperial gallon', 'uk gallon']],
+    ['qt', 'volume', 9.46352946e-4, ['quart']],
+    ['pt', 'volume', 4.73176473e-4, ['pint']],
+    ['cup', 'volume', 2.365882365e-4, []],
+    ['fl oz', 'volume', 2.95735295625e-5, ['fluid ounce', 'floz']],
+    ['tbsp', 'volume', 1.478676478125e-5, ['tablespoon']],
+    ['tsp', 'volume', 4.92892159375e-6, ['teaspoon']],
+
+    // Temperature
+    ['°C', 'temperature', 1, ['C', 'c', 'degc', 'celsius', 'centigrade'], { offset: 273.15 }],
+    ['°F', 'temperature', 5 / 9, ['F', 'f', 'degf', 'fahrenheit'], { offset: 459.67 }],
+    ['K', 'temperature', 1, ['kelvin'], { offset: 0 }],
+
+    // Speed
+    ['m/s', 'speed', 1, ['mps']],
+    ['km/h', 'speed', 1000 / 3600, ['kph', 'kmh', 'kmph']],
+    ['mph', 'speed', 0.44704, []],
+    ['kn', 'speed', 1852 / 3600, ['knot', 'kt', 'kts']],
+
+    // Area
+    ['ha', 'area', 1e4, ['hectare']],
+    ['acre', 'area', 4046.8564224, ['ac']],
+
+    // Data
+    ['B', 'data', 1, ['byte', 'octet'], { prefixable: true, binary: true }],
+    ['bit', 'data', 0.125, ['b'], { prefixable: true, binary: true }],
+    // Lower-case "kb", "mb", ... almost always mean bytes in casual writing.
+    ['kB', 'data', 1e3, ['kb']],
+    ['MB', 'data', 1e6, ['mb']],
+    ['GB', 'data', 1e9, ['gb']],
+    ['TB', 'data', 1e12, ['tb']],
+
+    // Time
+    ['s', 'time', 1, ['sec', 'second'], { prefixable: true }],
+    ['min', 'time', 60, ['minute', 'mins']],
+    ['h', 'time', 3600, ['hr', 'hrs', 'hour']],
+    ['d', 'time', 86400, ['day']],
+    ['wk', 'time', 604800, ['week']],
+    ['mo', 'time', 2629746, ['month']],
+    ['yr', 'time', 31556952, ['year']],
+
+    // Energy
+    ['J', 'energy', 1, ['joule'], { prefixable: true }],
+    ['cal', 'energy', 4.184, ['calorie'], { prefixable: true }],
+    ['Cal', 'energy', 4184, ['food calorie']],
+    ['Wh', 'energy', 3600, ['watt hour', 'watt-hour'], { prefixable: true }],
+    ['eV', 'energy', 1.602176634e-19, ['electronvolt', 'electron volt'], { prefixable: true }],
+    ['BTU', 'energy', 1055.05585262, ['btu', 'british thermal unit']],
+];
+
+const METRIC_PREFIXES = [
+    ['n', 'nano', 1e-9],
+    ['µ', 'micro', 1e-6],
+    ['u', 'micro', 1e-6],
+    ['m', 'milli', 1e-3],
+    ['c', 'centi', 1e-2],
+    ['d', 'deci', 1e-1],
+    ['k', 'kilo', 1e3],
+    ['M', 'mega', 1e6],
+    ['G', 'giga', 1e9],
+    ['T', 'tera', 1e12],
+    ['P', 'peta', 1e15],
+];
+
+const BINARY_PREFIXES = [
+    ['Ki', 'kibi', 1024],
+    ['Mi', 'mebi', 1024 ** 2],
+    ['Gi', 'gibi', 1024 ** 3],
+    ['Ti', 'tebi', 1024 ** 4],
+];
+
+const makeUnit = ([symbol, category, factor, names, options = {}]) => ({
+    symbol,
+    category,
+    factor,
+    offset: options.offset || 0,
+    names,
+    prefixable: Boolean(options.prefixable),
+    binary: Boolean(options.binary),
+});
+
+const UNITS = UNIT_TABLE.map(makeUnit);
+
+// Symbols are matched case-sensitively ("mm" vs "Mm", "B" vs "b"); lower-case names and
+// aliases are matched case-insensitively and may also follow a prefix symbol ("dl").
+const bySymbol = new Map();
+const byName = new Map();
+UNITS.forEach(unit => {
+    bySymbol.set(unit.symbol, unit);
+    unit.names.forEach(name => {
+        if (!bySymbol.has(name)) bySymbol.set(name, unit);
+        if (name.toLowerCase() === name) byName.set(name, unit);
+    });
+    if (!byName.has(unit.symbol.toLowerCase()) && unit.symbol.length > 2) {
+        byName.set(unit.symbol.toLowerCase(), unit);
+    }
+});
+
+// "inches" -> "inch", "feet" stays (it is an alias), "miles" -> "mile".
+const singularForms = (name) => {
+    const forms = [name];
+    if (name.endsWith('ies')) forms.push(`${name.slice(0, -3)}y`);
+    if (name.endsWith('es')) forms.push(name.slice(0, -2));
+    if (name.endsWith('s')) forms.push(name.slice(0, -1));
+    return forms;
+};
+
+const withPrefix = (unit, factor, symbol) => ({ ...unit, symbol, factor: unit.factor * factor });
+
+const lookupName = (text) => {
+    const lower = text.toLowerCase();
+    for (const form of singularForms(lower)) {
+        if (byName.has(form)) return byName.get(form);
+    }
+    return null;
+};
+
+// Symbol form: "km", "MiB", "kWh", "Gb". Case-sensitive, so "Mb" is a megabit.
+const lookupPrefixedSymbol = (text) => {
+    for (const [prefixes, binaryOnly] of [[BINARY_PREFIXES, true], [METRIC_PREFIXES, false]]) {
+        for (const [symbol, , factor] of prefixes) {
+            if (!text.startsWith(symbol) || text.length === symbol.length) continue;
+            const base = bySymbol.get(text.slice(symbol.length));
+            if (base && base.prefixable && (!binaryOnly || base.binary)) {
+                return withPrefix(base, factor, symbol + base.symbol);
+            }
+        }
+    }
+    return null;
+};
+
+// Name form: "kilometres", "gigabytes", "kibibytes".
+const lookupPrefixedName = (text) => {
+    const lower = text.toLowerCase();
+    for (const [prefixes, binaryOnly] of [[BINARY_PREFIXES, true], [METRIC_PREFIXES, false]]) {
+        for (const [symbol, name, factor] of prefixes) {
+            if (!lower.startsWith(name) || lower.length === name.length) continue;
+            const base = lookupName(lower.slice(name.length));
+            if (base && base.prefixable && (!binaryOnly || base.binary)) {
+                return withPrefix(base, factor, symbol + base.symbol);
+            }
+        }
+    }
+    return null;
+};
+
+const lookupSimple = (text) => bySymbol.get(text)
+    || lookupPrefixedSymbol(text)
+    || lookupName(text)
+    || lookupPrefixedName(text)
+    || null;
+
+const POWER_WORDS = { square: 2, sq: 2, cubic: 3, cu: 3 };
+const POWER_SUFFIXES = { '2': 2, '²': 2, '3': 3, '³': 3 };
+
+// "km2", "ft²", "square feet", "sq mi", "cubic inches", "metres squared".
+const lookupPower = (text) => {
+    let power = null;
+    let inner = text;
+    const wordMatch = text.match(/^(square|sq|cubic|cu)\.?\s+(.+)$/i);
+    const trailingWord = text.match(/^(.+?)\s+(squared|cubed)$/i);
+    if (wordMatch) {
+        power = POWER_WORDS[wordMatch[1].toLowerCase()];
+        inner = wordMatch[2];
+    } else if (trailingWord) {
+        power = trailingWord[2].toLowerCase() === 'squared' ? 2 : 3;
+        inner = trailingWord[1];
+    } else if (POWER_SUFFIXES[text.slice(-1)] && text.length > 1) {
+        power = POWER_SUFFIXES[text.slice(-1)];
+        inner = text.slice(0, -1);
+    }
+    if (!power) return null;
+
+    const base = lookupSimple(inner.trim());
+    if (!base || base.category !== 'length') return null;
+    return {
+        ...base,
+        symbol: `${base.symbol}${power === 2 ? '²' : '³'}`,
+        category: power === 2 ? 'area' : 'volume',
+        factor: base.factor ** power,
+        prefixable: false,
+    };
+};
+
+// "km/h", "ft/s", "miles per hour", "metres per second".
+const lookupRate = (text) => {
+    const match = text.match(/^(.+?)\s*(?:\/|\bper\b)\s*(.+)$/i);
+    if (!match) return null;
+    const distance = lookupSimple(match[1].trim()) || lookupPower(match[1].trim());
+    const duration = lookupSimple(match[2].trim());
+    if (!distance || !duration || distance.category !== 'length' || duration.category !== 'time') return null;
+    return {
+        ...distance,
+        symbol: `${distance.symbol}/${duration.symbol}`,
+        category: 'speed',
+        factor: distance.factor / duration.factor,
+        prefixable: false,
+    };
+};
+
+// Resolves a unit string to a unit definition, or null if it is not recognised.
+export const findUnit = (rawText) => {
+    if (!rawText) return null;
+    const text = rawText.trim()
+        .replace(/\.$/, '')
+        .replace(/\s+/g, ' ')
+        .replace(/^deg(?:ree)?s?\s+/i, '')
+        .replace(/^°\s*/, '°');
+    if (!text) return null;
+    return lookupSimple(text) || lookupPower(text) || lookupRate(text);
+};
+
+const resolveUnit = (unitOrText) => {
+    if (typeof unitOrText !== 'string') return unitOrText;
+    const unit = findUnit(unitOrText);
+    if (!unit) throw new ConversionError(`I don't recognise the unit "${unitOrText}".`);
+    return unit;
+};
+
+const toBase = (value, unit) => (value + unit.offset) * unit.factor;
+const fromBase = (value, unit) => value / unit.factor - unit.offset;
+
+// Converts a number between two units (unit objects or unit strings).
+export const convert = (value, from, to) => {
+    const fromUnit = resolveUnit(from);
+    const toUnit = resolveUnit(to);
+    if (fromUnit.category !== toUnit.category) {
+        throw new ConversionError(
+            `I can't convert ${fromUnit.symbol} (${CATEGORIES[fromUnit.category]}) to ${toUnit.symbol} (${CATEGORIES[toUnit.category]}) — they measure different things.`
+        );
+    }
+    return fromBase(toBase(value, fromUnit), toUnit);
+};
+
+// --- Query Parsing ---
+
+const NUMBER = '-?(?:\\d+(?:[.,]\\d+)*|\\.\\d+)(?:e[+-]?\\d+)?';
+const QUANTITY_PART = new RegExp(`(${NUMBER})\\s*([^\\d\\s-][^\\d]*?)(?=\\s+${NUMBER}|\\s*$)`, 'gi');
+
+const parseNumber = (text) => parseFloat(text.replace(/,(?=\d{3}\b)/g, ''));
+
+// "5 ft 3 in" -> [{ value: 5, unitText: 'ft' }, { value: 3, unitText: 'in' }]
+const parseQuantity = (text) => {
+    const trimmed = text.trim();
+    const parts = [];
+    let consumed = '';
+    for (const match of trimmed.matchAll(QUANTITY_PART)) {
+        parts.push({ value: parseNumber(match[1]), unitText: match[2].trim() });
+        consumed += match[0];
+    }
+    // Everything must be "<number> <unit>" pairs.
+    if (parts.length === 0 || consumed.replace(/\s/g, '') !== trimmed.replace(/\s/g, '')) return null;
+    return parts;
+};
+
+const CONVERT_FORMS = [
+    // "how many cm are in 5 ft 3 in", "how many miles is 10 km"
+    { pattern: /^how many (.+?) (?:are |is )?(?:in|is|are) (.+?)\??$/i, quantity: 2, target: 1 },
+    // "convert 5 km to miles", "what is 72 fahrenheit in celsius", "3 gigabytes to MiB"
+    { pattern: /^(?:please )?(?:convert |what is |what's |how much is )?(.+)\s(?:to|in|into|as)\s(.+?)\??$/i, quantity: 1, target: 2 },
+];
+
+// Splits a conversion request into its quantity parts and target unit, or returns null
+// if the text doesn't have that shape. Unit strings are not validated here.
+export const parseConversionQuery = (text) => {
+    const input = text.trim();
+    for (const form of CONVERT_FORMS) {
+        const match = input.match(form.pattern);
+        if (!match) continue;
+        const parts = parseQuantity(match[form.quantity]);
+        const target = match[form.target].trim();
+        if (parts && target && !/\d/.test(target)) {
+            return { parts, target, explicit: /^(?:convert|how many)\b/i.test(input) };
+        }
+    }
+    return null;
+};
+
+// Trailing zeros of whole numbers are not significant ("100 km" has one significant figure).
+const significantDigits = (value) => {
+    const text = String(Math.abs(value)).replace(/e.*$/i, '');
+    const digits = (text.includes('.') ? text.replace('.', '') : text.replace(/0+$/, '')).replace(/^0+/, '');
+    return Math.max(digits.length, 1);
+};
+
+// Formats with `sigFigs` significant figures, dropping trailing zeros ("160.0" -> "160").
+export const formatQuantity = (value, sigFigs = 4) => {
+    if (value === 0) return '0';
+    const rounded = Number(value.toPrecision(sigFigs));
+    const magnitude = Math.abs(rounded);
+    if (magnitude >= 1e15 || magnitude < 1e-6) {
+        return rounded.toExponential(Math.max(sigFigs - 1, 0)).replace(/\.?0+e/, 'e');
+    }
+    return rounded.toLocaleString('en-US', { maximumFractionDigits: 20, useGrouping: magnitude >= 1e4 });
+};
+
+// Converts a natural-language request. Resolves to { value, unit, text } where text is the
+// chat answer, or throws ConversionError with a user-facing message.
+export const convertQuery = (text) => {
+    const parsed = parseConversionQuery(text);
+    if (!parsed) {
+        throw new ConversionError('Try something like "convert 5 ft 3 in to cm" or "72 fahrenheit in celsius".');
+    }
+
+    const toUnit = resolveUnit(parsed.target);
+    const parts = parsed.parts.map(part => ({ ...part, unit: resolveUnit(part.unitText) }));
+
+    const category = parts[0].unit.category;
+    const mixed = parts.find(part => part.unit.category !== category);
+    if (mixed) {
+        throw new ConversionError(`"${parsed.parts.map(p => `${p.value} ${p.unitText}`).join(' ')}" mixes ${CATEGORIES[category]} and ${CATEGORIES[mixed.unit.category]}.`);
+    }
+    if (category === 'temperature' && parts.length > 1) {
+        throw new ConversionError('Temperatures can\'t be added together; please give a single temperature.');
+    }
+
+    const value = parts.reduce((total, part) => total + convert(part.value, part.unit, toUnit), 0);
+    const sigFigs = Math.min(Math.max(...parsed.parts.map(part => significantDigits(part.value))) + 2, 8);
+    const precision = Math.max(sigFigs, 4);
+    const source = parsed.parts.map(part => `${formatQuantity(part.value, 12)} ${part.unitText}`).join(' ');
+
+    return {
+        value,
+        unit: toUnit,
+        text: `${source} is ${formatQuantity(value, precision)} ${parsed.target}.`,
+    };
+};
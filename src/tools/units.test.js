@@ -0,0 +1,85 @@
+import { convert, convertQuery, findUnit, formatQuantity, parseConversionQuery, ConversionError } from './units';
+
+describe('unit lookup', () => {
+    test.each([
+        ['km', 'length', 1000],
+        ['kilometres', 'length', 1000],
+        ['feet', 'length', 0.3048],
+        ['inches', 'length', 0.0254],
+        ['mm', 'length', 0.001],
+        ['Mm', 'length', 1e6],
+        ['dl', 'volume', 1e-4],
+        ['MiB', 'data', 1024 ** 2],
+        ['gigabytes', 'data', 1e9],
+        ['Mb', 'data', 1e6 / 8],
+        ['kWh', 'energy', 3.6e6],
+        ['kcal', 'energy', 4184],
+        ['ft²', 'area', 0.3048 ** 2],
+        ['square miles', 'area', 1609.344 ** 2],
+        ['cm3', 'volume', 1e-6],
+        ['miles per hour', 'speed', 0.44704],
+        ['ft/s', 'speed', 0.3048],
+        ['degrees Fahrenheit', 'temperature', 5 / 9],
+    ])('%s', (text, category, factor) => {
+        const unit = findUnit(text);
+        expect(unit.category).toBe(category);
+        expect(unit.factor).toBeCloseTo(factor, 10);
+    });
+
+    test('unknown units resolve to null', () => {
+        expect(findUnit('furlongz')).toBeNull();
+    });
+});
+
+describe('conversions', () => {
+    test('temperature uses offsets, not just factors', () => {
+        expect(convert(72, 'fahrenheit', 'celsius')).toBeCloseTo(22.2222, 4);
+        expect(convert(-40, '°C', '°F')).toBeCloseTo(-40, 10);
+        expect(convert(0, 'K', 'C')).toBeCloseTo(-273.15, 10);
+    });
+
+    test('incompatible dimensions are rejected', () => {
+        expect(() => convert(5, 'kg', 'm')).toThrow(ConversionError);
+        expect(() => convert(5, 'kg', 'm')).toThrow(/kg \(mass\) to m \(length\)/);
+    });
+
+    test('unknown units are reported by name', () => {
+        expect(() => convertQuery('convert 3 furlongz to m')).toThrow('I don\'t recognise the unit "furlongz".');
+    });
+});
+
+describe('natural-language queries', () => {
+    test.each([
+        ['5 ft 3 in to cm', '5 ft 3 in is 160 cm.'],
+        ['72 fahrenheit in celsius', '72 fahrenheit is 22.22 celsius.'],
+        ['3 gigabytes to MiB', '3 gigabytes is 2861 MiB.'],
+        ['convert 5 km to miles', '5 km is 3.107 miles.'],
+        ['how many cm are in 2 inches', '2 inches is 5.08 cm.'],
+        ['what is 1 hour 30 minutes in seconds?', '1 hour 30 minutes is 5400 seconds.'],
+        ['convert 2.5 acres to hectares', '2.5 acres is 1.012 hectares.'],
+        ['100 km/h to mph', '100 km/h is 62.14 mph.'],
+        ['1 kWh in kJ', '1 kWh is 3600 kJ.'],
+    ])('%s', (query, answer) => {
+        expect(convertQuery(query).text).toBe(answer);
+    });
+
+    test('mixing dimensions in one quantity is rejected', () => {
+        expect(() => convertQuery('5 ft 3 kg to cm')).toThrow(/mixes length and mass/);
+    });
+
+    test('text that is not a conversion does not parse', () => {
+        expect(parseConversionQuery('tell me about cats in Paris')).toBeNull();
+        expect(parseConversionQuery('convert 5 km to miles')).toMatchObject({
+            parts: [{ value: 5, unitText: 'km' }],
+            target: 'miles',
+            explicit: true,
+        });
+    });
+});
+
+test('formats with significant figures instead of fixed decimals', () => {
+    expect(formatQuantity(3.10685596, 4)).toBe('3.107');
+    expect(formatQuantity(0.000123456, 3)).toBe('0.000123');
+    expect(formatQuantity(123456.7, 4)).toBe('123,500');
+    expect(formatQuantity(1.5e-9, 4)).toBe('1.5e-9');
+});
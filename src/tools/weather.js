@@ -0,0 +1,423 @@
+// Weather for the getWeatherReport tool, from Open-Meteo (no API key needed).
+// Current conditions, hourly and 7-day forecasts in metric or imperial units. Responses are
+// cached for a few minutes, and the user's unit preference and default location are kept
+// in localStorage. Everything that touches the network goes through `fetchImpl`.
+
+export const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+export const FORECAST_URL = 'https://api.open-meteo.com/v1/forecast';
+export const WEATHER_SETTINGS_KEY = 'anyaWeatherSettings';
+
+export const FORECAST_CACHE_MS = 10 * 60 * 1000;
+const GEOCODING_CACHE_MS = 24 * 60 * 60 * 1000;
+export const FORECAST_DAYS = 7;
+const HOURS_AHEAD = 6;
+// A place is picked without asking when it is this many times bigger than the next match.
+const POPULATION_LEAD = 5;
+
+export class WeatherError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'WeatherError';
+    }
+}
+
+// --- Weather codes (WMO) ---
+
+export const WEATHER_CODES = {
+    0: 'clear sky', 1: 'mainly clear', 2: 'partly cloudy', 3: 'overcast',
+    45: 'fog', 48: 'freezing fog',
+    51: 'light drizzle', 53: 'drizzle', 55: 'heavy drizzle', 56: 'light freezing drizzle', 57: 'freezing drizzle',
+    61: 'light rain', 63: 'rain', 65: 'heavy rain', 66: 'light freezing rain', 67: 'freezing rain',
+    71: 'light snow', 73: 'snow', 75: 'heavy snow', 77: 'snow grains',
+    80: 'light showers', 81: 'showers', 82: 'violent showers', 85: 'light snow showers', 86: 'snow showers',
+    95: 'thunderstorms', 96: 'thunderstorms with light hail', 99: 'thunderstorms with hail',
+};
+
+export const describeWeatherCode = (code) => WEATHER_CODES[code] || 'unknown conditions';
+
+const isSnowCode = (code) => (code >= 71 && code <= 77) || code === 85 || code === 86;
+const isRainCode = (code) => (code >= 51 && code <= 67) || (code >= 80 && code <= 82) || code >= 95;
+
+const weatherEmoji = (code) => {
+    if (code >= 95) return '⛈️';
+    if (isSnowCode(code)) return '🌨️';
+    if (isRainCode(code)) return '🌧️';
+    if (code === 45 || code === 48) return '🌫️';
+    if (code === 3) return '☁️';
+    if (code === 1 || code === 2) return '🌤️';
+    return '☀️';
+};
+
+// --- Units ---
+
+export const UNITS = {
+    metric: { temperature: '°C', wind: 'km/h', precipitation: 'mm', params: {} },
+    imperial: {
+        temperature: '°F',
+        wind: 'mph',
+        precipitation: 'in',
+        params: { temperature_unit: 'fahrenheit', wind_speed_unit: 'mph', precipitation_unit: 'inch' },
+    },
+};
+
+const UNIT_WORDS = { celsius: 'metric', metric: 'metric', fahrenheit: 'imperial', imperial: 'imperial' };
+
+// Maps "fahrenheit", "metric" etc. to a UNITS key, or null.
+export const parseUnits = (word) => UNIT_WORDS[(word || '').toLowerCase()] || null;
+
+// Imperial for the few countries that still use it day to day.
+export const defaultUnits = (locale = typeof navigator !== 'undefined' ? navigator.language : 'en') => (
+    /-(US|LR|MM)$/i.test(locale || '') ? 'imperial' : 'metric'
+);
+
+// --- Preferences ---
+// { units: 'metric' | 'imperial', defaultLocation: place or null }, where a place is
+// { name, admin1, country, latitude, longitude }.
+
+const toPlace = (result) => ({
+    name: result.name,
+    admin1: result.admin1 || null,
+    country: result.country || result.country_code || null,
+    latitude: result.latitude,
+    longitude: result.longitude,
+});
+
+const isPlace = (place) => Boolean(place && typeof place.name === 'string'
+    && Number.isFinite(place.latitude) && Number.isFinite(place.longitude));
+
+export const loadWeatherPreferences = (storage = window.localStorage) => {
+    let saved = {};
+    try {
+        saved = JSON.parse(storage.getItem(WEATHER_SETTINGS_KEY)) || {};
+    } catch (error) {
+        saved = {};
+    }
+    return {
+        units: UNITS[saved.units] ? saved.units : defaultUnits(),
+        defaultLocation: isPlace(saved.defaultLocation) ? saved.defaultLocation : null,
+    };
+};
+
+export const saveWeatherPreferences = (preferences, storage = window.localStorage) => {
+    storage.setItem(WEATHER_SETTINGS_KEY, JSON.stringify(preferences));
+};
+
+// --- Query parsing ---
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Phrases naming when, tried in order. Each maps to a `when` value for formatReport.
+const WHEN_PHRASES = [
+    [/\b(?:right now|currently|at the moment)\b/i, () => 'now'],
+    [/\b(?:next (?:few|\d+) hours|hourly|later today|this (?:afternoon|evening)|tonight)\b/i, () => 'hours'],
+    [/\b(?:this|the|over the) weekend\b/i, () => 'weekend'],
+    [/\b(?:this|the|next) week\b|\bnext (?:7|seven) days\b|\bweek ahead\b/i, () => 'week'],
+    [/\b(?:the day after tomorrow)\b/i, () => 'dayAfterTomorrow'],
+    [/\btomorrow\b/i, () => 'tomorrow'],
+    [/\btoday\b/i, () => 'today'],
+    [/\b(?:on )?(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/i, (match) => match[1].toLowerCase()],
+    [/\b(\d{4}-\d{2}-\d{2})\b/, (match) => match[1]],
+];
+
+const WEATHER_WORDS = /\b(?:weather|forecast)\b/i;
+const CONDITION_QUESTION = /\b(?:will|is|does|should) it (?:be )?(?:going to |gonna )?(rain|snow|drizzle|pour|storm)(?:ing)?\b|\b(?:need|bring|take) an umbrella\b/i;
+
+// Returns { location, when, condition, units } or null when the text isn't about the weather.
+// `location` is null when no place is named (the default location is used then).
+export const parseWeatherQuery = (input) => {
+    const text = input.trim();
+    const question = text.match(CONDITION_QUESTION);
+    if (!question && !WEATHER_WORDS.test(text)) return null;
+    const condition = question ? (/snow/i.test(question[0]) ? 'snow' : 'rain') : null;
+
+    let rest = text;
+    let units = null;
+    rest = rest.replace(/\bin (celsius|fahrenheit|metric|imperial)(?: units)?\b/i, (phrase, word) => {
+        units = parseUnits(word);
+        return ' ';
+    });
+
+    let when = null;
+    for (const [pattern, toWhen] of WHEN_PHRASES) {
+        const match = rest.match(pattern);
+        if (match) {
+            if (!when) when = toWhen(match);
+            rest = rest.replace(pattern, ' ');
+        }
+    }
+
+    // The place follows "in", "for" or "at"; take the first such segment with anything left in it.
+    const segments = rest.split(/\b(?:in|for|at)\b/i).slice(1);
+    const location = segments
+        .map(segment => segment.replace(/[?!.]+/g, ' ').replace(/^\s*(?:the|like)\s+/i, '').replace(/\s+/g, ' ').trim())
+        .find(segment => segment && !/^(?:the|like|it|me|us)$/i.test(segment)) || null;
+
+    return { location, when, condition, units };
+};
+
+// --- Places ---
+
+const placeLabel = (place, { withRegion = false } = {}) => [
+    place.name,
+    withRegion && place.admin1 !== place.name ? place.admin1 : null,
+    place.country,
+].filter(Boolean).join(', ');
+
+// Picks the place meant by `query` from geocoding results. "Springfield, Illinois" narrows
+// the results by region or country. Returns { place } or { candidates } when it is unclear.
+export const choosePlace = (query, results) => {
+    const [, ...qualifiers] = query.split(',').map(part => part.trim().toLowerCase()).filter(Boolean);
+    let matches = results;
+    if (qualifiers.length > 0) {
+        matches = results.filter(result => qualifiers.every(qualifier => [result.admin1, result.country, result.country_code]
+            .some(value => value && value.toLowerCase().startsWith(qualifier))));
+    }
+    if (matches.length === 0) return { candidates: [] };
+    if (matches.length === 1) return { place: toPlace(matches[0]) };
+
+    const ranked = [...matches].sort((a, b) => (b.population || 0) - (a.population || 0));
+    const [first, second] = ranked;
+    if ((first.population || 0) >= POPULATION_LEAD * (second.population || 0) && first.population) {
+        return { place: toPlace(first) };
+    }
+    return { candidates: ranked.map(toPlace) };
+};
+
+// --- Reports ---
+
+const round = (value) => Math.round(value);
+const formatDecimal = (value) => String(Math.round(value * 10) / 10);
+
+const weekdayOf = (date) => WEEKDAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+
+const WHEN_KEYWORDS = ['now', 'hours', 'today', 'tomorrow', 'dayAfterTomorrow', 'week', 'weekend', ...WEEKDAYS];
+
+// Function calls don't always match the keywords' case ("Friday", "dayaftertomorrow").
+export const normalizeWhen = (when) => {
+    if (typeof when !== 'string' || !when.trim()) return null;
+    const lower = when.trim().toLowerCase();
+    return WHEN_KEYWORDS.find(keyword => keyword.toLowerCase() === lower) || lower;
+};
+
+// Indices into the daily forecast for `when`; null for current conditions.
+const dayIndices = (when, dates) => {
+    switch (when) {
+        case null:
+        case undefined:
+        case 'now':
+        case 'hours':
+            return null;
+        case 'today': return [0];
+        case 'tomorrow': return [1];
+        case 'dayAfterTomorrow': return [2];
+        case 'week': return dates.map((_, index) => index);
+        case 'weekend': {
+            const weekend = dates.map((date, index) => [weekdayOf(date), index])
+                .filter(([day]) => day === 'saturday' || day === 'sunday')
+                .map(([, index]) => index);
+            // On a Sunday, "this weekend" is today only.
+            return weekend[0] === 0 && weekdayOf(dates[0]) === 'sunday' ? [0] : weekend.slice(0, 2);
+        }
+        default: {
+            if (WEEKDAYS.includes(when)) return [dates.findIndex(date => weekdayOf(date) === when)];
+            return [dates.indexOf(when)];
+        }
+    }
+};
+
+const dayLabel = (index, date) => {
+    if (index === 0) return 'Today';
+    if (index === 1) return 'Tomorrow';
+    return capitalize(weekdayOf(date));
+};
+
+const dailyAt = (daily, index) => ({
+    date: daily.time[index],
+    code: daily.weather_code[index],
+    max: daily.temperature_2m_max[index],
+    min: daily.temperature_2m_min[index],
+    chance: daily.precipitation_probability_max?.[index] ?? null,
+    amount: daily.precipitation_sum?.[index] ?? 0,
+    snowfall: daily.snowfall_sum?.[index] ?? 0,
+});
+
+const describeDay = (day, units) => {
+    const unit = UNITS[units];
+    const chance = day.chance !== null ? `, ${day.chance}% chance of precipitation` : '';
+    const amount = day.amount > 0 ? ` (${formatDecimal(day.amount)} ${unit.precipitation})` : '';
+    return `${describeWeatherCode(day.code)}, ${round(day.min)}–${round(day.max)}${unit.temperature}${chance}${amount}`;
+};
+
+// The hour of `date` with the highest chance of precipitation, if it is worth mentioning.
+const peakHour = (hourly, date) => {
+    if (!hourly?.precipitation_probability) return null;
+    let best = null;
+    hourly.time.forEach((time, index) => {
+        const chance = hourly.precipitation_probability[index];
+        if (time.startsWith(date) && chance >= 30 && (!best || chance > best.chance)) best = { time: time.slice(11, 16), chance };
+    });
+    return best;
+};
+
+const answerCondition = (condition, day, index, place, hourly, units) => {
+    const when = index === 0 ? 'today' : index === 1 ? 'tomorrow' : `on ${capitalize(weekdayOf(day.date))}`;
+    const where = placeLabel(place);
+    const matchesCode = condition === 'snow' ? isSnowCode(day.code) || day.snowfall > 0 : isRainCode(day.code);
+    const likely = matchesCode && (day.chance === null || day.chance >= 40);
+    const chance = day.chance !== null ? ` (${day.chance}% chance)` : '';
+    if (!likely) {
+        return `${weatherEmoji(day.code)} ${capitalize(condition)} is unlikely in ${where} ${when}${chance}. Expect ${describeDay(day, units)}.`;
+    }
+    const peak = peakHour(hourly, day.date);
+    const timing = peak ? ` It's most likely around ${peak.time}.` : '';
+    const advice = condition === 'rain' ? ' Take an umbrella.' : '';
+    return `${condition === 'snow' ? '🌨️' : '☔'} Yes, ${condition} is likely in ${where} ${when}${chance}: ${describeDay(day, units)}.${timing}${advice}`;
+};
+
+const describeCurrent = (forecast, place, units) => {
+    const unit = UNITS[units];
+    const current = forecast.current;
+    const feelsLike = Math.abs(current.apparent_temperature - current.temperature_2m) >= 2
+        ? `, feels like ${round(current.apparent_temperature)}${unit.temperature}`
+        : '';
+    return `${weatherEmoji(current.weather_code)} Right now in ${placeLabel(place)} it's ${round(current.temperature_2m)}${unit.temperature} `
+        + `with ${describeWeatherCode(current.weather_code)}${feelsLike}. `
+        + `Humidity is ${round(current.relative_humidity_2m)}% and wind speed is ${round(current.wind_speed_10m)} ${unit.wind}.`;
+};
+
+const describeHours = (forecast, place, units) => {
+    const unit = UNITS[units];
+    const { hourly } = forecast;
+    const nowHour = forecast.current.time.slice(0, 13);
+    const start = Math.max(0, hourly.time.findIndex(time => time.slice(0, 13) >= nowHour));
+    const lines = hourly.time.slice(start, start + HOURS_AHEAD).map((time, offset) => {
+        const index = start + offset;
+        const chance = hourly.precipitation_probability?.[index];
+        return `- ${time.slice(11, 16)}: ${round(hourly.temperature_2m[index])}${unit.temperature}, `
+            + `${describeWeatherCode(hourly.weather_code[index])}${chance ? ` (${chance}% chance of precipitation)` : ''}`;
+    });
+    return `🕒 The next ${lines.length} hours in ${placeLabel(place)}:\n${lines.join('\n')}`;
+};
+
+// Turns an Open-Meteo forecast into the reply. `when` is a value from parseWeatherQuery (or
+// the function call), `condition` is 'rain', 'snow' or null.
+export const formatReport = (forecast, place, { when = null, condition = null, units = 'metric' } = {}) => {
+    const requested = normalizeWhen(when);
+    const effectiveWhen = condition && (!requested || requested === 'now' || requested === 'hours') ? 'today' : requested;
+    const indices = dayIndices(effectiveWhen, forecast.daily.time);
+    if (!indices) {
+        return effectiveWhen === 'hours' ? describeHours(forecast, place, units) : describeCurrent(forecast, place, units);
+    }
+    if (indices.length === 0 || indices.some(index => index < 0 || index >= forecast.daily.time.length)) {
+        return `I only have forecasts for the next ${forecast.daily.time.length} days.`;
+    }
+
+    const days = indices.map(index => dailyAt(forecast.daily, index));
+    if (condition && days.length === 1) {
+        return answerCondition(condition, days[0], indices[0], place, forecast.hourly, units);
+    }
+    if (days.length === 1) {
+        return `${weatherEmoji(days[0].code)} ${dayLabel(indices[0], days[0].date)} in ${placeLabel(place)}: ${describeDay(days[0], units)}.`;
+    }
+    const lines = days.map((day, i) => `- ${dayLabel(indices[i], day.date)}: ${describeDay(day, units)}`);
+    return `📅 Forecast for ${placeLabel(place)}:\n${lines.join('\n')}`;
+};
+
+// --- Service ---
+
+const defaultFetch = (...args) => fetch(...args);
+
+export const createWeatherService = ({
+    fetchImpl = defaultFetch,
+    storage = window.localStorage,
+    now = () => Date.now(),
+    cacheMs = FORECAST_CACHE_MS,
+} = {}) => {
+    const cache = new Map(); // url -> { data, expires }
+    let preferences = loadWeatherPreferences(storage);
+
+    // Only successful responses are cached.
+    const getJson = async (url, ttl) => {
+        const hit = cache.get(url);
+        if (hit && hit.expires > now()) return hit.data;
+        const response = await fetchImpl(url);
+        if (!response.ok) throw new WeatherError(`The weather service responded with status ${response.status}.`);
+        const data = await response.json();
+        cache.set(url, { data, expires: now() + ttl });
+        return data;
+    };
+
+    const findPlaces = async (name) => {
+        const params = new URLSearchParams({ name, count: '5', language: 'en', format: 'json' });
+        const data = await getJson(`${GEOCODING_URL}?${params}`, GEOCODING_CACHE_MS);
+        return data.results || [];
+    };
+
+    // Resolves to { place } or { candidates }; no candidates means nothing was found.
+    const resolvePlace = async (query) => {
+        const name = query.split(',')[0].trim();
+        return choosePlace(query, await findPlaces(name));
+    };
+
+    const getForecast = (place, units) => {
+        const params = new URLSearchParams({
+            latitude: String(place.latitude),
+            longitude: String(place.longitude),
+            current: 'temperature_2m,apparent_temperature,relative_humidity_2m,wind_speed_10m,weather_code',
+            hourly: 'temperature_2m,precipitation_probability,weather_code',
+            daily: 'weather_code,temperature_2m_max,temperature_2m_min,precipitation_probability_max,precipitation_sum,snowfall_sum',
+            timezone: 'auto',
+            forecast_days: String(FORECAST_DAYS),
+            ...UNITS[units].params,
+        });
+        return getJson(`${FORECAST_URL}?${params}`, cacheMs);
+    };
+
+    const getPreferences = () => preferences;
+
+    const setPreferences = (changes) => {
+        preferences = { ...preferences, ...changes };
+        saveWeatherPreferences(preferences, storage);
+        return preferences;
+    };
+
+    const listCandidates = (query, candidates) => {
+        const options = candidates.map(place => `- ${placeLabel(place, { withRegion: true })}`).join('\n');
+        return `📍 I found several places called "${query.split(',')[0].trim()}":\n${options}\n`
+            + 'Which one do you mean? Add the region or country, e.g. '
+            + `"weather in ${candidates[0].name}, ${candidates[0].admin1 || candidates[0].country}".`;
+    };
+
+    // Answers a weather question. `location` falls back to the remembered default.
+    const report = async ({ location = null, when = null, condition = null, units = null } = {}) => {
+        let place = preferences.defaultLocation;
+        if (location) {
+            const resolved = await resolvePlace(location);
+            if (resolved.candidates?.length === 0) {
+                return `🤔 I couldn't find a location called "${location}". Please check the spelling.`;
+            }
+            if (resolved.candidates) return listCandidates(location, resolved.candidates);
+            place = resolved.place;
+        }
+        if (!place) {
+            return 'Which place should I check? Name one, or tell me "my location is <city>" and I\'ll remember it.';
+        }
+        const chosenUnits = UNITS[units] ? units : preferences.units;
+        const forecast = await getForecast(place, chosenUnits);
+        return formatReport(forecast, place, { when, condition, units: chosenUnits });
+    };
+
+    // Looks up and remembers the default location. Resolves to the reply.
+    const rememberLocation = async (location) => {
+        const resolved = await resolvePlace(location);
+        if (resolved.candidates?.length === 0) return `🤔 I couldn't find a location called "${location}".`;
+        if (resolved.candidates) return listCandidates(location, resolved.candidates);
+        setPreferences({ defaultLocation: resolved.place });
+        return `📍 Got it. I'll use ${placeLabel(resolved.place, { withRegion: true })} when you ask about the weather without naming a place.`;
+    };
+
+    const clearCache = () => cache.clear();
+
+    return { report, rememberLocation, resolvePlace, getForecast, getPreferences, setPreferences, clearCache };
+};
@@ -0,0 +1,169 @@
+import {
+    createWeatherService, parseWeatherQuery, choosePlace, formatReport, normalizeWhen, describeWeatherCode,
+    GEOCODING_URL, FORECAST_URL, WEATHER_SETTINGS_KEY
+} from './weather';
+import { createBuiltinTools } from './builtinTools';
+import { createMemoryStorage } from '../testUtils';
+
+const PARIS = { name: 'Paris', admin1: 'Île-de-France', country: 'France', latitude: 48.85, longitude: 2.35, population: 2138551 };
+const PARIS_TX = { name: 'Paris', admin1: 'Texas', country: 'United States', latitude: 33.66, longitude: -95.56, population: 24782 };
+const SPRINGFIELD_IL = { name: 'Springfield', admin1: 'Illinois', country: 'United States', latitude: 39.8, longitude: -89.64, population: 116250 };
+const SPRINGFIELD_MO = { name: 'Springfield', admin1: 'Missouri', country: 'United States', latitude: 37.2, longitude: -93.29, population: 166810 };
+
+// 2026-10-19 is a Monday.
+const FORECAST = {
+    current: {
+        time: '2026-10-19T14:15', temperature_2m: 18.4, apparent_temperature: 15.9,
+        relative_humidity_2m: 61, wind_speed_10m: 12.2, weather_code: 2,
+    },
+    hourly: {
+        time: ['2026-10-19T14:00', '2026-10-19T15:00', '2026-10-19T16:00', '2026-10-20T09:00', '2026-10-20T15:00'],
+        temperature_2m: [18, 17.6, 16.2, 12, 14],
+        precipitation_probability: [0, 10, 20, 40, 85],
+        weather_code: [2, 3, 3, 61, 63],
+    },
+    daily: {
+        time: ['2026-10-19', '2026-10-20', '2026-10-21', '2026-10-22', '2026-10-23', '2026-10-24', '2026-10-25'],
+        weather_code: [2, 63, 0, 3, 61, 71, 1],
+        temperature_2m_max: [19.2, 15.4, 17, 16, 14, 4, 9],
+        temperature_2m_min: [11.6, 10.1, 8, 9, 7, -1, 2],
+        precipitation_probability_max: [20, 90, 0, 10, 45, 70, 5],
+        precipitation_sum: [0, 6.24, 0, 0, 1.1, 3, 0],
+        snowfall_sum: [0, 0, 0, 0, 0, 2.4, 0],
+    },
+};
+
+const jsonResponse = (data, status = 200) => ({ ok: status < 400, status, json: async () => data });
+
+// A stubbed fetch answering geocoding with `places` and every forecast with FORECAST.
+const stubFetch = (places = [PARIS, PARIS_TX]) => jest.fn(async (url) => (
+    url.startsWith(GEOCODING_URL) ? jsonResponse({ results: places }) : jsonResponse(FORECAST)
+));
+
+describe('parseWeatherQuery', () => {
+    test.each([
+        ["what's the weather like in Paris?", { location: 'Paris', when: null, condition: null, units: null }],
+        ['will it rain in Paris tomorrow?', { location: 'Paris', when: 'tomorrow', condition: 'rain', units: null }],
+        ['weather in Springfield, Illinois this weekend', { location: 'Springfield, Illinois', when: 'weekend', condition: null, units: null }],
+        ['forecast for the week in Oslo in fahrenheit', { location: 'Oslo', when: 'week', condition: null, units: 'imperial' }],
+        ['is it going to snow on Friday?', { location: null, when: 'friday', condition: 'snow', units: null }],
+        ['do I need an umbrella today', { location: null, when: 'today', condition: 'rain', units: null }],
+        ['weather for the next few hours', { location: null, when: 'hours', condition: null, units: null }],
+    ])('%s', (input, expected) => {
+        expect(parseWeatherQuery(input)).toEqual(expected);
+    });
+
+    test('ignores text that is not about the weather', () => {
+        expect(parseWeatherQuery('tell me a joke about Paris')).toBeNull();
+    });
+});
+
+test('picks the dominant place, or lists candidates when unclear', () => {
+    expect(choosePlace('Paris', [PARIS_TX, PARIS]).place).toMatchObject({ name: 'Paris', country: 'France' });
+    expect(choosePlace('Springfield', [SPRINGFIELD_IL, SPRINGFIELD_MO]).candidates).toHaveLength(2);
+    expect(choosePlace('Springfield, Illinois', [SPRINGFIELD_IL, SPRINGFIELD_MO]).place).toMatchObject({ admin1: 'Illinois' });
+    expect(choosePlace('Paris, Japan', [PARIS, PARIS_TX])).toEqual({ candidates: [] });
+});
+
+describe('formatReport', () => {
+    const place = { name: 'Paris', country: 'France' };
+
+    test('describes current conditions', () => {
+        expect(formatReport(FORECAST, place)).toBe(
+            "🌤️ Right now in Paris, France it's 18°C with partly cloudy, feels like 16°C. Humidity is 61% and wind speed is 12 km/h."
+        );
+    });
+
+    test('answers rain questions for a day with the likeliest hour', () => {
+        expect(formatReport(FORECAST, place, { when: 'tomorrow', condition: 'rain' })).toBe(
+            '☔ Yes, rain is likely in Paris, France tomorrow (90% chance): rain, 10–15°C, 90% chance of precipitation (6.2 mm). '
+            + "It's most likely around 15:00. Take an umbrella."
+        );
+        expect(formatReport(FORECAST, place, { when: 'Wednesday', condition: 'rain' }))
+            .toMatch(/^☀️ Rain is unlikely in Paris, France on Wednesday \(0% chance\)\. Expect clear sky, 8–17°C/);
+        expect(formatReport(FORECAST, place, { when: 'saturday', condition: 'snow' })).toMatch(/^🌨️ Yes, snow is likely/);
+    });
+
+    test('lists the week, the weekend and the next hours', () => {
+        const week = formatReport(FORECAST, place, { when: 'week' }).split('\n');
+        expect(week).toHaveLength(8);
+        expect(week[1]).toBe('- Today: partly cloudy, 12–19°C, 20% chance of precipitation');
+        expect(week[3]).toBe('- Wednesday: clear sky, 8–17°C, 0% chance of precipitation');
+
+        expect(formatReport(FORECAST, place, { when: 'weekend' }).split('\n').slice(1).map(line => line.split(':')[0]))
+            .toEqual(['- Saturday', '- Sunday']);
+        expect(formatReport(FORECAST, place, { when: 'hours' }).split('\n')).toEqual([
+            '🕒 The next 5 hours in Paris, France:',
+            '- 14:00: 18°C, partly cloudy',
+            '- 15:00: 18°C, overcast (10% chance of precipitation)',
+            '- 16:00: 16°C, overcast (20% chance of precipitation)',
+            '- 09:00: 12°C, light rain (40% chance of precipitation)',
+            '- 15:00: 14°C, rain (85% chance of precipitation)',
+        ]);
+    });
+
+    test('uses the requested units and stays within the forecast range', () => {
+        expect(formatReport(FORECAST, place, { when: 'tomorrow', units: 'imperial' })).toMatch(/10–15°F, 90% chance of precipitation \(6\.2 in\)/);
+        expect(formatReport(FORECAST, place, { when: '2026-12-01' })).toBe('I only have forecasts for the next 7 days.');
+        expect(normalizeWhen('DayAfterTomorrow')).toBe('dayAfterTomorrow');
+        expect(describeWeatherCode(1234)).toBe('unknown conditions');
+    });
+});
+
+describe('createWeatherService', () => {
+    test('caches responses for a short while', async () => {
+        let time = 0;
+        const fetchImpl = stubFetch();
+        const service = createWeatherService({ fetchImpl, storage: createMemoryStorage(), now: () => time, cacheMs: 1000 });
+
+        await service.report({ location: 'Paris', when: 'today' });
+        await service.report({ location: 'Paris', when: 'tomorrow' });
+        expect(fetchImpl).toHaveBeenCalledTimes(2);
+
+        time = 1001;
+        await service.report({ location: 'Paris' });
+        expect(fetchImpl).toHaveBeenCalledTimes(3);
+        expect(fetchImpl.mock.calls[2][0]).toMatch(new RegExp(`^${FORECAST_URL}\\?latitude=48.85&longitude=2.35&`));
+    });
+
+    test('asks which place was meant', async () => {
+        const service = createWeatherService({ fetchImpl: stubFetch([SPRINGFIELD_IL, SPRINGFIELD_MO]), storage: createMemoryStorage() });
+        const reply = await service.report({ location: 'Springfield' });
+        expect(reply).toMatch(/several places called "Springfield":\n- Springfield, Missouri, United States\n- Springfield, Illinois/);
+    });
+
+    test('remembers the default location and unit preference', async () => {
+        const storage = createMemoryStorage();
+        const fetchImpl = stubFetch();
+        const service = createWeatherService({ fetchImpl, storage });
+
+        await expect(service.report({})).resolves.toMatch(/Which place should I check\?/);
+        await expect(service.rememberLocation('Paris')).resolves.toMatch(/I'll use Paris, Île-de-France, France/);
+        service.setPreferences({ units: 'imperial' });
+
+        await expect(service.report({ when: 'tomorrow' })).resolves.toMatch(/^🌧️ Tomorrow in Paris, France: rain, 10–15°F/);
+        expect(fetchImpl.mock.calls[1][0]).toMatch(/temperature_unit=fahrenheit/);
+        expect(JSON.parse(storage.data[WEATHER_SETTINGS_KEY])).toMatchObject({ units: 'imperial', defaultLocation: { name: 'Paris' } });
+        expect(createWeatherService({ fetchImpl, storage }).getPreferences().defaultLocation.name).toBe('Paris');
+    });
+
+    test('reports failed lookups without caching them', async () => {
+        const fetchImpl = jest.fn().mockResolvedValueOnce(jsonResponse({}, 503)).mockResolvedValueOnce(jsonResponse({ results: [] }));
+        const service = createWeatherService({ fetchImpl, storage: createMemoryStorage() });
+        await expect(service.report({ location: 'Atlantis' })).rejects.toThrow(/status 503/);
+        await expect(service.report({ location: 'Atlantis' })).resolves.toMatch(/couldn't find a location called "Atlantis"/);
+    });
+});
+
+test('the weather tools answer through the service', async () => {
+    const weather = createWeatherService({ fetchImpl: stubFetch(), storage: createMemoryStorage() });
+    const tools = createBuiltinTools({ weather });
+    const handler = (name) => tools.find(tool => tool.name === name).handler;
+
+    await expect(handler('setWeatherPreferences')({ units: 'fahrenheit' })).resolves.toMatch(/°F, mph and inches/);
+    await expect(handler('getWeatherReport')({ location: 'Paris', when: 'Tomorrow', condition: 'rain' })).resolves.toMatch(/^☔ Yes, rain is likely/);
+
+    const failing = createWeatherService({ fetchImpl: jest.fn().mockRejectedValue(new TypeError('Failed to fetch')), storage: createMemoryStorage() });
+    await expect(createBuiltinTools({ weather: failing }).find(tool => tool.name === 'getWeatherReport').handler({ location: 'Paris' }))
+        .resolves.toMatch(/couldn't fetch the weather data\. Failed to fetch/);
+});